@@ -1,5 +1,5 @@
 /**
- * Minecraft Bot for 1.21.10 (Protocol 773)
+ * Minecraft Bot for 1.21.x (Protocols 769-773)
  * Custom protocol implementation
  */
 
@@ -7,6 +7,10 @@ const { MinecraftClient } = require('./src/client');
 const { CommandHandler } = require('./src/commands');
 const { EntityTracker } = require('./src/entities');
 const { logger, setLogLevel } = require('./src/logger');
+const { queryStatus } = require('./src/states/status');
+const { isSupportedVersion } = require('./src/protocol/registry');
+const { captureFile } = require('./src/protocol/capture');
+const { toAnsi } = require('./src/text-component');
 const config = require('./config');
 
 // Set log level from environment variable or default to INFO
@@ -14,7 +18,9 @@ const config = require('./config');
 setLogLevel(process.env.LOG_LEVEL || 'INFO');
 
 logger.always('========================================');
-logger.always(' Minecraft Bot - Protocol 773 (1.21.10)');
+logger.always(config.protocolVersion === 'auto'
+    ? ' Minecraft Bot - Protocol auto-detect'
+    : ` Minecraft Bot - Protocol ${config.protocolVersion} (${config.version})`);
 logger.always('========================================');
 logger.always(`Server: ${config.host}:${config.port}`);
 logger.always(`Username: ${config.username}`);
@@ -26,11 +32,16 @@ const client = new MinecraftClient({
     port: config.port,
     username: config.username,
     customUUID: config.customUUID,
-    protocolVersion: config.protocolVersion
+    accessToken: config.accessToken,
+    protocolVersion: config.protocolVersion,
+    chat: config.chat,
+    owners: config.owners,
+    capture: captureFile(config.capture, config.username), // Record all packets for scripts/replay-capture.js
+    chunkCache: config.chunkCache // Remember explored chunks between sessions
 });
 
 // Initialize command handler
-const commands = new CommandHandler(client, config.username);
+const commands = new CommandHandler(client, config.username, { owners: config.owners });
 logger.info('[Bot] Command handler initialized');
 
 // Event handlers
@@ -56,11 +67,15 @@ client.on('health', ({ health, food }) => {
 });
 
 client.on('chat', (data) => {
-    logger.info(`[Bot] Chat received:`, data);
+    logger.info(`[Bot] Chat received: ${data.component ? toAnsi(data.component) : data.message}`);
     // Command processing is handled by client.js internally
     // Don't duplicate it here
 });
 
+client.on('title', ({ type, text }) => {
+    if (text) logger.debug(`[Bot] ${type}: ${text}`);
+});
+
 client.on('disconnect', (reason) => {
     logger.always(`[Bot] Disconnected: ${reason}`);
     process.exit(1);
@@ -77,11 +92,32 @@ process.on('SIGINT', () => {
     process.exit(0);
 });
 
-// Connect
-client.connect().catch((err) => {
-    logger.error(`[Bot] Failed to connect: ${err.message}`);
-    process.exit(1);
-});
+// Check the server speaks our protocol before logging in
+queryStatus(config.host, config.port, { protocolVersion: config.protocolVersion })
+    .then((status) => {
+        logger.always(`MOTD: ${status.motd}`);
+        logger.always(`Version: ${status.version} (protocol ${status.protocol}), ${status.players.online}/${status.players.max} players, ${status.latency}ms`);
+
+        if (config.protocolVersion === 'auto') {
+            if (!isSupportedVersion(status.protocol)) {
+                logger.error(`[Bot] Server speaks unsupported protocol ${status.protocol} - not logging in`);
+                process.exit(1);
+            }
+        } else if (status.protocol !== config.protocolVersion) {
+            logger.error(`[Bot] Server speaks protocol ${status.protocol}, expected ${config.protocolVersion} - not logging in`);
+            process.exit(1);
+        }
+        return status;
+    }, (err) => {
+        logger.warn(`[Bot] Status query failed (${err.message}) - trying to log in anyway`);
+        return null;
+    })
+    // Connect, reusing the status so 'auto' doesn't ping again
+    .then(status => client.connect(status))
+    .catch((err) => {
+        logger.error(`[Bot] Failed to connect: ${err.message}`);
+        process.exit(1);
+    });
 
 // Keep alive logging - reduced frequency and moved to debug
 setInterval(() => {
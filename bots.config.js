@@ -8,15 +8,18 @@ module.exports = {
     server: {
         host: 'compare-complexity.gl.joinmc.link',
         port: 25565,
+        // 769 (1.21.4), 772 (1.21.7-1.21.8), 773 (1.21.9-1.21.10),
+        // or 'auto' to use whichever the server reports in its status response
         protocolVersion: 773,
-        version: '1.21.10'
+        version: '1.21.10' // Display only
     },
 
     // Bot profiles
     bots: [
         {
             username: 'BotAlpha',
-            customUUID: null, // Let it generate from username
+            customUUID: null, // Let it generate from username (online mode: the account's profile UUID)
+            accessToken: null, // Online mode only: Minecraft access token for this account
             enabled: true
         },
         {
@@ -36,6 +39,21 @@ module.exports = {
     settings: {
         reconnectDelay: 5000, // ms to wait before reconnecting
         maxReconnectAttempts: 3,
-        keepAliveInterval: 60000 // ms between keep-alive logs
+        keepAliveInterval: 60000, // ms between keep-alive logs
+
+        // Players allowed to run commands that write files on this machine ("export"),
+        // as name: profile UUID - e.g. { Steve: '069a79f4-44e9-4726-a5be-fca90e38aaf5' }
+        owners: {},
+
+        // Directory to keep explored chunks in between sessions, shared by all bots (null = off)
+        chunkCache: null,
+        // Directory to record each bot's packets to, one <username>-<time>.jsonl per session (null = off)
+        capture: null,
+
+        // Outgoing chat rate limit (vanilla kicks above ~1 message/second sustained)
+        chat: {
+            burst: 5,       // Messages that may be sent back-to-back
+            interval: 1200  // ms to regain one message of allowance
+        }
     }
 };
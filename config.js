@@ -11,8 +11,13 @@ module.exports = {
     port: botsConfig.server.port,
     protocolVersion: botsConfig.server.protocolVersion,
     version: botsConfig.server.version,
+    chat: botsConfig.settings.chat,
+    owners: botsConfig.settings.owners,
+    chunkCache: botsConfig.settings.chunkCache,
+    capture: botsConfig.settings.capture,
 
     // Single bot specific settings
     username: 'Bot', // Static username - will always be "Bot"
-    customUUID: null // Let it generate UUID from username
+    customUUID: null, // Let it generate UUID from username (online mode: the account's profile UUID)
+    accessToken: null // Online mode only: Minecraft access token for this account
 };
@@ -0,0 +1,137 @@
+/**
+ * Generate src/data/blocks/<protocol>.json - block state tables for each supported version
+ *
+ * Usage: node scripts/generate-blocks.js <path/to/minecraft-data/data/pc>
+ * (the data/pc directory of the minecraft-data package)
+ *
+ * Each block lists its state ID range, properties (in state order - the last property
+ * varies fastest), hardness and collision shapes (an index into the shared shape list,
+ * or one index per state). Tags that minecraft-data doesn't carry (climbable,
+ * replaceable, fluids) come from the lists below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// protocol version -> minecraft-data directory
+const VERSIONS = [
+    { protocolVersion: 769, minecraftVersion: '1.21.4', dataDir: '1.21.4' },
+    { protocolVersion: 772, minecraftVersion: '1.21.8', dataDir: '1.21.8' },
+    { protocolVersion: 773, minecraftVersion: '1.21.10', dataDir: '1.21.9' }
+];
+
+// #minecraft:climbable
+const CLIMBABLE = [
+    'ladder', 'vine', 'scaffolding',
+    'weeping_vines', 'weeping_vines_plant',
+    'twisting_vines', 'twisting_vines_plant',
+    'cave_vines', 'cave_vines_plant'
+];
+
+// #minecraft:replaceable
+const REPLACEABLE = [
+    'air', 'cave_air', 'void_air', 'water', 'lava', 'bubble_column',
+    'short_grass', 'tall_grass', 'fern', 'large_fern', 'dead_bush', 'bush',
+    'short_dry_grass', 'tall_dry_grass', 'leaf_litter',
+    'seagrass', 'tall_seagrass', 'fire', 'soul_fire', 'snow', 'vine', 'glow_lichen',
+    'resin_clump', 'light', 'structure_void', 'hanging_roots',
+    'crimson_roots', 'warped_roots', 'nether_sprouts'
+];
+
+// Blocks that are always full of a fluid (besides the fluids themselves and waterlogged states)
+const FLUIDS = {
+    water: 'water',
+    lava: 'lava',
+    bubble_column: 'water',
+    kelp: 'water',
+    kelp_plant: 'water',
+    seagrass: 'water',
+    tall_seagrass: 'water'
+};
+
+const source = process.argv[2];
+if (!source) {
+    console.error('Usage: node scripts/generate-blocks.js <path/to/minecraft-data/data/pc>');
+    process.exit(1);
+}
+
+const outputDir = path.join(__dirname, '..', 'src', 'data', 'blocks');
+fs.mkdirSync(outputDir, { recursive: true });
+
+/**
+ * Property values in state order (booleans are true first, like vanilla)
+ */
+function propertyValues(state) {
+    if (state.type === 'bool') return ['true', 'false'];
+    return state.values;
+}
+
+for (const version of VERSIONS) {
+    const dir = path.join(source, version.dataDir);
+    const blocks = JSON.parse(fs.readFileSync(path.join(dir, 'blocks.json'), 'utf8'));
+    const collision = JSON.parse(fs.readFileSync(path.join(dir, 'blockCollisionShapes.json'), 'utf8'));
+
+    // Re-index shapes so the ones we use are numbered from 0 (0 = no collision)
+    const shapes = [[]];
+    const shapeIndex = new Map([[JSON.stringify([]), 0]]);
+    const remap = (mcShapeId) => {
+        const boxes = collision.shapes[mcShapeId] || [];
+        const key = JSON.stringify(boxes);
+        if (!shapeIndex.has(key)) {
+            shapeIndex.set(key, shapes.length);
+            shapes.push(boxes);
+        }
+        return shapeIndex.get(key);
+    };
+
+    const entries = blocks
+        .sort((a, b) => a.minStateId - b.minStateId)
+        .map(block => {
+            const entry = {
+                name: block.name,
+                minStateId: block.minStateId,
+                maxStateId: block.maxStateId,
+                defaultState: block.defaultState,
+                hardness: block.hardness,
+                transparent: block.transparent
+            };
+
+            if (block.states.length > 0) {
+                entry.properties = {};
+                for (const state of block.states) {
+                    entry.properties[state.name] = propertyValues(state);
+                }
+            }
+
+            const blockShapes = collision.blocks[block.name];
+            entry.shapes = Array.isArray(blockShapes)
+                ? blockShapes.map(remap)
+                : remap(blockShapes === undefined ? 0 : blockShapes);
+            if (Array.isArray(entry.shapes) && entry.shapes.every(s => s === entry.shapes[0])) {
+                entry.shapes = entry.shapes[0];
+            }
+
+            if (FLUIDS[block.name]) entry.fluid = FLUIDS[block.name];
+            if (CLIMBABLE.includes(block.name)) entry.climbable = true;
+            if (REPLACEABLE.includes(block.name)) entry.replaceable = true;
+            return entry;
+        });
+
+    // One block/shape per line keeps the file diffable
+    const lines = [
+        '{',
+        `    "protocolVersion": ${version.protocolVersion},`,
+        `    "minecraftVersion": ${JSON.stringify(version.minecraftVersion)},`,
+        '    "shapes": [',
+        shapes.map(shape => `        ${JSON.stringify(shape)}`).join(',\n'),
+        '    ],',
+        '    "blocks": [',
+        entries.map(entry => `        ${JSON.stringify(entry)}`).join(',\n'),
+        '    ]',
+        '}'
+    ];
+
+    const output = path.join(outputDir, `${version.protocolVersion}.json`);
+    fs.writeFileSync(output, lines.join('\n') + '\n');
+    console.log(`Wrote ${entries.length} blocks (${entries[entries.length - 1].maxStateId + 1} states, ${shapes.length} shapes) for ${version.minecraftVersion} to ${output}`);
+}
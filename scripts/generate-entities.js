@@ -0,0 +1,84 @@
+/**
+ * Generate src/data/entities/<protocol>.json - entity, item and attribute registries for each supported version
+ *
+ * Usage: node scripts/generate-entities.js <path/to/minecraft-data/data/pc>
+ * (the data/pc directory of the minecraft-data package)
+ *
+ * Entity types list their size, category and metadata field names (by metadata index).
+ * metadataTypes are the entity data serializers in ID order, taken from the protocol
+ * definition; items and attributes are the registry names in ID order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// protocol version -> minecraft-data directories (1.21.4 has no attribute list; 1.21.3's is the same)
+const VERSIONS = [
+    { protocolVersion: 769, minecraftVersion: '1.21.4', dataDir: '1.21.4', attributesDir: '1.21.3' },
+    { protocolVersion: 772, minecraftVersion: '1.21.8', dataDir: '1.21.8', attributesDir: '1.21.8' },
+    { protocolVersion: 773, minecraftVersion: '1.21.10', dataDir: '1.21.9', attributesDir: '1.21.9' }
+];
+
+const source = process.argv[2];
+if (!source) {
+    console.error('Usage: node scripts/generate-entities.js <path/to/minecraft-data/data/pc>');
+    process.exit(1);
+}
+
+const outputDir = path.join(__dirname, '..', 'src', 'data', 'entities');
+fs.mkdirSync(outputDir, { recursive: true });
+
+const readJson = (dir, file) => JSON.parse(fs.readFileSync(path.join(source, dir, file), 'utf8'));
+
+/**
+ * Registry names in ID order
+ */
+function byId(entries, name = (entry) => entry.name) {
+    const names = [];
+    for (const entry of entries) names[entry.id] = name(entry);
+    return names;
+}
+
+for (const version of VERSIONS) {
+    const entities = readJson(version.dataDir, 'entities.json');
+    const items = readJson(version.dataDir, 'items.json');
+    const attributes = readJson(version.attributesDir, 'attributes.json');
+    const protocol = readJson(version.dataDir, 'protocol.json');
+
+    // ["container", [{name: 'key'}, {name: 'type', type: ['mapper', {mappings}]}, ...]]
+    const typeField = protocol.types.entityMetadataEntry[1].find(field => field.name === 'type');
+    const mappings = typeField.type[1].mappings;
+    const metadataTypes = [];
+    for (const [id, name] of Object.entries(mappings)) metadataTypes[Number(id)] = name;
+
+    const entityEntries = entities
+        .sort((a, b) => a.id - b.id)
+        .map(entity => ({
+            name: entity.name,
+            width: entity.width,
+            height: entity.height,
+            category: entity.type,
+            metadata: entity.metadataKeys || []
+        }));
+    if (entityEntries.some((entry, id) => entities[id].id !== id)) {
+        throw new Error(`Entity IDs are not contiguous in ${version.dataDir}`);
+    }
+
+    // One entity per line keeps the file diffable
+    const lines = [
+        '{',
+        `    "protocolVersion": ${version.protocolVersion},`,
+        `    "minecraftVersion": ${JSON.stringify(version.minecraftVersion)},`,
+        `    "metadataTypes": ${JSON.stringify(metadataTypes)},`,
+        `    "attributes": ${JSON.stringify(byId(attributes.map((a, id) => ({ id, name: a.resource.replace('minecraft:', '') }))))},`,
+        '    "entities": [',
+        entityEntries.map(entry => `        ${JSON.stringify(entry)}`).join(',\n'),
+        '    ],',
+        `    "items": ${JSON.stringify(byId(items))}`,
+        '}'
+    ];
+
+    const output = path.join(outputDir, `${version.protocolVersion}.json`);
+    fs.writeFileSync(output, lines.join('\n') + '\n');
+    console.log(`Wrote ${entityEntries.length} entities, ${items.length} items, ${attributes.length} attributes for ${version.minecraftVersion} to ${output}`);
+}
@@ -0,0 +1,45 @@
+/**
+ * Generate src/data/en_us.json - the subset of the vanilla en_us language file
+ * needed to render chat, death, disconnect and command feedback messages
+ *
+ * Usage: node scripts/generate-lang.js <path/to/en_us.json>
+ * (the vanilla client jar's assets/minecraft/lang/en_us.json, or minecraft-data's language.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PREFIXES = [
+    'chat.',
+    'command.',
+    'commands.message.',
+    'commands.teammsg.',
+    'commands.teleport.success.',
+    'commands.kick.success',
+    'connect.',
+    'death.',
+    'disconnect.',
+    'gameMode.',
+    'multiplayer.',
+    'permissions.',
+    'sleep.'
+];
+
+const source = process.argv[2];
+if (!source) {
+    console.error('Usage: node scripts/generate-lang.js <path/to/en_us.json>');
+    process.exit(1);
+}
+
+const lang = JSON.parse(fs.readFileSync(source, 'utf8'));
+const subset = {};
+
+for (const key of Object.keys(lang).sort()) {
+    if (PREFIXES.some(prefix => key.startsWith(prefix))) {
+        subset[key] = lang[key];
+    }
+}
+
+const output = path.join(__dirname, '..', 'src', 'data', 'en_us.json');
+fs.writeFileSync(output, JSON.stringify(subset, null, 1) + '\n');
+console.log(`Wrote ${Object.keys(subset).length} translations to ${output}`);
@@ -0,0 +1,106 @@
+/**
+ * Generate src/data/protocol/<protocol>.json - packet ID tables for each supported version
+ *
+ * Usage: node scripts/generate-protocol.js <path/to/minecraft-data/data/pc>
+ * (the data/pc directory of the minecraft-data package)
+ *
+ * Packet names follow our existing 773 table (wiki names). minecraft-data uses different
+ * names, so they are matched through their 1.21.10 IDs; packets that no longer exist in
+ * 1.21.10 keep minecraft-data's name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// protocol version -> minecraft-data directory
+const VERSIONS = [
+    { protocolVersion: 769, minecraftVersion: '1.21.4', dataDir: '1.21.4' },
+    { protocolVersion: 772, minecraftVersion: '1.21.8', dataDir: '1.21.8' },
+    { protocolVersion: 773, minecraftVersion: '1.21.10', dataDir: '1.21.9' }
+];
+
+// Version whose table defines our packet names
+const ANCHOR = 773;
+
+// minecraft-data lists these clientbound packets as serverbound too; they don't exist
+const ERRATA = {
+    769: { 'configuration:toServer': ['custom_report_details', 'server_links'] }
+};
+
+const STATES = ['handshaking', 'status', 'login', 'configuration', 'play'];
+const DIRECTIONS = ['toClient', 'toServer'];
+
+const source = process.argv[2];
+if (!source) {
+    console.error('Usage: node scripts/generate-protocol.js <path/to/minecraft-data/data/pc>');
+    process.exit(1);
+}
+
+const outputDir = path.join(__dirname, '..', 'src', 'data', 'protocol');
+
+/**
+ * Packet ID mappings from a minecraft-data protocol.json: { id: mcdataName }
+ */
+function readMappings(protocol, state, direction) {
+    const types = protocol[state] && protocol[state][direction] && protocol[state][direction].types;
+    if (!types || !types.packet) return {};
+
+    const mappings = types.packet[1][0].type[1].mappings;
+    const result = {};
+    for (const [hexId, name] of Object.entries(mappings)) {
+        result[parseInt(hexId, 16)] = name;
+    }
+    return result;
+}
+
+function loadProtocol(dataDir) {
+    return JSON.parse(fs.readFileSync(path.join(source, dataDir, 'protocol.json'), 'utf8'));
+}
+
+// minecraft-data name -> our name, per state and direction
+const anchorVersion = VERSIONS.find(v => v.protocolVersion === ANCHOR);
+const anchorTable = JSON.parse(fs.readFileSync(path.join(outputDir, `${ANCHOR}.json`), 'utf8'));
+const anchorProtocol = loadProtocol(anchorVersion.dataDir);
+const nameMap = {};
+
+for (const state of STATES) {
+    for (const direction of DIRECTIONS) {
+        const ourNames = new Map(Object.entries(anchorTable[state][direction]).map(([name, id]) => [id, name]));
+        const map = new Map();
+        for (const [id, mcName] of Object.entries(readMappings(anchorProtocol, state, direction))) {
+            if (ourNames.has(Number(id))) map.set(mcName, ourNames.get(Number(id)));
+        }
+        nameMap[`${state}:${direction}`] = map;
+    }
+}
+
+for (const version of VERSIONS) {
+    const protocol = loadProtocol(version.dataDir);
+    const table = {
+        protocolVersion: version.protocolVersion,
+        minecraftVersion: version.minecraftVersion
+    };
+    let count = 0;
+
+    for (const state of STATES) {
+        table[state] = {};
+        for (const direction of DIRECTIONS) {
+            const packets = {};
+            const map = nameMap[`${state}:${direction}`];
+            const mappings = readMappings(protocol, state, direction);
+            const skip = (ERRATA[version.protocolVersion] || {})[`${state}:${direction}`] || [];
+
+            for (const id of Object.keys(mappings).map(Number).sort((a, b) => a - b)) {
+                // The legacy server list ping (0xFE) isn't a real packet
+                if (id === 0xFE || skip.includes(mappings[id])) continue;
+                packets[map.get(mappings[id]) || mappings[id]] = id;
+                count++;
+            }
+            table[state][direction] = packets;
+        }
+    }
+
+    const output = path.join(outputDir, `${version.protocolVersion}.json`);
+    fs.writeFileSync(output, JSON.stringify(table, null, 4) + '\n');
+    console.log(`Wrote ${count} packets for ${version.minecraftVersion} to ${output}`);
+}
@@ -0,0 +1,112 @@
+/**
+ * Block entities
+ * Type names for the block entity type IDs in Chunk Data / Block Entity Data, and the
+ * fields bots care about decoded from their NBT (sign text, custom names, spawner mobs, banner patterns)
+ */
+
+const { toPlainText, parseJsonComponent } = require('./text-component');
+
+// Block entity text is NBT from 1.21.5, JSON strings before
+const PROTOCOL_1_21_5 = 770;
+
+// minecraft:block_entity_type is a built-in registry (never sent by the server), in registration order
+const BLOCK_ENTITY_TYPES_1_21_4 = [
+    'furnace', 'chest', 'trapped_chest', 'ender_chest', 'jukebox', 'dispenser', 'dropper',
+    'sign', 'hanging_sign', 'mob_spawner', 'creaking_heart', 'piston', 'brewing_stand',
+    'enchanting_table', 'end_portal', 'beacon', 'skull', 'daylight_detector', 'hopper',
+    'comparator', 'banner', 'structure_block', 'end_gateway', 'command_block', 'shulker_box',
+    'bed', 'conduit', 'barrel', 'smoker', 'blast_furnace', 'lectern', 'bell', 'jigsaw',
+    'campfire', 'beehive', 'sculk_sensor', 'calibrated_sculk_sensor', 'sculk_catalyst',
+    'sculk_shrieker', 'chiseled_bookshelf', 'brushable_block', 'decorated_pot', 'crafter',
+    'trial_spawner', 'vault'
+];
+const BLOCK_ENTITY_TYPES_1_21_5 = [...BLOCK_ENTITY_TYPES_1_21_4, 'test_block', 'test_instance_block'];
+const BLOCK_ENTITY_TYPES_1_21_9 = [...BLOCK_ENTITY_TYPES_1_21_5, 'shelf', 'copper_golem_statue'];
+
+const BLOCK_ENTITY_TYPES = {
+    769: BLOCK_ENTITY_TYPES_1_21_4,
+    772: BLOCK_ENTITY_TYPES_1_21_5,
+    773: BLOCK_ENTITY_TYPES_1_21_9
+};
+
+/**
+ * Name of a block entity type ID
+ * @param {number} protocolVersion
+ * @param {number} typeId
+ * @returns {string|null} e.g. 'minecraft:chest', or null for IDs this version doesn't have
+ */
+function getBlockEntityTypeName(protocolVersion, typeId) {
+    const types = BLOCK_ENTITY_TYPES[protocolVersion] || BLOCK_ENTITY_TYPES_1_21_9;
+    return types[typeId] !== undefined ? `minecraft:${types[typeId]}` : null;
+}
+
+/**
+ * Render a text component stored in block entity NBT
+ * @param {string|object} value
+ * @param {number} protocolVersion
+ * @returns {string}
+ */
+function componentText(value, protocolVersion) {
+    if (typeof value === 'string' && protocolVersion < PROTOCOL_1_21_5) return toPlainText(parseJsonComponent(value));
+    return toPlainText(value);
+}
+
+/**
+ * Lines of one sign side ({ messages: [4 components], color, has_glowing_text })
+ * @returns {{lines: Array<string>, color: string, glowing: boolean}|null}
+ */
+function decodeSignSide(side, protocolVersion) {
+    if (!side || !Array.isArray(side.messages)) return null;
+    return {
+        lines: side.messages.map(message => componentText(message, protocolVersion)),
+        color: side.color || 'black',
+        glowing: !!side.has_glowing_text
+    };
+}
+
+/**
+ * Pull the commonly used fields out of block entity NBT
+ * Components are JSON strings before 1.21.5 and NBT values from 1.21.5 on.
+ * @param {string|null} type - e.g. 'minecraft:sign'
+ * @param {object|null} nbt - Simplified NBT
+ * @param {number} protocolVersion
+ * @returns {object} Some of { customName, sign: {front, back, waxed}, spawnerEntity, patterns: [{pattern, color}] }
+ */
+function decodeBlockEntity(type, nbt, protocolVersion) {
+    const decoded = {};
+    if (!nbt) return decoded;
+
+    if (nbt.CustomName !== undefined) {
+        decoded.customName = componentText(nbt.CustomName, protocolVersion);
+    }
+
+    switch (type) {
+        case 'minecraft:sign':
+        case 'minecraft:hanging_sign':
+            decoded.sign = {
+                front: decodeSignSide(nbt.front_text, protocolVersion),
+                back: decodeSignSide(nbt.back_text, protocolVersion),
+                waxed: !!nbt.is_waxed
+            };
+            break;
+        case 'minecraft:mob_spawner': {
+            const entity = nbt.SpawnData && nbt.SpawnData.entity;
+            decoded.spawnerEntity = entity && entity.id ? entity.id : null;
+            break;
+        }
+        case 'minecraft:banner':
+            decoded.patterns = (nbt.patterns || []).map(layer => ({
+                // Registered patterns are referenced by ID, inline ones carry their asset
+                pattern: typeof layer.pattern === 'string' ? layer.pattern : (layer.pattern && layer.pattern.asset_id) || null,
+                color: layer.color || 'white'
+            }));
+            break;
+    }
+
+    return decoded;
+}
+
+module.exports = {
+    getBlockEntityTypeName,
+    decodeBlockEntity
+};
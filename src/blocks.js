@@ -0,0 +1,143 @@
+/**
+ * Block state registry
+ * Resolves block state IDs to block names, properties and collision data
+ * from the tables in src/data/blocks/<protocol>.json (see scripts/generate-blocks.js)
+ */
+
+const DEFAULT_PROTOCOL_VERSION = 773;
+
+class BlockRegistry {
+    /**
+     * @param {object} table - Block table from src/data/blocks/<version>.json
+     */
+    constructor(table) {
+        this.protocolVersion = table.protocolVersion;
+        this.minecraftVersion = table.minecraftVersion;
+        this.shapes = table.shapes;
+        this.blocks = table.blocks; // Sorted by minStateId
+        this.blocksByName = new Map(this.blocks.map(block => [block.name, block]));
+        this.stateCount = this.blocks[this.blocks.length - 1].maxStateId + 1;
+
+        // stateId -> block
+        this.stateBlocks = new Array(this.stateCount);
+        for (const block of this.blocks) {
+            for (let id = block.minStateId; id <= block.maxStateId; id++) {
+                this.stateBlocks[id] = block;
+            }
+        }
+
+        // Resolved states are immutable, so share them
+        this.states = new Map();
+    }
+
+    /**
+     * Look up a block state
+     * @param {number} stateId
+     * @returns {object|null} {
+     *   stateId, name, properties, shapes (array of [minX, minY, minZ, maxX, maxY, maxZ]),
+     *   solid, fluid ('water' | 'lava' | null), climbable, replaceable, transparent, hardness
+     * } or null for IDs this version doesn't have
+     */
+    getState(stateId) {
+        let state = this.states.get(stateId);
+        if (state) return state;
+
+        const block = this.stateBlocks[stateId];
+        if (!block) return null;
+
+        const properties = this.decodeProperties(block, stateId - block.minStateId);
+        const shapeIndex = Array.isArray(block.shapes)
+            ? block.shapes[stateId - block.minStateId]
+            : block.shapes;
+        const shapes = this.shapes[shapeIndex] || [];
+
+        state = {
+            stateId,
+            name: block.name,
+            properties,
+            shapes,
+            solid: shapes.length > 0,
+            fluid: block.fluid || (properties.waterlogged === 'true' ? 'water' : null),
+            climbable: block.climbable === true,
+            replaceable: block.replaceable === true,
+            transparent: block.transparent,
+            hardness: block.hardness
+        };
+        this.states.set(stateId, state);
+        return state;
+    }
+
+    /**
+     * Property values for a state offset within its block (the last property varies fastest)
+     * @returns {object} name -> value string
+     */
+    decodeProperties(block, offset) {
+        const properties = {};
+        if (!block.properties) return properties;
+
+        const names = Object.keys(block.properties);
+        for (let i = names.length - 1; i >= 0; i--) {
+            const values = block.properties[names[i]];
+            properties[names[i]] = values[offset % values.length];
+            offset = Math.floor(offset / values.length);
+        }
+        return properties;
+    }
+
+    /**
+     * Look up a block by name (without the minecraft: prefix)
+     * @param {string} name
+     * @returns {object|undefined} { name, minStateId, maxStateId, defaultState, properties, ... }
+     */
+    getBlock(name) {
+        return this.blocksByName.get(name.replace(/^minecraft:/, ''));
+    }
+
+    /**
+     * State ID for a block with the given properties (the rest take their default values)
+     * @param {string} name
+     * @param {object} properties - e.g. { type: 'bottom' }
+     * @returns {number}
+     */
+    getStateId(name, properties = {}) {
+        const block = this.getBlock(name);
+        if (!block) throw new Error(`Unknown block: ${name}`);
+        if (!block.properties) return block.minStateId;
+
+        const defaults = this.decodeProperties(block, block.defaultState - block.minStateId);
+        let offset = 0;
+        for (const [property, values] of Object.entries(block.properties)) {
+            const value = String(properties[property] !== undefined ? properties[property] : defaults[property]);
+            const index = values.indexOf(value);
+            if (index === -1) throw new Error(`Invalid value ${value} for ${name}[${property}]`);
+            offset = offset * values.length + index;
+        }
+        return block.minStateId + offset;
+    }
+}
+
+// Tables are large and immutable, so load each version once
+const registries = new Map();
+
+/**
+ * Get the block registry for a protocol version
+ * @param {number} protocolVersion
+ * @returns {BlockRegistry}
+ */
+function getBlockRegistry(protocolVersion = DEFAULT_PROTOCOL_VERSION) {
+    if (!registries.has(protocolVersion)) {
+        let table;
+        try {
+            table = require(`./data/blocks/${protocolVersion}.json`);
+        } catch (e) {
+            throw new Error(`No block data for protocol version ${protocolVersion}`);
+        }
+        registries.set(protocolVersion, new BlockRegistry(table));
+    }
+    return registries.get(protocolVersion);
+}
+
+module.exports = {
+    BlockRegistry,
+    getBlockRegistry
+};
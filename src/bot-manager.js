@@ -3,6 +3,9 @@
  */
 
 const { MinecraftClient } = require('./client');
+const { queryStatus } = require('./states/status');
+const { isSupportedVersion } = require('./protocol/registry');
+const { captureFile } = require('./protocol/capture');
 const { EventEmitter } = require('events');
 
 class BotManager extends EventEmitter {
@@ -26,12 +29,14 @@ class BotManager extends EventEmitter {
         console.log(`Protocol: ${this.config.server.protocolVersion} (${this.config.server.version})`);
         console.log('');
 
+        const status = await this.checkServer();
+
         const enabledBots = this.config.bots.filter(bot => bot.enabled !== false);
         console.log(`[Manager] Starting ${enabledBots.length} bot(s)...`);
         console.log('');
 
         for (const botConfig of enabledBots) {
-            await this.startBot(botConfig);
+            await this.startBot(botConfig, status);
             // Small delay between bot connections to avoid rate limiting
             await this.delay(1000);
         }
@@ -40,10 +45,41 @@ class BotManager extends EventEmitter {
         this.emit('all_started');
     }
 
+    /**
+     * Verify the server speaks the configured protocol (or, with 'auto', any supported one)
+     * before any bot logs in
+     * A failed query is only a warning - some servers disable the status ping
+     */
+    async checkServer() {
+        const { host, port, protocolVersion } = this.config.server;
+        let status;
+
+        try {
+            status = await queryStatus(host, port, { protocolVersion });
+        } catch (err) {
+            console.warn(`[Manager] Status query failed (${err.message}) - starting bots anyway`);
+            return null;
+        }
+
+        console.log(`[Manager] MOTD: ${status.motd}`);
+        console.log(`[Manager] Server version: ${status.version} (protocol ${status.protocol}), ${status.players.online}/${status.players.max} players, ${status.latency}ms`);
+
+        if (protocolVersion === 'auto') {
+            if (!isSupportedVersion(status.protocol)) {
+                throw new Error(`Server speaks unsupported protocol ${status.protocol} (${status.version})`);
+            }
+        } else if (status.protocol !== protocolVersion) {
+            throw new Error(`Server speaks protocol ${status.protocol} (${status.version}), expected ${protocolVersion}`);
+        }
+        return status;
+    }
+
     /**
      * Start a single bot instance
+     * @param {object} botConfig
+     * @param {object} status - Server status from checkServer(), reused by 'auto' instead of pinging per bot
      */
-    async startBot(botConfig) {
+    async startBot(botConfig, status = null) {
         const botId = botConfig.username;
 
         if (this.bots.has(botId)) {
@@ -62,7 +98,12 @@ class BotManager extends EventEmitter {
             port: this.config.server.port,
             username: botConfig.username,
             customUUID: botConfig.customUUID,
-            protocolVersion: this.config.server.protocolVersion
+            accessToken: botConfig.accessToken,
+            protocolVersion: this.config.server.protocolVersion,
+            chat: this.config.settings.chat,
+            owners: this.config.settings.owners,
+            chunkCache: this.config.settings.chunkCache || null,
+            capture: this.captureFile(botId)
         });
 
         // Store the bot instance
@@ -73,7 +114,7 @@ class BotManager extends EventEmitter {
 
         // Connect
         try {
-            await client.connect();
+            await client.connect(status);
             console.log(`[${botId}] Connection initiated`);
         } catch (err) {
             console.error(`[${botId}] Failed to connect: ${err.message}`);
@@ -82,6 +123,15 @@ class BotManager extends EventEmitter {
         }
     }
 
+    /**
+     * Capture file for a bot's next session, if settings.capture names a directory
+     * @param {string} botId
+     * @returns {string|null}
+     */
+    captureFile(botId) {
+        return captureFile(this.config.settings.capture, botId);
+    }
+
     /**
      * Setup event handlers for a bot
      */
@@ -109,8 +159,8 @@ class BotManager extends EventEmitter {
         });
 
         client.on('chat', (data) => {
-            if (data.message && data.message.trim()) {
-                console.log(`[${botId}] 💬 Chat: ${data.message}`);
+            if (data.plainText && data.plainText.trim()) {
+                console.log(`[${botId}] 💬 Chat: ${data.plainText}`);
             }
         });
 
@@ -0,0 +1,268 @@
+/**
+ * Outgoing chat support
+ * Rate-limited send queue and last-seen message tracking for chat acknowledgements
+ */
+
+const { logger } = require('./logger');
+
+// Vanilla rejects chat messages and commands longer than this
+const MAX_CHAT_LENGTH = 256;
+
+// Number of last-seen signed messages acknowledged with each chat message
+const LAST_SEEN_SIZE = 20;
+
+// Send a standalone acknowledgement once this many messages are pending
+const ACKNOWLEDGE_THRESHOLD = 64;
+
+/**
+ * Tracks signed player messages we have seen so outgoing chat can acknowledge them
+ * Mirrors the vanilla client's LastSeenMessagesTracker
+ */
+class LastSeenTracker {
+    constructor() {
+        this.entries = new Array(LAST_SEEN_SIZE).fill(null); // Ring buffer of signatures
+        this.tail = 0;
+        this.offset = 0; // Messages seen since the last acknowledgement
+        this.lastSignature = null;
+    }
+
+    /**
+     * Record a signed message from a Player Chat packet
+     * @param {Buffer} signature - 256-byte message signature
+     */
+    add(signature) {
+        if (this.lastSignature && signature.equals(this.lastSignature)) return;
+
+        this.entries[this.tail] = signature;
+        this.tail = (this.tail + 1) % LAST_SEEN_SIZE;
+        this.offset++;
+        this.lastSignature = signature;
+    }
+
+    /**
+     * Whether enough messages are pending that a standalone acknowledgement should be sent
+     */
+    needsAcknowledgement() {
+        return this.offset > ACKNOWLEDGE_THRESHOLD;
+    }
+
+    /**
+     * Take the pending count for a Message Acknowledgment packet
+     * @returns {number}
+     */
+    takeOffset() {
+        const offset = this.offset;
+        this.offset = 0;
+        return offset;
+    }
+
+    /**
+     * Build the last-seen update sent with a chat message
+     * @returns {object} { offset, acknowledged: Buffer (20-bit BitSet), checksum }
+     */
+    takeUpdate() {
+        const offset = this.takeOffset();
+        const acknowledged = Buffer.alloc(Math.ceil(LAST_SEEN_SIZE / 8));
+        const signatures = [];
+
+        // Oldest first, matching the server's view of the window
+        for (let i = 0; i < LAST_SEEN_SIZE; i++) {
+            const signature = this.entries[(this.tail + i) % LAST_SEEN_SIZE];
+            if (signature) {
+                acknowledged[i >> 3] |= 1 << (i & 7);
+                signatures.push(signature);
+            }
+        }
+
+        return { offset, acknowledged, checksum: lastSeenChecksum(signatures) };
+    }
+
+    /**
+     * Forget all tracked messages (e.g. on reconnect)
+     */
+    reset() {
+        this.entries.fill(null);
+        this.tail = 0;
+        this.offset = 0;
+        this.lastSignature = null;
+    }
+}
+
+/**
+ * Checksum of the acknowledged signatures (vanilla LastSeenMessages.computeChecksum)
+ * @param {Buffer[]} signatures
+ * @returns {number} Unsigned byte, never 0 (0 tells the server to skip the check)
+ */
+function lastSeenChecksum(signatures) {
+    let hash = 1;
+    for (const signature of signatures) {
+        // Java Arrays.hashCode(byte[]) over signed bytes
+        let signatureHash = 1;
+        for (let i = 0; i < signature.length; i++) {
+            signatureHash = (Math.imul(31, signatureHash) + ((signature[i] << 24) >> 24)) | 0;
+        }
+        hash = (Math.imul(31, hash) + signatureHash) | 0;
+    }
+    const checksum = hash & 0xFF;
+    return checksum === 0 ? 1 : checksum;
+}
+
+/**
+ * Rate-limited outbound queue for chat messages and commands
+ * Vanilla kicks for spam once a player averages more than one message per second
+ * with a burst allowance, so messages are released using a token bucket.
+ */
+class ChatQueue {
+    /**
+     * @param {function} send - Called with (type, text) when an item is released
+     * @param {object} options - { burst, interval, maxLength, maxQueued }
+     */
+    constructor(send, options = {}) {
+        this.send = send;
+        this.burst = options.burst || 5;            // Messages that may be sent back-to-back
+        this.interval = options.interval || 1200;   // ms to regain one message of allowance
+        this.maxLength = Math.min(options.maxLength || MAX_CHAT_LENGTH, MAX_CHAT_LENGTH);
+        this.maxQueued = options.maxQueued || 100;
+
+        this.queue = [];
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.timer = null;
+    }
+
+    /**
+     * Queue a chat message, split into several messages if too long
+     * @param {string} message
+     * @returns {Promise<void>} Resolves once every part has been sent
+     */
+    chat(message) {
+        const parts = splitMessage(sanitize(message), this.maxLength);
+        return Promise.all(parts.map(part => this.enqueue('chat', part))).then(() => {});
+    }
+
+    /**
+     * Queue a command (without the leading slash)
+     * @param {string} command
+     * @returns {Promise<void>}
+     */
+    command(command) {
+        const text = sanitize(command).replace(/^\//, '');
+        if (text.length > this.maxLength) {
+            return Promise.reject(new Error(`Command too long (${text.length} > ${this.maxLength} characters)`));
+        }
+        return this.enqueue('command', text);
+    }
+
+    enqueue(type, text) {
+        if (!text) return Promise.resolve();
+        if (this.queue.length >= this.maxQueued) {
+            return Promise.reject(new Error(`Chat queue full (${this.maxQueued} pending)`));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({ type, text, resolve, reject });
+            this.pump();
+        });
+    }
+
+    /**
+     * Release as many queued items as the rate limit allows
+     */
+    pump() {
+        if (this.timer) return;
+        this.refill();
+
+        while (this.queue.length > 0 && this.tokens >= 1) {
+            const item = this.queue.shift();
+            this.tokens--;
+            try {
+                this.send(item.type, item.text);
+                item.resolve();
+            } catch (e) {
+                logger.debug(`[Chat] Failed to send ${item.type}: ${e.message}`);
+                item.reject(e);
+            }
+        }
+
+        if (this.queue.length > 0) {
+            const wait = Math.max(1, Math.ceil((1 - this.tokens) * this.interval));
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.pump();
+            }, wait);
+        }
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / this.interval);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Number of items waiting to be sent
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    /**
+     * Drop everything still queued (e.g. on disconnect)
+     * @param {string} reason
+     */
+    clear(reason = 'Chat queue cleared') {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        const dropped = this.queue;
+        this.queue = [];
+        for (const item of dropped) {
+            item.reject(new Error(reason));
+        }
+    }
+}
+
+/**
+ * Remove characters the server treats as illegal in chat (§, control characters)
+ * @param {string} text
+ * @returns {string}
+ */
+function sanitize(text) {
+    return String(text).replace(/[\u0000-\u001f\u007f§]/g, '').trim();
+}
+
+/**
+ * Split a message into chunks no longer than maxLength, preferring word boundaries
+ * @param {string} message
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function splitMessage(message, maxLength = MAX_CHAT_LENGTH) {
+    const parts = [];
+    let remaining = message;
+
+    while (remaining.length > maxLength) {
+        let cut = remaining.lastIndexOf(' ', maxLength);
+        if (cut <= 0) {
+            // Single word longer than the limit - don't split a surrogate pair (e.g. an emoji)
+            cut = maxLength;
+            const code = remaining.charCodeAt(cut - 1);
+            if (code >= 0xD800 && code <= 0xDBFF && cut > 1) cut--;
+        }
+
+        parts.push(remaining.slice(0, cut).trim());
+        remaining = remaining.slice(cut).trim();
+    }
+
+    if (remaining) parts.push(remaining);
+    return parts;
+}
+
+module.exports = {
+    ChatQueue,
+    LastSeenTracker,
+    splitMessage,
+    lastSeenChecksum,
+    MAX_CHAT_LENGTH
+};
@@ -0,0 +1,337 @@
+/**
+ * On-disk chunk cache
+ * Remembers explored chunks per server and dimension so long paths can be planned through
+ * terrain the bot has seen before, even after a restart.
+ *
+ * Chunks unloaded during play are queued and written in the background; flush() writes the rest at once.
+ *
+ * Layout: <directory>/<server>/<dimension>/<chunkX>.<chunkZ>.chunk, each file:
+ *   u8 format, u16 protocol version, i16 minY, u16 height, f64 saved-at timestamp, u16 section count,
+ *   then the deflated sections: per section u8 kind (0 = uniform, 1 = array) followed by a u16 state ID
+ *   or 4096 u16 state IDs (YZX order). The header stays uncompressed so stale chunks are rejected cheaply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+
+const CACHE_FORMAT = 2;
+const SECTION_VOLUME = 4096;
+const HEADER_SIZE = 17;
+
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
+
+/**
+ * Make a server address or dimension name safe to use as a directory name
+ * @param {string} name - e.g. 'play.example.com:25565', 'minecraft:the_nether'
+ * @returns {string}
+ */
+function sanitize(name) {
+    return String(name).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+/**
+ * Serialize a chunk
+ * @param {object} chunk - { sections } (numbers or Uint16Arrays, see WorldAdvanced)
+ * @param {object} layout - { protocolVersion, minY, height, savedAt }
+ * @returns {Buffer}
+ */
+function encodeChunk(chunk, layout) {
+    return Buffer.concat([encodeHeader(chunk, layout), zlib.deflateSync(serializeSections(chunk.sections))]);
+}
+
+/**
+ * Serialize a chunk without blocking on compression (background writes)
+ * @param {object} chunk
+ * @param {object} layout
+ * @returns {Promise<Buffer>}
+ */
+async function encodeChunkAsync(chunk, layout) {
+    return Buffer.concat([encodeHeader(chunk, layout), await deflate(serializeSections(chunk.sections))]);
+}
+
+function encodeHeader(chunk, layout) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt8(CACHE_FORMAT, 0);
+    header.writeUInt16BE(layout.protocolVersion, 1);
+    header.writeInt16BE(layout.minY, 3);
+    header.writeUInt16BE(layout.height, 5);
+    header.writeDoubleBE(layout.savedAt, 7);
+    header.writeUInt16BE(chunk.sections.length, 15);
+    return header;
+}
+
+function serializeSections(sections) {
+    const parts = [];
+    for (const section of sections) {
+        if (typeof section === 'object') {
+            const blocks = Buffer.alloc(1 + SECTION_VOLUME * 2);
+            blocks.writeUInt8(1, 0);
+            for (let i = 0; i < SECTION_VOLUME; i++) blocks.writeUInt16LE(section[i], 1 + i * 2);
+            parts.push(blocks);
+        } else {
+            const uniform = Buffer.alloc(3);
+            uniform.writeUInt8(0, 0);
+            uniform.writeUInt16LE(section === undefined ? 0 : section, 1);
+            parts.push(uniform);
+        }
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Read a chunk file's header without inflating its sections
+ * @param {Buffer} data
+ * @returns {{protocolVersion, minY, height, savedAt, sectionCount}}
+ */
+function decodeHeader(data) {
+    if (data.length < HEADER_SIZE || data.readUInt8(0) !== CACHE_FORMAT) {
+        throw new Error('Unknown chunk cache format');
+    }
+    return {
+        protocolVersion: data.readUInt16BE(1),
+        minY: data.readInt16BE(3),
+        height: data.readUInt16BE(5),
+        savedAt: data.readDoubleBE(7),
+        sectionCount: data.readUInt16BE(15)
+    };
+}
+
+/**
+ * Deserialize a chunk file
+ * @param {Buffer} data
+ * @returns {{protocolVersion, minY, height, savedAt, sections: Array<number|Uint16Array>}}
+ */
+function decodeChunk(data) {
+    const { sectionCount, ...header } = decodeHeader(data);
+    return { ...header, sections: decodeSections(zlib.inflateSync(data.subarray(HEADER_SIZE)), sectionCount) };
+}
+
+function decodeSections(buffer, sectionCount) {
+    const sections = [];
+    let offset = 0;
+    for (let i = 0; i < sectionCount; i++) {
+        const kind = buffer.readUInt8(offset++);
+        if (kind === 0) {
+            sections.push(buffer.readUInt16LE(offset));
+            offset += 2;
+        } else {
+            const blocks = new Uint16Array(SECTION_VOLUME);
+            for (let j = 0; j < SECTION_VOLUME; j++) blocks[j] = buffer.readUInt16LE(offset + j * 2);
+            sections.push(blocks);
+            offset += SECTION_VOLUME * 2;
+        }
+    }
+    return sections;
+}
+
+/**
+ * Check a saved chunk against the current protocol version and world height
+ * @param {object} saved - Header or pending layout
+ * @param {object|undefined} layout - { protocolVersion, minY, height }; anything matches without one
+ * @returns {boolean}
+ */
+function matchesLayout(saved, layout) {
+    return !layout || (saved.protocolVersion === layout.protocolVersion &&
+        saved.minY === layout.minY && saved.height === layout.height);
+}
+
+class ChunkCache {
+    /**
+     * @param {string} directory - Root of the cache
+     * @param {string} server - Server the chunks belong to (e.g. 'localhost:25565')
+     */
+    constructor(directory, server) {
+        this.directory = directory;
+        this.server = server;
+        this.dimension = null;
+        this.dimensionDir = null;
+
+        // Chunk keys ('x.z') with a file in the current dimension, so misses never touch the disk
+        this.index = new Set();
+
+        // Chunk key -> { chunk, layout } waiting for the background writer
+        this.pending = new Map();
+        this.writing = false;
+        // Resolves once the background writer has emptied the queue
+        this.writer = Promise.resolve();
+    }
+
+    /**
+     * Switch to a dimension's chunks (created on first use)
+     * @param {string} dimension - e.g. 'minecraft:overworld'
+     */
+    setDimension(dimension) {
+        this.flush();
+        this.dimension = dimension;
+        this.dimensionDir = path.join(this.directory, sanitize(this.server), sanitize(dimension));
+        this.index.clear();
+
+        try {
+            fs.mkdirSync(this.dimensionDir, { recursive: true });
+            for (const file of fs.readdirSync(this.dimensionDir)) {
+                const match = file.match(/^(-?\d+)\.(-?\d+)\.chunk$/);
+                if (match) this.index.add(`${match[1]}.${match[2]}`);
+            }
+        } catch (err) {
+            logger.error(`[ChunkCache] Cannot open ${this.dimensionDir}: ${err.message}`);
+            this.dimensionDir = null;
+        }
+        logger.debug(`[ChunkCache] ${this.index.size} remembered chunks in ${dimension}`);
+    }
+
+    /**
+     * Check whether a chunk was saved in the current dimension
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @returns {boolean}
+     */
+    has(chunkX, chunkZ) {
+        return this.index.has(`${chunkX}.${chunkZ}`);
+    }
+
+    /**
+     * Read a saved chunk
+     * Chunks saved with another layout are dropped from the index, so they are never read again.
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @param {object} layout - { protocolVersion, minY, height } the chunk must have (optional)
+     * @returns {object|null} See decodeChunk(), or null if missing, unreadable or of another layout
+     */
+    load(chunkX, chunkZ, layout) {
+        if (!this.dimensionDir || !this.has(chunkX, chunkZ)) return null;
+
+        const key = `${chunkX}.${chunkZ}`;
+        const pending = this.pending.get(key);
+        if (pending) {
+            return matchesLayout(pending.layout, layout) ? { ...pending.layout, sections: pending.chunk.sections } : null;
+        }
+
+        try {
+            const data = fs.readFileSync(this.chunkFile(chunkX, chunkZ));
+            if (!matchesLayout(decodeHeader(data), layout)) {
+                logger.debug(`[ChunkCache] Ignoring chunk (${chunkX}, ${chunkZ}) saved for another version or world height`);
+                this.index.delete(key);
+                return null;
+            }
+            return decodeChunk(data);
+        } catch (err) {
+            logger.warn(`[ChunkCache] Dropping unreadable chunk (${chunkX}, ${chunkZ}): ${err.message}`);
+            this.index.delete(key);
+            return null;
+        }
+    }
+
+    /**
+     * Read a saved chunk without blocking the event loop (see load())
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @param {object} layout - { protocolVersion, minY, height } the chunk must have (optional)
+     * @returns {Promise<object|null>}
+     */
+    async loadAsync(chunkX, chunkZ, layout) {
+        if (!this.dimensionDir || !this.has(chunkX, chunkZ)) return null;
+
+        const key = `${chunkX}.${chunkZ}`;
+        if (this.pending.has(key)) return this.load(chunkX, chunkZ, layout);
+
+        try {
+            const data = await fs.promises.readFile(this.chunkFile(chunkX, chunkZ));
+            const { sectionCount, ...header } = decodeHeader(data);
+            if (!matchesLayout(header, layout)) {
+                logger.debug(`[ChunkCache] Ignoring chunk (${chunkX}, ${chunkZ}) saved for another version or world height`);
+                this.index.delete(key);
+                return null;
+            }
+            return { ...header, sections: decodeSections(await inflate(data.subarray(HEADER_SIZE)), sectionCount) };
+        } catch (err) {
+            logger.warn(`[ChunkCache] Dropping unreadable chunk (${chunkX}, ${chunkZ}): ${err.message}`);
+            this.index.delete(key);
+            return null;
+        }
+    }
+
+    /**
+     * Write a chunk now (replaces the saved copy and any queued one)
+     * @param {object} chunk - { x, z, sections }
+     * @param {object} layout - { protocolVersion, minY, height, savedAt }
+     */
+    save(chunk, layout) {
+        if (!this.dimensionDir) return;
+
+        const key = `${chunk.x}.${chunk.z}`;
+        this.pending.delete(key);
+        try {
+            fs.writeFileSync(this.chunkFile(chunk.x, chunk.z), encodeChunk(chunk, layout));
+            this.index.add(key);
+        } catch (err) {
+            logger.error(`[ChunkCache] Cannot save chunk (${chunk.x}, ${chunk.z}): ${err.message}`);
+        }
+    }
+
+    /**
+     * Queue a chunk to be written in the background (replaces the saved copy)
+     * The sections must not change afterwards - unloaded chunks are never modified.
+     * @param {object} chunk - { x, z, sections }
+     * @param {object} layout - { protocolVersion, minY, height, savedAt }
+     */
+    queue(chunk, layout) {
+        if (!this.dimensionDir) return;
+
+        const key = `${chunk.x}.${chunk.z}`;
+        this.pending.set(key, { chunk, layout });
+        this.index.add(key);
+        if (!this.writing) this.writer = this.writePending();
+    }
+
+    /**
+     * Write every queued chunk now (on disconnect and dimension changes)
+     */
+    flush() {
+        for (const { chunk, layout } of [...this.pending.values()]) {
+            this.save(chunk, layout);
+        }
+    }
+
+    /**
+     * Drain the queue one chunk at a time without blocking the event loop
+     * Each chunk goes to a temporary file that replaces the real one only if the chunk is still the
+     * queued copy, so a flush() or a newer copy queued meanwhile is never overwritten.
+     */
+    async writePending() {
+        this.writing = true;
+        while (this.pending.size > 0) {
+            const [key, entry] = this.pending.entries().next().value;
+            const file = this.chunkFile(entry.chunk.x, entry.chunk.z);
+            const temporary = `${file}.tmp`;
+
+            try {
+                const data = await encodeChunkAsync(entry.chunk, entry.layout);
+                await fs.promises.writeFile(temporary, data);
+                if (this.pending.get(key) === entry) {
+                    fs.renameSync(temporary, file);
+                    this.pending.delete(key);
+                } else {
+                    await fs.promises.unlink(temporary);
+                }
+            } catch (err) {
+                logger.error(`[ChunkCache] Cannot save chunk (${entry.chunk.x}, ${entry.chunk.z}): ${err.message}`);
+                if (this.pending.get(key) === entry) this.pending.delete(key);
+            }
+        }
+        this.writing = false;
+    }
+
+    chunkFile(chunkX, chunkZ) {
+        return path.join(this.dimensionDir, `${chunkX}.${chunkZ}.chunk`);
+    }
+}
+
+module.exports = {
+    ChunkCache,
+    encodeChunk,
+    decodeChunk
+};
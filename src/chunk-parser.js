@@ -1,288 +1,262 @@
 /**
- * Advanced Chunk Parser for Minecraft Protocol 773 (1.21.10)
- * Robust parsing with multiple format detection strategies
+ * Chunk parser for Minecraft 1.21.x (protocols 769-773)
+ * Decodes Chunk Data (heightmaps, paletted block and biome sections, block entities, light) and
+ * Update Light / Chunk Biomes with the layout of the selected protocol version: NBT heightmaps and
+ * length-prefixed data arrays before 1.21.5, a heightmap list and implied array lengths from 1.21.5.
  */
 
 const { readVarInt } = require('./protocol/varint');
+const { PacketReader } = require('./protocol/packet');
+const { getBlockRegistry } = require('./blocks');
 const fs = require('fs');
 
-// Debug log file
-const debugLogPath = './chunk-debug.log';
+// Debug log file - off unless CHUNK_DEBUG_LOG names one (e.g. CHUNK_DEBUG_LOG=chunk-debug.log)
+const debugLogPath = process.env.CHUNK_DEBUG_LOG || null;
 function debugLog(msg) {
+    if (!debugLogPath) return;
     fs.appendFileSync(debugLogPath, `${new Date().toISOString()} ${msg}\n`);
 }
 // Clear log on startup
-fs.writeFileSync(debugLogPath, `=== Chunk Parser Debug Log ===\n`);
+if (debugLogPath) fs.writeFileSync(debugLogPath, `=== Chunk Parser Debug Log ===\n`);
+
+// Heightmap type IDs as sent in the Chunk Data packet
+const HEIGHTMAP_TYPES = [
+    'WORLD_SURFACE_WG',
+    'WORLD_SURFACE',
+    'OCEAN_FLOOR_WG',
+    'OCEAN_FLOOR',
+    'MOTION_BLOCKING',
+    'MOTION_BLOCKING_NO_LEAVES'
+];
+
+// Above these bits per entry a paletted container uses the global palette
+const MAX_INDIRECT_BITS_BLOCKS = 8;
+const MAX_INDIRECT_BITS_BIOMES = 3;
+
+// 1.21.5 dropped the NBT heightmaps and the data array length prefix
+const PROTOCOL_1_21_5 = 770;
+
+// Properties reported for state IDs missing from the block table - solid, to be safe
+const UNKNOWN_BLOCK = {
+    stateId: -1,
+    name: 'unknown',
+    properties: {},
+    shapes: [[0, 0, 0, 1, 1, 1]],
+    solid: true,
+    fluid: null,
+    climbable: false,
+    replaceable: false,
+    transparent: false,
+    hardness: -1
+};
 
 
 class ChunkParser {
-    constructor() {
-        this.blockProperties = new Map();
-        this.initializeBlockProperties();
+    /**
+     * @param {number} protocolVersion - Selects the chunk layout (defaults to 773)
+     */
+    constructor(protocolVersion = 773) {
+        this.setProtocolVersion(protocolVersion);
+        this.sectionCount = 24; // Overworld height until the dimension is known
         this.debugMode = true; // Enable debug logging
         this.successfulParses = 0;
         this.failedParses = 0;
     }
 
-    initializeBlockProperties() {
-        // Air and passable blocks (non-solid)
-        const nonSolid = [0]; // Air - we'll treat unknown blocks as solid for safety
+    /**
+     * Select the chunk layout and block state table
+     * @param {number} protocolVersion
+     */
+    setProtocolVersion(protocolVersion) {
+        this.protocolVersion = protocolVersion;
+        this.blocks = getBlockRegistry(protocolVersion);
+    }
 
-        for (let id = 0; id < 1000; id++) {
-            this.blockProperties.set(id, {
-                solid: !nonSolid.includes(id),
-                transparent: false,
-                climbable: false,
-                fluid: false
-            });
-        }
+    /**
+     * Set the number of sections in a chunk column (dimension height / 16)
+     * @param {number} sectionCount
+     */
+    setSectionCount(sectionCount) {
+        this.sectionCount = sectionCount;
     }
 
     /**
-     * Parse chunk data - tries multiple strategies
+     * Parse chunk data (everything after chunk X/Z in the Chunk Data packet)
+     * Layout: heightmaps, section data, block entities, light data
+     * @param {Buffer} data
+     * @returns {{sections: Array, heightmaps: object, blockEntities: Array, light: object} | null}
      */
     parseChunkData(data) {
-        if (!data || data.length < 10) {
+        if (!data || data.length < 3) {
             return null;
         }
 
-        // Try Strategy 1: Standard NBT compound with name
-        let result = this.tryParseWithNamedNBT(data);
-        if (result) {
-            this.successfulParses++;
-            return result;
-        }
-
-        // Try Strategy 2: Nameless NBT compound (network NBT)
-        result = this.tryParseWithNamelessNBT(data);
-        if (result) {
-            this.successfulParses++;
-            return result;
-        }
-
-        // Try Strategy 3: Direct VarInt length prefix
-        result = this.tryParseWithLengthPrefix(data);
-        if (result) {
-            this.successfulParses++;
-            return result;
-        }
-
-        this.failedParses++;
-        if (this.debugMode && this.failedParses <= 5) {
-            debugLog(`All strategies failed. First 32 bytes: ${data.slice(0, Math.min(32, data.length)).toString('hex')}`);
-        }
-        return null;
-    }
-
-    /**
-     * Strategy 1: Standard named NBT compound at start
-     */
-    tryParseWithNamedNBT(data) {
         try {
-            let offset = 0;
-            const firstByte = data.readUInt8(0);
+            const reader = new PacketReader(data);
+
+            const heightmaps = this.readHeightmaps(reader);
 
-            // Named NBT compound starts with 0x0A (TAG_Compound)
-            if (firstByte !== 0x0A) {
-                return null;
+            const dataSize = reader.readVarInt();
+            if (dataSize < 0 || dataSize > reader.remaining) {
+                throw new Error(`Data size ${dataSize} exceeds buffer length ${reader.remaining}`);
             }
+            const chunkData = reader.readBuffer(dataSize);
 
-            // Skip root tag type
-            offset = 1;
+            if (this.debugMode && this.successfulParses < 3) {
+                debugLog(`Chunk data size: ${dataSize}, first 10 bytes: ${chunkData.slice(0, 10).toString('hex')}`);
+            }
 
-            // Read and skip name length + name
-            if (offset + 2 > data.length) return null;
-            const nameLen = data.readUInt16BE(offset);
-            offset += 2 + nameLen;
+            const sections = this.parseSections(chunkData);
+            const blockEntities = this.readBlockEntities(reader);
+            const light = this.readLightData(reader);
 
-            // Parse compound contents
-            offset = this.skipNBTCompoundContents(data, offset);
-            if (offset === -1) return null;
+            if (this.debugMode && this.successfulParses < 3) {
+                debugLog(`SUCCESS: Parsed ${sections.length} sections, ${blockEntities.length} block entities from ${dataSize} bytes`);
+            }
 
-            return this.parseAfterHeightmaps(data, offset);
+            this.successfulParses++;
+            return { sections, heightmaps, blockEntities, light };
         } catch (e) {
+            this.failedParses++;
+            if (this.debugMode && this.failedParses <= 5) {
+                debugLog(`Chunk parse failed (${e.message}). First 32 bytes: ${data.slice(0, Math.min(32, data.length)).toString('hex')}`);
+            }
             return null;
         }
     }
 
     /**
-     * Strategy 2: Nameless NBT compound (some servers use this)
+     * Read heightmaps - a prefixed array of (type, long array) pairs since 1.21.5,
+     * an NBT compound of long arrays before that
+     * @param {PacketReader} reader
+     * @returns {object} Heightmap name -> BigInt64Array of packed heights
      */
-    tryParseWithNamelessNBT(data) {
-        try {
-            let offset = 0;
-            const firstByte = data.readUInt8(0);
-
-            // Nameless compound: just starts with 0x0A then directly into contents
-            if (firstByte !== 0x0A) {
-                return null;
-            }
+    readHeightmaps(reader) {
+        if (this.protocolVersion < PROTOCOL_1_21_5) {
+            return reader.readNBT() || {};
+        }
 
-            offset = 1;
-            // Directly into compound contents (no name)
-            offset = this.skipNBTCompoundContents(data, offset);
-            if (offset === -1) return null;
+        const heightmaps = {};
+        const count = reader.readVarInt();
 
-            return this.parseAfterHeightmaps(data, offset);
-        } catch (e) {
-            return null;
+        for (let i = 0; i < count; i++) {
+            const type = reader.readVarInt();
+            const length = reader.readVarInt();
+            const longs = new BigInt64Array(length);
+            for (let j = 0; j < length; j++) {
+                longs[j] = reader.readLong();
+            }
+            heightmaps[HEIGHTMAP_TYPES[type] || `unknown_${type}`] = longs;
         }
+
+        return heightmaps;
     }
 
     /**
-     * Strategy 3: VarInt length prefix before NBT
+     * Read the block entity list that follows the section data
+     * @param {PacketReader} reader
+     * @returns {Array} [{ x, y, z, type, nbt }] with x/z local to the chunk
      */
-    tryParseWithLengthPrefix(data) {
-        try {
-            let offset = 0;
-
-            // Try reading VarInt length
-            const lenResult = readVarInt(data, offset);
-            if (lenResult.value <= 0 || lenResult.value > data.length) {
-                return null;
-            }
-            offset += lenResult.bytesRead;
-
-            // Skip the NBT bytes
-            offset += lenResult.value;
-
-            if (offset >= data.length) return null;
-
-            return this.parseAfterHeightmaps(data, offset);
-        } catch (e) {
-            return null;
+    readBlockEntities(reader) {
+        const blockEntities = [];
+        const count = reader.readVarInt();
+
+        for (let i = 0; i < count; i++) {
+            const packedXZ = reader.readUByte();
+            const y = reader.readShort();
+            const type = reader.readVarInt();
+            const nbt = reader.readNBT();
+
+            blockEntities.push({
+                x: packedXZ >> 4,
+                y,
+                z: packedXZ & 0x0F,
+                type,
+                nbt
+            });
         }
+
+        return blockEntities;
     }
 
     /**
-     * Parse chunk data after heightmaps have been skipped
+     * Read light data (Chunk Data tail and Update Light)
+     * There is one light section below and one above the world, so index 0 is the section under min Y.
+     * @param {PacketReader} reader
+     * @returns {{skyLight: Array, blockLight: Array}} Per light section: a 2048-byte nibble array,
+     *   0 for sections the server marked empty, or undefined when it sent nothing for that section
      */
-    parseAfterHeightmaps(data, offset) {
-        try {
-            // Read Data array size
-            const sizeResult = readVarInt(data, offset);
-            if (sizeResult.value <= 0) {
-                if (this.debugMode && this.successfulParses < 3) {
-                    debugLog(`Data size is ${sizeResult.value} at offset ${offset}`);
-                }
-                return null;
+    readLightData(reader) {
+        const skyMask = this.readBitSet(reader);
+        const blockMask = this.readBitSet(reader);
+        const emptySkyMask = this.readBitSet(reader);
+        const emptyBlockMask = this.readBitSet(reader);
+
+        const readArrays = (mask, emptyMask) => {
+            const arrays = new Array(this.sectionCount + 2);
+            for (let i = 0; i < arrays.length; i++) {
+                if (this.testBit(emptyMask, i)) arrays[i] = 0;
             }
-            offset += sizeResult.bytesRead;
 
-            const dataSize = sizeResult.value;
-            if (offset + dataSize > data.length) {
-                if (this.debugMode && this.successfulParses < 3) {
-                    debugLog(`Data size ${dataSize} exceeds buffer length ${data.length - offset}`);
-                }
-                return null;
-            }
-
-            const chunkData = data.slice(offset, offset + dataSize);
-
-            if (this.debugMode && this.successfulParses < 3) {
-                debugLog(`Chunk data size: ${dataSize}, first 10 bytes: ${chunkData.slice(0, 10).toString('hex')}`);
-            }
-
-            // Parse sections
-            const sections = this.parseSections(chunkData);
-
-            if (this.debugMode && this.successfulParses < 3) {
-                debugLog(`SUCCESS: Parsed ${sections.length} sections from ${dataSize} bytes`);
+            const count = reader.readVarInt();
+            let section = 0;
+            for (let i = 0; i < count; i++) {
+                const length = reader.readVarInt();
+                const bytes = reader.readBuffer(length);
+                while (section < arrays.length && !this.testBit(mask, section)) section++;
+                if (section < arrays.length) arrays[section++] = bytes;
             }
+            return arrays;
+        };
 
-            return {
-                sections: sections,
-                heightmaps: null,
-                blockEntities: []
-            };
-
-        } catch (e) {
-            return null;
-        }
+        return {
+            skyLight: readArrays(skyMask, emptySkyMask),
+            blockLight: readArrays(blockMask, emptyBlockMask)
+        };
     }
 
     /**
-     * Skip NBT compound contents until TAG_End
+     * Parse an Update Light payload (everything after chunk X/Z)
+     * @param {Buffer} data
+     * @returns {{skyLight: Array, blockLight: Array}}
      */
-    skipNBTCompoundContents(data, offset) {
-        try {
-            let depth = 0;
-            const maxIterations = 10000;
-            let iterations = 0;
-
-            while (offset < data.length && iterations < maxIterations) {
-                iterations++;
-                const tagType = data.readUInt8(offset);
-                offset++;
-
-                // TAG_End
-                if (tagType === 0) {
-                    return offset;
-                }
-
-                // Read tag name
-                if (offset + 2 > data.length) return -1;
-                const nameLen = data.readUInt16BE(offset);
-                offset += 2;
-                if (offset + nameLen > data.length) return -1;
-                offset += nameLen;
+    parseLightData(data) {
+        return this.readLightData(new PacketReader(data));
+    }
 
-                // Skip payload based on tag type
-                offset = this.skipNBTPayload(data, offset, tagType);
-                if (offset === -1) return -1;
-            }
-            return -1;
-        } catch (e) {
-            return -1;
+    /**
+     * Parse the biome data of one chunk from Chunk Biomes: a biome paletted container per section
+     * @param {Buffer} data
+     * @returns {Array<{palette: Array<number>, data: Uint16Array}>}
+     */
+    parseBiomes(data) {
+        const biomes = [];
+        let offset = 0;
+        while (biomes.length < this.sectionCount) {
+            const container = this.readPalettedContainer(data, offset, 64, MAX_INDIRECT_BITS_BIOMES);
+            if (!container) throw new Error(`Biome data ends after ${biomes.length} sections`);
+            biomes.push(container);
+            offset = container.nextOffset;
         }
+        return biomes;
     }
 
     /**
-     * Skip NBT tag payload
+     * Read a BitSet (length-prefixed array of longs)
+     * @param {PacketReader} reader
+     * @returns {Array<bigint>}
      */
-    skipNBTPayload(data, offset, tagType) {
-        try {
-            switch (tagType) {
-                case 1: return offset + 1;  // Byte
-                case 2: return offset + 2;  // Short
-                case 3: return offset + 4;  // Int
-                case 4: return offset + 8;  // Long
-                case 5: return offset + 4;  // Float
-                case 6: return offset + 8;  // Double
-                case 7: // Byte Array
-                    if (offset + 4 > data.length) return -1;
-                    const baLen = data.readInt32BE(offset);
-                    return offset + 4 + baLen;
-                case 8: // String
-                    if (offset + 2 > data.length) return -1;
-                    const sLen = data.readUInt16BE(offset);
-                    return offset + 2 + sLen;
-                case 9: // List
-                    if (offset + 5 > data.length) return -1;
-                    const listType = data.readUInt8(offset);
-                    const listLen = data.readInt32BE(offset + 1);
-                    offset += 5;
-                    for (let i = 0; i < listLen; i++) {
-                        offset = this.skipNBTPayload(data, offset, listType);
-                        if (offset === -1) return -1;
-                    }
-                    return offset;
-                case 10: // Compound
-                    return this.skipNBTCompoundContents(data, offset);
-                case 11: // Int Array
-                    if (offset + 4 > data.length) return -1;
-                    const iaLen = data.readInt32BE(offset);
-                    return offset + 4 + iaLen * 4;
-                case 12: // Long Array
-                    if (offset + 4 > data.length) return -1;
-                    const laLen = data.readInt32BE(offset);
-                    return offset + 4 + laLen * 8;
-                default:
-                    return -1;
-            }
-        } catch (e) {
-            return -1;
+    readBitSet(reader) {
+        const longs = new Array(reader.readVarInt());
+        for (let i = 0; i < longs.length; i++) {
+            longs[i] = reader.readLong();
         }
+        return longs;
+    }
+
+    testBit(bitSet, index) {
+        const word = bitSet[index >> 6];
+        return word !== undefined && ((word >> BigInt(index & 63)) & 1n) === 1n;
     }
 
     /**
@@ -296,7 +270,7 @@ class ChunkParser {
             debugLog(`Parsing sections from ${data.length} bytes of data`);
         }
 
-        while (offset < data.length && sections.length < 24) {
+        while (offset < data.length && sections.length < this.sectionCount) {
             try {
                 const section = this.parseSection(data, offset);
                 if (!section) {
@@ -331,12 +305,12 @@ class ChunkParser {
             offset += 2;
 
             // Block states paletted container
-            const blockStates = this.readPalettedContainer(data, offset, 4096);
+            const blockStates = this.readPalettedContainer(data, offset, 4096, MAX_INDIRECT_BITS_BLOCKS);
             if (!blockStates) return null;
             offset = blockStates.nextOffset;
 
             // Biomes paletted container (smaller: 64 entries for 4x4x4 biome sections)
-            const biomes = this.readPalettedContainer(data, offset, 64);
+            const biomes = this.readPalettedContainer(data, offset, 64, MAX_INDIRECT_BITS_BIOMES);
             if (!biomes) return null;
             offset = biomes.nextOffset;
 
@@ -344,6 +318,8 @@ class ChunkParser {
                 blockCount: blockCount,
                 blockStates: blockStates.data,
                 palette: blockStates.palette,
+                biomes: biomes.data,
+                biomePalette: biomes.palette,
                 nextOffset: offset
             };
         } catch (e) {
@@ -353,8 +329,10 @@ class ChunkParser {
 
     /**
      * Read paletted container
+     * Since 1.21.5 the data array has no length prefix - its size follows from bits per entry
+     * @returns {{palette: Array<number>, data: Uint16Array, nextOffset: number} | null}
      */
-    readPalettedContainer(data, offset, expectedEntries) {
+    readPalettedContainer(data, offset, expectedEntries, maxIndirectBits) {
         if (offset >= data.length) return null;
 
         try {
@@ -362,21 +340,17 @@ class ChunkParser {
             offset++;
 
             let palette = [];
-            let blockData = [];
+            let blockData = null;
 
             if (bitsPerEntry === 0) {
-                // Single value palette
+                // Single value palette (no data array)
                 const valueResult = readVarInt(data, offset);
                 offset += valueResult.bytesRead;
                 palette = [valueResult.value];
 
-                // Data array length (should be 0)
-                const dataLenResult = readVarInt(data, offset);
-                offset += dataLenResult.bytesRead;
-                offset += dataLenResult.value * 8;
-
-                blockData = new Array(expectedEntries).fill(valueResult.value);
-            } else if (bitsPerEntry <= 8) {
+                blockData = new Uint16Array(expectedEntries).fill(valueResult.value);
+                offset = this.skipDataLength(data, offset);
+            } else if (bitsPerEntry <= maxIndirectBits) {
                 // Indirect palette
                 const palLenResult = readVarInt(data, offset);
                 offset += palLenResult.bytesRead;
@@ -387,23 +361,20 @@ class ChunkParser {
                     palette.push(entryResult.value);
                 }
 
-                // Data array
-                const dataLenResult = readVarInt(data, offset);
-                offset += dataLenResult.bytesRead;
+                offset = this.skipDataLength(data, offset);
+                const longCount = this.packedLongCount(bitsPerEntry, expectedEntries);
+                if (offset + longCount * 8 > data.length) return null;
 
-                if (offset + dataLenResult.value * 8 > data.length) return null;
-
-                blockData = this.unpackPalettedData(data, offset, dataLenResult.value, bitsPerEntry, palette, expectedEntries);
-                offset += dataLenResult.value * 8;
+                blockData = this.unpackPalettedData(data, offset, longCount, bitsPerEntry, palette, expectedEntries);
+                offset += longCount * 8;
             } else {
                 // Direct palette (no palette array, just data)
-                const dataLenResult = readVarInt(data, offset);
-                offset += dataLenResult.bytesRead;
-
-                if (offset + dataLenResult.value * 8 > data.length) return null;
+                offset = this.skipDataLength(data, offset);
+                const longCount = this.packedLongCount(bitsPerEntry, expectedEntries);
+                if (offset + longCount * 8 > data.length) return null;
 
-                blockData = this.unpackDirectData(data, offset, dataLenResult.value, bitsPerEntry, expectedEntries);
-                offset += dataLenResult.value * 8;
+                blockData = this.unpackDirectData(data, offset, longCount, bitsPerEntry, expectedEntries);
+                offset += longCount * 8;
             }
 
             return {
@@ -416,11 +387,29 @@ class ChunkParser {
         }
     }
 
+    /**
+     * Skip the data array length that preceded the packed longs before 1.21.5
+     * (it is always the packed long count, so it carries no information)
+     * @returns {number} Offset of the packed data
+     */
+    skipDataLength(data, offset) {
+        if (this.protocolVersion >= PROTOCOL_1_21_5) return offset;
+        return offset + readVarInt(data, offset).bytesRead;
+    }
+
+    /**
+     * Number of longs needed to pack entries (entries never span two longs)
+     */
+    packedLongCount(bitsPerEntry, entries) {
+        const entriesPerLong = Math.floor(64 / bitsPerEntry);
+        return Math.ceil(entries / entriesPerLong);
+    }
+
     /**
      * Unpack paletted data from longs
      */
     unpackPalettedData(data, offset, longCount, bitsPerEntry, palette, expectedEntries) {
-        const result = new Array(expectedEntries).fill(0);
+        const result = new Uint16Array(expectedEntries);
         const mask = (1n << BigInt(bitsPerEntry)) - 1n;
         const entriesPerLong = Math.floor(64 / bitsPerEntry);
         let entryIndex = 0;
@@ -443,7 +432,7 @@ class ChunkParser {
      * Unpack direct data from longs
      */
     unpackDirectData(data, offset, longCount, bitsPerEntry, expectedEntries) {
-        const result = new Array(expectedEntries).fill(0);
+        const result = new Uint16Array(expectedEntries);
         const mask = (1n << BigInt(bitsPerEntry)) - 1n;
         const entriesPerLong = Math.floor(64 / bitsPerEntry);
         let entryIndex = 0;
@@ -476,13 +465,12 @@ class ChunkParser {
     }
 
     /**
-     * Get block properties
+     * Get block properties for a state ID
+     * @param {number} blockStateId
+     * @returns {object} See BlockRegistry.getState(); unknown IDs are reported as solid
      */
     getBlockProperties(blockStateId) {
-        if (blockStateId === 0) {
-            return { solid: false, transparent: true, climbable: false, fluid: false };
-        }
-        return this.blockProperties.get(blockStateId) || { solid: true, transparent: false, climbable: false, fluid: false };
+        return this.blocks.getState(blockStateId) || UNKNOWN_BLOCK;
     }
 
     /**
@@ -4,14 +4,23 @@
 
 const { EventEmitter } = require('events');
 const { Connection } = require('./protocol/connection');
+const { getRegistry, getSupportedVersions, isSupportedVersion, DEFAULT_PROTOCOL_VERSION } = require('./protocol/registry');
+const { PacketCapture } = require('./protocol/capture');
+const { ReplayConnection } = require('./protocol/replay');
+const { queryStatus } = require('./states/status');
 const { sendHandshake } = require('./states/handshake');
 const { setupLoginHandlers, sendLoginStart } = require('./states/login');
 const { setupConfigurationHandlers } = require('./states/config');
-const { setupPlayHandlers, sendChat } = require('./states/play');
+const { setupPlayHandlers, sendChat, sendCommand } = require('./states/play');
 const { MovementAdvanced } = require('./movement-advanced');
 const { CommandHandler } = require('./commands');
 const { WorldAdvanced } = require('./world-advanced');
+const { ChunkCache } = require('./chunk-cache');
 const { EntityTracker } = require('./entities');
+const { PlayerList } = require('./players');
+const { ThreatMonitor } = require('./threats');
+const { ChatQueue, LastSeenTracker } = require('./chat');
+const { logger } = require('./logger');
 
 class MinecraftClient extends EventEmitter {
     constructor(options) {
@@ -21,7 +30,16 @@ class MinecraftClient extends EventEmitter {
         this.port = options.port || 25565;
         this.username = options.username || 'Bot';
         this.customUUID = options.customUUID || null; // Optional custom UUID
-        this.protocolVersion = options.protocolVersion || 773;
+        // A supported protocol number, or 'auto' to ask the server through a status ping
+        this.autoDetectVersion = options.protocolVersion === 'auto';
+        this.protocolVersion = this.autoDetectVersion ? null : (options.protocolVersion || DEFAULT_PROTOCOL_VERSION);
+
+        // Online-mode authentication (customUUID must then be the account's profile UUID)
+        this.accessToken = options.accessToken || null;
+        this.sessionProvider = options.sessionProvider || null; // Defaults to Mojang's session server
+
+        // Record every packet of the session to this file (see protocol/capture.js)
+        this.capture = options.capture || null;
 
         this.connection = null;
         this.uuid = null;
@@ -32,43 +50,88 @@ class MinecraftClient extends EventEmitter {
         this.food = 20;
         this.spawnY = null; // Track initial spawn Y to prevent void falling
 
+        // Registry data received during configuration: registryId -> [{ id, data }]
+        this.registries = new Map();
+
+        // minecraft:dimension_type entries and the dimension we're in (from Login / Respawn)
+        this.dimensionTypes = [];
+        this.dimension = null;
+
         // World state tracker
         this.world = new WorldAdvanced();
 
-        // Entity tracker for environmental awareness
-        this.entityTracker = new EntityTracker();
+        // Remember explored chunks in this directory across sessions (see chunk-cache.js)
+        if (options.chunkCache) {
+            this.world.setChunkCache(new ChunkCache(options.chunkCache, `${this.host}:${this.port}`));
+        }
 
-        // Movement controller
-        this.movement = null;
+        // Entity tracker for environmental awareness ({ motionTimeout, maxAge, dropOnChunkUnload })
+        this.entityTracker = new EntityTracker(options.entities);
 
-        // Command handler
-        this.commandHandler = null;
-    }
+        // Hostile mob awareness - flees from danger ({ radius, dangerScore, interval, flee })
+        this.threats = new ThreatMonitor(this, options.threats);
 
-    /**
-     * Connect to the server
-     */
-    async connect() {
-        console.log(`[Client] Connecting to ${this.host}:${this.port} as ${this.username}...`);
+        // Online players (from Player Info packets) - resolves chat sender UUIDs
+        this.playerList = new PlayerList();
+        this.players = this.playerList.players; // uuid -> { name, gameMode, latency, displayName, listed, entityId, ... }
+        this.tabList = { header: '', footer: '' };
 
-        this.connection = new Connection(this.host, this.port);
+        // Outgoing chat: signed messages to acknowledge and a rate-limited send queue
+        this.lastSeen = new LastSeenTracker();
+        this.lastChatTimestamp = 0; // Chat timestamps only go forward within a session
+        this.chatQueue = new ChatQueue((type, text) => this.sendChatNow(type, text), options.chat);
 
-        // Initialize movement and commands
-        this.movement = new MovementAdvanced(this, this.connection, this.world);
-        this.commandHandler = new CommandHandler(this, this.username);
+        // Movement controller
+        this.movement = null;
+        this.sessionActive = false; // Until a connection is attached; see endSession()
 
-        // Setup all state handlers
-        setupLoginHandlers(this.connection, this);
-        setupConfigurationHandlers(this.connection, this);
-        setupPlayHandlers(this.connection, this);
+        // Command handler, and the players allowed to run owner-only commands
+        this.commandHandler = null;
+        this.owners = options.owners || {};
+
+        // Session listeners, registered once - they act on whatever the current session set up
 
         // Listen for chat events to process commands
         this.on('chat', (data) => {
             if (this.commandHandler) {
-                this.commandHandler.processMessage(data.message, data.sender || 'unknown');
+                this.commandHandler.processMessage(data.message, data.sender || 'unknown', data.senderUuid);
+            }
+        });
+
+        // Paths through changed blocks may no longer be walkable
+        this.on('blockUpdate', (update) => {
+            if (this.movement) {
+                this.movement.onBlockUpdate(update);
             }
         });
 
+        // Watch for hostile mobs once in the world
+        this.on('spawn', () => this.threats.start());
+
+        // Kicked
+        this.on('disconnect', () => this.endSession());
+    }
+
+    /**
+     * Connect to the server
+     * @param {object} status - queryStatus() result already fetched, so 'auto' doesn't ping again
+     */
+    async connect(status = null) {
+        logger.info(`[Client] Connecting to ${this.host}:${this.port} as ${this.username}...`);
+
+        if (this.autoDetectVersion) {
+            await this.detectProtocolVersion(status);
+        }
+        const registry = getRegistry(this.protocolVersion);
+        this.world.setProtocolVersion(this.protocolVersion);
+        this.entityTracker.setProtocolVersion(this.protocolVersion);
+
+        const capture = this.capture
+            ? new PacketCapture(this.capture, { protocolVersion: this.protocolVersion })
+            : null;
+        this.connection = new Connection(this.host, this.port, { registry, capture });
+        this.attachConnection(this.connection);
+
         // Connect
         await this.connection.connect();
 
@@ -84,6 +147,86 @@ class MinecraftClient extends EventEmitter {
         return this;
     }
 
+    /**
+     * Replay a packet capture through the normal handlers instead of connecting
+     * Everything the handlers send is collected in the result instead of going anywhere.
+     * @param {string|object} capture - Capture file or readCapture() result
+     * @param {object} options - ReplayConnection options ({ strict })
+     * @returns {Promise<{packets: number, errors: Array, sent: Array}>}
+     */
+    async replay(capture, options = {}) {
+        const connection = new ReplayConnection(capture, options);
+        this.protocolVersion = connection.registry.protocolVersion;
+        this.world.setProtocolVersion(this.protocolVersion);
+        this.entityTracker.setProtocolVersion(this.protocolVersion);
+
+        this.connection = connection;
+        this.attachConnection(connection);
+        await connection.connect();
+
+        return connection.replay();
+    }
+
+    /**
+     * Reset per-session state and register all state handlers on a connection
+     * @param {Connection} connection
+     */
+    attachConnection(connection) {
+        // Per-session chat and player state
+        this.sessionActive = true;
+        this.lastSeen.reset();
+        this.lastChatTimestamp = 0;
+        this.playerList.clear();
+
+        // Initialize movement and commands
+        this.movement = new MovementAdvanced(this, connection, this.world);
+        this.commandHandler = new CommandHandler(this, this.username, { owners: this.owners });
+
+        // Setup all state handlers
+        setupLoginHandlers(connection, this);
+        setupConfigurationHandlers(connection, this);
+        setupPlayHandlers(connection, this);
+
+        // The socket closed without a Disconnect packet (server crash, network drop)
+        connection.onClose(() => {
+            this.endSession();
+            this.emit('end');
+        });
+    }
+
+    /**
+     * Stop everything that runs against the connection, once per session
+     * Anything still queued can't be sent on a dead connection.
+     */
+    endSession() {
+        if (!this.sessionActive) return;
+        this.sessionActive = false;
+
+        this.threats.stop();
+        this.chatQueue.clear('Disconnected');
+        this.world.saveChunks();
+        if (this.movement) {
+            this.movement.stop();
+        }
+    }
+
+    /**
+     * Pick the protocol version from the server's status response
+     * @param {object} status - queryStatus() result; queried now if not given
+     * @returns {Promise<number>}
+     */
+    async detectProtocolVersion(status = null) {
+        if (!status) status = await queryStatus(this.host, this.port);
+        if (!isSupportedVersion(status.protocol)) {
+            const supported = getSupportedVersions().map(v => `${v.minecraftVersion} (${v.protocolVersion})`).join(', ');
+            throw new Error(`Server runs ${status.version} (protocol ${status.protocol}); supported: ${supported}`);
+        }
+
+        logger.info(`[Client] Server runs ${status.version}, using protocol ${status.protocol}`);
+        this.protocolVersion = status.protocol;
+        return this.protocolVersion;
+    }
+
     /**
      * Move to coordinates
      * @param {number} x 
@@ -92,10 +235,22 @@ class MinecraftClient extends EventEmitter {
      */
     goto(x, y, z) {
         if (this.movement) {
-            this.movement.goto(x, y, z);
+            this.movement.goto(x, y, z)
+                .catch(err => logger.error(`[Client] Cannot navigate: ${err.message}`));
         }
     }
 
+    /**
+     * Entity of an online player, if the player is within view
+     * @param {string} name - Username (case-insensitive)
+     * @returns {object|null} Entity from the entity tracker
+     */
+    getPlayerEntity(name) {
+        const player = this.playerList.getByName(name);
+        if (!player || player.entityId === null) return null;
+        return this.entityTracker.entities.get(player.entityId) || null;
+    }
+
     /**
      * Stop movement
      */
@@ -106,21 +261,48 @@ class MinecraftClient extends EventEmitter {
     }
 
     /**
-     * Send chat message (DISABLED - causes server disconnection)
+     * Send a chat message through the rate-limited queue
+     * Messages starting with '/' are sent as commands; long messages are split.
+     * @param {string} message
+     * @returns {Promise<void>} Resolves once sent
      */
     chat(message) {
-        console.log(`[Chat] Would send: ${message} (DISABLED to prevent disconnection)`);
-        // TEMPORARILY DISABLED: This server rejects our chat packet format
-        // return sendChat(this.connection, message);
+        if (String(message).startsWith('/')) {
+            return this.command(message);
+        }
+        return this.chatQueue.chat(message);
+    }
+
+    /**
+     * Run a command (e.g. 'tp 0 64 0' or '/login secret') through the queue
+     * @param {string} command
+     * @returns {Promise<void>} Resolves once sent
+     */
+    command(command) {
+        return this.chatQueue.command(command);
+    }
+
+    /**
+     * Write a queued chat message or command to the connection
+     * @param {string} type - 'chat' or 'command'
+     * @param {string} text
+     */
+    sendChatNow(type, text) {
+        if (!this.connection || !this.connection.connected || this.connection.state !== 'play') {
+            throw new Error('Not in play state');
+        }
+        if (type === 'command') {
+            sendCommand(this.connection, text);
+        } else {
+            this.lastChatTimestamp = sendChat(this.connection, text, this.lastSeen, this.lastChatTimestamp);
+        }
     }
 
     /**
      * Disconnect from the server
      */
     disconnect() {
-        if (this.movement) {
-            this.movement.stop();
-        }
+        this.endSession();
         if (this.connection) {
             this.connection.close();
         }
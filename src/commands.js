@@ -3,10 +3,25 @@
  * Parses chat messages and triggers bot actions
  */
 
+const path = require('path');
+const { toPlainText } = require('./text-component');
+const { logger } = require('./logger');
+const { exportRegions, exportStructure } = require('./world-export');
+
+// Where "export" writes its files
+const EXPORT_DIRECTORY = 'exports';
+
 class CommandHandler {
-    constructor(client, botName) {
+    /**
+     * @param {MinecraftClient} client
+     * @param {string} botName
+     * @param {object} options - owners: { name: profile UUID } of players allowed to run commands
+     *   that write files (export)
+     */
+    constructor(client, botName, options = {}) {
         this.client = client;
         this.botName = botName.toLowerCase();
+        this.owners = normalizeOwners(options.owners);
         this.commands = new Map();
 
         // Register default commands
@@ -18,9 +33,29 @@ class CommandHandler {
      */
     registerDefaults() {
         // "come Bot x y z" - move to coordinates
+        // "come Bot" / "come Bot <player>" - move to the sender / that player
         this.commands.set('come', (args, sender) => {
+            if (args.length < 2) {
+                const name = args.length === 1 ? args[0] : sender;
+                const entity = typeof this.client.getPlayerEntity === 'function' ? this.client.getPlayerEntity(name) : null;
+                if (!entity) {
+                    logger.info(`[Command] Cannot see ${name}`);
+                    this.reply(`I can't see ${name}`);
+                    return;
+                }
+
+                const { x, y, z } = entity.position;
+                logger.info(`[Command] ${sender} commanded: come to ${name} at ${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)}`);
+                if (this.client.movement) {
+                    this.client.movement.goto(x, y, z)
+                        .catch(err => logger.error(`[Command] Cannot navigate: ${err.message}`));
+                } else {
+                    logger.info('[Command] Movement not initialized');
+                }
+                return;
+            }
             if (args.length < 3) {
-                console.log('[Command] Invalid come command: need x y z coordinates');
+                logger.info('[Command] Invalid come command: need x y z coordinates or a player name');
                 return;
             }
 
@@ -29,22 +64,23 @@ class CommandHandler {
             const z = parseFloat(args[2]);
 
             if (isNaN(x) || isNaN(y) || isNaN(z)) {
-                console.log('[Command] Invalid coordinates');
+                logger.info('[Command] Invalid coordinates');
                 return;
             }
 
-            console.log(`[Command] ${sender} commanded: come to ${x}, ${y}, ${z}`);
+            logger.info(`[Command] ${sender} commanded: come to ${x}, ${y}, ${z}`);
 
             if (this.client.movement) {
-                this.client.movement.goto(x, y, z);
+                this.client.movement.goto(x, y, z)
+                    .catch(err => logger.error(`[Command] Cannot navigate: ${err.message}`));
             } else {
-                console.log('[Command] Movement not initialized');
+                logger.info('[Command] Movement not initialized');
             }
         });
 
         // "stop Bot" - stop movement
         this.commands.set('stop', (args, sender) => {
-            console.log(`[Command] ${sender} commanded: stop`);
+            logger.info(`[Command] ${sender} commanded: stop`);
 
             if (this.client.movement) {
                 this.client.movement.stop();
@@ -53,37 +89,93 @@ class CommandHandler {
 
         // "pos Bot" - report position
         this.commands.set('pos', (args, sender) => {
-            console.log(`[Command] ${sender} requested position`);
+            logger.info(`[Command] ${sender} requested position`);
 
             if (this.client.position) {
                 const pos = this.client.position;
-                console.log(`[Position] X: ${pos.x.toFixed(2)}, Y: ${pos.y.toFixed(2)}, Z: ${pos.z.toFixed(2)}`);
+                const text = `X: ${pos.x.toFixed(2)}, Y: ${pos.y.toFixed(2)}, Z: ${pos.z.toFixed(2)}`;
+                logger.info(`[Position] ${text}`);
+                this.reply(text);
+            }
+        });
+
+        // "export Bot" - write loaded chunks as Anvil region files
+        // "export Bot x1 y1 z1 x2 y2 z2" - write that box as a structure .nbt file
+        this.commands.set('export', (args, sender, senderUuid) => {
+            if (!this.isOwner(senderUuid)) {
+                logger.info(`[Command] ${sender} is not an owner - export refused`);
+                this.reply(`Only my owners can export, ${sender}`);
+                return;
+            }
+            logger.info(`[Command] ${sender} requested a world export`);
+            const world = this.client.world;
+            const name = `${this.botName}-${Date.now()}`;
+
+            try {
+                if (args.length === 0) {
+                    const { files, chunks } = exportRegions(world, path.join(EXPORT_DIRECTORY, name, 'region'));
+                    this.reply(`Exported ${chunks} chunks in ${files.length} region files to ${path.join(EXPORT_DIRECTORY, name)}`);
+                    return;
+                }
+
+                const coords = args.slice(0, 6).map(v => Math.floor(Number(v)));
+                if (coords.length < 6 || coords.some(isNaN)) {
+                    logger.info('[Command] Invalid export command: need x1 y1 z1 x2 y2 z2 or nothing');
+                    return;
+                }
+                const from = { x: coords[0], y: coords[1], z: coords[2] };
+                const to = { x: coords[3], y: coords[4], z: coords[5] };
+                const { file, size } = exportStructure(world, from, to, path.join(EXPORT_DIRECTORY, `${name}.nbt`));
+                this.reply(`Exported ${size.join('x')} blocks to ${file}`);
+            } catch (err) {
+                logger.error(`[Command] Export failed: ${err.message}`);
+                this.reply(`Export failed: ${err.message}`);
             }
         });
     }
 
+    /**
+     * Whether a chat sender may run owner-only commands
+     * Names can be faked (nickname plugins, disguised chat), so only the sender UUID of player chat
+     * counts, and only while that player is in the player list.
+     * @param {string|null} senderUuid
+     * @returns {boolean}
+     */
+    isOwner(senderUuid) {
+        if (!senderUuid) return false;
+        const playerList = this.client.playerList;
+        if (!playerList || !playerList.get(senderUuid)) return false;
+        return this.owners.has(normalizeUuid(senderUuid));
+    }
+
+    /**
+     * Reply in chat, ignoring send failures (e.g. disconnected)
+     * @param {string} text
+     */
+    reply(text) {
+        if (typeof this.client.chat !== 'function') return;
+        Promise.resolve(this.client.chat(text)).catch((err) => {
+            logger.warn(`[Command] Reply not sent: ${err.message}`);
+        });
+    }
+
     /**
      * Process a chat message
      * @param {string} message - The raw chat message
      * @param {string} sender - The sender's name (if known)
+     * @param {string|null} senderUuid - The player chat sender's UUID (null for system and disguised chat)
      */
-    processMessage(message, sender = 'unknown') {
-        // Try to extract text from JSON if it's a JSON message
-        let text = message;
-        try {
-            const parsed = JSON.parse(message);
-            text = this.extractText(parsed);
-        } catch (e) {
-            // Not JSON, use as-is
-        }
+    processMessage(message, sender = 'unknown', senderUuid = null) {
+        // Chat events carry plain text; callers may also pass a raw component object
+        let text = this.extractText(message);
 
         // Clean up the message
         text = text.toLowerCase().trim();
 
         // DEBUG: Log what we're processing
         if (text.startsWith('come') || text.startsWith('stop') || text.startsWith('pos')) {
-            console.log(`[Command] Processing: "${text}"`);
-            console.log(`[Command] Bot name: "${this.botName}"`);
+            logger.debug(`[Command] Processing: "${text}"`);
+            logger.debug(`[Command] Bot name: "${this.botName}"`);
         }
 
         // Check for commands targeting this bot
@@ -97,8 +189,8 @@ class CommandHandler {
 
         // DEBUG: Show parsing
         if (command === 'come' || command === 'stop' || command === 'pos') {
-            console.log(`[Command] Command: "${command}", Target: "${target}", BotName: "${this.botName}"`);
-            console.log(`[Command] Match: ${target === this.botName}`);
+            logger.debug(`[Command] Command: "${command}", Target: "${target}", BotName: "${this.botName}"`);
+            logger.debug(`[Command] Match: ${target === this.botName}`);
         }
 
         // Check if the command is for this bot
@@ -111,44 +203,38 @@ class CommandHandler {
         // Execute the command
         const handler = this.commands.get(command);
         if (handler) {
-            console.log(`[Command] Executing ${command} with args:`, args);
-            handler(args, sender);
+            logger.info(`[Command] Executing ${command} with args:`, args);
+            handler(args, sender, senderUuid);
         } else {
-            console.log(`[Command] Unknown command: ${command}`);
+            logger.info(`[Command] Unknown command: ${command}`);
         }
     }
 
     /**
-     * Extract text from a JSON chat component
+     * Extract plain text from a message
+     * Strings are already plain text and pass through unchanged, even if they look like JSON.
      */
-    extractText(component) {
-        if (typeof component === 'string') {
-            return component;
-        }
-
-        let text = '';
-
-        if (component.text) {
-            text += component.text;
-        }
-
-        if (component.extra && Array.isArray(component.extra)) {
-            for (const part of component.extra) {
-                text += this.extractText(part);
-            }
-        }
-
-        if (component.translate) {
-            // Handle translated messages (like chat.type.text)
-            if (component.with && Array.isArray(component.with)) {
-                for (const part of component.with) {
-                    text += this.extractText(part);
-                }
-            }
-        }
+    extractText(message) {
+        return typeof message === 'string' ? message : toPlainText(message);
+    }
+}
 
-        return text;
+/**
+ * Owner profile UUIDs from the owners option
+ * @param {object} owners - { name: UUID } (names are only for the config's reader)
+ * @returns {Set<string>} UUIDs without dashes, lowercase
+ */
+function normalizeOwners(owners) {
+    if (!owners) return new Set();
+    if (Array.isArray(owners)) {
+        if (owners.length > 0) logger.warn('[Command] owners must map names to profile UUIDs - ignoring the list of names');
+        return new Set();
     }
+    return new Set(Object.values(owners).map(normalizeUuid));
+}
+
+function normalizeUuid(uuid) {
+    return String(uuid).replace(/-/g, '').toLowerCase();
 }
 
 module.exports = { CommandHandler };
@@ -0,0 +1,56 @@
+/**
+ * Dimension types
+ * World height comes from the minecraft:dimension_type registry sent during configuration,
+ * so the Nether, the End and datapack dimensions get the right section offsets.
+ */
+
+// Vanilla dimension types - used when the server omits entry data (packs we'd know) or sends none
+const VANILLA_DIMENSION_TYPES = {
+    'minecraft:overworld': { minY: -64, height: 384, logicalHeight: 384 },
+    'minecraft:overworld_caves': { minY: -64, height: 384, logicalHeight: 384 },
+    'minecraft:the_nether': { minY: 0, height: 256, logicalHeight: 128 },
+    'minecraft:the_end': { minY: 0, height: 256, logicalHeight: 256 }
+};
+
+const DEFAULT_DIMENSION_TYPE = 'minecraft:overworld';
+
+/**
+ * Build a dimension type from a registry entry
+ * @param {object} entry - { id, data } from Registry Data; data is the NBT compound or null
+ * @returns {{name: string, minY: number, height: number, logicalHeight: number}}
+ */
+function parseDimensionType({ id, data }) {
+    const fallback = VANILLA_DIMENSION_TYPES[id] || VANILLA_DIMENSION_TYPES[DEFAULT_DIMENSION_TYPE];
+    if (!data) {
+        return { name: id, ...fallback };
+    }
+
+    const minY = data.min_y !== undefined ? data.min_y : fallback.minY;
+    const height = data.height !== undefined ? data.height : fallback.height;
+    return {
+        name: id,
+        minY,
+        height,
+        logicalHeight: data.logical_height !== undefined ? data.logical_height : height
+    };
+}
+
+/**
+ * Resolve the dimension type referenced by Login / Respawn
+ * @param {Array} dimensionTypes - Parsed minecraft:dimension_type entries, in registry order
+ * @param {number} index - Dimension type registry index from the spawn info
+ * @param {string} dimensionName - World name (e.g. 'minecraft:the_nether'), used when the registry is missing
+ * @returns {{name: string, minY: number, height: number, logicalHeight: number}}
+ */
+function resolveDimensionType(dimensionTypes, index, dimensionName) {
+    if (dimensionTypes && dimensionTypes[index]) {
+        return dimensionTypes[index];
+    }
+    return parseDimensionType({ id: VANILLA_DIMENSION_TYPES[dimensionName] ? dimensionName : DEFAULT_DIMENSION_TYPE, data: null });
+}
+
+module.exports = {
+    VANILLA_DIMENSION_TYPES,
+    parseDimensionType,
+    resolveDimensionType
+};
@@ -3,32 +3,253 @@
  * Tracks players, mobs, and other entities for environmental awareness
  */
 
+const { getEntityRegistry, readEntityMetadata, readEquipment, POSES } = require('./entity-data');
+const { toPlainText } = require('./text-component');
+
+/**
+ * Angle byte (1/256 of a turn) to degrees
+ */
+function angleToDegrees(angle) {
+    return angle * 360 / 256;
+}
+
+// The server sends position updates every 1-3 ticks while an entity moves (up to 20 for some)
+const TICK_MS = 50;
+const MAX_UPDATE_TICKS = 20;
+
+// Weight of the newest observed velocity (the rest is the previous estimate)
+const VELOCITY_SMOOTHING = 0.5;
+
+// Moves longer than this between updates are teleports, not motion
+const TELEPORT_DISTANCE = 8;
+
 class EntityTracker {
-    constructor() {
+    /**
+     * @param {object} options
+     *   - motionTimeout: ms without movement after which an entity counts as stopped (default 500)
+     *   - maxAge: drop entities not updated for this many ms (default: never - idle mobs send nothing)
+     *   - dropOnChunkUnload: drop entities in chunks as they unload (default true)
+     *   - clock: () => ms, for tests
+     */
+    constructor(options = {}) {
         this.entities = new Map(); // entityId -> entity data
+        this.registry = getEntityRegistry();
+
+        this.motionTimeout = options.motionTimeout || 500;
+        this.maxAge = options.maxAge || null;
+        this.dropOnChunkUnload = options.dropOnChunkUnload !== false;
+        this.clock = options.clock || Date.now;
+    }
+
+    /**
+     * Use the entity, item and metadata tables of a protocol version
+     * @param {number} protocolVersion
+     */
+    setProtocolVersion(protocolVersion) {
+        this.registry = getEntityRegistry(protocolVersion);
     }
 
     /**
      * Add a new entity
+     * @param {number} entityId
+     * @param {number} type - Entity type ID
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {object} details - From Spawn Entity: { uuid, velocity, yaw, pitch, headYaw } (angle bytes)
      */
-    addEntity(entityId, type, x, y, z) {
+    addEntity(entityId, type, x, y, z, details = {}) {
+        const entityType = this.registry.getEntityType(type);
         this.entities.set(entityId, {
             id: entityId,
+            uuid: details.uuid || null,
             type: type,
+            name: entityType ? entityType.name : null, // e.g. 'zombie', 'item', 'player'
+            category: entityType ? entityType.category : null, // 'hostile', 'passive', 'player', ...
+            width: entityType ? entityType.width : 0,
+            height: entityType ? entityType.height : 0,
             position: { x, y, z },
-            lastUpdate: Date.now()
+            velocity: details.velocity || { x: 0, y: 0, z: 0 }, // Blocks per tick
+            yaw: angleToDegrees(details.yaw || 0),
+            pitch: angleToDegrees(details.pitch || 0),
+            headYaw: angleToDegrees(details.headYaw || 0),
+            onGround: false,
+            metadata: {}, // Metadata field name -> raw value
+            health: null,
+            customName: null,
+            pose: 'standing',
+            baby: false,
+            item: null, // Item stack of dropped items (and item frames, thrown items...)
+            equipment: {}, // Slot name -> item stack or null
+            attributes: {}, // Attribute name -> { value, modifiers }
+            lastMove: details.velocity ? this.clock() : null, // When the position or velocity last changed
+            lastUpdate: this.clock()
         });
     }
 
     /**
      * Update entity position
+     * @param {number} entityId
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {boolean} [onGround]
      */
-    updatePosition(entityId, x, y, z) {
+    updatePosition(entityId, x, y, z, onGround) {
         if (this.entities.has(entityId)) {
             const entity = this.entities.get(entityId);
+            const now = this.clock();
+            this.estimateVelocity(entity, { x, y, z }, now);
             entity.position = { x, y, z };
-            entity.lastUpdate = Date.now();
+            if (onGround !== undefined) entity.onGround = onGround;
+            entity.lastMove = now;
+            entity.lastUpdate = now;
+        }
+    }
+
+    /**
+     * Blend the motion since the previous update into the entity's velocity
+     * @param {object} entity
+     * @param {{x, y, z}} position - New position
+     * @param {number} now
+     */
+    estimateVelocity(entity, position, now) {
+        const dx = position.x - entity.position.x;
+        const dy = position.y - entity.position.y;
+        const dz = position.z - entity.position.z;
+        if (dx * dx + dy * dy + dz * dz > TELEPORT_DISTANCE * TELEPORT_DISTANCE) {
+            entity.velocity = { x: 0, y: 0, z: 0 };
+            return;
+        }
+
+        // After a pause the motion happened within the last few ticks, not across the whole pause
+        const since = entity.lastMove === null ? TICK_MS : now - entity.lastMove;
+        const ticks = Math.min(MAX_UPDATE_TICKS, Math.max(1, Math.round(since / TICK_MS)));
+        const previous = this.isMoving(entity, now) ? entity.velocity : { x: 0, y: 0, z: 0 };
+        const blend = (old, delta) => old + (delta / ticks - old) * VELOCITY_SMOOTHING;
+        entity.velocity = { x: blend(previous.x, dx), y: blend(previous.y, dy), z: blend(previous.z, dz) };
+    }
+
+    /**
+     * Whether an entity moved recently enough for its velocity to still apply
+     * @param {object} entity
+     * @param {number} now
+     * @returns {boolean}
+     */
+    isMoving(entity, now = this.clock()) {
+        return entity.lastMove !== null && now - entity.lastMove <= this.motionTimeout;
+    }
+
+    /**
+     * Where an entity will be, assuming it keeps its current velocity
+     * Positions are as of the last update, so the time since then is added to ticksAhead.
+     * @param {number} entityId
+     * @param {number} ticksAhead - Game ticks (50 ms) from now
+     * @returns {{x, y, z}|null} null for unknown entities
+     */
+    predictPosition(entityId, ticksAhead = 0) {
+        const entity = this.entities.get(entityId);
+        if (!entity) return null;
+
+        const now = this.clock();
+        if (!this.isMoving(entity, now)) return { ...entity.position };
+
+        const ticks = ticksAhead + (now - entity.lastMove) / TICK_MS;
+        return {
+            x: entity.position.x + entity.velocity.x * ticks,
+            y: entity.position.y + entity.velocity.y * ticks,
+            z: entity.position.z + entity.velocity.z * ticks
+        };
+    }
+
+    /**
+     * Update entity rotation
+     * @param {number} entityId
+     * @param {object} rotation - Any of { yaw, pitch, headYaw } (angle bytes) and { onGround }
+     */
+    updateRotation(entityId, { yaw, pitch, headYaw, onGround }) {
+        const entity = this.entities.get(entityId);
+        if (!entity) return;
+
+        if (yaw !== undefined) entity.yaw = angleToDegrees(yaw);
+        if (pitch !== undefined) entity.pitch = angleToDegrees(pitch);
+        if (headYaw !== undefined) entity.headYaw = angleToDegrees(headYaw);
+        if (onGround !== undefined) entity.onGround = onGround;
+        entity.lastUpdate = this.clock();
+    }
+
+    /**
+     * Update entity velocity
+     * @param {number} entityId
+     * @param {{x, y, z}} velocity - Blocks per tick
+     */
+    updateVelocity(entityId, velocity) {
+        const entity = this.entities.get(entityId);
+        if (!entity) return;
+
+        entity.velocity = velocity;
+        entity.lastMove = entity.lastUpdate = this.clock();
+    }
+
+    /**
+     * Apply Set Entity Metadata
+     * @param {number} entityId
+     * @param {Buffer} data - Metadata entries as sent
+     * @returns {boolean} false if some entries couldn't be decoded (see entity-data.js)
+     */
+    updateMetadata(entityId, data) {
+        const entity = this.entities.get(entityId);
+        if (!entity) return true;
+
+        const { entries, complete } = readEntityMetadata(data, this.registry);
+        const entityType = this.registry.getEntityType(entity.type);
+        for (const { index, value } of entries) {
+            const key = entityType && entityType.metadata[index] !== undefined ? entityType.metadata[index] : index;
+            entity.metadata[key] = value;
+        }
+
+        const metadata = entity.metadata;
+        if (metadata.health !== undefined) entity.health = metadata.health;
+        if (metadata.custom_name !== undefined) {
+            entity.customName = metadata.custom_name === null ? null : toPlainText(metadata.custom_name);
+        }
+        if (metadata.pose !== undefined) entity.pose = POSES[metadata.pose] || 'standing';
+        if (metadata.baby !== undefined) entity.baby = !!metadata.baby;
+        if (metadata.item !== undefined) entity.item = metadata.item;
+        entity.lastUpdate = this.clock();
+        return complete;
+    }
+
+    /**
+     * Apply Set Equipment
+     * @param {number} entityId
+     * @param {Buffer} data - Equipment entries as sent
+     * @returns {boolean} false if some slots couldn't be decoded
+     */
+    updateEquipment(entityId, data) {
+        const entity = this.entities.get(entityId);
+        if (!entity) return true;
+
+        const { equipment, complete } = readEquipment(data, this.registry);
+        Object.assign(entity.equipment, equipment);
+        entity.lastUpdate = this.clock();
+        return complete;
+    }
+
+    /**
+     * Apply Update Attributes
+     * @param {number} entityId
+     * @param {Array} attributes - [{ id, value, modifiers: [{ id, amount, operation }] }]
+     */
+    updateAttributes(entityId, attributes) {
+        const entity = this.entities.get(entityId);
+        if (!entity) return;
+
+        for (const { id, value, modifiers } of attributes) {
+            const name = this.registry.getAttributeName(id) || `attribute_${id}`;
+            entity.attributes[name] = { value, modifiers };
         }
+        entity.lastUpdate = this.clock();
     }
 
     /**
@@ -38,6 +259,45 @@ class EntityTracker {
         this.entities.delete(entityId);
     }
 
+    /**
+     * Drop the entities standing in a chunk (when the chunk unloads and dropOnChunkUnload is set)
+     * The server normally removes them itself; this catches the ones it leaves behind.
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @returns {Array<number>} Removed entity IDs
+     */
+    removeEntitiesInChunk(chunkX, chunkZ) {
+        const removed = [];
+        if (!this.dropOnChunkUnload) return removed;
+
+        for (const [id, entity] of this.entities) {
+            if (Math.floor(entity.position.x / 16) === chunkX && Math.floor(entity.position.z / 16) === chunkZ) {
+                this.entities.delete(id);
+                removed.push(id);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Drop entities that haven't been updated within maxAge (no-op without maxAge)
+     * Called by the queries below, so stale entries never show up in results.
+     * @returns {Array<number>} Removed entity IDs
+     */
+    pruneStale() {
+        const removed = [];
+        if (!this.maxAge) return removed;
+
+        const cutoff = this.clock() - this.maxAge;
+        for (const [id, entity] of this.entities) {
+            if (entity.lastUpdate < cutoff) {
+                this.entities.delete(id);
+                removed.push(id);
+            }
+        }
+        return removed;
+    }
+
     /**
      * Get entities near a position
      * @param {Object} position {x, y, z}
@@ -45,6 +305,7 @@ class EntityTracker {
      * @returns {Array} Array of nearby entities
      */
     getNearbyEntities(position, radius) {
+        this.pruneStale();
         const nearby = [];
         for (const [id, entity] of this.entities) {
             const dx = entity.position.x - position.x;
@@ -66,6 +327,7 @@ class EntityTracker {
      * @returns {Array} Entities in the path
      */
     getBlockingEntities(from, to, radius = 1.0) {
+        this.pruneStale();
         const blocking = [];
         for (const [id, entity] of this.entities) {
             // Check if entity is near the line from->to
@@ -0,0 +1,130 @@
+/**
+ * Entity path costs
+ * A snapshot of the entities around the bot as extra pathfinding cost per node, so paths go
+ * around crowds and mobs instead of walking into them and relying on obstacle avoidance.
+ *
+ *   - Hostile mobs: cost within avoidRadius, highest next to the mob
+ *   - Passive mobs, villagers, golems and players: a smaller cost where they stand
+ *   - Boats and minecarts: impassable where they stand
+ *
+ * Entities move, so a layer is only good for one path calculation; MovementAdvanced builds a
+ * new one every time it (re)plans.
+ */
+
+const { isHostile } = require('./threats');
+
+const PLAYER_HEIGHT = 1.8;
+const PLAYER_HALF_WIDTH = 0.3;
+
+// Categories that get in the way without attacking (bats and fish swim or fly around us).
+// 'hostile' only reaches this for neutral mobs that aren't angry; angry ones are avoided.
+const SOFT_CATEGORIES = ['animal', 'passive', 'mob', 'player', 'hostile'];
+
+/**
+ * Whether the bot can't walk through an entity
+ * @param {object} entity - From the entity tracker
+ * @returns {boolean}
+ */
+function isVehicle(entity) {
+    return /_boat$|_raft$|minecart$/.test(entity.name || '');
+}
+
+class EntityCostLayer {
+    /**
+     * @param {object} options
+     *   - avoidRadius: blocks around hostile mobs to avoid (default 4)
+     *   - hostileCost: extra cost next to a hostile mob, fading out at avoidRadius (default 10)
+     *   - softCost: extra cost for walking into a passive mob or player (default 3)
+     */
+    constructor(options = {}) {
+        this.avoidRadius = options.avoidRadius || 4;
+        this.hostileCost = options.hostileCost || 10;
+        this.softCost = options.softCost || 3;
+
+        this.costs = new Map(); // "x,y,z" (feet node) -> extra cost, Infinity when blocked
+    }
+
+    /**
+     * Build a layer from the tracked entities
+     * @param {EntityTracker} tracker
+     * @param {object} options - See constructor, plus ignore: entity IDs to leave out (such as a followed player)
+     * @returns {EntityCostLayer}
+     */
+    static fromTracker(tracker, options = {}) {
+        const layer = new EntityCostLayer(options);
+        const ignore = options.ignore || [];
+        tracker.pruneStale();
+        for (const entity of tracker.entities.values()) {
+            if (!ignore.includes(entity.id)) layer.addEntity(entity);
+        }
+        return layer;
+    }
+
+    /**
+     * Add an entity's cost to the nodes around it
+     * @param {object} entity - From the entity tracker
+     */
+    addEntity(entity) {
+        if (entity.pose === 'dying' || entity.health === 0) return;
+
+        if (isVehicle(entity)) {
+            this.forFootprint(entity, key => this.costs.set(key, Infinity));
+        } else if (isHostile(entity)) {
+            this.addAvoidance(entity.position);
+        } else if (SOFT_CATEGORIES.includes(entity.category)) {
+            this.forFootprint(entity, key => this.add(key, this.softCost));
+        }
+    }
+
+    /**
+     * Cost around a hostile mob, fading out with horizontal distance
+     */
+    addAvoidance(position) {
+        const r = this.avoidRadius;
+        const baseY = Math.floor(position.y);
+        for (let x = Math.floor(position.x - r); x <= Math.floor(position.x + r); x++) {
+            for (let z = Math.floor(position.z - r); z <= Math.floor(position.z + r); z++) {
+                const dist = Math.hypot(x + 0.5 - position.x, z + 0.5 - position.z);
+                if (dist >= r) continue;
+                const cost = this.hostileCost * (1 - dist / r);
+                for (let y = baseY - 2; y <= baseY + 2; y++) this.add(`${x},${y},${z}`, cost);
+            }
+        }
+    }
+
+    /**
+     * Call fn with the key of every node where the bot would overlap an entity's hitbox
+     */
+    forFootprint(entity, fn) {
+        const { x, y, z } = entity.position;
+        const half = (entity.width || 0.6) / 2 + PLAYER_HALF_WIDTH;
+        const height = entity.height || 1.8;
+
+        // Feet at node Y overlap the entity when Y is within (y - PLAYER_HEIGHT, y + height)
+        const minY = Math.floor(y - PLAYER_HEIGHT) + 1;
+        const maxY = Math.ceil(y + height) - 1;
+        for (let nx = Math.floor(x - half); nx <= Math.floor(x + half); nx++) {
+            for (let nz = Math.floor(z - half); nz <= Math.floor(z + half); nz++) {
+                for (let ny = minY; ny <= maxY; ny++) fn(`${nx},${ny},${nz}`);
+            }
+        }
+    }
+
+    add(key, cost) {
+        this.costs.set(key, (this.costs.get(key) || 0) + cost);
+    }
+
+    /**
+     * Extra cost of standing at a node
+     * @returns {number} 0 if nothing is around, Infinity if blocked
+     */
+    getCost(x, y, z) {
+        return this.costs.get(`${x},${y},${z}`) || 0;
+    }
+
+    get size() {
+        return this.costs.size;
+    }
+}
+
+module.exports = { EntityCostLayer, isVehicle };
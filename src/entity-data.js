@@ -0,0 +1,239 @@
+/**
+ * Entity data
+ * Entity type, item and attribute registries from src/data/entities/<protocol>.json
+ * (see scripts/generate-entities.js), and decoding of Set Entity Metadata / Set Equipment.
+ *
+ * Item stacks carry data components (enchantments, damage, custom names...) whose layouts
+ * differ per component type. They are not decoded: a stack with added components ends the
+ * decoding of its packet, keeping everything read up to and including that item's type and count.
+ */
+
+const { PacketReader } = require('./protocol/packet');
+
+const DEFAULT_PROTOCOL_VERSION = 773;
+
+// Entity poses, in ID order
+const POSES = [
+    'standing', 'fall_flying', 'sleeping', 'swimming', 'spin_attack', 'crouching',
+    'long_jumping', 'dying', 'croaking', 'using_tongue', 'sitting', 'roaring',
+    'sniffing', 'emerging', 'digging', 'sliding', 'shooting', 'inhaling'
+];
+
+// Equipment slots, in ID order (saddle since 1.21.5)
+const EQUIPMENT_SLOTS = ['mainhand', 'offhand', 'feet', 'legs', 'chest', 'head', 'body', 'saddle'];
+
+class EntityRegistry {
+    /**
+     * @param {object} table - Table from src/data/entities/<version>.json
+     */
+    constructor(table) {
+        this.protocolVersion = table.protocolVersion;
+        this.minecraftVersion = table.minecraftVersion;
+        this.metadataTypes = table.metadataTypes;
+        this.attributes = table.attributes;
+        this.items = table.items;
+        this.entities = table.entities.map((entity, id) => ({ id, ...entity }));
+        this.entitiesByName = new Map(this.entities.map(entity => [entity.name, entity]));
+    }
+
+    /**
+     * @param {number} typeId - Entity type ID from Spawn Entity
+     * @returns {object|null} { id, name, width, height, category, metadata }
+     */
+    getEntityType(typeId) {
+        return this.entities[typeId] || null;
+    }
+
+    /**
+     * @param {number} itemId
+     * @returns {string|null} e.g. 'diamond'
+     */
+    getItemName(itemId) {
+        return this.items[itemId] || null;
+    }
+
+    /**
+     * @param {number} attributeId
+     * @returns {string|null} e.g. 'max_health'
+     */
+    getAttributeName(attributeId) {
+        return this.attributes[attributeId] || null;
+    }
+}
+
+// Tables are immutable, so load each version once
+const registries = new Map();
+
+/**
+ * Get the entity registry for a protocol version
+ * @param {number} protocolVersion
+ * @returns {EntityRegistry}
+ */
+function getEntityRegistry(protocolVersion = DEFAULT_PROTOCOL_VERSION) {
+    if (!registries.has(protocolVersion)) {
+        let table;
+        try {
+            table = require(`./data/entities/${protocolVersion}.json`);
+        } catch (e) {
+            throw new Error(`No entity data for protocol version ${protocolVersion}`);
+        }
+        registries.set(protocolVersion, new EntityRegistry(table));
+    }
+    return registries.get(protocolVersion);
+}
+
+/**
+ * Thrown by value readers when the rest of the packet can't be located
+ * `value` holds what was decoded of the value that stopped us, if anything.
+ */
+class UndecodableValue extends Error {
+    constructor(message, value = undefined) {
+        super(message);
+        this.value = value;
+    }
+}
+
+/**
+ * Read an item stack
+ * @param {PacketReader} reader
+ * @param {EntityRegistry} registry
+ * @returns {{itemId: number, name: string|null, count: number}|null} null for an empty stack
+ */
+function readSlot(reader, registry) {
+    const count = reader.readVarInt();
+    if (count <= 0) return null;
+
+    const itemId = reader.readVarInt();
+    const item = { itemId, name: registry.getItemName(itemId), count };
+    const added = reader.readVarInt();
+    const removed = reader.readVarInt();
+    if (added > 0) {
+        throw new UndecodableValue(`${item.name || itemId} has data components`, item);
+    }
+    for (let i = 0; i < removed; i++) reader.readVarInt(); // Removed component types
+    return item;
+}
+
+/**
+ * Registry reference that may be inlined instead (ID + 1, or 0 followed by the definition)
+ */
+function readHolder(reader, type) {
+    const id = reader.readVarInt();
+    if (id === 0) throw new UndecodableValue(`Inline ${type}`);
+    return id - 1;
+}
+
+const readOptional = (read) => (reader, registry) => (reader.readBoolean() ? read(reader, registry) : null);
+const readVector = (names) => (reader) => Object.fromEntries(names.map(name => [name, reader.readFloat()]));
+
+// Serializer name -> value reader
+const METADATA_READERS = {
+    byte: (reader) => reader.readByte(),
+    int: (reader) => reader.readVarInt(),
+    long: (reader) => reader.readVarLong(),
+    float: (reader) => reader.readFloat(),
+    string: (reader) => reader.readString(),
+    component: (reader) => reader.readNBT(),
+    optional_component: readOptional((reader) => reader.readNBT()),
+    item_stack: readSlot,
+    boolean: (reader) => reader.readBoolean(),
+    rotations: readVector(['pitch', 'yaw', 'roll']),
+    block_pos: (reader) => reader.readPosition(),
+    optional_block_pos: readOptional((reader) => reader.readPosition()),
+    direction: (reader) => reader.readVarInt(),
+    optional_uuid: readOptional((reader) => reader.readUUID()),
+    block_state: (reader) => reader.readVarInt(),
+    optional_block_state: (reader) => reader.readVarInt() || null, // 0 = absent (air)
+    compound_tag: (reader) => reader.readNBT(),
+    villager_data: (reader) => ({
+        type: reader.readVarInt(),
+        profession: reader.readVarInt(),
+        level: reader.readVarInt()
+    }),
+    optional_unsigned_int: (reader) => {
+        const value = reader.readVarInt();
+        return value === 0 ? null : value - 1;
+    },
+    pose: (reader) => reader.readVarInt(),
+    // Inline wolf variants were dropped in 1.21.5; after that it's a plain registry ID
+    wolf_variant: (reader, registry) => (registry.protocolVersion < 770 ? readHolder(reader, 'wolf_variant') : reader.readVarInt()),
+    painting_variant: (reader) => readHolder(reader, 'painting_variant'),
+    optional_global_pos: readOptional((reader) => ({ dimension: reader.readString(), position: reader.readPosition() })),
+    vector3: readVector(['x', 'y', 'z']),
+    quaternion: readVector(['x', 'y', 'z', 'w'])
+};
+
+// Registry IDs and enums
+for (const type of [
+    'cat_variant', 'cow_variant', 'wolf_sound_variant', 'frog_variant', 'pig_variant', 'chicken_variant',
+    'sniffer_state', 'armadillo_state', 'copper_golem_state', 'weathering_copper_golem_state'
+]) {
+    METADATA_READERS[type] = (reader) => reader.readVarInt();
+}
+
+/**
+ * Decode Set Entity Metadata entries
+ * Particles and player profiles aren't decoded; like item components, they end the decoding.
+ * @param {Buffer} data - The packet's metadata (after the entity ID)
+ * @param {EntityRegistry} registry
+ * @returns {{entries: Array<{index: number, type: string, value: *}>, complete: boolean}}
+ */
+function readEntityMetadata(data, registry) {
+    const reader = new PacketReader(data);
+    const entries = [];
+
+    while (reader.remaining > 0) {
+        const index = reader.readUByte();
+        if (index === 0xFF) return { entries, complete: true };
+
+        const typeId = reader.readVarInt();
+        const type = registry.metadataTypes[typeId] || `unknown_${typeId}`;
+        const read = METADATA_READERS[type];
+        if (!read) return { entries, complete: false };
+
+        try {
+            entries.push({ index, type, value: read(reader, registry) });
+        } catch (err) {
+            if (!(err instanceof UndecodableValue)) throw err;
+            if (err.value !== undefined) entries.push({ index, type, value: err.value });
+            return { entries, complete: false };
+        }
+    }
+    return { entries, complete: false };
+}
+
+/**
+ * Decode Set Equipment entries (slot byte with 0x80 set when another entry follows, then an item stack)
+ * @param {Buffer} data - The packet's equipment list (after the entity ID)
+ * @param {EntityRegistry} registry
+ * @returns {{equipment: object, complete: boolean}} equipment is slot name -> item stack or null
+ */
+function readEquipment(data, registry) {
+    const reader = new PacketReader(data);
+    const equipment = {};
+
+    let more = true;
+    while (more && reader.remaining > 0) {
+        const slotByte = reader.readUByte();
+        more = (slotByte & 0x80) !== 0;
+        const slot = EQUIPMENT_SLOTS[slotByte & 0x7F] || `slot_${slotByte & 0x7F}`;
+
+        try {
+            equipment[slot] = readSlot(reader, registry);
+        } catch (err) {
+            if (!(err instanceof UndecodableValue)) throw err;
+            equipment[slot] = err.value;
+            return { equipment, complete: false };
+        }
+    }
+    return { equipment, complete: !more };
+}
+
+module.exports = {
+    POSES,
+    EQUIPMENT_SLOTS,
+    EntityRegistry,
+    getEntityRegistry,
+    readEntityMetadata,
+    readEquipment
+};
@@ -41,7 +41,9 @@ function setLogLevel(level) {
     } else {
         currentLevel = level;
     }
-    console.log(`[Logger] Log level set to: ${Object.keys(LOG_LEVELS).find(k => LOG_LEVELS[k] === currentLevel)}`);
+    if (currentLevel >= LOG_LEVELS.INFO) {
+        console.log(`[Logger] Log level set to: ${Object.keys(LOG_LEVELS).find(k => LOG_LEVELS[k] === currentLevel)}`);
+    }
 }
 
 function getCategory(message) {
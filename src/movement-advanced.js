@@ -2,12 +2,10 @@
  * Advanced Movement Controller with Intelligent Navigation
  */
 
-const { PacketWriter } = require('./protocol/packet');
 const { AdvancedPathfinder } = require('./pathfinder-advanced');
+const { EntityCostLayer } = require('./entity-costs');
 const { logger } = require('./logger');
 
-const C2S_SET_PLAYER_POSITION_AND_ROTATION = 0x1E;
-
 class MovementAdvanced {
     constructor(client, connection, world) {
         this.client = client;
@@ -28,6 +26,7 @@ class MovementAdvanced {
         this.drag = 0.98;
         this.maxFallSpeed = 3.92;
         this.jumpVelocity = 0.42;
+        this.stepHeight = 0.6;
 
         this.velocity = { x: 0, y: 0, z: 0 };
         this.onGround = true;
@@ -51,9 +50,31 @@ class MovementAdvanced {
 
         // Feature 5: Movement smoothing
         this.maxTurnSpeed = 18; // degrees per tick
+
+        // Route around mobs, players and vehicles (see entity-costs.js)
+        this.avoidEntities = true;
+        this.entityCosts = {}; // { avoidRadius, hostileCost, softCost }
+
+        // Fleeing from threats (see threats.js); the interrupted goal resumes afterwards
+        this.fleeing = false;
+        this.fleeDistance = 16;
+        this.resumeTarget = null;
     }
 
+    /**
+     * Navigate to a position
+     * A goal set from outside replaces a flee in progress, so endFlee() won't bring back the old one.
+     */
     async goto(x, y, z) {
+        this.fleeing = false;
+        this.resumeTarget = null;
+        return this.navigate(x, y, z);
+    }
+
+    /**
+     * Navigate without touching the flee state (flee() uses this directly)
+     */
+    async navigate(x, y, z) {
         if (!this.client.position) {
             logger.error('[Movement] Cannot navigate: position unknown');
             return;
@@ -67,20 +88,106 @@ class MovementAdvanced {
         logger.info(`[Movement] 🎯 Navigating to (${x.toFixed(0)}, ${y.toFixed(0)}, ${z.toFixed(0)}) - ${distance.toFixed(0)}m`);
 
         await this.calculatePath();
+        if (!this.isMoving) return; // No path
 
         if (this.moveInterval) clearInterval(this.moveInterval);
         this.moveInterval = setInterval(() => this.tick(), this.tickRate);
 
         if (this.pathRecalcTimer) clearInterval(this.pathRecalcTimer);
         this.pathRecalcTimer = setInterval(() => {
-            if (this.isMoving && this.path.length > 0) this.calculatePath();
+            if (this.isMoving && this.path.length > 0) this.replan();
         }, this.recalcInterval);
 
         logger.info(`[Movement] ✓ Navigation started`);
     }
 
+    /**
+     * Run away from threats: navigate to walkable ground away from them
+     * Whatever the bot was travelling to is resumed by endFlee().
+     * @param {Array<{position, weight}>} threats - Positions to get away from, weighted by danger
+     * @returns {boolean} false if there's nowhere to go
+     */
+    flee(threats) {
+        if (!this.client.position || threats.length === 0) return false;
+
+        const target = this.findFleeTarget(threats);
+        if (!target) {
+            logger.debug('[Movement] Nowhere to flee to');
+            return false;
+        }
+
+        if (!this.fleeing) {
+            this.resumeTarget = this.isMoving && this.targetPosition ? { ...this.targetPosition } : null;
+            this.fleeing = true;
+        }
+        logger.info(`[Movement] Fleeing to (${target.x}, ${target.y}, ${target.z})`);
+        this.navigate(target.x, target.y, target.z)
+            .catch(err => logger.error(`[Movement] Cannot flee: ${err.message}`));
+        return true;
+    }
+
+    /**
+     * Stop fleeing and go back to the interrupted goal, if any
+     */
+    endFlee() {
+        if (!this.fleeing) return;
+
+        const resume = this.resumeTarget;
+        this.fleeing = false;
+        this.resumeTarget = null;
+        if (resume) {
+            logger.info('[Movement] Danger gone - resuming');
+            this.goto(resume.x, resume.y, resume.z)
+                .catch(err => logger.error(`[Movement] Cannot resume: ${err.message}`));
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Pick a flee destination: fleeDistance away from the weighted threat direction,
+     * trying directions further off it until one has ground and ends up further from every threat
+     * @param {Array<{position, weight}>} threats
+     * @returns {{x, y, z}|null}
+     */
+    findFleeTarget(threats) {
+        const pos = this.client.position;
+        const nearestThreat = (point) => Math.min(...threats.map(({ position }) =>
+            Math.hypot(position.x - point.x, position.z - point.z)));
+
+        // Sum of directions away from each threat, closer and worse threats counting more
+        let awayX = 0, awayZ = 0;
+        for (const { position, weight = 1 } of threats) {
+            const dx = pos.x - position.x, dz = pos.z - position.z;
+            const distSq = Math.max(dx * dx + dz * dz, 0.25);
+            awayX += dx / distSq * weight;
+            awayZ += dz / distSq * weight;
+        }
+        const baseAngle = awayX === 0 && awayZ === 0
+            ? (this.yaw - 90) * Math.PI / 180 // Threat on top of us: back away from where we face
+            : Math.atan2(awayZ, awayX);
+
+        const current = nearestThreat(pos);
+        for (const offset of [0, 30, -30, 60, -60, 90, -90, 135, -135]) {
+            const angle = baseAngle + offset * Math.PI / 180;
+            const x = Math.floor(pos.x + Math.cos(angle) * this.fleeDistance);
+            const z = Math.floor(pos.z + Math.sin(angle) * this.fleeDistance);
+            if (!this.world.isChunkLoaded(Math.floor(x / 16), Math.floor(z / 16))) continue;
+
+            const y = this.world.findFloorBelow(x, pos.y + 4, z, 12);
+            if (y === -1 || this.world.isLava(x, y, z) || this.world.isLava(x, y - 1, z)) continue;
+            if (nearestThreat({ x: x + 0.5, z: z + 0.5 }) > current) return { x: x + 0.5, y, z: z + 0.5 };
+        }
+        return null;
+    }
+
     async calculatePath() {
-        if (!this.targetPosition) return;
+        const target = this.targetPosition;
+        if (!target) return;
+
+        // The search itself never reads the chunk cache - bring the route's saved chunks in first
+        await this.world.loadRememberedChunks(this.client.position, target);
+        if (this.targetPosition !== target) return; // Stopped or sent elsewhere meanwhile
 
         const start = {
             x: Math.floor(this.client.position.x),
@@ -93,10 +200,14 @@ class MovementAdvanced {
             z: Math.floor(this.targetPosition.z)
         };
 
-        const path = this.pathfinder.findPath(start, goal);
+        // Entities move, so their costs are rebuilt on every (re)plan
+        const costLayer = this.avoidEntities && this.client.entityTracker
+            ? EntityCostLayer.fromTracker(this.client.entityTracker, this.entityCosts)
+            : null;
+        const path = this.pathfinder.findPath(start, goal, { costLayer });
         if (!path || path.length === 0) {
             logger.error('[Movement] ✗ No path found!');
-            this.stop();
+            this.giveUp();
             return;
         }
 
@@ -106,6 +217,33 @@ class MovementAdvanced {
         logger.info(`[Movement] ✓ Path: ${path.length} waypoints`);
     }
 
+    /**
+     * Recalculate the path without waiting for it (from timers, ticks and block updates)
+     */
+    replan() {
+        this.calculatePath()
+            .catch(err => logger.error(`[Movement] Path calculation failed: ${err.message}`));
+    }
+
+    /**
+     * Recalculate the path if a changed block is part of what's left of it
+     * (the floor, feet or head space of a waypoint)
+     * @param {object} update - blockUpdate event ({ position, oldState, newState })
+     */
+    onBlockUpdate({ position }) {
+        if (!this.isMoving || this.path.length === 0) return;
+
+        for (let i = this.currentPathIndex; i < this.path.length; i++) {
+            const node = this.path[i];
+            if (node.x === position.x && node.z === position.z &&
+                position.y >= node.y - 1 && position.y <= node.y + 1) {
+                logger.info(`[Movement] Block changed on path at (${position.x}, ${position.y}, ${position.z}) - recalculating`);
+                this.replan();
+                return;
+            }
+        }
+    }
+
     tick() {
         if (this.movementCooldown > 0) {
             this.movementCooldown--;
@@ -115,11 +253,16 @@ class MovementAdvanced {
 
         if (this.client.awaitingTeleport) return;
         if (!this.isMoving || !this.targetPosition || !this.client.position) {
-            this.stop();
+            this.giveUp();
             return;
         }
 
         const distToTarget = this.distance3D(this.client.position, this.targetPosition);
+        if (distToTarget < 1.5 && this.fleeing) {
+            // Hold here; the threat monitor flees further or ends the flee
+            this.halt();
+            return;
+        }
         if (distToTarget < 1.5) {
             logger.info('[Movement] ✓ Arrived!');
             this.stop();
@@ -128,7 +271,7 @@ class MovementAdvanced {
         }
 
         if (this.currentPathIndex >= this.path.length) {
-            this.calculatePath();
+            this.replan();
             return;
         }
 
@@ -153,7 +296,9 @@ class MovementAdvanced {
 
         if (this.currentPathIndex + 1 < this.path.length) {
             const next = this.path[this.currentPathIndex + 1];
-            if (next.y - this.client.position.y > 0.5 && this.onGround) {
+            // Path nodes say whether they need a jump (stairs and slabs are stepped up)
+            const needsJump = next.jump !== undefined ? next.jump : next.y - this.client.position.y > 0.5;
+            if (needsJump && this.onGround) {
                 this.jumpQueued = true;
             }
         }
@@ -202,7 +347,7 @@ class MovementAdvanced {
                 logger.info('[Movement] Skipping to next waypoint');
                 this.currentPathIndex++;
             } else {
-                this.calculatePath();
+                this.replan();
             }
         }
     }
@@ -309,7 +454,7 @@ class MovementAdvanced {
         // Step-up
         if ((Math.abs(finalMoveX) < Math.abs(moveX) * 0.5 || Math.abs(finalMoveZ) < Math.abs(moveZ) * 0.5) && this.onGround) {
             const saved = { ...aabb };
-            aabb.minY += 0.6; aabb.maxY += 0.6;
+            aabb.minY += this.stepHeight; aabb.maxY += this.stepHeight;
             const steppedBoxes = this.getCollisionBoxes(aabb);
 
             const stepX = this.sweepAxisX(aabb, steppedBoxes, moveX);
@@ -319,7 +464,7 @@ class MovementAdvanced {
                 aabb.minX = saved.minX + stepX; aabb.maxX = saved.maxX + stepX;
                 aabb.minZ = saved.minZ + stepZ; aabb.maxZ = saved.maxZ + stepZ;
                 const landBoxes = this.getCollisionBoxes(aabb);
-                const stepDown = this.sweepAxisY(aabb, landBoxes, -0.6);
+                const stepDown = this.sweepAxisY(aabb, landBoxes, -this.stepHeight);
                 aabb.minY += stepDown; aabb.maxY += stepDown;
                 finalMoveX = stepX; finalMoveZ = stepZ;
             } else {
@@ -367,11 +512,12 @@ class MovementAdvanced {
 
     getCollisionBoxes(aabb) {
         const boxes = [];
+        // One block of margin: fences and walls reach 0.5 into the block above
         for (let x = Math.floor(aabb.minX) - 1; x <= Math.floor(aabb.maxX) + 1; x++) {
             for (let y = Math.floor(aabb.minY) - 1; y <= Math.floor(aabb.maxY) + 1; y++) {
                 for (let z = Math.floor(aabb.minZ) - 1; z <= Math.floor(aabb.maxZ) + 1; z++) {
-                    if (this.world.isSolid(x, y, z)) {
-                        boxes.push({ minX: x, maxX: x + 1, minY: y, maxY: y + 1, minZ: z, maxZ: z + 1 });
+                    for (const box of this.world.getCollisionBoxes(x, y, z)) {
+                        boxes.push(box);
                     }
                 }
             }
@@ -414,10 +560,10 @@ class MovementAdvanced {
 
     sendPosition(x, y, z, yaw, pitch, onGround) {
         if (this.client.awaitingTeleport || this.movementCooldown > 0) return;
-        const packet = new PacketWriter(C2S_SET_PLAYER_POSITION_AND_ROTATION)
-            .writeDouble(x).writeDouble(y).writeDouble(z)
-            .writeFloat(yaw).writeFloat(pitch).writeBoolean(onGround);
-        this.connection.send(packet.buildData());
+        this.connection.sendPacket('set_player_position_and_rotation', {
+            x, y, z, yaw, pitch,
+            flags: onGround ? 0x01 : 0x00
+        });
     }
 
     serverPositionReset() {
@@ -433,13 +579,31 @@ class MovementAdvanced {
     }
 
     stop() {
+        this.fleeing = false;
+        this.resumeTarget = null;
+        this.halt();
+        logger.info('[Movement] Stopped');
+    }
+
+    /**
+     * Stop after navigation failed
+     * While fleeing, only halt: the threat monitor plans a new flee and endFlee() still resumes the goal.
+     */
+    giveUp() {
+        if (this.fleeing) this.halt();
+        else this.stop();
+    }
+
+    /**
+     * Stop moving without giving up a flee in progress
+     */
+    halt() {
         this.isMoving = false;
         this.targetPosition = null;
         this.path = [];
         this.jumpQueued = false;
         if (this.moveInterval) { clearInterval(this.moveInterval); this.moveInterval = null; }
         if (this.pathRecalcTimer) { clearInterval(this.pathRecalcTimer); this.pathRecalcTimer = null; }
-        logger.info('[Movement] Stopped');
     }
 }
 
@@ -126,12 +126,12 @@ class Movement {
         if (!current) return { valid: false, reason: 'Unknown position' };
 
         // Check if target is buried (too low)
-        if (y < -60) {
+        if (y < this.world.minY + 4) {
             return { valid: false, reason: `Target too low (Y=${y}) - may be underground/void` };
         }
 
         // Check if target is too high (above build limit)
-        if (y > 320) {
+        if (y > this.world.minY + this.world.height) {
             return { valid: false, reason: `Target too high (Y=${y}) - above build limit` };
         }
 
@@ -365,9 +365,7 @@ class Movement {
             // Timeout check every 100 iterations
             if (iterations % 100 === 0 && Date.now() - startTime > maxTime) {
                 console.log(`[Movement] Pathfinding timeout after ${iterations} iterations`);
-                if (this.client.chat) {
-                    this.client.chat(`Pathfinding taking too long, using direct route...`);
-                }
+                this.announce(`Pathfinding taking too long, using direct route...`);
                 return this.createDirectPath(start, goal);
             }
 
@@ -421,12 +419,21 @@ class Movement {
 
         // Fallback: try simple direct path anyway
         console.log('[Movement] Attempting fallback direct path');
-        if (this.client.chat) {
-            this.client.chat(`Complex path, attempting direct route...`);
-        }
+        this.announce(`Complex path, attempting direct route...`);
         return this.createDirectPath(start, goal);
     }
 
+    /**
+     * Say something in chat, ignoring send failures (e.g. the queue was cleared on disconnect)
+     * @param {string} text
+     */
+    announce(text) {
+        if (!this.client.chat) return;
+        Promise.resolve(this.client.chat(text)).catch((err) => {
+            logger.warn(`[Movement] Chat not sent: ${err.message}`);
+        });
+    }
+
     /**
      * Create a simple direct path (fallback when A* fails)
      */
@@ -8,11 +8,18 @@ class AdvancedPathfinder {
     constructor(world) {
         this.world = world;
         this.jumpHeight = 1.25;
+        this.stepHeight = 0.6;
         this.maxFallDistance = 3;
         this.nodeExpansionLimit = 20000;
         this.waypointDistance = 50;
     }
 
+    /**
+     * @param {object} start
+     * @param {object} goal
+     * @param {object} options - maxNodes, timeout, costLayer (EntityCostLayer)
+     * @returns {Array|null}
+     */
     findPath(start, goal, options = {}) {
         const distance = this.distance3D(start, goal);
         if (distance < 100) {
@@ -82,15 +89,15 @@ class AdvancedPathfinder {
                 z: Math.floor(start.z + (goal.z - start.z) * t)
             };
 
-            // Fix 6: Dynamic waypoint snapping - check if chunk is loaded first
+            // Fix 6: Dynamic waypoint snapping - check if chunk is loaded (or remembered from the chunk cache) first
             const chunkX = Math.floor(waypoint.x / 16);
             const chunkZ = Math.floor(waypoint.z / 16);
 
-            if (this.world.isChunkLoaded(chunkX, chunkZ)) {
-                const groundY = this.world.findFloorBelow(waypoint.x, waypoint.y + 5, waypoint.z, 20);
+            if (this.world.isChunkKnown(chunkX, chunkZ)) {
+                const groundY = this.world.findFloorBelow(waypoint.x, waypoint.y + 5, waypoint.z, 20, true);
                 if (groundY !== -1) waypoint.y = groundY;
             }
-            // If chunk not loaded, keep interpolated Y (waypoint.y stays as linear interpolation)
+            // If chunk not known, keep interpolated Y (waypoint.y stays as linear interpolation)
 
             waypoints.push(waypoint);
         }
@@ -167,7 +174,7 @@ class AdvancedPathfinder {
                 break;
             }
 
-            const neighbors = this.getNeighbors(current.pos);
+            const neighbors = this.getNeighbors(current.pos, options.costLayer);
 
             // Debug: Log first few expansions
             if (nodesExpanded <= 3) {
@@ -199,7 +206,13 @@ class AdvancedPathfinder {
     }
 
 
-    getNeighbors(pos) {
+    /**
+     * Nodes reachable from pos in one move
+     * @param {object} pos
+     * @param {EntityCostLayer} [costLayer] - Extra cost from nearby entities (see entity-costs.js)
+     * @returns {Array<{pos, cost, action}>}
+     */
+    getNeighbors(pos, costLayer = null) {
         const neighbors = [];
         const directions = [
             { dx: 1, dz: 0 }, { dx: -1, dz: 0 }, { dx: 0, dz: 1 }, { dx: 0, dz: -1 },
@@ -224,11 +237,18 @@ class AdvancedPathfinder {
                 neighbors.push({ pos: down, cost: 1.2, action: 'climb_down' });
             }
         }
-        return neighbors;
+
+        if (!costLayer) return neighbors;
+        return neighbors.filter(neighbor => {
+            neighbor.cost += costLayer.getCost(neighbor.pos.x, neighbor.pos.y, neighbor.pos.z);
+            return neighbor.cost !== Infinity;
+        });
     }
 
     tryMove(from, targetX, targetZ, neighbors) {
         const sameLevel = { x: targetX, y: from.y, z: targetZ };
+        let fromHeight = this.world.getStandingHeight(from.x, from.y, from.z, true);
+        if (fromHeight === null) fromHeight = from.y;
 
         // Feature 4: Hazard avoidance - skip lava entirely
         if (this.world.isLava && this.world.isLava(sameLevel.x, sameLevel.y, sameLevel.z)) {
@@ -236,7 +256,8 @@ class AdvancedPathfinder {
         }
 
         // Use pathfindingMode=true to allow routing through unloaded chunks
-        if (this.world.isWalkable(sameLevel.x, sameLevel.y, sameLevel.z, true)) {
+        const sameHeight = this.world.getStandingHeight(sameLevel.x, sameLevel.y, sameLevel.z, true);
+        if (sameHeight !== null) {
             let cost = this.world.getMovementCost(sameLevel.x, sameLevel.y, sameLevel.z);
 
             // High cost for water (but allow if needed)
@@ -244,19 +265,28 @@ class AdvancedPathfinder {
                 cost += 8.0; // Prefer dry land
             }
 
-            neighbors.push({ pos: sameLevel, cost, action: 'walk' });
+            // Onto a slab from the floor is a step; onto a fence-height block needs a jump
+            const rise = sameHeight - fromHeight;
+            if (this.canStepUp(fromHeight, sameLevel, sameHeight)) {
+                neighbors.push({ pos: { ...sameLevel, feetY: sameHeight, jump: false }, cost, action: 'walk' });
+            } else if (rise <= this.jumpHeight && this.world.canJump(from.x, from.y, from.z)) {
+                neighbors.push({ pos: { ...sameLevel, feetY: sameHeight, jump: true }, cost: 1.3 * cost, action: 'jump' });
+            }
         }
 
-        if (this.world.canJump(from.x, from.y, from.z)) {
-            const jumpUp = { x: targetX, y: from.y + 1, z: targetZ };
+        const jumpUp = { x: targetX, y: from.y + 1, z: targetZ };
 
-            // Skip lava for jumps too
-            if (this.world.isLava && this.world.isLava(jumpUp.x, jumpUp.y, jumpUp.z)) {
-                // Don't add this neighbor
-            } else if (this.world.isWalkable(jumpUp.x, jumpUp.y, jumpUp.z, true)) {
-                let cost = 1.3 * this.world.getMovementCost(jumpUp.x, jumpUp.y, jumpUp.z);
+        // Skip lava for jumps too
+        if (!(this.world.isLava && this.world.isLava(jumpUp.x, jumpUp.y, jumpUp.z))) {
+            const upHeight = this.world.getStandingHeight(jumpUp.x, jumpUp.y, jumpUp.z, true);
+            const rise = upHeight === null ? Infinity : upHeight - fromHeight;
+            // Stairs and slab-to-block are a step up; a full block or more needs a jump (fences are too high)
+            const stepping = upHeight !== null && this.canStepUp(fromHeight, jumpUp, upHeight);
+
+            if (stepping || (rise <= this.jumpHeight && this.world.canJump(from.x, from.y, from.z))) {
+                let cost = (stepping ? 1.0 : 1.3) * this.world.getMovementCost(jumpUp.x, jumpUp.y, jumpUp.z);
                 if (this.world.isFluid(jumpUp.x, jumpUp.y, jumpUp.z)) cost += 8.0;
-                neighbors.push({ pos: jumpUp, cost, action: 'jump' });
+                neighbors.push({ pos: { ...jumpUp, feetY: upHeight, jump: !stepping }, cost, action: stepping ? 'walk' : 'jump' });
             }
         }
 
@@ -268,17 +298,37 @@ class AdvancedPathfinder {
                 break; // Don't fall into lava
             }
 
-            if (!this.world.isSolid(fallDown.x, fallDown.y - 1, fallDown.z, true)) continue;
-            if (this.world.isWalkable(fallDown.x, fallDown.y, fallDown.z, true)) {
+            // Keep falling through empty space; a bottom slab in the feet block is already a floor
+            if (!this.world.isSolid(fallDown.x, fallDown.y - 1, fallDown.z, true) &&
+                !this.world.isSolid(fallDown.x, fallDown.y, fallDown.z, true)) continue;
+            const fallHeight = this.world.getStandingHeight(fallDown.x, fallDown.y, fallDown.z, true);
+            if (fallHeight !== null) {
                 let cost = (1.0 + fall * 0.2) * this.world.getMovementCost(fallDown.x, fallDown.y, fallDown.z);
                 if (this.world.isFluid(fallDown.x, fallDown.y, fallDown.z)) cost += 8.0;
-                neighbors.push({ pos: fallDown, cost, action: `fall_${fall}` });
+                neighbors.push({ pos: { ...fallDown, feetY: fallHeight, jump: false }, cost, action: `fall_${fall}` });
                 break;
             }
             break;
         }
     }
 
+    /**
+     * Check if the bot can walk up to a standing height without jumping
+     * Stairs climb a full block in two steps: onto the low half, then the high half.
+     * @param {number} fromHeight - Current feet Y
+     * @param {object} pos - Target node
+     * @param {number} height - Feet Y at the target
+     * @returns {boolean}
+     */
+    canStepUp(fromHeight, pos, height) {
+        if (height - fromHeight <= this.stepHeight) return true;
+
+        const boxes = this.world.getCollisionBoxes(pos.x, pos.y - 1, pos.z, true)
+            .concat(this.world.getCollisionBoxes(pos.x, pos.y, pos.z, true));
+        const lowest = Math.min(...boxes.map(box => box.maxY).filter(top => top > fromHeight));
+        return lowest - fromHeight <= this.stepHeight && height - lowest <= this.stepHeight;
+    }
+
     /**
      * Fix 2: Find nearby walkable position (radial search with pathfinding mode)
      */
@@ -0,0 +1,128 @@
+/**
+ * Player List
+ * Tracks online players from Player Info Update/Remove packets, and which
+ * entity each one is while it's within view
+ */
+
+class PlayerList {
+    constructor() {
+        this.players = new Map(); // uuid -> player info
+    }
+
+    /**
+     * Apply one Player Info Update entry
+     * @param {string} uuid
+     * @param {object} update - Fields present in the packet for this entry
+     * @returns {object} The updated player record
+     */
+    update(uuid, update) {
+        let player = this.players.get(uuid);
+        if (!player) {
+            player = {
+                uuid,
+                name: null,
+                properties: [],
+                gameMode: 0,
+                listed: false,
+                latency: 0,
+                displayName: null,
+                listOrder: 0,
+                showHat: true,
+                chatSession: null,
+                entityId: null // Set while the player's entity is spawned for us
+            };
+            this.players.set(uuid, player);
+        }
+
+        Object.assign(player, update);
+        return player;
+    }
+
+    /**
+     * Remove a player
+     * @param {string} uuid
+     * @returns {object|undefined} The removed player record
+     */
+    remove(uuid) {
+        const player = this.players.get(uuid);
+        this.players.delete(uuid);
+        return player;
+    }
+
+    /**
+     * Link a player to its entity, or unlink it with null
+     * @param {string} uuid
+     * @param {number|null} entityId
+     * @returns {object|undefined} The player record, if the player is listed
+     */
+    setEntity(uuid, entityId) {
+        const player = this.players.get(uuid);
+        if (player) player.entityId = entityId;
+        return player;
+    }
+
+    /**
+     * Find the player an entity belongs to
+     * @param {number} entityId
+     * @returns {object|undefined}
+     */
+    getByEntity(entityId) {
+        for (const player of this.players.values()) {
+            if (player.entityId === entityId) return player;
+        }
+        return undefined;
+    }
+
+    /**
+     * Unlink all entities (they're gone after a dimension change)
+     */
+    clearEntities() {
+        for (const player of this.players.values()) player.entityId = null;
+    }
+
+    /**
+     * Get player by UUID
+     * @param {string} uuid
+     */
+    get(uuid) {
+        return this.players.get(uuid);
+    }
+
+    /**
+     * Find a player by username (case-insensitive)
+     * @param {string} name
+     */
+    getByName(name) {
+        const lower = name.toLowerCase();
+        for (const player of this.players.values()) {
+            if (player.name && player.name.toLowerCase() === lower) return player;
+        }
+        return undefined;
+    }
+
+    /**
+     * Resolve a UUID to a username
+     * @param {string} uuid
+     * @returns {string|null}
+     */
+    resolveName(uuid) {
+        const player = this.players.get(uuid);
+        return player ? player.name : null;
+    }
+
+    /**
+     * Get total player count
+     */
+    getPlayerCount() {
+        return this.players.size;
+    }
+
+    /**
+     * Clear all players
+     */
+    clear() {
+        this.players.clear();
+    }
+}
+
+module.exports = { PlayerList };
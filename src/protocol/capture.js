@@ -0,0 +1,130 @@
+/**
+ * Packet capture files
+ *
+ * One JSON object per line: a header, then one record per frame in either direction.
+ * Payloads are stored decrypted and decompressed, without the packet ID, as base64:
+ *   { "format": 1, "protocolVersion": 773, "startedAt": 1700000000000 }
+ *   { "time": 12, "direction": "toClient", "state": "login", "packetId": 2, "data": "..." }
+ * `time` is milliseconds since startedAt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+const CAPTURE_FORMAT = 1;
+
+class PacketCapture {
+    /**
+     * Start a capture file (overwrites an existing one)
+     * @param {string} file
+     * @param {object} options - { protocolVersion }
+     */
+    constructor(file, options = {}) {
+        this.file = file;
+        this.startedAt = Date.now();
+        this.count = 0;
+
+        this.stream = fs.createWriteStream(file);
+        this.stream.on('error', (err) => {
+            logger.error(`[Capture] Cannot write ${file}: ${err.message}`);
+            this.stream = null;
+        });
+
+        this.writeLine({
+            format: CAPTURE_FORMAT,
+            protocolVersion: options.protocolVersion,
+            startedAt: this.startedAt
+        });
+        logger.info(`[Capture] Recording packets to ${file}`);
+    }
+
+    /**
+     * Record one frame
+     * @param {string} direction - 'toClient' or 'toServer'
+     * @param {string} state - Protocol state the frame was sent/received in
+     * @param {number} packetId
+     * @param {Buffer} data - Payload after the packet ID
+     */
+    record(direction, state, packetId, data) {
+        this.count++;
+        this.writeLine({
+            time: Date.now() - this.startedAt,
+            direction,
+            state,
+            packetId,
+            data: data.toString('base64')
+        });
+    }
+
+    writeLine(object) {
+        if (this.stream) {
+            this.stream.write(JSON.stringify(object) + '\n');
+        }
+    }
+
+    /**
+     * Flush and close the file
+     * @returns {Promise<void>}
+     */
+    close() {
+        const stream = this.stream;
+        this.stream = null;
+        if (!stream) return Promise.resolve();
+
+        logger.debug(`[Capture] Recorded ${this.count} packets to ${this.file}`);
+        return new Promise(resolve => stream.end(resolve));
+    }
+}
+
+/**
+ * Read a capture file
+ * @param {string} file
+ * @returns {{header: object, records: Array<{time, direction, state, packetId, data: Buffer}>}}
+ */
+function readCapture(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    if (lines.length === 0) {
+        throw new Error(`${file}: empty capture`);
+    }
+
+    const parse = (line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            throw new Error(`${file}:${index + 1}: invalid capture line (${e.message})`);
+        }
+    };
+
+    const header = parse(lines[0], 0);
+    if (header.format !== CAPTURE_FORMAT) {
+        throw new Error(`${file}: unsupported capture format ${header.format}`);
+    }
+
+    const records = lines.slice(1).map((line, index) => {
+        const record = parse(line, index + 1);
+        return { ...record, data: Buffer.from(record.data, 'base64') };
+    });
+
+    return { header, records };
+}
+
+/**
+ * Name a new capture file for one session (the directory is created if missing)
+ * @param {string|null} directory - Where captures go (null = no capture)
+ * @param {string} name - e.g. the bot's username
+ * @returns {string|null} <directory>/<name>-<time>.jsonl, or null without a directory
+ */
+function captureFile(directory, name) {
+    if (!directory) return null;
+
+    fs.mkdirSync(directory, { recursive: true });
+    return path.join(directory, `${name}-${Date.now()}.jsonl`);
+}
+
+module.exports = {
+    PacketCapture,
+    captureFile,
+    readCapture,
+    CAPTURE_FORMAT
+};
@@ -7,10 +7,19 @@ const net = require('net');
 const zlib = require('zlib');
 const { readVarInt, writeVarInt, varIntLength } = require('./varint');
 const { PacketReader } = require('./packet');
+const { createCipherPair } = require('./encryption');
+const { getRegistry } = require('./registry');
 const { logger } = require('../logger');
 
 class Connection {
-    constructor(host, port) {
+    /**
+     * @param {string} host
+     * @param {number} port
+     * @param {object} options - { registry, capture }
+     *   registry: packet registry (defaults to protocol 773)
+     *   capture: PacketCapture recording every frame in both directions
+     */
+    constructor(host, port, options = {}) {
         this.host = host;
         this.port = port;
         this.socket = null;
@@ -18,7 +27,12 @@ class Connection {
         this.compressionThreshold = -1;
         this.state = 'handshaking'; // handshaking, login, configuration, play
         this.packetHandlers = new Map();
+        this.registry = options.registry || getRegistry();
         this.connected = false;
+        this.cipher = null;   // AES/CFB8 streams, set once encryption is enabled
+        this.decipher = null;
+        this.capture = options.capture || null;
+        this.closeHandlers = [];
     }
 
     /**
@@ -36,7 +50,7 @@ class Connection {
             this.socket.on('data', (data) => this.handleData(data));
 
             this.socket.on('error', (err) => {
-                console.error(`[Connection] Socket error: ${err.message}`);
+                logger.error(`[Connection] Socket error: ${err.message}`);
                 this.connected = false;
                 reject(err);
             });
@@ -44,6 +58,8 @@ class Connection {
             this.socket.on('close', () => {
                 logger.debug('[Connection] Socket closed');
                 this.connected = false;
+                if (this.capture) this.capture.close();
+                for (const handler of this.closeHandlers) handler();
             });
 
             this.socket.on('timeout', () => {
@@ -61,6 +77,9 @@ class Connection {
      * @param {Buffer} data
      */
     handleData(data) {
+        if (this.decipher) {
+            data = this.decipher.update(data);
+        }
         this.buffer = Buffer.concat([this.buffer, data]);
 
         while (this.buffer.length > 0) {
@@ -70,7 +89,7 @@ class Connection {
 
                 this.handlePacket(packet);
             } catch (err) {
-                console.error(`[Connection] Error reading packet: ${err.message}`);
+                logger.error(`[Connection] Error reading packet: ${err.message}`);
                 break;
             }
         }
@@ -129,34 +148,57 @@ class Connection {
      * @param {{packetId: number, data: Buffer}} packet
      */
     handlePacket(packet) {
-        const key = `${this.state}:${packet.packetId}`;
-        const handler = this.packetHandlers.get(key);
+        if (this.capture) {
+            this.capture.record('toClient', this.state, packet.packetId, packet.data);
+        }
+
+        const name = this.registry.getName(this.state, 'toClient', packet.packetId);
+        const namedHandler = name && this.packetHandlers.get(`${this.state}:${name}`);
+        const handler = namedHandler || this.packetHandlers.get(`${this.state}:${packet.packetId}`);
 
-        // Debug all unhandled packets to find Keep-Alive
         if (!handler) {
-            logger.debug(`[DEBUG] Unhandled ${this.state} packet 0x${packet.packetId.toString(16).padStart(2, '0')} (${packet.data.length} bytes)`);
+            logger.debug(`[DEBUG] Unhandled ${this.state} packet 0x${packet.packetId.toString(16).padStart(2, '0')}${name ? ` ${name}` : ''} (${packet.data.length} bytes)`);
+            return;
         }
 
-        if (handler) {
-            try {
-                const reader = new PacketReader(packet.data);
+        try {
+            const reader = new PacketReader(packet.data);
+            if (namedHandler) {
+                // Named handlers get the parsed fields; the reader is left after the last schema field
+                handler(this.registry.read(this.state, 'toClient', name, reader), reader);
+            } else {
                 handler(reader, packet.packetId);
-            } catch (err) {
-                console.error(`[Connection] Error handling packet 0x${packet.packetId.toString(16)}: ${err.message}`);
             }
+        } catch (err) {
+            this.handlePacketError(err, packet, name);
         }
     }
 
+    /**
+     * Called when a packet handler throws - the connection carries on with the next packet
+     * @param {Error} err
+     * @param {{packetId: number, data: Buffer}} packet
+     * @param {string|undefined} name
+     */
+    handlePacketError(err, packet, name) {
+        logger.error(`[Connection] Error handling packet 0x${packet.packetId.toString(16)}${name ? ` (${name})` : ''}: ${err.message}`);
+    }
+
     /**
      * Send a packet to the server
      * @param {Buffer} packetData - Complete packet with ID and data (from PacketWriter.buildData())
      */
     send(packetData) {
         if (!this.connected) {
-            console.error('[Connection] Cannot send: not connected');
+            logger.warn('[Connection] Cannot send: not connected');
             return;
         }
 
+        if (this.capture) {
+            const { value: packetId, bytesRead } = readVarInt(packetData, 0);
+            this.capture.record('toServer', this.state, packetId, packetData.slice(bytesRead));
+        }
+
         let finalPacket;
 
         if (this.compressionThreshold >= 0) {
@@ -181,20 +223,45 @@ class Connection {
             finalPacket = Buffer.concat([length, packetData]);
         }
 
+        if (this.cipher) {
+            finalPacket = this.cipher.update(finalPacket);
+        }
+
         this.socket.write(finalPacket);
     }
 
+    /**
+     * Send a packet by name, encoded with the registry's schema
+     * @param {string} name - e.g. 'keep_alive'
+     * @param {object} values - Field values
+     * @param {string} state - Defaults to the current state
+     */
+    sendPacket(name, values = {}, state = this.state) {
+        this.send(this.registry.build(state, 'toServer', name, values));
+    }
+
     /**
      * Register a packet handler
+     * Named packets (e.g. 'keep_alive') are resolved through the registry and the handler
+     * receives (fields, reader); numeric IDs receive the raw (reader, packetId).
      * @param {string} state
-     * @param {number} packetId
+     * @param {string|number} packet - Packet name or ID
      * @param {function} handler
      */
-    onPacket(state, packetId, handler) {
-        const key = `${state}:${packetId}`;
+    onPacket(state, packet, handler) {
+        const key = `${state}:${packet}`;
         this.packetHandlers.set(key, handler);
     }
 
+    /**
+     * Register a handler for the connection closing, however it ends
+     * (Disconnect packet, server crash, network drop or close())
+     * @param {function} handler
+     */
+    onClose(handler) {
+        this.closeHandlers.push(handler);
+    }
+
     /**
      * Set the protocol state
      * @param {string} state
@@ -213,6 +280,18 @@ class Connection {
         this.compressionThreshold = threshold;
     }
 
+    /**
+     * Enable AES/CFB8 encryption for everything sent and received from now on
+     * Call right after sending the Encryption Response.
+     * @param {Buffer} sharedSecret - 16-byte key (also used as IV)
+     */
+    enableEncryption(sharedSecret) {
+        logger.debug('[Connection] Encryption enabled');
+        const { cipher, decipher } = createCipherPair(sharedSecret);
+        this.cipher = cipher;
+        this.decipher = decipher;
+    }
+
     /**
      * Close the connection
      */
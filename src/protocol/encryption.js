@@ -0,0 +1,82 @@
+/**
+ * Protocol encryption helpers
+ * RSA key exchange for Encryption Request/Response and AES/CFB8 stream ciphers
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random 16-byte shared secret (AES-128 key and IV)
+ * @returns {Buffer}
+ */
+function generateSharedSecret() {
+    return crypto.randomBytes(16);
+}
+
+/**
+ * Parse the server's public key (DER-encoded SubjectPublicKeyInfo)
+ * @param {Buffer} der
+ * @returns {crypto.KeyObject}
+ */
+function parsePublicKey(der) {
+    return crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+}
+
+/**
+ * Encrypt data with the server's public key (RSA, PKCS#1 v1.5 padding)
+ * @param {crypto.KeyObject} publicKey
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function encryptRSA(publicKey, data) {
+    return crypto.publicEncrypt({ key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING }, data);
+}
+
+/**
+ * Compute the server ID hash sent to the session server
+ * SHA-1 over serverId + shared secret + public key, rendered as Java's BigInteger.toString(16)
+ * @param {string} serverId - Usually empty on modern servers
+ * @param {Buffer} sharedSecret
+ * @param {Buffer} publicKeyDer
+ * @returns {string} e.g. '-7c9d5b0044c130109a5d7b5fb5c317c02b4e28c1'
+ */
+function serverHash(serverId, sharedSecret, publicKeyDer) {
+    const digest = crypto.createHash('sha1')
+        .update(Buffer.from(serverId, 'latin1'))
+        .update(sharedSecret)
+        .update(publicKeyDer)
+        .digest();
+    return minecraftHexDigest(digest);
+}
+
+/**
+ * Render a digest as a signed two's complement hex number (Minecraft's "hex digest")
+ * @param {Buffer} digest
+ * @returns {string}
+ */
+function minecraftHexDigest(digest) {
+    const value = BigInt.asIntN(digest.length * 8, BigInt('0x' + digest.toString('hex')));
+    return value.toString(16);
+}
+
+/**
+ * Create the AES/CFB8 cipher pair for a connection
+ * The shared secret is used as both key and IV, and each stream runs for the whole session.
+ * @param {Buffer} sharedSecret
+ * @returns {{ cipher: crypto.Cipher, decipher: crypto.Decipher }}
+ */
+function createCipherPair(sharedSecret) {
+    return {
+        cipher: crypto.createCipheriv('aes-128-cfb8', sharedSecret, sharedSecret),
+        decipher: crypto.createDecipheriv('aes-128-cfb8', sharedSecret, sharedSecret)
+    };
+}
+
+module.exports = {
+    generateSharedSecret,
+    parsePublicKey,
+    encryptRSA,
+    serverHash,
+    minecraftHexDigest,
+    createCipherPair
+};
@@ -0,0 +1,440 @@
+/**
+ * NBT (Named Binary Tag) reader/writer
+ * Supports network NBT (nameless root, 1.20.2+) and classic named-root NBT
+ *
+ * Values decode to plain JS by default:
+ *   byte/short/int -> number, long -> bigint, float/double -> number,
+ *   string -> string, list -> Array, compound -> Object (null prototype, so any key is safe),
+ *   byteArray -> Int8Array, intArray -> Int32Array, longArray -> BigInt64Array
+ *
+ * With { typed: true } every tag decodes to { type, value } so it can be
+ * written back byte-for-byte. writeNBT accepts either form.
+ */
+
+const TAG_END = 0;
+const TAG_BYTE = 1;
+const TAG_SHORT = 2;
+const TAG_INT = 3;
+const TAG_LONG = 4;
+const TAG_FLOAT = 5;
+const TAG_DOUBLE = 6;
+const TAG_BYTE_ARRAY = 7;
+const TAG_STRING = 8;
+const TAG_LIST = 9;
+const TAG_COMPOUND = 10;
+const TAG_INT_ARRAY = 11;
+const TAG_LONG_ARRAY = 12;
+
+const TAG_NAMES = [
+    'end', 'byte', 'short', 'int', 'long', 'float', 'double',
+    'byteArray', 'string', 'list', 'compound', 'intArray', 'longArray'
+];
+const TAG_IDS = Object.fromEntries(TAG_NAMES.map((name, id) => [name, id]));
+
+// Vanilla refuses anything nested deeper than this
+const MAX_DEPTH = 512;
+
+/**
+ * Read an NBT tag from a buffer
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {object} options - { named: false, typed: false }
+ * @returns {{value: *, name: string|null, type: string, bytesRead: number}}
+ */
+function readNBT(buffer, offset = 0, options = {}) {
+    const reader = new NBTReader(buffer, offset);
+    const tagType = reader.u8();
+
+    if (tagType === TAG_END) {
+        // Empty optional NBT
+        return { value: null, name: null, type: 'end', bytesRead: 1 };
+    }
+
+    const name = options.named ? reader.string() : null;
+    const typed = reader.payload(tagType, 0);
+
+    return {
+        value: options.typed ? typed : simplify(typed),
+        name,
+        type: TAG_NAMES[tagType],
+        bytesRead: reader.offset - offset
+    };
+}
+
+/**
+ * Encode a value as NBT
+ * @param {*} value - Plain JS value or typed { type, value } tree (null = TAG_End)
+ * @param {object} options - { named: false, name: '' }
+ * @returns {Buffer}
+ */
+function writeNBT(value, options = {}) {
+    const writer = new NBTWriter();
+
+    if (value === null || value === undefined) {
+        writer.u8(TAG_END);
+        return writer.build();
+    }
+
+    const tag = toTyped(value);
+    writer.u8(TAG_IDS[tag.type]);
+    if (options.named) writer.string(options.name || '');
+    writer.payload(tag, 0);
+    return writer.build();
+}
+
+/**
+ * Cursor over a buffer with NBT primitive readers
+ */
+class NBTReader {
+    constructor(buffer, offset) {
+        this.buffer = buffer;
+        this.offset = offset;
+    }
+
+    ensure(bytes) {
+        if (bytes < 0 || this.offset + bytes > this.buffer.length) {
+            throw new Error(`NBT data truncated at offset ${this.offset}`);
+        }
+    }
+
+    u8() { this.ensure(1); return this.buffer.readUInt8(this.offset++); }
+    i8() { this.ensure(1); return this.buffer.readInt8(this.offset++); }
+    i16() { this.ensure(2); const v = this.buffer.readInt16BE(this.offset); this.offset += 2; return v; }
+    u16() { this.ensure(2); const v = this.buffer.readUInt16BE(this.offset); this.offset += 2; return v; }
+    i32() { this.ensure(4); const v = this.buffer.readInt32BE(this.offset); this.offset += 4; return v; }
+    i64() { this.ensure(8); const v = this.buffer.readBigInt64BE(this.offset); this.offset += 8; return v; }
+    f32() { this.ensure(4); const v = this.buffer.readFloatBE(this.offset); this.offset += 4; return v; }
+    f64() { this.ensure(8); const v = this.buffer.readDoubleBE(this.offset); this.offset += 8; return v; }
+
+    string() {
+        const length = this.u16();
+        this.ensure(length);
+        const str = decodeMUTF8(this.buffer, this.offset, length);
+        this.offset += length;
+        return str;
+    }
+
+    length() {
+        const length = this.i32();
+        if (length < 0) throw new Error(`Negative NBT length ${length}`);
+        return length;
+    }
+
+    payload(tagType, depth) {
+        if (depth > MAX_DEPTH) throw new Error('NBT nested too deeply');
+
+        switch (tagType) {
+            case TAG_BYTE: return { type: 'byte', value: this.i8() };
+            case TAG_SHORT: return { type: 'short', value: this.i16() };
+            case TAG_INT: return { type: 'int', value: this.i32() };
+            case TAG_LONG: return { type: 'long', value: this.i64() };
+            case TAG_FLOAT: return { type: 'float', value: this.f32() };
+            case TAG_DOUBLE: return { type: 'double', value: this.f64() };
+            case TAG_STRING: return { type: 'string', value: this.string() };
+
+            case TAG_BYTE_ARRAY: {
+                const length = this.length();
+                this.ensure(length);
+                const value = new Int8Array(length);
+                for (let i = 0; i < length; i++) value[i] = this.buffer.readInt8(this.offset + i);
+                this.offset += length;
+                return { type: 'byteArray', value };
+            }
+
+            case TAG_INT_ARRAY: {
+                const length = this.length();
+                this.ensure(length * 4);
+                const value = new Int32Array(length);
+                for (let i = 0; i < length; i++) value[i] = this.i32();
+                return { type: 'intArray', value };
+            }
+
+            case TAG_LONG_ARRAY: {
+                const length = this.length();
+                this.ensure(length * 8);
+                const value = new BigInt64Array(length);
+                for (let i = 0; i < length; i++) value[i] = this.i64();
+                return { type: 'longArray', value };
+            }
+
+            case TAG_LIST: {
+                const elementId = this.u8();
+                const length = this.length();
+                if (elementId === TAG_END && length > 0) {
+                    throw new Error('NBT list of TAG_End with non-zero length');
+                }
+                const value = [];
+                for (let i = 0; i < length; i++) {
+                    value.push(this.payload(elementId, depth + 1));
+                }
+                return { type: 'list', elementType: TAG_NAMES[elementId], value };
+            }
+
+            case TAG_COMPOUND: {
+                const value = Object.create(null);
+                while (true) {
+                    const childType = this.u8();
+                    if (childType === TAG_END) break;
+                    const childName = this.string();
+                    value[childName] = this.payload(childType, depth + 1);
+                }
+                return { type: 'compound', value };
+            }
+
+            default:
+                throw new Error(`Unknown NBT tag type ${tagType} at offset ${this.offset - 1}`);
+        }
+    }
+}
+
+/**
+ * Growable list of buffers with NBT primitive writers
+ */
+class NBTWriter {
+    constructor() {
+        this.buffers = [];
+    }
+
+    push(size, fn) {
+        const buf = Buffer.alloc(size);
+        fn(buf);
+        this.buffers.push(buf);
+    }
+
+    u8(v) { this.push(1, b => b.writeUInt8(v)); }
+    i8(v) { this.push(1, b => b.writeInt8(v)); }
+    i16(v) { this.push(2, b => b.writeInt16BE(v)); }
+    i32(v) { this.push(4, b => b.writeInt32BE(v)); }
+    i64(v) { this.push(8, b => b.writeBigInt64BE(BigInt.asIntN(64, BigInt(v)))); }
+    f32(v) { this.push(4, b => b.writeFloatBE(v)); }
+    f64(v) { this.push(8, b => b.writeDoubleBE(v)); }
+
+    string(str) {
+        const encoded = encodeMUTF8(str);
+        if (encoded.length > 0xFFFF) throw new Error('NBT string too long');
+        this.push(2, b => b.writeUInt16BE(encoded.length));
+        this.buffers.push(encoded);
+    }
+
+    payload(tag, depth) {
+        if (depth > MAX_DEPTH) throw new Error('NBT nested too deeply');
+
+        switch (tag.type) {
+            case 'byte': return this.i8(tag.value);
+            case 'short': return this.i16(tag.value);
+            case 'int': return this.i32(tag.value);
+            case 'long': return this.i64(tag.value);
+            case 'float': return this.f32(tag.value);
+            case 'double': return this.f64(tag.value);
+            case 'string': return this.string(tag.value);
+
+            case 'byteArray':
+                this.i32(tag.value.length);
+                this.buffers.push(Buffer.from(Int8Array.from(tag.value).buffer));
+                return;
+
+            case 'intArray':
+                this.i32(tag.value.length);
+                for (const v of tag.value) this.i32(v);
+                return;
+
+            case 'longArray':
+                this.i32(tag.value.length);
+                for (const v of tag.value) this.i64(v);
+                return;
+
+            case 'list': {
+                const elementType = tag.value.length > 0 ? (tag.elementType || tag.value[0].type) : 'end';
+                this.u8(TAG_IDS[elementType]);
+                this.i32(tag.value.length);
+                for (const element of tag.value) {
+                    if (element.type !== elementType) {
+                        throw new Error(`NBT list mixes ${elementType} and ${element.type}`);
+                    }
+                    this.payload(element, depth + 1);
+                }
+                return;
+            }
+
+            case 'compound':
+                for (const [name, child] of Object.entries(tag.value)) {
+                    if (child === undefined) continue;
+                    this.u8(TAG_IDS[child.type]);
+                    this.string(name);
+                    this.payload(child, depth + 1);
+                }
+                this.u8(TAG_END);
+                return;
+
+            default:
+                throw new Error(`Cannot write NBT tag type ${tag.type}`);
+        }
+    }
+
+    build() {
+        return Buffer.concat(this.buffers);
+    }
+}
+
+/**
+ * Convert a typed tag tree to plain JS values
+ * Heterogeneous lists (encoded by vanilla as compounds with a single "" key) are unwrapped
+ * @param {{type: string, value: *}} tag
+ * @returns {*}
+ */
+function simplify(tag) {
+    switch (tag.type) {
+        case 'list': {
+            const values = tag.value.map(simplify);
+            if (tag.elementType === 'compound') {
+                return values.map(v => (Object.keys(v).length === 1 && '' in v) ? v[''] : v);
+            }
+            return values;
+        }
+        case 'compound': {
+            const result = Object.create(null);
+            for (const [name, child] of Object.entries(tag.value)) {
+                result[name] = simplify(child);
+            }
+            return result;
+        }
+        default:
+            return tag.value;
+    }
+}
+
+/**
+ * Infer a typed tag tree from a plain JS value (typed nodes pass through)
+ * numbers -> int (integers) or double, bigint -> long, boolean -> byte
+ * @param {*} value
+ * @returns {{type: string, value: *}}
+ */
+function toTyped(value) {
+    if (isTypedTag(value)) {
+        if (value.type === 'list') {
+            return { type: 'list', elementType: value.elementType, value: value.value.map(toTyped) };
+        }
+        if (value.type === 'compound') {
+            const children = Object.create(null);
+            for (const [name, child] of Object.entries(value.value)) children[name] = toTyped(child);
+            return { type: 'compound', value: children };
+        }
+        return value;
+    }
+
+    switch (typeof value) {
+        case 'boolean': return { type: 'byte', value: value ? 1 : 0 };
+        case 'bigint': return { type: 'long', value };
+        case 'string': return { type: 'string', value };
+        case 'number':
+            if (Number.isInteger(value) && value >= -0x80000000 && value <= 0x7FFFFFFF) {
+                return { type: 'int', value };
+            }
+            return { type: 'double', value };
+    }
+
+    if (value instanceof Int8Array || value instanceof Uint8Array) return { type: 'byteArray', value };
+    if (value instanceof Int32Array) return { type: 'intArray', value };
+    if (value instanceof BigInt64Array) return { type: 'longArray', value };
+
+    if (Array.isArray(value)) {
+        const elements = value.map(toTyped);
+        const types = new Set(elements.map(e => e.type));
+        if (types.size > 1) {
+            // Mixed list: wrap everything in compounds keyed by "" (vanilla convention)
+            const wrapped = elements.map(e => ({ type: 'compound', value: { '': e } }));
+            return { type: 'list', elementType: 'compound', value: wrapped };
+        }
+        return { type: 'list', elementType: elements.length ? elements[0].type : 'end', value: elements };
+    }
+
+    if (value && typeof value === 'object') {
+        const children = Object.create(null);
+        for (const [name, child] of Object.entries(value)) {
+            if (child === undefined || child === null) continue;
+            children[name] = toTyped(child);
+        }
+        return { type: 'compound', value: children };
+    }
+
+    throw new Error(`Cannot convert ${value} to NBT`);
+}
+
+function isTypedTag(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        typeof value.type === 'string' && TAG_IDS[value.type] !== undefined &&
+        'value' in value && Object.keys(value).every(k => k === 'type' || k === 'value' || k === 'elementType');
+}
+
+/**
+ * Typed tag constructors for values plain JS cannot express
+ */
+const tags = {
+    byte: (value) => ({ type: 'byte', value }),
+    short: (value) => ({ type: 'short', value }),
+    int: (value) => ({ type: 'int', value }),
+    long: (value) => ({ type: 'long', value: BigInt(value) }),
+    float: (value) => ({ type: 'float', value }),
+    double: (value) => ({ type: 'double', value }),
+    string: (value) => ({ type: 'string', value }),
+    byteArray: (value) => ({ type: 'byteArray', value: Int8Array.from(value) }),
+    intArray: (value) => ({ type: 'intArray', value: Int32Array.from(value) }),
+    longArray: (value) => ({ type: 'longArray', value: BigInt64Array.from(value, BigInt) }),
+    list: (elementType, value) => ({ type: 'list', elementType, value }),
+    compound: (value) => ({ type: 'compound', value })
+};
+
+/**
+ * Decode Java "modified UTF-8"
+ * Differs from UTF-8 in encoding NUL as C0 80 and supplementary characters as surrogate pairs
+ */
+function decodeMUTF8(buffer, offset, length) {
+    const end = offset + length;
+    let result = '';
+    let i = offset;
+
+    while (i < end) {
+        const a = buffer[i++];
+        if (a < 0x80) {
+            result += String.fromCharCode(a);
+        } else if ((a & 0xE0) === 0xC0 && i < end) {
+            const b = buffer[i++];
+            result += String.fromCharCode(((a & 0x1F) << 6) | (b & 0x3F));
+        } else if ((a & 0xF0) === 0xE0 && i + 1 < end) {
+            const b = buffer[i++];
+            const c = buffer[i++];
+            result += String.fromCharCode(((a & 0x0F) << 12) | ((b & 0x3F) << 6) | (c & 0x3F));
+        } else {
+            // Standard 4-byte UTF-8 is not valid MUTF-8, but some servers send it anyway
+            return buffer.toString('utf8', offset, end);
+        }
+    }
+    return result;
+}
+
+/**
+ * Encode a string as Java "modified UTF-8"
+ */
+function encodeMUTF8(str) {
+    const bytes = [];
+    for (let i = 0; i < str.length; i++) {
+        const c = str.charCodeAt(i);
+        if (c !== 0 && c < 0x80) {
+            bytes.push(c);
+        } else if (c < 0x800) {
+            bytes.push(0xC0 | (c >> 6), 0x80 | (c & 0x3F));
+        } else {
+            bytes.push(0xE0 | (c >> 12), 0x80 | ((c >> 6) & 0x3F), 0x80 | (c & 0x3F));
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+module.exports = {
+    readNBT,
+    writeNBT,
+    simplify,
+    toTyped,
+    tags,
+    TAG_NAMES
+};
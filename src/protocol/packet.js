@@ -3,6 +3,7 @@
  */
 
 const { writeVarInt, readVarInt, writeVarLong, readVarLong, varIntLength } = require('./varint');
+const { readNBT, writeNBT } = require('./nbt');
 const crypto = require('crypto');
 
 /**
@@ -110,6 +111,27 @@ class PacketWriter {
         return this;
     }
 
+    /**
+     * Write a block position packed into a long (x: 26 bits, z: 26 bits, y: 12 bits)
+     * @param {object} pos - { x, y, z }
+     */
+    writePosition(pos) {
+        const value = ((BigInt(pos.x) & 0x3FFFFFFn) << 38n) |
+            ((BigInt(pos.z) & 0x3FFFFFFn) << 12n) |
+            (BigInt(pos.y) & 0xFFFn);
+        return this.writeLong(BigInt.asIntN(64, value));
+    }
+
+    /**
+     * Write an NBT tag (network format: nameless root unless options.named)
+     * @param {*} value - Plain JS value, typed tag tree, or null for TAG_End
+     * @param {object} options - { named, name }
+     */
+    writeNBT(value, options = {}) {
+        this.buffers.push(writeNBT(value, options));
+        return this;
+    }
+
     /**
      * Build the final packet with length prefix
      * @returns {Buffer}
@@ -234,6 +256,30 @@ class PacketReader {
         return buf;
     }
 
+    /**
+     * Read a packed block position
+     * @returns {object} { x, y, z }
+     */
+    readPosition() {
+        const value = this.readLong();
+        return {
+            x: Number(BigInt.asIntN(26, value >> 38n)),
+            y: Number(BigInt.asIntN(12, value)),
+            z: Number(BigInt.asIntN(26, value >> 12n))
+        };
+    }
+
+    /**
+     * Read an NBT tag (network format: nameless root unless options.named)
+     * @param {object} options - { named, typed }
+     * @returns {*} Decoded value, or null for an empty (TAG_End) tag
+     */
+    readNBT(options = {}) {
+        const result = readNBT(this.buffer, this.offset, options);
+        this.offset += result.bytesRead;
+        return result.value;
+    }
+
     readRemaining() {
         const buf = this.buffer.slice(this.offset);
         this.offset = this.buffer.length;
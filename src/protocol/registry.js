@@ -0,0 +1,161 @@
+/**
+ * Packet registry
+ * Maps (state, direction, name) <-> packet ID and field schema for one protocol version
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PacketWriter } = require('./packet');
+const { readFields, writeFields } = require('./schema');
+const { SCHEMAS, schemasFor } = require('./schemas');
+
+const DEFAULT_PROTOCOL_VERSION = 773;
+const TABLE_DIR = path.join(__dirname, '..', 'data', 'protocol');
+
+class PacketRegistry {
+    /**
+     * @param {object} table - ID table from src/data/protocol/<version>.json
+     * @param {object} schemas - Field schemas (defaults to SCHEMAS)
+     */
+    constructor(table, schemas = SCHEMAS) {
+        this.protocolVersion = table.protocolVersion;
+        this.minecraftVersion = table.minecraftVersion;
+        this.schemas = schemas;
+
+        // `${state}:${direction}` -> { ids: Map(name -> id), names: Map(id -> name) }
+        this.tables = new Map();
+        for (const state of ['handshaking', 'status', 'login', 'configuration', 'play']) {
+            for (const direction of ['toClient', 'toServer']) {
+                const packets = (table[state] && table[state][direction]) || {};
+                const ids = new Map(Object.entries(packets));
+                const names = new Map([...ids].map(([name, id]) => [id, name]));
+                this.tables.set(`${state}:${direction}`, { ids, names });
+            }
+        }
+    }
+
+    /**
+     * Look up a packet ID
+     * @param {string} state
+     * @param {string} direction - 'toClient' or 'toServer'
+     * @param {string} name
+     * @returns {number|undefined}
+     */
+    getId(state, direction, name) {
+        const table = this.tables.get(`${state}:${direction}`);
+        return table ? table.ids.get(name) : undefined;
+    }
+
+    /**
+     * Look up a packet name
+     * @param {string} state
+     * @param {string} direction
+     * @param {number} id
+     * @returns {string|undefined}
+     */
+    getName(state, direction, id) {
+        const table = this.tables.get(`${state}:${direction}`);
+        return table ? table.names.get(id) : undefined;
+    }
+
+    /**
+     * Field schema for a packet, if one is defined
+     * @returns {Array|undefined}
+     */
+    getSchema(state, direction, name) {
+        const stateSchemas = this.schemas[state];
+        return stateSchemas && stateSchemas[direction] ? stateSchemas[direction][name] : undefined;
+    }
+
+    /**
+     * Parse a packet body with its schema
+     * @param {string} state
+     * @param {string} direction
+     * @param {string} name
+     * @param {PacketReader} reader - Positioned after the packet ID; left after the last schema field
+     * @returns {object} Parsed fields ({} when the packet has no schema)
+     */
+    read(state, direction, name, reader) {
+        const schema = this.getSchema(state, direction, name);
+        return schema ? readFields(reader, schema) : {};
+    }
+
+    /**
+     * Build a packet (ID + body, no length prefix) from named fields
+     * @param {string} state
+     * @param {string} direction
+     * @param {string} name
+     * @param {object} values
+     * @returns {Buffer}
+     */
+    build(state, direction, name, values = {}) {
+        const id = this.getId(state, direction, name);
+        if (id === undefined) {
+            throw new Error(`Unknown ${state} ${direction} packet: ${name} (protocol ${this.protocolVersion})`);
+        }
+        const schema = this.getSchema(state, direction, name);
+        if (!schema) {
+            throw new Error(`No schema for ${state} ${direction} packet: ${name}`);
+        }
+
+        const writer = new PacketWriter(id);
+        writeFields(writer, schema, values);
+        return writer.buildData();
+    }
+}
+
+// Registries are immutable, so share one per protocol version
+const registries = new Map();
+
+/**
+ * Get the packet registry for a protocol version
+ * @param {number} protocolVersion
+ * @returns {PacketRegistry}
+ */
+function getRegistry(protocolVersion = DEFAULT_PROTOCOL_VERSION) {
+    if (!registries.has(protocolVersion)) {
+        let table;
+        try {
+            table = require(`../data/protocol/${protocolVersion}.json`);
+        } catch (e) {
+            throw new Error(`Unsupported protocol version: ${protocolVersion}`);
+        }
+        registries.set(protocolVersion, new PacketRegistry(table, schemasFor(protocolVersion)));
+    }
+    return registries.get(protocolVersion);
+}
+
+let supportedVersions = null;
+
+/**
+ * Protocol versions that have an ID table, newest first
+ * @returns {Array<{protocolVersion: number, minecraftVersion: string}>}
+ */
+function getSupportedVersions() {
+    if (!supportedVersions) {
+        supportedVersions = fs.readdirSync(TABLE_DIR)
+            .filter(file => /^\d+\.json$/.test(file))
+            .map(file => {
+                const table = require(path.join(TABLE_DIR, file));
+                return { protocolVersion: table.protocolVersion, minecraftVersion: table.minecraftVersion };
+            })
+            .sort((a, b) => b.protocolVersion - a.protocolVersion);
+    }
+    return supportedVersions;
+}
+
+/**
+ * @param {number} protocolVersion
+ * @returns {boolean}
+ */
+function isSupportedVersion(protocolVersion) {
+    return getSupportedVersions().some(v => v.protocolVersion === protocolVersion);
+}
+
+module.exports = {
+    PacketRegistry,
+    getRegistry,
+    getSupportedVersions,
+    isSupportedVersion,
+    DEFAULT_PROTOCOL_VERSION
+};
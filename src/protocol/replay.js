@@ -0,0 +1,80 @@
+/**
+ * Replay a packet capture through the normal state handlers, without a network
+ * Used to reproduce parser crashes offline and turn captures into regression tests.
+ */
+
+const { Connection } = require('./connection');
+const { readCapture } = require('./capture');
+const { getRegistry } = require('./registry');
+const { readVarInt } = require('./varint');
+const { logger } = require('../logger');
+
+class ReplayConnection extends Connection {
+    /**
+     * @param {string|object} capture - Capture file, or the result of readCapture()
+     * @param {object} options - { registry, strict }
+     *   registry: defaults to the capture's protocol version
+     *   strict: rethrow handler errors instead of collecting them
+     */
+    constructor(capture, options = {}) {
+        const { header, records } = typeof capture === 'string' ? readCapture(capture) : capture;
+        super('replay', 0, { registry: options.registry || getRegistry(header.protocolVersion) });
+
+        this.header = header;
+        this.records = records;
+        this.strict = options.strict || false;
+        this.sent = [];   // { state, packetId, data } written by the handlers
+        this.errors = []; // { packetId, name, state, error } from handlers that threw
+    }
+
+    connect() {
+        this.connected = true;
+        return Promise.resolve();
+    }
+
+    /**
+     * Feed every recorded server packet through the registered handlers, in order
+     * The state follows the capture, so a handler that misses a transition can't derail the rest.
+     * @returns {{packets: number, errors: Array, sent: Array}}
+     */
+    replay() {
+        let packets = 0;
+
+        for (const record of this.records) {
+            if (record.direction !== 'toClient') continue;
+
+            if (record.state !== this.state) {
+                logger.debug(`[Replay] State ${this.state} -> ${record.state} from capture`);
+                this.state = record.state;
+            }
+            this.handlePacket({ packetId: record.packetId, data: record.data });
+            packets++;
+        }
+
+        logger.debug(`[Replay] Replayed ${packets} packets, ${this.errors.length} errors`);
+        return { packets, errors: this.errors, sent: this.sent };
+    }
+
+    handlePacketError(err, packet, name) {
+        if (this.strict) throw err;
+        this.errors.push({ packetId: packet.packetId, name, state: this.state, error: err });
+        super.handlePacketError(err, packet, name);
+    }
+
+    send(packetData) {
+        if (!this.connected) return;
+        const { value: packetId, bytesRead } = readVarInt(packetData, 0);
+        this.sent.push({ state: this.state, packetId, data: packetData.slice(bytesRead) });
+    }
+
+    // Captures hold decrypted frames
+    enableEncryption() {}
+
+    close() {
+        if (!this.connected) return;
+        this.connected = false;
+        for (const handler of this.closeHandlers) handler();
+    }
+}
+
+module.exports = { ReplayConnection };
@@ -0,0 +1,175 @@
+/**
+ * Declarative packet field schemas
+ *
+ * A schema is a list of [name, type] pairs read/written in order. Types are:
+ *   - primitive names: 'varint', 'varlong', 'bool', 'byte', 'ubyte', 'short', 'ushort',
+ *     'int', 'long', 'float', 'double', 'string', 'uuid', 'position', 'nbt', 'rest'
+ *   - 'byteArray' (varint length prefix) or ['bytes', n] (fixed length)
+ *   - ['option', type] - bool prefix, null when absent
+ *   - ['array', type, countType = 'varint']
+ *   - ['container', schema] - nested object
+ *   - a name registered with defineType() for shared containers or fields that need custom logic
+ * Fields after the last one listed are left unread for the handler.
+ */
+
+const { PacketReader } = require('./packet');
+
+const PRIMITIVES = {
+    varint: [r => r.readVarInt(), (w, v) => w.writeVarInt(v)],
+    varlong: [r => r.readVarLong(), (w, v) => w.writeVarLong(v)],
+    bool: [r => r.readBoolean(), (w, v) => w.writeBoolean(v)],
+    byte: [r => r.readByte(), (w, v) => w.writeByte(v)],
+    ubyte: [r => r.readUByte(), (w, v) => w.writeUByte(v)],
+    short: [r => r.readShort(), (w, v) => w.writeShort(v)],
+    ushort: [r => r.readUShort(), (w, v) => w.writeUShort(v)],
+    int: [r => r.readInt(), (w, v) => w.writeInt(v)],
+    long: [r => r.readLong(), (w, v) => w.writeLong(v)],
+    float: [r => r.readFloat(), (w, v) => w.writeFloat(v)],
+    double: [r => r.readDouble(), (w, v) => w.writeDouble(v)],
+    string: [r => r.readString(), (w, v) => w.writeString(v)],
+    uuid: [r => r.readUUID(), (w, v) => w.writeUUID(v)],
+    position: [r => r.readPosition(), (w, v) => w.writePosition(v)],
+    nbt: [r => r.readNBT(), (w, v) => w.writeNBT(v)],
+    byteArray: [r => r.readBuffer(r.readVarInt()), (w, v) => w.writeVarInt(v.length).writeBuffer(v)],
+    rest: [r => r.readRemaining(), (w, v) => w.writeBuffer(v)]
+};
+
+// Custom named types: name -> { read(reader, context), write(writer, value, context) }
+const customTypes = new Map();
+
+/**
+ * Register a named field type
+ * @param {string} name
+ * @param {object|Array} codec - { read(reader, context), write(writer, value, context) },
+ *                               or a schema to read as a nested container
+ */
+function defineType(name, codec) {
+    if (Array.isArray(codec)) {
+        const fields = codec;
+        codec = {
+            read: (reader) => readFields(reader, fields),
+            write: (writer, value) => writeFields(writer, fields, value)
+        };
+    }
+    customTypes.set(name, codec);
+}
+
+/**
+ * Read one value of a type
+ * @param {PacketReader} reader
+ * @param {string|Array} type
+ * @param {object} context - Values read so far in the enclosing container
+ */
+function readType(reader, type, context = {}) {
+    if (typeof type === 'string') {
+        if (PRIMITIVES[type]) return PRIMITIVES[type][0](reader);
+        const custom = customTypes.get(type);
+        if (!custom) throw new Error(`Unknown field type: ${type}`);
+        return custom.read(reader, context);
+    }
+
+    const [kind, inner, extra] = type;
+    switch (kind) {
+        case 'option':
+            return reader.readBoolean() ? readType(reader, inner, context) : null;
+        case 'array': {
+            const count = readType(reader, extra || 'varint', context);
+            const values = new Array(count);
+            for (let i = 0; i < count; i++) {
+                values[i] = readType(reader, inner, context);
+            }
+            return values;
+        }
+        case 'container':
+            return readFields(reader, inner);
+        case 'bytes':
+            return reader.readBuffer(inner);
+        default:
+            throw new Error(`Unknown field type: ${kind}`);
+    }
+}
+
+/**
+ * Write one value of a type
+ * @param {PacketWriter} writer
+ * @param {string|Array} type
+ * @param {*} value
+ * @param {object} context - The enclosing container's values
+ */
+function writeType(writer, type, value, context = {}) {
+    if (typeof type === 'string') {
+        if (PRIMITIVES[type]) return PRIMITIVES[type][1](writer, value);
+        const custom = customTypes.get(type);
+        if (!custom) throw new Error(`Unknown field type: ${type}`);
+        return custom.write(writer, value, context);
+    }
+
+    const [kind, inner, extra] = type;
+    switch (kind) {
+        case 'option':
+            writer.writeBoolean(value !== null && value !== undefined);
+            if (value !== null && value !== undefined) writeType(writer, inner, value, context);
+            return;
+        case 'array':
+            writeType(writer, extra || 'varint', value.length, context);
+            for (const item of value) writeType(writer, inner, item, context);
+            return;
+        case 'container':
+            writeFields(writer, inner, value);
+            return;
+        case 'bytes':
+            if (value.length !== inner) throw new Error(`Expected ${inner} bytes, got ${value.length}`);
+            writer.writeBuffer(value);
+            return;
+        default:
+            throw new Error(`Unknown field type: ${kind}`);
+    }
+}
+
+/**
+ * Read a schema into an object
+ * @param {PacketReader} reader
+ * @param {Array} fields - [[name, type], ...]
+ * @returns {object}
+ */
+function readFields(reader, fields) {
+    const values = {};
+    for (const [name, type] of fields) {
+        values[name] = readType(reader, type, values);
+    }
+    return values;
+}
+
+/**
+ * Write an object using a schema
+ * @param {PacketWriter} writer
+ * @param {Array} fields - [[name, type], ...]
+ * @param {object} values
+ */
+function writeFields(writer, fields, values = {}) {
+    for (const [name, type] of fields) {
+        if (values[name] === undefined && !(Array.isArray(type) && type[0] === 'option')) {
+            throw new Error(`Missing field: ${name}`);
+        }
+        writeType(writer, type, values[name], values);
+    }
+}
+
+/**
+ * Parse a buffer with a schema (convenience for tests and tools)
+ * @param {Buffer} buffer
+ * @param {Array} fields
+ * @returns {object}
+ */
+function parseFields(buffer, fields) {
+    return readFields(new PacketReader(buffer), fields);
+}
+
+module.exports = {
+    defineType,
+    readType,
+    writeType,
+    readFields,
+    writeFields,
+    parseFields
+};
@@ -0,0 +1,675 @@
+/**
+ * Packet field schemas, keyed by state, direction and packet name
+ * Packet IDs live in src/data/protocol/<version>.json; see schema.js for the type syntax.
+ * SCHEMAS describes the newest protocol; VERSION_OVERRIDES holds older layouts.
+ */
+
+const { defineType, readType, writeType, readFields, writeFields } = require('./schema');
+
+// === Shared types ===
+
+defineType('property', [
+    ['name', 'string'],
+    ['value', 'string'],
+    ['signature', ['option', 'string']]
+]);
+
+defineType('knownPack', [
+    ['namespace', 'string'],
+    ['id', 'string'],
+    ['version', 'string']
+]);
+
+defineType('registryTags', [
+    ['registry', 'string'],
+    ['tags', ['array', ['container', [
+        ['name', 'string'],
+        ['entries', ['array', 'varint']]
+    ]]]]
+]);
+
+defineType('spawnInfo', [
+    ['dimensionType', 'varint'],
+    ['dimensionName', 'string'],
+    ['hashedSeed', 'long'],
+    ['gameMode', 'ubyte'],
+    ['previousGameMode', 'byte'],
+    ['isDebug', 'bool'],
+    ['isFlat', 'bool'],
+    ['deathLocation', ['option', ['container', [
+        ['dimensionName', 'string'],
+        ['location', 'position']
+    ]]]],
+    ['portalCooldown', 'varint'],
+    ['seaLevel', 'varint']
+]);
+
+// Low-precision velocity vector (blocks/tick) used since 1.21.9
+defineType('lpVec3', {
+    read(reader) {
+        const low = reader.readUByte();
+        if (low === 0) return { x: 0, y: 0, z: 0 };
+
+        const mid = reader.readUByte();
+        const high = reader.readInt() >>> 0;
+        const packed = high * 65536 + mid * 256 + low; // 48 bits, exact as a double
+        let scale = low & 3;
+        if (low & 4) scale += (reader.readVarInt() >>> 0) * 4;
+
+        const component = (shift) => {
+            const bits = Math.floor(packed / 2 ** shift) % 32768;
+            return (Math.min(bits, 32766) * 2 / 32766 - 1) * scale;
+        };
+        return { x: component(3), y: component(18), z: component(33) };
+    },
+    write(writer, value) {
+        const max = Math.max(Math.abs(value.x), Math.abs(value.y), Math.abs(value.z));
+        if (!(max >= 3.0517578125e-5)) {
+            writer.writeUByte(0);
+            return;
+        }
+
+        const scale = Math.ceil(max);
+        const extended = (scale & 3) !== scale;
+        const pack = (v) => Math.round((v / scale * 0.5 + 0.5) * 32766);
+        const packed = (extended ? (scale & 3) | 4 : scale) +
+            pack(value.x) * 2 ** 3 + pack(value.y) * 2 ** 18 + pack(value.z) * 2 ** 33;
+
+        writer.writeUByte(packed % 256);
+        writer.writeUByte(Math.floor(packed / 256) % 256);
+        writer.writeInt(Math.floor(packed / 65536) | 0);
+        if (extended) writer.writeVarInt(Math.floor(scale / 4));
+    }
+});
+
+// Velocity as three shorts in 1/8000 blocks/tick, used before 1.21.9
+defineType('shortVelocity', {
+    read(reader) {
+        return {
+            x: reader.readShort() / 8000,
+            y: reader.readShort() / 8000,
+            z: reader.readShort() / 8000
+        };
+    },
+    write(writer, value) {
+        const clamp = (v) => Math.max(-32768, Math.min(32767, Math.round(v * 8000)));
+        writer.writeShort(clamp(value.x));
+        writer.writeShort(clamp(value.y));
+        writer.writeShort(clamp(value.z));
+    }
+});
+
+// Chunk section coordinates packed into a long: x (22 bits), z (22 bits), y (20 bits)
+defineType('sectionPosition', {
+    read(reader) {
+        const value = reader.readLong();
+        return {
+            x: Number(BigInt.asIntN(22, value >> 42n)),
+            y: Number(BigInt.asIntN(20, value)),
+            z: Number(BigInt.asIntN(22, value >> 20n))
+        };
+    },
+    write(writer, value) {
+        writer.writeLong(
+            ((BigInt(value.x) & 0x3FFFFFn) << 42n) |
+            ((BigInt(value.z) & 0x3FFFFFn) << 20n) |
+            (BigInt(value.y) & 0xFFFFFn)
+        );
+    }
+});
+
+// Block change inside a section: state ID << 12 | x << 8 | z << 4 | y, as a varlong
+defineType('sectionBlock', {
+    read(reader) {
+        const value = Number(reader.readVarLong());
+        return {
+            stateId: Math.floor(value / 4096),
+            x: (value >> 8) & 0xF,
+            y: value & 0xF,
+            z: (value >> 4) & 0xF
+        };
+    },
+    write(writer, value) {
+        writer.writeVarLong(value.stateId * 4096 + ((value.x << 8) | (value.z << 4) | value.y));
+    }
+});
+
+// Last-seen message reference: registry index + 1, or 0 followed by the full signature
+defineType('previousMessage', {
+    read(reader) {
+        const id = reader.readVarInt() - 1;
+        return { id, signature: id === -1 ? reader.readBuffer(256) : null };
+    },
+    write(writer, value) {
+        writer.writeVarInt(value.id + 1);
+        if (value.id === -1) writer.writeBuffer(value.signature);
+    }
+});
+
+// Chat filter: 0 pass-through, 1 fully filtered, 2 partially filtered (with a bitset)
+defineType('filterMask', {
+    read(reader) {
+        const type = reader.readVarInt();
+        const mask = [];
+        if (type === 2) {
+            const count = reader.readVarInt();
+            for (let i = 0; i < count; i++) mask.push(reader.readLong());
+        }
+        return { type, mask };
+    },
+    write(writer, value) {
+        writer.writeVarInt(value.type);
+        if (value.type === 2) {
+            writer.writeVarInt(value.mask.length);
+            for (const long of value.mask) writer.writeLong(long);
+        }
+    }
+});
+
+const chatTypeDecoration = [
+    ['translationKey', 'string'],
+    ['parameters', ['array', 'varint']],
+    ['style', 'nbt']
+];
+
+// Chat type holder: registry index + 1, or 0 followed by an inline definition
+defineType('chatTypeHolder', {
+    read(reader) {
+        const id = reader.readVarInt();
+        if (id !== 0) return { registryIndex: id - 1 };
+
+        return {
+            registryIndex: null,
+            chat: readFields(reader, chatTypeDecoration),
+            narration: readFields(reader, chatTypeDecoration)
+        };
+    },
+    write(writer, value) {
+        if (value.registryIndex !== null && value.registryIndex !== undefined) {
+            writer.writeVarInt(value.registryIndex + 1);
+            return;
+        }
+        writer.writeVarInt(0);
+        writeFields(writer, chatTypeDecoration, value.chat);
+        writeFields(writer, chatTypeDecoration, value.narration);
+    }
+});
+
+// Player Info Update action flags, in wire order
+const PLAYER_INFO_ACTIONS = [
+    [0x01, 'addPlayer'],
+    [0x02, 'initializeChat'],
+    [0x04, 'gameMode'],
+    [0x08, 'listed'],
+    [0x10, 'latency'],
+    [0x20, 'displayName'],
+    [0x40, 'listOrder'],
+    [0x80, 'showHat']
+];
+
+const chatSession = [
+    ['sessionId', 'uuid'],
+    ['expiresAt', 'long'],
+    ['publicKey', 'byteArray'],
+    ['keySignature', 'byteArray']
+];
+
+// One Player Info Update entry; which fields are present depends on the packet's action flags
+defineType('playerInfoEntry', {
+    read(reader, context) {
+        const actions = context.actions;
+        const entry = { uuid: reader.readUUID() };
+
+        for (const [flag, action] of PLAYER_INFO_ACTIONS) {
+            if (!(actions & flag)) continue;
+            switch (action) {
+                case 'addPlayer':
+                    entry.name = reader.readString();
+                    entry.properties = readType(reader, ['array', 'property']);
+                    break;
+                case 'initializeChat':
+                    entry.chatSession = readType(reader, ['option', ['container', chatSession]]);
+                    break;
+                case 'gameMode':
+                    entry.gameMode = reader.readVarInt();
+                    break;
+                case 'listed':
+                    entry.listed = reader.readBoolean();
+                    break;
+                case 'latency':
+                    entry.latency = reader.readVarInt();
+                    break;
+                case 'displayName':
+                    entry.displayName = readType(reader, ['option', 'nbt']);
+                    break;
+                case 'listOrder':
+                    entry.listOrder = reader.readVarInt();
+                    break;
+                case 'showHat':
+                    entry.showHat = reader.readBoolean();
+                    break;
+            }
+        }
+        return entry;
+    },
+    write(writer, entry, context) {
+        const actions = context.actions;
+        writer.writeUUID(entry.uuid);
+
+        for (const [flag, action] of PLAYER_INFO_ACTIONS) {
+            if (!(actions & flag)) continue;
+            switch (action) {
+                case 'addPlayer':
+                    writer.writeString(entry.name);
+                    writeType(writer, ['array', 'property'], entry.properties || []);
+                    break;
+                case 'initializeChat':
+                    writeType(writer, ['option', ['container', chatSession]], entry.chatSession);
+                    break;
+                case 'gameMode':
+                    writer.writeVarInt(entry.gameMode);
+                    break;
+                case 'listed':
+                    writer.writeBoolean(entry.listed);
+                    break;
+                case 'latency':
+                    writer.writeVarInt(entry.latency);
+                    break;
+                case 'displayName':
+                    writeType(writer, ['option', 'nbt'], entry.displayName);
+                    break;
+                case 'listOrder':
+                    writer.writeVarInt(entry.listOrder);
+                    break;
+                case 'showHat':
+                    writer.writeBoolean(entry.showHat);
+                    break;
+            }
+        }
+    }
+});
+
+// === Packets shared by several states ===
+
+const keepAlive = [['keepAliveId', 'long']];
+const ping = [['id', 'int']];
+const cookieRequest = [['key', 'string']];
+const cookieResponse = [['key', 'string'], ['payload', ['option', 'byteArray']]];
+const pluginMessage = [['channel', 'string'], ['data', 'rest']];
+const resourcePackResponse = [['uuid', 'uuid'], ['result', 'varint']];
+const addResourcePack = [
+    ['uuid', 'uuid'],
+    ['url', 'string'],
+    ['hash', 'string'],
+    ['forced', 'bool'],
+    ['prompt', ['option', 'nbt']]
+];
+const clientInformation = [
+    ['locale', 'string'],
+    ['viewDistance', 'byte'],
+    ['chatMode', 'varint'],
+    ['chatColors', 'bool'],
+    ['skinParts', 'ubyte'],
+    ['mainHand', 'varint'],
+    ['textFiltering', 'bool'],
+    ['allowServerListings', 'bool'],
+    ['particleStatus', 'varint']
+];
+const textComponent = [['text', 'nbt']];
+
+const SCHEMAS = {
+    handshaking: {
+        toClient: {},
+        toServer: {
+            handshake: [
+                ['protocolVersion', 'varint'],
+                ['serverAddress', 'string'],
+                ['serverPort', 'ushort'],
+                ['nextState', 'varint']
+            ]
+        }
+    },
+
+    status: {
+        toClient: {
+            status_response: [['response', 'string']],
+            pong_response: [['payload', 'long']]
+        },
+        toServer: {
+            status_request: [],
+            ping_request: [['payload', 'long']]
+        }
+    },
+
+    login: {
+        toClient: {
+            disconnect: [['reason', 'string']],
+            encryption_request: [
+                ['serverId', 'string'],
+                ['publicKey', 'byteArray'],
+                ['verifyToken', 'byteArray'],
+                ['shouldAuthenticate', 'bool']
+            ],
+            login_success: [
+                ['uuid', 'uuid'],
+                ['username', 'string'],
+                ['properties', ['array', 'property']]
+            ],
+            set_compression: [['threshold', 'varint']],
+            login_plugin_request: [['messageId', 'varint'], ['channel', 'string'], ['data', 'rest']],
+            cookie_request: cookieRequest
+        },
+        toServer: {
+            login_start: [['username', 'string'], ['uuid', 'uuid']],
+            encryption_response: [['sharedSecret', 'byteArray'], ['verifyToken', 'byteArray']],
+            login_plugin_response: [['messageId', 'varint'], ['data', ['option', 'rest']]],
+            login_acknowledged: [],
+            cookie_response: cookieResponse
+        }
+    },
+
+    configuration: {
+        toClient: {
+            cookie_request: cookieRequest,
+            plugin_message: pluginMessage,
+            disconnect: [['reason', 'nbt']],
+            finish_configuration: [],
+            keep_alive: keepAlive,
+            ping: ping,
+            reset_chat: [],
+            registry_data: [
+                ['registryId', 'string'],
+                ['entries', ['array', ['container', [
+                    ['id', 'string'],
+                    ['data', ['option', 'nbt']]
+                ]]]]
+            ],
+            remove_resource_pack: [['uuid', ['option', 'uuid']]],
+            add_resource_pack: addResourcePack,
+            store_cookie: [['key', 'string'], ['payload', 'byteArray']],
+            transfer: [['host', 'string'], ['port', 'varint']],
+            feature_flags: [['features', ['array', 'string']]],
+            update_tags: [['registries', ['array', 'registryTags']]],
+            known_packs: [['packs', ['array', 'knownPack']]],
+            custom_report_details: [['details', ['array', ['container', [
+                ['title', 'string'],
+                ['description', 'string']
+            ]]]]],
+            server_links: [['data', 'rest']],
+            clear_dialog: [],
+            show_dialog: [['data', 'rest']],
+            code_of_conduct: [['text', 'string']]
+        },
+        toServer: {
+            client_information: clientInformation,
+            cookie_response: cookieResponse,
+            plugin_message: pluginMessage,
+            acknowledge_finish_configuration: [],
+            keep_alive: keepAlive,
+            pong: ping,
+            resource_pack_response: resourcePackResponse,
+            known_packs: [['packs', ['array', 'knownPack']]]
+        }
+    },
+
+    play: {
+        toClient: {
+            keep_alive: keepAlive,
+            ping: ping,
+            disconnect: [['reason', 'nbt']],
+            login: [
+                ['entityId', 'int'],
+                ['isHardcore', 'bool'],
+                ['worldNames', ['array', 'string']],
+                ['maxPlayers', 'varint'],
+                ['viewDistance', 'varint'],
+                ['simulationDistance', 'varint'],
+                ['reducedDebugInfo', 'bool'],
+                ['enableRespawnScreen', 'bool'],
+                ['doLimitedCrafting', 'bool'],
+                ['spawnInfo', 'spawnInfo'],
+                ['enforcesSecureChat', 'bool']
+            ],
+            respawn: [['spawnInfo', 'spawnInfo'], ['dataKept', 'ubyte']],
+            synchronize_player_position: [
+                ['teleportId', 'varint'],
+                ['x', 'double'],
+                ['y', 'double'],
+                ['z', 'double'],
+                ['velocityX', 'double'],
+                ['velocityY', 'double'],
+                ['velocityZ', 'double'],
+                ['yaw', 'float'],
+                ['pitch', 'float'],
+                ['flags', 'int'] // Relative-movement bits
+            ],
+            system_chat: [['content', 'nbt'], ['overlay', 'bool']],
+            disguised_chat: [
+                ['message', 'nbt'],
+                ['chatType', 'chatTypeHolder'],
+                ['senderName', 'nbt'],
+                ['targetName', ['option', 'nbt']]
+            ],
+            player_chat: [
+                ['globalIndex', 'varint'],
+                ['senderUuid', 'uuid'],
+                ['index', 'varint'],
+                ['signature', ['option', ['bytes', 256]]],
+                ['plainMessage', 'string'],
+                ['timestamp', 'long'],
+                ['salt', 'long'],
+                ['previousMessages', ['array', 'previousMessage']],
+                ['unsignedContent', ['option', 'nbt']],
+                ['filter', 'filterMask'],
+                ['chatType', 'chatTypeHolder'],
+                ['networkName', 'nbt'],
+                ['targetName', ['option', 'nbt']]
+            ],
+            set_title_text: textComponent,
+            set_subtitle_text: textComponent,
+            set_action_bar_text: textComponent,
+            set_health: [['health', 'float'], ['food', 'varint'], ['saturation', 'float']],
+            game_event: [['event', 'ubyte'], ['value', 'float']],
+            chunk_data: [['chunkX', 'int'], ['chunkZ', 'int'], ['data', 'rest']],
+            unload_chunk: [['chunkZ', 'int'], ['chunkX', 'int']],
+            block_update: [['location', 'position'], ['stateId', 'varint']],
+            update_section_blocks: [['section', 'sectionPosition'], ['blocks', ['array', 'sectionBlock']]],
+            block_entity_data: [['location', 'position'], ['type', 'varint'], ['nbt', 'nbt']],
+            update_light: [['chunkX', 'varint'], ['chunkZ', 'varint'], ['data', 'rest']],
+            chunk_biomes: [['chunks', ['array', ['container', [
+                ['chunkZ', 'int'],
+                ['chunkX', 'int'],
+                ['data', 'byteArray']
+            ]]]]],
+            chunk_batch_start: [],
+            chunk_batch_finished: [['batchSize', 'varint']],
+            start_configuration: [],
+            add_resource_pack: addResourcePack,
+            set_center_chunk: [['chunkX', 'varint'], ['chunkZ', 'varint']],
+            player_abilities: [['flags', 'byte'], ['flyingSpeed', 'float'], ['fovModifier', 'float']],
+            set_held_item: [['slot', 'varint']],
+            update_time: [['worldAge', 'long'], ['timeOfDay', 'long'], ['tickDayTime', 'bool']],
+            change_difficulty: [['difficulty', 'varint'], ['locked', 'bool']],
+            player_info_update: [['actions', 'ubyte'], ['entries', ['array', 'playerInfoEntry']]],
+            player_info_remove: [['uuids', ['array', 'uuid']]],
+            tab_list: [['header', 'nbt'], ['footer', 'nbt']],
+            set_simulation_distance: [['distance', 'varint']],
+            set_render_distance: [['distance', 'varint']],
+            spawn_entity: [
+                ['entityId', 'varint'],
+                ['uuid', 'uuid'],
+                ['type', 'varint'],
+                ['x', 'double'],
+                ['y', 'double'],
+                ['z', 'double'],
+                ['velocity', 'lpVec3'],
+                ['pitch', 'byte'],
+                ['yaw', 'byte'],
+                ['headYaw', 'byte'],
+                ['data', 'varint']
+            ],
+            update_entity_position: [
+                ['entityId', 'varint'],
+                ['deltaX', 'short'],
+                ['deltaY', 'short'],
+                ['deltaZ', 'short'],
+                ['onGround', 'bool']
+            ],
+            update_entity_position_and_rotation: [
+                ['entityId', 'varint'],
+                ['deltaX', 'short'],
+                ['deltaY', 'short'],
+                ['deltaZ', 'short'],
+                ['yaw', 'byte'],
+                ['pitch', 'byte'],
+                ['onGround', 'bool']
+            ],
+            entity_position_sync: [
+                ['entityId', 'varint'],
+                ['x', 'double'],
+                ['y', 'double'],
+                ['z', 'double'],
+                ['velocityX', 'double'],
+                ['velocityY', 'double'],
+                ['velocityZ', 'double'],
+                ['yaw', 'float'],
+                ['pitch', 'float'],
+                ['onGround', 'bool']
+            ],
+            update_entity_rotation: [
+                ['entityId', 'varint'],
+                ['yaw', 'byte'],
+                ['pitch', 'byte'],
+                ['onGround', 'bool']
+            ],
+            set_head_rotation: [['entityId', 'varint'], ['headYaw', 'byte']],
+            set_entity_velocity: [['entityId', 'varint'], ['velocity', 'lpVec3']],
+            set_entity_metadata: [['entityId', 'varint'], ['metadata', 'rest']], // Decoded by entity-data.js
+            set_equipment: [['entityId', 'varint'], ['equipment', 'rest']],
+            update_attributes: [
+                ['entityId', 'varint'],
+                ['attributes', ['array', ['container', [
+                    ['id', 'varint'],
+                    ['value', 'double'],
+                    ['modifiers', ['array', ['container', [
+                        ['id', 'string'],
+                        ['amount', 'double'],
+                        ['operation', 'byte']
+                    ]]]]
+                ]]]]
+            ],
+            remove_entities: [['entityIds', ['array', 'varint']]],
+            entity_event: [['entityId', 'int'], ['status', 'byte']]
+        },
+        toServer: {
+            confirm_teleportation: [['teleportId', 'varint']],
+            acknowledge_message: [['count', 'varint']],
+            chat_command: [['command', 'string']],
+            chat_message: [
+                ['message', 'string'],
+                ['timestamp', 'long'],
+                ['salt', 'long'],
+                ['signature', ['option', ['bytes', 256]]],
+                ['offset', 'varint'],
+                ['acknowledged', ['bytes', 3]], // Fixed 20-bit BitSet
+                ['checksum', 'ubyte']
+            ],
+            chunk_batch_received: [['chunksPerTick', 'float']],
+            client_status: [['action', 'varint']],
+            client_tick_end: [],
+            client_information: clientInformation,
+            acknowledge_configuration: [],
+            cookie_response: cookieResponse,
+            plugin_message: pluginMessage,
+            keep_alive: keepAlive,
+            set_player_position: [
+                ['x', 'double'],
+                ['y', 'double'],
+                ['z', 'double'],
+                ['flags', 'ubyte'] // 0x01 on ground, 0x02 against a wall
+            ],
+            set_player_position_and_rotation: [
+                ['x', 'double'],
+                ['y', 'double'],
+                ['z', 'double'],
+                ['yaw', 'float'],
+                ['pitch', 'float'],
+                ['flags', 'ubyte']
+            ],
+            set_player_rotation: [['yaw', 'float'], ['pitch', 'float'], ['flags', 'ubyte']],
+            pong: ping,
+            resource_pack_response: resourcePackResponse
+        }
+    }
+};
+
+// === Older protocol versions ===
+
+/**
+ * Packet layouts that changed within the supported range. Each entry applies to
+ * protocol versions below `before`; the entry with the lowest `before` wins.
+ */
+const VERSION_OVERRIDES = [
+    {
+        // 1.21.9 moved velocity up and switched it to lpVec3
+        before: 773, state: 'play', direction: 'toClient', name: 'spawn_entity',
+        fields: [
+            ['entityId', 'varint'],
+            ['uuid', 'uuid'],
+            ['type', 'varint'],
+            ['x', 'double'],
+            ['y', 'double'],
+            ['z', 'double'],
+            ['pitch', 'byte'],
+            ['yaw', 'byte'],
+            ['headYaw', 'byte'],
+            ['data', 'varint'],
+            ['velocity', 'shortVelocity']
+        ]
+    },
+    {
+        before: 773, state: 'play', direction: 'toClient', name: 'set_entity_velocity',
+        fields: [['entityId', 'varint'], ['velocity', 'shortVelocity']]
+    },
+    {
+        before: 771, state: 'play', direction: 'toClient', name: 'change_difficulty',
+        fields: [['difficulty', 'ubyte'], ['locked', 'bool']]
+    },
+    {
+        // No global message index before 1.21.5
+        before: 770, state: 'play', direction: 'toClient', name: 'player_chat',
+        fields: SCHEMAS.play.toClient.player_chat.filter(([name]) => name !== 'globalIndex')
+    },
+    {
+        // No last-seen checksum before 1.21.5
+        before: 770, state: 'play', direction: 'toServer', name: 'chat_message',
+        fields: SCHEMAS.play.toServer.chat_message.filter(([name]) => name !== 'checksum')
+    }
+];
+
+/**
+ * Schemas for a protocol version (SCHEMAS with older layouts swapped in)
+ * @param {number} protocolVersion
+ * @returns {object}
+ */
+function schemasFor(protocolVersion) {
+    const overrides = VERSION_OVERRIDES
+        .filter(entry => protocolVersion < entry.before)
+        .sort((a, b) => b.before - a.before);
+    if (overrides.length === 0) return SCHEMAS;
+
+    const schemas = {};
+    for (const [state, directions] of Object.entries(SCHEMAS)) {
+        schemas[state] = {};
+        for (const [direction, packets] of Object.entries(directions)) {
+            schemas[state][direction] = { ...packets };
+        }
+    }
+    // Sorted newest first, so older layouts overwrite newer ones
+    for (const entry of overrides) {
+        schemas[entry.state][entry.direction][entry.name] = entry.fields;
+    }
+    return schemas;
+}
+
+module.exports = { SCHEMAS, schemasFor };
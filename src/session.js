@@ -0,0 +1,91 @@
+/**
+ * Session providers for online-mode authentication
+ *
+ * A session provider is any object with:
+ *   joinServer({ accessToken, uuid, username, serverHash }) -> Promise<void>
+ * It is called during login, after the server sends an Encryption Request
+ * with authentication enabled. Rejecting aborts the login.
+ */
+
+const { logger } = require('./logger');
+
+const MOJANG_SESSION_SERVER = 'https://sessionserver.mojang.com';
+
+/**
+ * Yggdrasil-compatible session server (Mojang's by default)
+ * Point baseUrl at a local stand-in for tests or at an authlib-injector style server.
+ */
+class YggdrasilSessionProvider {
+    /**
+     * @param {object} options - { baseUrl, timeout }
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || MOJANG_SESSION_SERVER).replace(/\/+$/, '');
+        this.timeout = options.timeout || 10000;
+    }
+
+    /**
+     * Tell the session server we are joining a server
+     * @param {object} params - { accessToken, uuid, serverHash }
+     * @returns {Promise<void>}
+     */
+    async joinServer({ accessToken, uuid, serverHash }) {
+        const body = {
+            accessToken,
+            selectedProfile: String(uuid).replace(/-/g, ''),
+            serverId: serverHash
+        };
+
+        const response = await this.post('/session/minecraft/join', body);
+        if (response.status !== 204 && response.status !== 200) {
+            const text = await response.text().catch(() => '');
+            throw new Error(`Session server rejected join (${response.status}): ${describeError(text)}`);
+        }
+
+        logger.debug(`[Session] Joined server ${serverHash}`);
+    }
+
+    /**
+     * Verify a join the way a server would (useful against a local stand-in)
+     * @param {string} username
+     * @param {string} serverHash
+     * @returns {Promise<object|null>} Profile { id, name, properties } or null
+     */
+    async hasJoined(username, serverHash) {
+        const query = `username=${encodeURIComponent(username)}&serverId=${encodeURIComponent(serverHash)}`;
+        const response = await this.request(`/session/minecraft/hasJoined?${query}`, { method: 'GET' });
+        if (response.status !== 200) return null;
+        return response.json();
+    }
+
+    post(path, body) {
+        return this.request(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    request(path, init) {
+        return fetch(this.baseUrl + path, { ...init, signal: AbortSignal.timeout(this.timeout) });
+    }
+}
+
+/**
+ * Pull the message out of a Yggdrasil error response
+ * @param {string} text - Response body
+ * @returns {string}
+ */
+function describeError(text) {
+    try {
+        const error = JSON.parse(text);
+        return error.errorMessage || error.error || text;
+    } catch (e) {
+        return text || 'no response body';
+    }
+}
+
+module.exports = {
+    YggdrasilSessionProvider,
+    MOJANG_SESSION_SERVER
+};
@@ -2,11 +2,14 @@
  * Handshake state handler
  */
 
-const { PacketWriter } = require('../protocol/packet');
 const { logger } = require('../logger');
 
-// Packet IDs
-const HANDSHAKE = 0x00;
+// Next state values -> connection state names
+const NEXT_STATES = {
+    1: 'status',
+    2: 'login',
+    3: 'login' // Transfer - continues through the login sequence
+};
 
 /**
  * Send handshake packet
@@ -19,15 +22,16 @@ const HANDSHAKE = 0x00;
 function sendHandshake(connection, host, port, protocolVersion, nextState = 2) {
     logger.debug(`[Handshake] Sending handshake (protocol=${protocolVersion}, nextState=${nextState})`);
 
-    const packet = new PacketWriter(HANDSHAKE)
-        .writeVarInt(protocolVersion)  // Protocol Version
-        .writeString(host)              // Server Address
-        .writeUShort(port)              // Server Port
-        .writeVarInt(nextState);        // Next State (2 = Login)
+    const packet = connection.registry.build('handshaking', 'toServer', 'handshake', {
+        protocolVersion,
+        serverAddress: host,
+        serverPort: port,
+        nextState               // 1 = Status, 2 = Login
+    });
 
-    // Change state BEFORE sending packet so handlers are ready
-    connection.setState('login');
-    connection.send(packet.buildData());
+    // Change state right after sending (before any reply can arrive) so handlers are ready
+    connection.send(packet);
+    connection.setState(NEXT_STATES[nextState] || 'login');
 }
 
 module.exports = {
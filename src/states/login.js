@@ -1,94 +1,110 @@
 /**
  * Login state handler
+ * Packet IDs and field layouts come from the packet registry (src/protocol/schemas.js)
  */
 
-const { PacketWriter, offlineUUID } = require('../protocol/packet');
+const { offlineUUID } = require('../protocol/packet');
+const { generateSharedSecret, parsePublicKey, encryptRSA, serverHash } = require('../protocol/encryption');
+const { YggdrasilSessionProvider } = require('../session');
+const { toPlainText, parseJsonComponent } = require('../text-component');
 const { logger } = require('../logger');
 
-// Clientbound packet IDs (Server -> Client)
-const S2C_DISCONNECT = 0x00;
-const S2C_ENCRYPTION_REQUEST = 0x01;
-const S2C_LOGIN_SUCCESS = 0x02;
-const S2C_SET_COMPRESSION = 0x03;
-const S2C_LOGIN_PLUGIN_REQUEST = 0x04;
-const S2C_COOKIE_REQUEST = 0x05;
-
-// Serverbound packet IDs (Client -> Server)
-const C2S_LOGIN_START = 0x00;
-const C2S_ENCRYPTION_RESPONSE = 0x01;
-const C2S_LOGIN_PLUGIN_RESPONSE = 0x02;
-const C2S_LOGIN_ACKNOWLEDGED = 0x03;
-const C2S_COOKIE_RESPONSE = 0x04;
-
 /**
  * Setup login state handlers
  * @param {Connection} connection
  * @param {object} client
  */
 function setupLoginHandlers(connection, client) {
-    // Disconnect
-    connection.onPacket('login', S2C_DISCONNECT, (reader) => {
-        const reason = reader.readString();
+    // Disconnect - reason is a JSON text component in the login state
+    connection.onPacket('login', 'disconnect', (packet) => {
+        const reason = toPlainText(parseJsonComponent(packet.reason));
         logger.info(`[Login] Disconnected: ${reason}`);
         client.emit('disconnect', reason);
     });
 
-    // Encryption Request - not needed for offline mode
-    connection.onPacket('login', S2C_ENCRYPTION_REQUEST, (reader) => {
-        logger.warn('[Login] Encryption requested - online mode not supported');
-        client.emit('error', new Error('Online mode not supported'));
+    // Encryption Request - online-mode servers (and some proxies) encrypt the connection
+    connection.onPacket('login', 'encryption_request', (packet) => {
+        handleEncryptionRequest(connection, client, packet)
+            .catch((err) => {
+                logger.error(`[Login] Encryption failed: ${err.message}`);
+                connection.close();
+                client.emit('disconnect', `Authentication failed: ${err.message}`);
+                // An 'error' event without a listener would throw inside this catch
+                if (client.listenerCount('error') > 0) client.emit('error', err);
+            });
     });
 
     // Set Compression
-    connection.onPacket('login', S2C_SET_COMPRESSION, (reader) => {
-        const threshold = reader.readVarInt();
+    connection.onPacket('login', 'set_compression', ({ threshold }) => {
         // Silent compression setup
         connection.setCompression(threshold);
     });
 
     // Login Success
-    connection.onPacket('login', S2C_LOGIN_SUCCESS, (reader) => {
-        const uuid = reader.readUUID();
-        const username = reader.readString();
+    connection.onPacket('login', 'login_success', ({ uuid, username }) => {
         // Silent login success
 
         client.uuid = uuid;
         client.username = username;
 
         // Send Login Acknowledged to transition to Configuration state
-        const ackPacket = new PacketWriter(C2S_LOGIN_ACKNOWLEDGED);
-        connection.send(ackPacket.buildData());
+        connection.sendPacket('login_acknowledged');
 
         connection.setState('configuration');
         client.emit('login', { uuid, username });
     });
 
     // Login Plugin Request
-    connection.onPacket('login', S2C_LOGIN_PLUGIN_REQUEST, (reader) => {
-        const messageId = reader.readVarInt();
-        const channel = reader.readString();
+    connection.onPacket('login', 'login_plugin_request', ({ messageId }) => {
         // Silent plugin response
 
         // Respond with unsuccessful (we don't understand the plugin)
-        const response = new PacketWriter(C2S_LOGIN_PLUGIN_RESPONSE)
-            .writeVarInt(messageId)
-            .writeBoolean(false); // Not successful
-        connection.send(response.buildData());
+        connection.sendPacket('login_plugin_response', { messageId, data: null });
     });
 
     // Cookie Request
-    connection.onPacket('login', S2C_COOKIE_REQUEST, (reader) => {
-        const key = reader.readString();
+    connection.onPacket('login', 'cookie_request', ({ key }) => {
         // Silent cookie response
 
         // Respond with no cookie
-        const response = new PacketWriter(C2S_COOKIE_RESPONSE)
-            .writeString(key)
-            .writeBoolean(false); // No payload
-        connection.send(response.buildData());
+        connection.sendPacket('cookie_response', { key, payload: null });
     });
 }
 
+/**
+ * Authenticate with the session server (if asked) and answer an Encryption Request
+ * @param {Connection} connection
+ * @param {object} client - Provides accessToken, customUUID, username, sessionProvider
+ * @param {object} request - Encryption Request fields { serverId, publicKey, verifyToken, shouldAuthenticate }
+ */
+async function handleEncryptionRequest(connection, client, request) {
+    const publicKey = parsePublicKey(request.publicKey);
+    const sharedSecret = generateSharedSecret();
+
+    if (request.shouldAuthenticate) {
+        // The session server checks the token against the profile, so both must be set
+        if (!client.accessToken || !client.customUUID) {
+            throw new Error('Server is in online mode - an accessToken and customUUID (the account\'s profile UUID) are required');
+        }
+
+        const provider = client.sessionProvider || new YggdrasilSessionProvider();
+        await provider.joinServer({
+            accessToken: client.accessToken,
+            uuid: client.customUUID,
+            username: client.username,
+            serverHash: serverHash(request.serverId, sharedSecret, request.publicKey)
+        });
+    }
+
+    connection.sendPacket('encryption_response', {
+        sharedSecret: encryptRSA(publicKey, sharedSecret),
+        verifyToken: encryptRSA(publicKey, request.verifyToken)
+    });
+
+    // Everything after the response is encrypted in both directions
+    connection.enableEncryption(sharedSecret);
+}
+
 /**
  * Send login start packet
  * @param {Connection} connection
@@ -99,12 +115,7 @@ function sendLoginStart(connection, username, customUUID = null) {
     // Silent login start
     const uuid = customUUID || offlineUUID(username);
 
-    const packet = new PacketWriter(C2S_LOGIN_START)
-        .writeString(username)
-        .writeUUID(uuid);
-
-    const data = packet.buildData();
-    connection.send(data);
+    connection.sendPacket('login_start', { username, uuid });
 }
 
 module.exports = {
@@ -1,168 +1,16 @@
 /**
  * Play state handler for Protocol 773 (1.21.10)
  * Based on official Minecraft wiki protocol documentation
+ * Packet IDs and field layouts come from the packet registry (src/protocol/schemas.js)
  */
 
-const { PacketWriter } = require('../protocol/packet');
+const { randomBytes } = require('crypto');
+const { parseComponent, toPlainText, toAnsi, decorateChat } = require('../text-component');
+const { resolveDimensionType } = require('../dimensions');
 const { logger } = require('../logger');
 
-// Clientbound packet IDs (Server -> Client) - Play state
-// Reference: https://minecraft.wiki/w/Java_Edition_protocol/Packets
-const S2C_BUNDLE_DELIMITER = 0x00;
-const S2C_SPAWN_ENTITY = 0x01;
-const S2C_ENTITY_ANIMATION = 0x02;
-const S2C_AWARD_STATISTICS = 0x03;
-const S2C_ACKNOWLEDGE_BLOCK_CHANGE = 0x04;
-const S2C_SET_BLOCK_DESTROY_STAGE = 0x05;
-const S2C_BLOCK_ENTITY_DATA = 0x06;
-const S2C_BLOCK_ACTION = 0x07;
-const S2C_BLOCK_UPDATE = 0x08;
-const S2C_BOSS_BAR = 0x09;
-const S2C_CHANGE_DIFFICULTY = 0x0A;
-const S2C_CHUNK_BATCH_FINISHED = 0x0B;
-const S2C_CHUNK_BATCH_START = 0x0C;
-const S2C_CHUNK_BIOMES = 0x0D;
-const S2C_CLEAR_TITLES = 0x0E;
-const S2C_COMMAND_SUGGESTIONS = 0x0F;
-const S2C_COMMANDS = 0x10;
-const S2C_CLOSE_CONTAINER = 0x11;
-const S2C_SET_CONTAINER_CONTENT = 0x12;
-const S2C_SET_CONTAINER_PROPERTY = 0x13;
-const S2C_SET_CONTAINER_SLOT = 0x14;
-const S2C_COOKIE_REQUEST = 0x15;
-const S2C_SET_COOLDOWN = 0x16;
-const S2C_CHAT_SUGGESTIONS = 0x17;
-const S2C_PLUGIN_MESSAGE = 0x18;
-const S2C_DAMAGE_EVENT = 0x19;
-const S2C_DEBUG_BLOCK_VALUE = 0x1A;
-const S2C_DEBUG_CHUNK_VALUE = 0x1B;
-const S2C_DEBUG_ENTITY_VALUE = 0x1C;
-const S2C_DEBUG_EVENT = 0x1D;
-const S2C_DEBUG_SAMPLE = 0x1E;
-const S2C_DELETE_MESSAGE = 0x1F;
-const S2C_DISCONNECT = 0x20;
-const S2C_DISGUISED_CHAT = 0x21;
-const S2C_ENTITY_EVENT = 0x22;
-const S2C_TELEPORT_ENTITY = 0x23;
-const S2C_EXPLOSION = 0x24;
-const S2C_UNLOAD_CHUNK = 0x25;
-const S2C_GAME_EVENT = 0x26;
-const S2C_GAME_TEST_HIGHLIGHT = 0x27;
-const S2C_OPEN_HORSE_SCREEN = 0x28;
-const S2C_HURT_ANIMATION = 0x29;
-const S2C_INITIALIZE_WORLD_BORDER = 0x2A;
-const S2C_KEEP_ALIVE = 0x2B;
-const S2C_CHUNK_DATA = 0x2C;
-const S2C_WORLD_EVENT = 0x2D;
-const S2C_PARTICLE = 0x2E;
-const S2C_UPDATE_LIGHT = 0x2F;
-const S2C_LOGIN = 0x30;
-const S2C_MAP_DATA = 0x31;
-const S2C_MERCHANT_OFFERS = 0x32;
-const S2C_UPDATE_ENTITY_POSITION = 0x33;
-const S2C_UPDATE_ENTITY_POSITION_AND_ROTATION = 0x34;
-const S2C_MOVE_MINECART = 0x35;
-const S2C_UPDATE_ENTITY_ROTATION = 0x36;
-const S2C_MOVE_VEHICLE = 0x37;
-const S2C_OPEN_BOOK = 0x38;
-const S2C_OPEN_SCREEN = 0x39;
-const S2C_OPEN_SIGN_EDITOR = 0x3A;
-const S2C_PING = 0x3B;
-const S2C_PING_RESPONSE = 0x3C;
-const S2C_PLACE_GHOST_RECIPE = 0x3D;
-const S2C_PLAYER_ABILITIES = 0x3E;
-const S2C_PLAYER_CHAT = 0x3F;
-const S2C_END_COMBAT = 0x40;
-const S2C_ENTER_COMBAT = 0x41;
-const S2C_COMBAT_DEATH = 0x42;
-const S2C_PLAYER_INFO_REMOVE = 0x43;
-const S2C_PLAYER_INFO_UPDATE = 0x44;
-const S2C_LOOK_AT = 0x45;
-const S2C_SYNCHRONIZE_PLAYER_POSITION = 0x46;
-const S2C_PLAYER_ROTATION = 0x47;
-const S2C_RECIPE_BOOK_ADD = 0x48;
-const S2C_RECIPE_BOOK_REMOVE = 0x49;
-const S2C_RECIPE_BOOK_SETTINGS = 0x4A;
-const S2C_REMOVE_ENTITIES = 0x4B;
-const S2C_REMOVE_ENTITY_EFFECT = 0x4C;
-const S2C_RESET_SCORE = 0x4D;
-const S2C_REMOVE_RESOURCE_PACK = 0x4E;
-const S2C_ADD_RESOURCE_PACK = 0x4F;
-const S2C_RESPAWN = 0x50;
-const S2C_SET_HEAD_ROTATION = 0x51;
-const S2C_UPDATE_SECTION_BLOCKS = 0x52;
-const S2C_SELECT_ADVANCEMENTS_TAB = 0x53;
-const S2C_SERVER_DATA = 0x54;
-const S2C_SET_ACTION_BAR_TEXT = 0x55;
-const S2C_SET_BORDER_CENTER = 0x56;
-const S2C_SET_BORDER_LERP_SIZE = 0x57;
-const S2C_SET_BORDER_SIZE = 0x58;
-const S2C_SET_BORDER_WARNING_DELAY = 0x59;
-const S2C_SET_BORDER_WARNING_DISTANCE = 0x5A;
-const S2C_SET_CAMERA = 0x5B;
-const S2C_SET_CENTER_CHUNK = 0x5C;
-const S2C_SET_RENDER_DISTANCE = 0x5D;
-const S2C_SET_CURSOR_ITEM = 0x5E;
-const S2C_SET_DEFAULT_SPAWN_POSITION = 0x5F;
-const S2C_DISPLAY_OBJECTIVE = 0x60;
-const S2C_SET_ENTITY_METADATA = 0x61;
-const S2C_LINK_ENTITIES = 0x62;
-const S2C_SET_ENTITY_VELOCITY = 0x63;
-const S2C_SET_EQUIPMENT = 0x64;
-const S2C_SET_EXPERIENCE = 0x65;
-const S2C_SET_HEALTH = 0x66;
-const S2C_SET_HELD_ITEM = 0x67;
-const S2C_UPDATE_OBJECTIVES = 0x68;
-const S2C_SET_PASSENGERS = 0x69;
-const S2C_SET_PLAYER_INVENTORY_SLOT = 0x6A;
-const S2C_UPDATE_TEAMS = 0x6B;
-const S2C_UPDATE_SCORE = 0x6C;
-const S2C_SET_SIMULATION_DISTANCE = 0x6D;
-const S2C_SET_SUBTITLE_TEXT = 0x6E;
-const S2C_UPDATE_TIME = 0x6F;
-const S2C_SET_TITLE_TEXT = 0x70;
-const S2C_SET_TITLE_ANIMATION_TIMES = 0x71;
-const S2C_ENTITY_SOUND_EFFECT = 0x72;
-const S2C_SOUND_EFFECT = 0x73;
-const S2C_START_CONFIGURATION = 0x74;
-const S2C_STOP_SOUND = 0x75;
-const S2C_STORE_COOKIE = 0x76;
-const S2C_SYSTEM_CHAT = 0x77;
-const S2C_TAB_LIST = 0x78;
-const S2C_TAG_QUERY = 0x79;
-const S2C_PICKUP_ITEM = 0x7A;
-const S2C_SYNCHRONIZE_VEHICLE_POSITION = 0x7B;
-const S2C_TEST_INSTANCE_BLOCK_STATUS = 0x7C;
-const S2C_SET_TICKING_STATE = 0x7D;
-const S2C_STEP_TICK = 0x7E;
-const S2C_TRANSFER = 0x7F;
-const S2C_UPDATE_ADVANCEMENTS = 0x80;
-const S2C_UPDATE_ATTRIBUTES = 0x81;
-const S2C_ENTITY_EFFECT = 0x82;
-const S2C_UPDATE_RECIPES = 0x83;
-const S2C_UPDATE_TAGS = 0x84;
-
-// Serverbound packet IDs (Client -> Server) - Play state
-const C2S_CONFIRM_TELEPORTATION = 0x00;
-const C2S_QUERY_BLOCK_ENTITY_TAG = 0x01;
-const C2S_BUNDLE_ITEM_SELECTED = 0x02;
-const C2S_CHANGE_DIFFICULTY = 0x03;
-const C2S_ACKNOWLEDGE_MESSAGE = 0x05;
-const C2S_CHAT_COMMAND = 0x06;
-const C2S_CHAT = 0x08;
-const C2S_CHUNK_BATCH_RECEIVED = 0x0A;
-const C2S_CLIENT_STATUS = 0x0B;
-const C2S_CLIENT_TICK_END = 0x0C;
-const C2S_CLIENT_INFORMATION = 0x0D;
-const C2S_ACKNOWLEDGE_CONFIGURATION = 0x0F;
-const C2S_COOKIE_RESPONSE = 0x14;
-const C2S_PLUGIN_MESSAGE = 0x15;
-const C2S_KEEP_ALIVE = 0x1B;
-const C2S_SET_PLAYER_POSITION = 0x1D;
-const C2S_SET_PLAYER_POSITION_AND_ROTATION = 0x1E;
-const C2S_SET_PLAYER_ROTATION = 0x1F;
-const C2S_PONG = 0x2C;
-const C2S_RESOURCE_PACK_RESPONSE = 0x30;
+// Chat type parameter IDs used by inline chat type definitions
+const CHAT_TYPE_PARAMETERS = ['sender', 'target', 'content'];
 
 /**
  * Setup play state handlers
@@ -171,41 +19,33 @@ const C2S_RESOURCE_PACK_RESPONSE = 0x30;
  */
 function setupPlayHandlers(connection, client) {
     // Keep Alive - CRITICAL: Must respond immediately to stay connected
-    connection.onPacket('play', S2C_KEEP_ALIVE, (reader) => {
-        const id = reader.readLong();
-        logger.debug(`[Keep-Alive] Received: ${id}, responding...`);
-        const response = new PacketWriter(C2S_KEEP_ALIVE)
-            .writeLong(id);
-        connection.send(response.buildData());
+    connection.onPacket('play', 'keep_alive', ({ keepAliveId }) => {
+        logger.debug(`[Keep-Alive] Received: ${keepAliveId}, responding...`);
+        connection.sendPacket('keep_alive', { keepAliveId });
         logger.debug(`[Keep-Alive] Response sent!`);
     });
 
     // Login (Join Game)
-    connection.onPacket('play', S2C_LOGIN, (reader) => {
-        const entityId = reader.readInt();
-        const isHardcore = reader.readBoolean();
-
-        logger.always(`✓ Joined game! Entity ID: ${entityId}`);
+    connection.onPacket('play', 'login', ({ entityId, spawnInfo }) => {
+        logger.info(`✓ Joined game! Entity ID: ${entityId}`);
         client.entityId = entityId;
+        enterDimension(client, spawnInfo);
         client.emit('spawn');
     });
 
+    // Respawn - after death or when changing dimension
+    connection.onPacket('play', 'respawn', ({ spawnInfo }) => {
+        enterDimension(client, spawnInfo);
+        client.emit('respawn', client.dimension);
+    });
+
     // Synchronize Player Position
-    connection.onPacket('play', S2C_SYNCHRONIZE_PLAYER_POSITION, (reader) => {
+    connection.onPacket('play', 'synchronize_player_position', (packet) => {
         // CRITICAL: Block movement while waiting for teleport confirm cycle
         // Set flag IMMEDIATELY when receiving teleport packet
         client.awaitingTeleport = true;
 
-        const teleportId = reader.readVarInt();
-        const x = reader.readDouble();
-        const y = reader.readDouble();
-        const z = reader.readDouble();
-        // Read velocity
-        reader.readDouble();
-        reader.readDouble();
-        reader.readDouble();
-        const yaw = reader.readFloat();
-        const pitch = reader.readFloat();
+        const { teleportId, x, y, z, yaw, pitch } = packet;
 
         // Check if we're actively moving and being reset by server
         if (client.movement && client.movement.isMoving) {
@@ -229,9 +69,7 @@ function setupPlayHandlers(connection, client) {
 
         // Send teleport confirmation
         logger.debug(`[Position] Confirming teleport ID: ${teleportId}`);
-        const confirm = new PacketWriter(C2S_CONFIRM_TELEPORTATION)
-            .writeVarInt(teleportId);
-        connection.send(confirm.buildData());
+        connection.sendPacket('confirm_teleportation', { teleportId });
 
         // Notify movement controller about the reset
         // This sets cooldown and keeps awaitingTeleport true until cooldown expires
@@ -245,415 +83,502 @@ function setupPlayHandlers(connection, client) {
         client.emit('position', { x, y, z, yaw, pitch });
     });
 
-    // Disconnect
-    connection.onPacket('play', S2C_DISCONNECT, (reader) => {
-        try {
-            const rawData = reader.readRemaining();
-            const reason = rawData.toString('utf8');
-            logger.info(`[Play] Disconnected: ${reason}`);
-            client.emit('disconnect', reason);
-        } catch (e) {
-            logger.info('[Play] Disconnected (could not parse reason)');
-            client.emit('disconnect', 'Unknown reason');
-        }
+    // Disconnect - reason is an NBT Text Component
+    connection.onPacket('play', 'disconnect', ({ reason }) => {
+        const text = toPlainText(reason);
+        logger.info(`[Play] Disconnected: ${text}`);
+        client.emit('disconnect', text);
     });
 
-    // System Chat
-    connection.onPacket('play', S2C_SYSTEM_CHAT, (reader) => {
-        try {
-            const message = reader.readString();
-            // Silent - only emit event
-            client.emit('chat', { message, system: true });
-        } catch (e) {
-            // Silent error
-        }
-    });
-
-    // Disguised Chat Message (System messages, player chat)
-    connection.onPacket('play', S2C_DISGUISED_CHAT, (reader) => {
-        try {
-            const message = reader.readString();
+    // System Chat - NBT text component plus overlay (action bar) flag
+    connection.onPacket('play', 'system_chat', ({ content, overlay }) => {
+        const component = parseComponent(content);
 
-            // Try to parse as JSON
-            try {
-                const parsed = JSON.parse(message);
-                let text = '';
-
-                // Extract text from JSON
-                if (parsed.text) text += parsed.text;
-                if (parsed.extra) {
-                    for (const part of parsed.extra) {
-                        if (typeof part === 'string') text += part;
-                        else if (part.text) text += part.text;
-                    }
-                }
-
-                // Emit chat event silently
-                if (text) {
-                    client.emit('chat', { message: text, system: true });
-                }
-            } catch (e) {
-                // Not JSON, use raw message
-                client.emit('chat', { message, system: true });
-            }
-        } catch (e) {
-            // Silent error
+        if (overlay) {
+            client.emit('title', { type: 'actionbar', text: toPlainText(component), component });
+            return;
         }
-    });
-
-    // Player Chat - Parse and emit for command handling
-    connection.onPacket('play', S2C_PLAYER_CHAT, (reader) => {
-        try {
-            // Read sender UUID (skip header VarInt first)
-            const headerIndex = reader.readVarInt();
-            const senderUUID = reader.readUUID();
-            const messageIndex = reader.readVarInt();
-
-            // Check if signature present
-            const hasSignature = reader.readBoolean();
-            if (hasSignature) {
-                reader.skip(256); // Skip signature
-            }
-
-            // Read the actual message
-            const message = reader.readString();
-            logger.always(`💬 ${message}`);
 
-            // Emit chat event
-            client.emit('chat', { message, system: false });
-        } catch (e) {
-            // Silent error
-        }
+        logger.debug(`[Chat] ${toAnsi(component)}`);
+        const plainText = toPlainText(component);
+        client.emit('chat', {
+            sender: null,
+            senderUuid: null,
+            type: 'system',
+            plainText,
+            component,
+            signed: false,
+            message: plainText,
+            system: true
+        });
     });
 
-    // Packet 0x22 - Chat Message (this server's actual chat packet!)
-    connection.onPacket('play', 0x22, (reader) => {
-        try {
-            // Read the message string
-            const message = reader.readString();
-
-            // DEBUG: Log raw message
-            logger.debug(`[Chat] Raw message: ${message.substring(0, 200)}`);
-
-            // Try to parse as JSON and extract text
-            try {
-                const parsed = JSON.parse(message);
-                let text = '';
-
-                // Extract text from JSON structure
-                function extractText(obj) {
-                    if (typeof obj === 'string') {
-                        text += obj;
-                        return;
-                    }
-                    if (!obj) return;
-
-                    // Check common message fields
-                    if (obj.text) text += obj.text;
-                    if (obj.content) text += obj.content;
-                    if (obj.value) text += obj.value;
-
-                    // Recurse into nested structures
-                    if (obj.extra && Array.isArray(obj.extra)) {
-                        for (const part of obj.extra) {
-                            extractText(part);
-                        }
-                    }
-                    if (obj.with && Array.isArray(obj.with)) {
-                        for (const part of obj.with) {
-                            extractText(part);
-                        }
-                    }
-                    if (obj.contents && Array.isArray(obj.contents)) {
-                        for (const part of obj.contents) {
-                            extractText(part);
-                        }
-                    }
-                }
+    // Disguised Chat - unsigned message (e.g. /say from the console) decorated by a chat type
+    connection.onPacket('play', 'disguised_chat', (packet) => {
+        const chatType = resolveChatType(packet.chatType, client);
+        const content = packet.message;
+        const sender = packet.senderName;
+        const target = packet.targetName !== null ? packet.targetName : undefined;
+
+        const component = decorateChat(chatType, { sender, content, target });
+        logger.info(`💬 ${toAnsi(component)}`);
+        client.emit('chat', {
+            sender: toPlainText(sender),
+            senderUuid: null,
+            type: chatType.name,
+            plainText: toPlainText(component),
+            component,
+            signed: false,
+            message: toPlainText(content),
+            system: false
+        });
+    });
 
-                extractText(parsed);
+    // Player Chat - signed or unsigned message from a player
+    connection.onPacket('play', 'player_chat', (packet) => {
+        const { senderUuid, signature, networkName } = packet;
 
-                if (text) {
-                    logger.always(`💬 ${text}`);
-                    client.emit('chat', { message: text, system: false });
-                } else {
-                    // No text extracted, log structure and use raw
-                    logger.debug(`[Chat] Could not extract text from JSON:`, JSON.stringify(parsed).substring(0, 200));
-                    client.emit('chat', { message, system: false });
-                }
-            } catch (e) {
-                // Not JSON, use raw message
-                logger.always(`💬 ${message}`);
-                client.emit('chat', { message, system: false });
+        // Signed messages must be acknowledged, or the server eventually kicks us
+        if (signature && client.lastSeen) {
+            client.lastSeen.add(signature);
+            if (client.lastSeen.needsAcknowledgement()) {
+                sendMessageAcknowledgement(connection, client.lastSeen.takeOffset());
             }
-        } catch (e) {
-            console.error(`[Chat] Error processing 0x22 packet:`, e.message);
         }
+
+        const chatType = resolveChatType(packet.chatType, client);
+        const content = packet.unsignedContent !== null ? packet.unsignedContent : packet.plainMessage;
+        const target = packet.targetName !== null ? packet.targetName : undefined;
+        const component = decorateChat(chatType, { sender: networkName, content, target });
+        const sender = (client.playerList && client.playerList.resolveName(senderUuid)) || toPlainText(networkName);
+
+        logger.info(`💬 ${toAnsi(component)}`);
+        client.emit('chat', {
+            sender,
+            senderUuid,
+            type: chatType.name,
+            plainText: toPlainText(component),
+            component,
+            signed: signature !== null,
+            message: packet.unsignedContent !== null ? toPlainText(packet.unsignedContent) : packet.plainMessage,
+            system: false
+        });
     });
 
     // Ping
-    connection.onPacket('play', S2C_PING, (reader) => {
-        const id = reader.readInt();
+    connection.onPacket('play', 'ping', ({ id }) => {
         logger.debug(`[Ping] Received: ${id}, sending pong...`);
-        const response = new PacketWriter(C2S_PONG)
-            .writeInt(id);
-        connection.send(response.buildData());
+        connection.sendPacket('pong', { id });
         logger.debug(`[Ping] Pong sent!`);
     });
 
-    // Set Health
-    connection.onPacket('play', S2C_SET_HEALTH, (reader) => {
-        const health = reader.readFloat();
-        const food = reader.readVarInt();
-        const saturation = reader.readFloat();
+    // Titles and action bar - each carries a single NBT text component
+    const titlePackets = [
+        ['set_title_text', 'title'],
+        ['set_subtitle_text', 'subtitle'],
+        ['set_action_bar_text', 'actionbar']
+    ];
+    for (const [packetName, type] of titlePackets) {
+        connection.onPacket('play', packetName, ({ text }) => {
+            const component = parseComponent(text);
+            client.emit('title', { type, text: toPlainText(component), component });
+        });
+    }
 
+    // Set Health
+    connection.onPacket('play', 'set_health', ({ health, food, saturation }) => {
         // Silent health update
         client.health = health;
         client.food = food;
 
         // Respawn if dead
         if (health <= 0) {
-            logger.always('💀 Died! Respawning...');
-            const respawn = new PacketWriter(C2S_CLIENT_STATUS)
-                .writeVarInt(0); // Perform respawn
-            connection.send(respawn.buildData());
+            logger.info('💀 Died! Respawning...');
+            connection.sendPacket('client_status', { action: 0 }); // Perform respawn
         }
 
         client.emit('health', { health, food, saturation });
     });
 
     // Game Event
-    connection.onPacket('play', S2C_GAME_EVENT, (reader) => {
-        const event = reader.readUByte();
-        const value = reader.readFloat();
+    connection.onPacket('play', 'game_event', () => {
         // Silent game event
     });
 
-    // Chunk Data and Update Light (0x2C - level_chunk_with_light)
-    connection.onPacket('play', S2C_CHUNK_DATA, (reader) => {
-        const chunkX = reader.readInt();
-        const chunkZ = reader.readInt();
+    // Chunk Data and Update Light (level_chunk_with_light)
+    connection.onPacket('play', 'chunk_data', ({ chunkX, chunkZ, data }) => {
+        // Remaining chunk data (heightmaps, sections, block entities, light data)
+        // Silent chunk loading
+        if (client.world) {
+            client.world.storeChunk(chunkX, chunkZ, data);
+        }
+    });
 
-        // Read remaining chunk data (heightmaps, sections, block entities, light data)
-        // For now, we'll store the raw data without full palette parsing
-        const remainingData = reader.readRemaining();
+    // Update Light - new sky/block light for some sections of a loaded chunk
+    connection.onPacket('play', 'update_light', ({ chunkX, chunkZ, data }) => {
+        if (client.world) {
+            client.world.updateLight(chunkX, chunkZ, data);
+        }
+    });
 
-        // Silent chunk loading
-        // Store chunk in world
+    // Chunk Biomes - biomes of loaded chunks changed (e.g. /fillbiome)
+    connection.onPacket('play', 'chunk_biomes', ({ chunks }) => {
+        if (!client.world) return;
+        for (const { chunkX, chunkZ, data } of chunks) {
+            client.world.updateBiomes(chunkX, chunkZ, data);
+        }
+    });
+
+    // Unload Chunk - the server stopped tracking this chunk for us
+    connection.onPacket('play', 'unload_chunk', ({ chunkX, chunkZ }) => {
         if (client.world) {
-            client.world.storeChunk(chunkX, chunkZ, remainingData);
+            client.world.unloadChunk(chunkX, chunkZ);
+        }
+        if (client.entityTracker) {
+            for (const entityId of client.entityTracker.removeEntitiesInChunk(chunkX, chunkZ)) {
+                const player = client.playerList && client.playerList.getByEntity(entityId);
+                if (player) player.entityId = null;
+            }
+        }
+    });
+
+    // Block Update - a single block was placed, broken or changed state
+    connection.onPacket('play', 'block_update', ({ location, stateId }) => {
+        applyBlockChange(client, location.x, location.y, location.z, stateId);
+    });
+
+    // Update Section Blocks - several changes within one 16x16x16 section
+    connection.onPacket('play', 'update_section_blocks', ({ section, blocks }) => {
+        for (const block of blocks) {
+            applyBlockChange(client, section.x * 16 + block.x, section.y * 16 + block.y, section.z * 16 + block.z, block.stateId);
+        }
+    });
+
+    // Block Entity Data - a sign was edited, a spawner changed mob, a banner was placed...
+    connection.onPacket('play', 'block_entity_data', ({ location, type, nbt }) => {
+        if (!client.world) return;
+        const blockEntity = client.world.setBlockEntity(location.x, location.y, location.z, type, nbt);
+        if (blockEntity) {
+            client.emit('blockEntityUpdate', blockEntity);
         }
     });
 
     // Chunk Batch Finished
-    connection.onPacket('play', S2C_CHUNK_BATCH_FINISHED, (reader) => {
-        const batchSize = reader.readVarInt();
+    connection.onPacket('play', 'chunk_batch_finished', () => {
         // Silent chunk batch finish
 
         // Respond with chunks per tick
-        const response = new PacketWriter(C2S_CHUNK_BATCH_RECEIVED)
-            .writeFloat(20.0); // Chunks per tick
-        connection.send(response.buildData());
+        connection.sendPacket('chunk_batch_received', { chunksPerTick: 20.0 });
     });
 
     // Chunk Batch Start
-    connection.onPacket('play', S2C_CHUNK_BATCH_START, (reader) => {
+    connection.onPacket('play', 'chunk_batch_start', () => {
         // Silent chunk batch start
     });
 
     // Start Configuration (server wants to reconfigure)
-    connection.onPacket('play', S2C_START_CONFIGURATION, (reader) => {
+    connection.onPacket('play', 'start_configuration', () => {
         logger.debug('[Play] Server requesting reconfiguration');
 
-        const response = new PacketWriter(C2S_ACKNOWLEDGE_CONFIGURATION);
-        connection.send(response.buildData());
-
+        connection.sendPacket('acknowledge_configuration');
         connection.setState('configuration');
     });
 
     // Resource Pack
-    connection.onPacket('play', S2C_ADD_RESOURCE_PACK, (reader) => {
-        const uuid = reader.readUUID();
+    connection.onPacket('play', 'add_resource_pack', ({ uuid }) => {
         // Silent resource pack response
-        const response = new PacketWriter(C2S_RESOURCE_PACK_RESPONSE)
-            .writeUUID(uuid)
-            .writeVarInt(3); // Successfully downloaded
-        connection.send(response.buildData());
-    });
-
-    // Set Center Chunk
-    connection.onPacket('play', S2C_SET_CENTER_CHUNK, (reader) => {
-        const chunkX = reader.readVarInt();
-        const chunkZ = reader.readVarInt();
-        // Silent
+        connection.sendPacket('resource_pack_response', { uuid, result: 3 }); // Successfully downloaded
     });
 
-    // Player Abilities
-    connection.onPacket('play', S2C_PLAYER_ABILITIES, (reader) => {
-        const flags = reader.readByte();
-        // Silent
-    });
-
-    // Set Held Item
-    connection.onPacket('play', S2C_SET_HELD_ITEM, (reader) => {
-        const slot = reader.readVarInt();
-        // Silent
-    });
+    // Silently consumed packets
+    for (const packetName of [
+        'set_center_chunk',
+        'player_abilities',
+        'set_held_item',
+        'update_time',
+        'change_difficulty',
+        'set_simulation_distance',
+        'set_render_distance',
+        'entity_event'
+    ]) {
+        connection.onPacket('play', packetName, () => {});
+    }
 
-    // Update Time
-    connection.onPacket('play', S2C_UPDATE_TIME, (reader) => {
-        // Silent
-    });
+    // Player Info Update - actions bitset, then one entry per player
+    connection.onPacket('play', 'player_info_update', ({ entries }) => {
+        if (!client.playerList) return;
 
-    // Change Difficulty
-    connection.onPacket('play', S2C_CHANGE_DIFFICULTY, (reader) => {
-        const difficulty = reader.readUByte();
-        // Silent
-    });
+        for (const { uuid, ...update } of entries) {
+            if (update.displayName !== undefined && update.displayName !== null) {
+                update.displayName = parseComponent(update.displayName);
+            }
 
-    // Player Info Update
-    connection.onPacket('play', S2C_PLAYER_INFO_UPDATE, (reader) => {
-        // Silent
+            const joined = !client.playerList.get(uuid);
+            const player = client.playerList.update(uuid, update);
+            if (joined) {
+                // The entity may have spawned before its player info arrived
+                const entity = findEntityByUuid(client, uuid);
+                if (entity) player.entityId = entity.id;
+                client.emit('playerJoined', player);
+            } else {
+                client.emit('playerUpdated', player, update);
+            }
+        }
     });
 
-    // Set Simulation Distance
-    connection.onPacket('play', S2C_SET_SIMULATION_DISTANCE, (reader) => {
-        const distance = reader.readVarInt();
-        // Silent
+    // Player Info Remove
+    connection.onPacket('play', 'player_info_remove', ({ uuids }) => {
+        for (const uuid of uuids) {
+            const player = client.playerList && client.playerList.remove(uuid);
+            if (player) client.emit('playerLeft', player);
+        }
     });
 
-    // Set Render Distance
-    connection.onPacket('play', S2C_SET_RENDER_DISTANCE, (reader) => {
-        const distance = reader.readVarInt();
-        // Silent
+    // Tab list header and footer
+    connection.onPacket('play', 'tab_list', ({ header, footer }) => {
+        client.tabList = { header: toPlainText(header), footer: toPlainText(footer) };
+        client.emit('tabList', client.tabList);
     });
 
     // === ENVIRONMENTAL AWARENESS: Entity Tracking ===
 
     // Spawn Entity (players, mobs, etc.)
-    connection.onPacket('play', S2C_SPAWN_ENTITY, (reader) => {
-        try {
-            const entityId = reader.readVarInt();
-            const uuid = reader.readUUID();
-            const type = reader.readVarInt();
-            const x = reader.readDouble();
-            const y = reader.readDouble();
-            const z = reader.readDouble();
-
-            if (client.entityTracker) {
-                client.entityTracker.addEntity(entityId, type, x, y, z);
-            }
-        } catch (e) {
-            // Silent error
+    connection.onPacket('play', 'spawn_entity', ({ entityId, uuid, type, x, y, z, velocity, yaw, pitch, headYaw }) => {
+        if (client.entityTracker) {
+            client.entityTracker.addEntity(entityId, type, x, y, z, { uuid, velocity, yaw, pitch, headYaw });
         }
+        if (client.playerList) client.playerList.setEntity(uuid, entityId);
     });
 
-    // Update Entity Position
-    connection.onPacket('play', S2C_UPDATE_ENTITY_POSITION, (reader) => {
-        try {
-            const entityId = reader.readVarInt();
-            const deltaX = reader.readShort() / 4096.0;
-            const deltaY = reader.readShort() / 4096.0;
-            const deltaZ = reader.readShort() / 4096.0;
-
+    // Update Entity Position / Position and Rotation (deltas in 1/4096 blocks)
+    for (const packetName of ['update_entity_position', 'update_entity_position_and_rotation']) {
+        connection.onPacket('play', packetName, ({ entityId, deltaX, deltaY, deltaZ, yaw, pitch, onGround }) => {
             if (client.entityTracker) {
                 const entity = client.entityTracker.entities.get(entityId);
                 if (entity) {
                     client.entityTracker.updatePosition(
                         entityId,
-                        entity.position.x + deltaX,
-                        entity.position.y + deltaY,
-                        entity.position.z + deltaZ
+                        entity.position.x + deltaX / 4096.0,
+                        entity.position.y + deltaY / 4096.0,
+                        entity.position.z + deltaZ / 4096.0,
+                        onGround
                     );
+                    if (yaw !== undefined) client.entityTracker.updateRotation(entityId, { yaw, pitch });
                 }
             }
-        } catch (e) {
-            // Silent error
+        });
+    }
+
+    // Entity Position Sync (absolute position update)
+    connection.onPacket('play', 'entity_position_sync', ({ entityId, x, y, z, velocityX, velocityY, velocityZ, onGround }) => {
+        if (client.entityTracker) {
+            client.entityTracker.updatePosition(entityId, x, y, z, onGround);
+            client.entityTracker.updateVelocity(entityId, { x: velocityX, y: velocityY, z: velocityZ });
+        }
+    });
+
+    // Update Entity Rotation / Set Head Rotation (angle bytes)
+    connection.onPacket('play', 'update_entity_rotation', ({ entityId, yaw, pitch, onGround }) => {
+        if (client.entityTracker) {
+            client.entityTracker.updateRotation(entityId, { yaw, pitch, onGround });
         }
     });
 
-    // Update Entity Position and Rotation
-    connection.onPacket('play', S2C_UPDATE_ENTITY_POSITION_AND_ROTATION, (reader) => {
-        try {
-            const entityId = reader.readVarInt();
-            const deltaX = reader.readShort() / 4096.0;
-            const deltaY = reader.readShort() / 4096.0;
-            const deltaZ = reader.readShort() / 4096.0;
-            reader.readByte(); // yaw
-            reader.readByte(); // pitch
+    connection.onPacket('play', 'set_head_rotation', ({ entityId, headYaw }) => {
+        if (client.entityTracker) {
+            client.entityTracker.updateRotation(entityId, { headYaw });
+        }
+    });
 
-            if (client.entityTracker) {
-                const entity = client.entityTracker.entities.get(entityId);
-                if (entity) {
-                    client.entityTracker.updatePosition(
-                        entityId,
-                        entity.position.x + deltaX,
-                        entity.position.y + deltaY,
-                        entity.position.z + deltaZ
-                    );
-                }
-            }
-        } catch (e) {
-            // Silent error
+    // Set Entity Velocity (blocks/tick)
+    connection.onPacket('play', 'set_entity_velocity', ({ entityId, velocity }) => {
+        if (client.entityTracker) {
+            client.entityTracker.updateVelocity(entityId, velocity);
         }
     });
 
-    // Teleport Entity (absolute position update)
-    connection.onPacket('play', S2C_TELEPORT_ENTITY, (reader) => {
-        try {
-            const entityId = reader.readVarInt();
-            const x = reader.readDouble();
-            const y = reader.readDouble();
-            const z = reader.readDouble();
+    // Set Entity Metadata - health, custom name, pose, baby flag, dropped item...
+    connection.onPacket('play', 'set_entity_metadata', ({ entityId, metadata }) => {
+        if (client.entityTracker && !client.entityTracker.updateMetadata(entityId, metadata)) {
+            logger.debug(`[Entities] Partially decoded metadata of entity ${entityId}`);
+        }
+    });
 
-            if (client.entityTracker) {
-                client.entityTracker.updatePosition(entityId, x, y, z);
-            }
-        } catch (e) {
-            // Silent error
+    // Set Equipment
+    connection.onPacket('play', 'set_equipment', ({ entityId, equipment }) => {
+        if (client.entityTracker && !client.entityTracker.updateEquipment(entityId, equipment)) {
+            logger.debug(`[Entities] Partially decoded equipment of entity ${entityId}`);
+        }
+    });
+
+    // Update Attributes
+    connection.onPacket('play', 'update_attributes', ({ entityId, attributes }) => {
+        if (client.entityTracker) {
+            client.entityTracker.updateAttributes(entityId, attributes);
         }
     });
 
     // Remove Entities
-    connection.onPacket('play', S2C_REMOVE_ENTITIES, (reader) => {
-        try {
-            const count = reader.readVarInt();
-            for (let i = 0; i < count; i++) {
-                const entityId = reader.readVarInt();
-                if (client.entityTracker) {
-                    client.entityTracker.removeEntity(entityId);
-                }
+    connection.onPacket('play', 'remove_entities', ({ entityIds }) => {
+        for (const entityId of entityIds) {
+            if (client.entityTracker) {
+                client.entityTracker.removeEntity(entityId);
             }
-        } catch (e) {
-            // Silent error
+            const player = client.playerList && client.playerList.getByEntity(entityId);
+            if (player) player.entityId = null;
         }
     });
 }
 
 /**
- * Send chat message
+ * Apply a block change to the world and emit blockUpdate with the old and new state
+ * @param {object} client
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {number} stateId
+ */
+function applyBlockChange(client, x, y, z, stateId) {
+    if (!client.world) return;
+
+    const previous = client.world.setBlock(x, y, z, stateId);
+    if (previous === -1 || previous === stateId) return; // Unloaded chunk, or no change
+
+    client.emit('blockUpdate', {
+        position: { x, y, z },
+        oldState: client.world.parser.getBlockProperties(previous),
+        newState: client.world.parser.getBlockProperties(stateId)
+    });
+}
+
+/**
+ * Find a tracked entity by UUID
+ * @param {object} client
+ * @param {string} uuid
+ * @returns {object|null}
+ */
+function findEntityByUuid(client, uuid) {
+    if (!client.entityTracker) return null;
+    for (const entity of client.entityTracker.entities.values()) {
+        if (entity.uuid === uuid) return entity;
+    }
+    return null;
+}
+
+/**
+ * Switch the client and its world to the dimension from Login / Respawn spawn info
+ * Chunks and entities from another dimension are dropped - the server resends everything around the player.
+ * @param {object} client
+ * @param {object} spawnInfo - { dimensionType, dimensionName, ... }
+ */
+function enterDimension(client, spawnInfo) {
+    const type = resolveDimensionType(client.dimensionTypes, spawnInfo.dimensionType, spawnInfo.dimensionName);
+    const previous = client.dimension;
+
+    client.dimension = {
+        name: spawnInfo.dimensionName,
+        type: type.name,
+        minY: type.minY,
+        height: type.height,
+        logicalHeight: type.logicalHeight
+    };
+
+    if (previous && previous.name !== client.dimension.name) {
+        if (client.world) client.world.clear();
+        if (client.entityTracker) client.entityTracker.clear();
+        if (client.playerList) client.playerList.clearEntities();
+    }
+    if (client.world) {
+        client.world.setDimension(client.dimension);
+    }
+    logger.info(`[World] Dimension ${client.dimension.name}: Y ${type.minY} to ${type.minY + type.height - 1}`);
+}
+
+/**
+ * Resolve a chat type holder: registry reference, or an inline definition
+ * @param {object} holder - { registryIndex } or { registryIndex: null, chat, narration }
+ * @param {object} client
+ * @returns {object} { name, translationKey, parameters, style }
+ */
+function resolveChatType(holder, client) {
+    if (holder.registryIndex === null) {
+        return {
+            name: 'inline',
+            translationKey: holder.chat.translationKey,
+            parameters: holder.chat.parameters.map(id => CHAT_TYPE_PARAMETERS[id]),
+            style: holder.chat.style
+        };
+    }
+
+    const registry = client.registries && client.registries.get('minecraft:chat_type');
+    const entry = registry && registry[holder.registryIndex];
+    const chat = entry && entry.data && entry.data.chat;
+    if (!chat) {
+        return { name: entry ? entry.id : 'minecraft:chat', translationKey: 'chat.type.text', parameters: ['sender', 'content'], style: null };
+    }
+
+    return {
+        name: entry.id,
+        translationKey: chat.translation_key,
+        parameters: chat.parameters || ['sender', 'content'],
+        style: chat.style || null
+    };
+}
+
+/**
+ * Send an unsigned chat message
+ * Chat timestamps must never go backwards or the server kicks for out-of-order chat,
+ * so the caller keeps the last one per session and passes it back in.
  * @param {Connection} connection
- * @param {string} message
+ * @param {string} message - At most 256 characters
+ * @param {LastSeenTracker} lastSeen - Signed messages to acknowledge (optional)
+ * @param {number} lastTimestamp - Timestamp of the previous message this session
+ * @returns {number} The timestamp sent
  */
-function sendChat(connection, message) {
+function sendChat(connection, message, lastSeen = null, lastTimestamp = 0) {
     logger.info(`[Chat] Sending: ${message}`);
 
-    try {
-        const packet = new PacketWriter(C2S_CHAT)
-            .writeString(message)                     // Message
-            .writeLong(Date.now())                    // Timestamp (milliseconds)
-            .writeLong(0n)                            // Salt (0 for no encryption)
-            .writeBoolean(false)                      // Has signature (false)
-            .writeVarInt(0)                           // Previous messages count (0)
-            .writeVarInt(0);                          // Last seen messages BitSet length (0 = empty)
-
-        connection.send(packet.buildData());
-    } catch (e) {
-        console.error(`[Chat] Failed to send message: ${e.message}`);
-    }
+    const timestamp = Math.max(Date.now(), lastTimestamp);
+
+    const update = lastSeen
+        ? lastSeen.takeUpdate()
+        : { offset: 0, acknowledged: Buffer.alloc(3), checksum: 0 };
+
+    connection.sendPacket('chat_message', {
+        message,
+        timestamp: BigInt(timestamp),           // Milliseconds
+        salt: randomBytes(8).readBigInt64BE(),
+        signature: null,                        // Unsigned
+        offset: update.offset,                  // Messages seen since last acknowledgement
+        acknowledged: update.acknowledged,      // Acknowledged last-seen messages
+        checksum: update.checksum               // Last-seen checksum
+    });
+    return timestamp;
+}
+
+/**
+ * Send an unsigned chat command
+ * @param {Connection} connection
+ * @param {string} command - Command without the leading slash
+ */
+function sendCommand(connection, command) {
+    logger.info(`[Chat] Command: /${command}`);
+
+    connection.sendPacket('chat_command', { command });
+}
+
+/**
+ * Acknowledge received signed messages without sending chat
+ * @param {Connection} connection
+ * @param {number} count
+ */
+function sendMessageAcknowledgement(connection, count) {
+    connection.sendPacket('acknowledge_message', { count });
 }
 
 module.exports = {
     setupPlayHandlers,
-    sendChat
+    sendChat,
+    sendCommand,
+    sendMessageAcknowledgement
 };
@@ -0,0 +1,129 @@
+/**
+ * Status state handler (server list ping)
+ * Queries MOTD, version and player counts without logging in
+ */
+
+const { Connection } = require('../protocol/connection');
+const { sendHandshake } = require('./handshake');
+const { DEFAULT_PROTOCOL_VERSION } = require('../protocol/registry');
+const { parseComponent, toPlainText } = require('../text-component');
+const { logger } = require('../logger');
+
+/**
+ * Setup status state handlers
+ * @param {Connection} connection
+ * @param {object} handlers - { onResponse(status), onPong(payload), onError(err) }; status is parseStatusResponse()'s result
+ */
+function setupStatusHandlers(connection, handlers) {
+    // Status Response - JSON document describing the server
+    connection.onPacket('status', 'status_response', ({ response }) => {
+        let status;
+        try {
+            const parsed = JSON.parse(response);
+            if (!parsed || typeof parsed !== 'object') throw new Error('not a JSON object');
+            status = parseStatusResponse(parsed);
+        } catch (err) {
+            handlers.onError(new Error(`Malformed status response: ${err.message}`));
+            return;
+        }
+        handlers.onResponse(status);
+    });
+
+    // Pong Response - echoes the ping payload
+    connection.onPacket('status', 'pong_response', ({ payload }) => {
+        handlers.onPong(payload);
+    });
+}
+
+/**
+ * Query a server's status (server list ping)
+ * @param {string} host
+ * @param {number} port
+ * @param {object} options - { protocolVersion, timeout }
+ * @returns {Promise<object>} { motd, description, version, protocol, players, favicon, latency }
+ */
+function queryStatus(host, port = 25565, options = {}) {
+    // Any version works for a status ping; 'auto' just means we don't know ours yet
+    const protocolVersion = Number.isInteger(options.protocolVersion) ? options.protocolVersion : DEFAULT_PROTOCOL_VERSION;
+    const timeout = options.timeout || 5000;
+
+    return new Promise((resolve, reject) => {
+        const connection = new Connection(host, port);
+        let status = null;
+        let pingSentAt = 0;
+        let settled = false;
+
+        const finish = (err, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            connection.close();
+            if (err) reject(err);
+            else resolve(result);
+        };
+
+        const timer = setTimeout(() => {
+            finish(new Error(`Status query timed out after ${timeout}ms`));
+        }, timeout);
+
+        setupStatusHandlers(connection, {
+            onResponse: (response) => {
+                status = response;
+                logger.debug(`[Status] ${host}:${port} reports ${status.version} (protocol ${status.protocol})`);
+
+                // Measure latency with a ping round-trip
+                pingSentAt = Date.now();
+                connection.sendPacket('ping_request', { payload: pingSentAt });
+            },
+            onPong: () => {
+                status.latency = Date.now() - pingSentAt;
+                finish(null, status);
+            },
+            onError: (err) => finish(err)
+        });
+
+        connection.connect().then(() => {
+            connection.socket.on('error', (err) => finish(err));
+            connection.socket.on('close', () => {
+                // Some servers close after the status response without answering the ping
+                if (status) finish(null, status);
+                else finish(new Error('Connection closed before status response'));
+            });
+
+            sendHandshake(connection, host, port, protocolVersion, 1);
+            connection.sendPacket('status_request');
+        }).catch((err) => finish(err));
+    });
+}
+
+/**
+ * Normalize the raw status JSON
+ * @param {object} response
+ * @returns {object}
+ */
+function parseStatusResponse(response) {
+    const version = response.version || {};
+    const players = response.players || {};
+
+    return {
+        motd: toPlainText(parseComponent(response.description)),
+        description: response.description,
+        version: version.name || 'unknown',
+        protocol: typeof version.protocol === 'number' ? version.protocol : -1,
+        players: {
+            online: players.online || 0,
+            max: players.max || 0,
+            sample: (Array.isArray(players.sample) ? players.sample : [])
+                .filter(p => p && typeof p === 'object')
+                .map(p => ({ name: p.name, uuid: p.id }))
+        },
+        favicon: response.favicon || null,
+        enforcesSecureChat: !!response.enforcesSecureChat,
+        latency: -1
+    };
+}
+
+module.exports = {
+    queryStatus,
+    setupStatusHandlers
+};
@@ -0,0 +1,355 @@
+/**
+ * Text Component decoding and rendering
+ * Handles NBT components (1.20.3+ network format), JSON components and legacy § codes
+ */
+
+const defaultLanguage = require('./data/en_us.json');
+
+const COLORS = {
+    black: { code: '0', ansi: 30 },
+    dark_blue: { code: '1', ansi: 34 },
+    dark_green: { code: '2', ansi: 32 },
+    dark_aqua: { code: '3', ansi: 36 },
+    dark_red: { code: '4', ansi: 31 },
+    dark_purple: { code: '5', ansi: 35 },
+    gold: { code: '6', ansi: 33 },
+    gray: { code: '7', ansi: 37 },
+    dark_gray: { code: '8', ansi: 90 },
+    blue: { code: '9', ansi: 94 },
+    green: { code: 'a', ansi: 92 },
+    aqua: { code: 'b', ansi: 96 },
+    red: { code: 'c', ansi: 91 },
+    light_purple: { code: 'd', ansi: 95 },
+    yellow: { code: 'e', ansi: 93 },
+    white: { code: 'f', ansi: 97 }
+};
+
+// Legacy formatting code -> color name
+const LEGACY_COLORS = Object.fromEntries(Object.entries(COLORS).map(([name, c]) => [c.code, name]));
+
+// Legacy formatting code -> style flag
+const LEGACY_STYLES = {
+    k: 'obfuscated',
+    l: 'bold',
+    m: 'strikethrough',
+    n: 'underlined',
+    o: 'italic'
+};
+
+const STYLE_FLAGS = ['bold', 'italic', 'underlined', 'strikethrough', 'obfuscated'];
+
+const ANSI_STYLES = {
+    bold: 1,
+    italic: 3,
+    underlined: 4,
+    strikethrough: 9
+};
+
+const ANSI_RESET = '\x1b[0m';
+
+// Deepest nesting of extra/with that is decoded or rendered (guards against hostile components)
+const MAX_DEPTH = 64;
+
+/**
+ * Normalize any text component representation
+ * Strings are literal text (NBT string tags), never JSON - see parseJsonComponent.
+ * Children nested deeper than MAX_DEPTH are dropped.
+ * @param {*} input - NBT value, parsed JSON, array or primitive
+ * @param {number} depth - Nesting level of input (internal)
+ * @returns {object} Component with { text|translate|..., extra?, with?, style fields }
+ */
+function parseComponent(input, depth = 0) {
+    if (input === null || input === undefined || depth > MAX_DEPTH) return { text: '' };
+
+    if (typeof input === 'string') return { text: input };
+
+    if (typeof input === 'number' || typeof input === 'bigint' || typeof input === 'boolean') {
+        return { text: String(input) };
+    }
+
+    if (Array.isArray(input)) {
+        if (input.length === 0) return { text: '' };
+        const [first, ...rest] = input.map(child => parseComponent(child, depth + 1));
+        return { ...first, extra: [...(first.extra || []), ...rest] };
+    }
+
+    const component = {};
+
+    // Content
+    if (input.text !== undefined) component.text = String(input.text);
+    if (input.translate !== undefined) {
+        component.translate = String(input.translate);
+        if (input.fallback !== undefined) component.fallback = String(input.fallback);
+        if (Array.isArray(input.with)) component.with = input.with.map(child => parseComponent(child, depth + 1));
+    }
+    if (input.keybind !== undefined) component.keybind = String(input.keybind);
+    if (input.selector !== undefined) component.selector = String(input.selector);
+    if (input.score !== undefined) component.score = input.score;
+    if (input.nbt !== undefined) component.nbt = String(input.nbt);
+    if (input[''] !== undefined && component.text === undefined) component.text = String(input['']);
+
+    if (component.text === undefined && component.translate === undefined &&
+        component.keybind === undefined && component.selector === undefined &&
+        component.score === undefined && component.nbt === undefined) {
+        component.text = '';
+    }
+
+    // Style - NBT booleans arrive as bytes
+    if (input.color !== undefined) component.color = String(input.color);
+    for (const flag of STYLE_FLAGS) {
+        if (input[flag] !== undefined) component[flag] = !!input[flag];
+    }
+    if (input.insertion !== undefined) component.insertion = String(input.insertion);
+    const clickEvent = input.click_event || input.clickEvent;
+    if (clickEvent) component.clickEvent = clickEvent;
+    const hoverEvent = input.hover_event || input.hoverEvent;
+    if (hoverEvent) component.hoverEvent = hoverEvent;
+
+    if (input.extra !== undefined) {
+        const extra = Array.isArray(input.extra) ? input.extra : [input.extra];
+        component.extra = extra.map(child => parseComponent(child, depth + 1));
+    }
+
+    return component;
+}
+
+/**
+ * Parse a JSON text component (login disconnect, pre-1.21.5 block entity text)
+ * Text that isn't valid JSON is kept as literal text.
+ * @param {string} json
+ * @returns {object} Component (see parseComponent)
+ */
+function parseJsonComponent(json) {
+    try {
+        return parseComponent(JSON.parse(json));
+    } catch (e) {
+        return { text: json };
+    }
+}
+
+/**
+ * Format a translation string (%s, %1$s, %%) with already-rendered arguments
+ * @param {string} format
+ * @param {Array} args
+ * @returns {Array} Alternating literal strings and argument values
+ */
+function formatTranslation(format, args) {
+    const parts = [];
+    let nextArg = 0;
+    let last = 0;
+    const pattern = /%(?:(\d+)\$)?([s%d])/g;
+    let match;
+
+    while ((match = pattern.exec(format)) !== null) {
+        if (match.index > last) parts.push(format.slice(last, match.index));
+        last = pattern.lastIndex;
+
+        if (match[2] === '%') {
+            parts.push('%');
+            continue;
+        }
+
+        const index = match[1] !== undefined ? parseInt(match[1]) - 1 : nextArg++;
+        parts.push(index < args.length ? args[index] : '');
+    }
+
+    if (last < format.length) parts.push(format.slice(last));
+    return parts;
+}
+
+/**
+ * Look up a translation key
+ * @param {string} key
+ * @param {object} language
+ * @returns {string|undefined}
+ */
+function lookup(key, language = defaultLanguage) {
+    return language[key];
+}
+
+/**
+ * Flatten a component tree into styled spans
+ * @param {*} input - Any component representation (see parseComponent)
+ * @param {object} options - { language }
+ * @returns {Array} [{ text, color, bold, italic, underlined, strikethrough, obfuscated }]
+ */
+function toSpans(input, options = {}) {
+    const language = options.language || defaultLanguage;
+    const spans = [];
+    collectSpans(parseComponent(input), {}, language, spans, 0);
+    return mergeSpans(spans);
+}
+
+function collectSpans(component, parentStyle, language, spans, depth) {
+    if (depth > MAX_DEPTH) return; // Guard against hostile nesting
+
+    const style = { ...parentStyle };
+    if (component.color !== undefined) style.color = component.color;
+    for (const flag of STYLE_FLAGS) {
+        if (component[flag] !== undefined) style[flag] = component[flag];
+    }
+
+    if (component.translate !== undefined) {
+        const format = lookup(component.translate, language);
+        if (format === undefined) {
+            pushText(component.fallback !== undefined ? component.fallback : component.translate, style, spans);
+        } else {
+            const args = component.with || [];
+            for (const part of formatTranslation(format, args)) {
+                if (typeof part === 'string') pushText(part, style, spans);
+                else collectSpans(part, style, language, spans, depth + 1);
+            }
+        }
+    } else if (component.keybind !== undefined) {
+        pushText(component.keybind, style, spans);
+    } else if (component.selector !== undefined) {
+        pushText(component.selector, style, spans);
+    } else if (component.score !== undefined) {
+        pushText(component.score.value !== undefined ? String(component.score.value) : '', style, spans);
+    } else if (component.text !== undefined) {
+        pushText(component.text, style, spans);
+    }
+
+    if (component.extra) {
+        for (const child of component.extra) {
+            collectSpans(child, style, language, spans, depth + 1);
+        }
+    }
+}
+
+/**
+ * Push text, applying any legacy § formatting codes embedded in it
+ */
+function pushText(text, style, spans) {
+    if (!text) return;
+    if (!text.includes('§')) {
+        spans.push({ text, ...style });
+        return;
+    }
+
+    let current = { ...style };
+    const segments = text.split('§');
+    if (segments[0]) spans.push({ text: segments[0], ...current });
+
+    for (let i = 1; i < segments.length; i++) {
+        const segment = segments[i];
+        if (!segment) continue;
+        const code = segment[0].toLowerCase();
+
+        if (LEGACY_COLORS[code]) {
+            // A color code resets formatting
+            current = { color: LEGACY_COLORS[code] };
+        } else if (LEGACY_STYLES[code]) {
+            current = { ...current, [LEGACY_STYLES[code]]: true };
+        } else if (code === 'r') {
+            current = { ...style };
+        }
+
+        const rest = segment.slice(1);
+        if (rest) spans.push({ text: rest, ...current });
+    }
+}
+
+/**
+ * Join neighbouring spans that share a style
+ */
+function mergeSpans(spans) {
+    const merged = [];
+    for (const span of spans) {
+        const prev = merged[merged.length - 1];
+        if (prev && sameStyle(prev, span)) {
+            prev.text += span.text;
+        } else {
+            merged.push({ ...span });
+        }
+    }
+    return merged;
+}
+
+function sameStyle(a, b) {
+    if (a.color !== b.color) return false;
+    return STYLE_FLAGS.every(flag => !!a[flag] === !!b[flag]);
+}
+
+/**
+ * Render a component as plain text
+ * @param {*} input - Any component representation
+ * @param {object} options - { language }
+ * @returns {string}
+ */
+function toPlainText(input, options = {}) {
+    return toSpans(input, options).map(span => span.text).join('');
+}
+
+/**
+ * Render a component as ANSI-coloured terminal text
+ * @param {*} input - Any component representation
+ * @param {object} options - { language }
+ * @returns {string}
+ */
+function toAnsi(input, options = {}) {
+    let out = '';
+    for (const span of toSpans(input, options)) {
+        const codes = [];
+        const color = ansiColor(span.color);
+        if (color) codes.push(color);
+        for (const [flag, code] of Object.entries(ANSI_STYLES)) {
+            if (span[flag]) codes.push(code);
+        }
+        out += codes.length > 0 ? `\x1b[${codes.join(';')}m${span.text}${ANSI_RESET}` : span.text;
+    }
+    return out;
+}
+
+function ansiColor(color) {
+    if (!color) return null;
+    if (COLORS[color]) return COLORS[color].ansi;
+
+    // Hex colors use 24-bit escape codes
+    const hex = /^#([0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+        const value = parseInt(hex[1], 16);
+        return `38;2;${(value >> 16) & 0xFF};${(value >> 8) & 0xFF};${value & 0xFF}`;
+    }
+    return null;
+}
+
+/**
+ * Translate a key directly
+ * @param {string} key - e.g. 'chat.type.text'
+ * @param {Array} args - Argument components or strings
+ * @param {object} options - { language }
+ * @returns {string}
+ */
+function translate(key, args = [], options = {}) {
+    return toPlainText({ translate: key, with: args }, options);
+}
+
+/**
+ * Apply a chat type decoration (e.g. chat.type.text -> "<%s> %s")
+ * @param {object} chatType - { translationKey, parameters: ['sender', 'content', ...], style }
+ * @param {object} values - { sender, content, target } as components
+ * @returns {object} Component
+ */
+function decorateChat(chatType, values) {
+    const translationKey = (chatType && chatType.translationKey) || 'chat.type.text';
+    const parameters = (chatType && chatType.parameters) || ['sender', 'content'];
+    const style = (chatType && chatType.style) || {};
+
+    const component = parseComponent(style);
+    delete component.text;
+    component.translate = translationKey;
+    component.with = parameters.map(name => parseComponent(values[name] !== undefined ? values[name] : ''));
+    return component;
+}
+
+module.exports = {
+    parseComponent,
+    parseJsonComponent,
+    decorateChat,
+    toSpans,
+    toPlainText,
+    toAnsi,
+    translate,
+    formatTranslation
+};
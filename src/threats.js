@@ -0,0 +1,173 @@
+/**
+ * Threat assessment
+ * Scores hostile mobs around the bot from the entity tracker (type, distance, line of sight,
+ * creeper fuses, drawn bows) and makes idle or travelling bots flee until the danger is gone.
+ *
+ * Events on the client:
+ *   - threat (threat): an entity became dangerous - { entity, distance, lineOfSight, fusing, aiming, score }
+ *   - threatCleared (): nothing dangerous is left
+ */
+
+const { logger } = require('./logger');
+
+// Mobs that attack on sight besides the 'hostile' category
+const ALSO_HOSTILE = ['ghast', 'magma_cube', 'phantom', 'shulker', 'slime', 'hoglin', 'ender_dragon'];
+
+// Hostile-category mobs that leave the bot alone until provoked
+const NEUTRAL = ['enderman', 'zombified_piglin', 'piglin', 'spider'];
+
+// How much worse than a zombie each mob is
+const THREAT_WEIGHTS = {
+    creeper: 1.5,
+    ravager: 2,
+    piglin_brute: 1.5,
+    vindicator: 1.5,
+    evoker: 1.5,
+    warden: 3,
+    wither: 3,
+    ender_dragon: 3
+};
+
+// Mobs that shoot, and the metadata field set while they draw or charge
+const RANGED = ['skeleton', 'stray', 'bogged', 'pillager', 'piglin', 'drowned', 'witch', 'blaze', 'ghast', 'breeze'];
+
+const PLAYER_EYE_HEIGHT = 1.62;
+const LIVING_FLAG_USING_ITEM = 0x01;
+const MOB_FLAG_AGGRESSIVE = 0x04;
+
+// Mobs facing within this many degrees of the bot are aiming at it
+const AIM_ANGLE = 30;
+
+/**
+ * Whether an entity attacks players (neutral mobs only once angry)
+ * @param {object} entity - From the entity tracker
+ * @returns {boolean}
+ */
+function isHostile(entity) {
+    if (entity.category !== 'hostile' && !ALSO_HOSTILE.includes(entity.name)) return false;
+    if (!NEUTRAL.includes(entity.name)) return true;
+
+    const metadata = entity.metadata;
+    if (entity.name === 'enderman') return metadata.creepy === true;
+    return ((metadata.mob_flags || 0) & MOB_FLAG_AGGRESSIVE) !== 0;
+}
+
+class ThreatMonitor {
+    /**
+     * @param {MinecraftClient} client
+     * @param {object} options
+     *   - radius: blocks to look for threats (default 16)
+     *   - dangerScore: score at which a threat counts as dangerous (default 0.5)
+     *   - interval: ms between assessments (default 250)
+     *   - flee: run from dangerous threats (default true)
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.radius = options.radius || 16;
+        this.dangerScore = options.dangerScore || 0.5;
+        this.interval = options.interval || 250;
+        this.flee = options.flee !== false;
+
+        this.dangerous = new Set(); // Entity IDs that were dangerous at the last assessment
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.update(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.dangerous.clear();
+    }
+
+    /**
+     * Score every hostile entity within the radius
+     * @returns {Array<object>} { entity, distance, lineOfSight, fusing, aiming, score }, worst first
+     */
+    assess() {
+        const { entityTracker, world, position } = this.client;
+        if (!entityTracker || !position) return [];
+
+        const eye = { x: position.x, y: position.y + PLAYER_EYE_HEIGHT, z: position.z };
+        const threats = [];
+        for (const entity of entityTracker.entities.values()) {
+            if (!isHostile(entity) || entity.pose === 'dying' || entity.health === 0) continue;
+
+            const distance = Math.hypot(entity.position.x - position.x, entity.position.y - position.y, entity.position.z - position.z);
+            if (distance > this.radius) continue;
+
+            const entityEye = { x: entity.position.x, y: entity.position.y + entity.height * 0.85, z: entity.position.z };
+            const lineOfSight = world ? world.canSee(eye, entityEye) : true;
+            const metadata = entity.metadata;
+            const fusing = entity.name === 'creeper' && (metadata.swell_dir > 0 || metadata.is_ignited === true);
+            const aiming = lineOfSight && RANGED.includes(entity.name) && this.isDrawing(entity) && this.isFacing(entity, position);
+
+            const proximity = 1 - distance / this.radius;
+            let score = (THREAT_WEIGHTS[entity.name] || 1) * proximity * (lineOfSight ? 1 : 0.5);
+            if (fusing) score += 2;
+            if (aiming) score += 1;
+
+            threats.push({ entity, distance, lineOfSight, fusing, aiming, score });
+        }
+        return threats.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Whether a ranged mob is drawing a bow, charging a crossbow or otherwise using its weapon
+     */
+    isDrawing(entity) {
+        const metadata = entity.metadata;
+        return ((metadata.living_entity_flags || 0) & LIVING_FLAG_USING_ITEM) !== 0 ||
+            metadata.is_charging_crossbow === true ||
+            ((metadata.mob_flags || 0) & MOB_FLAG_AGGRESSIVE) !== 0;
+    }
+
+    /**
+     * Whether an entity's head points at a position
+     */
+    isFacing(entity, position) {
+        const towards = -Math.atan2(position.x - entity.position.x, position.z - entity.position.z) * (180 / Math.PI);
+        let diff = (towards - entity.headYaw) % 360;
+        if (diff > 180) diff -= 360;
+        if (diff < -180) diff += 360;
+        return Math.abs(diff) <= AIM_ANGLE;
+    }
+
+    /**
+     * Assess, emit events and start or end fleeing
+     * @returns {Array<object>} The dangerous threats
+     */
+    update() {
+        const dangerous = this.assess().filter(threat => threat.score >= this.dangerScore);
+        const ids = new Set(dangerous.map(threat => threat.entity.id));
+
+        for (const threat of dangerous) {
+            if (!this.dangerous.has(threat.entity.id)) {
+                logger.info(`[Threats] ${threat.entity.name} ${threat.distance.toFixed(1)}m away (score ${threat.score.toFixed(2)})`);
+                this.client.emit('threat', threat);
+            }
+        }
+        const wasDangerous = this.dangerous.size > 0;
+        this.dangerous = ids;
+
+        const movement = this.client.movement;
+        if (dangerous.length > 0) {
+            // Re-plan once the current flee target is reached (or was never set)
+            if (this.flee && movement && (!movement.fleeing || !movement.isMoving)) {
+                movement.flee(dangerous.map(threat => ({ position: threat.entity.position, weight: threat.score })));
+            }
+        } else if (wasDangerous) {
+            logger.info('[Threats] Clear');
+            this.client.emit('threatCleared');
+            if (movement && movement.fleeing) movement.endFlee();
+        }
+        return dangerous;
+    }
+}
+
+module.exports = { ThreatMonitor, isHostile };
@@ -4,20 +4,89 @@
  */
 
 const { ChunkParser } = require('./chunk-parser');
+const { getBlockEntityTypeName, decodeBlockEntity } = require('./block-entities');
 const { logger } = require('./logger');
 
+// Collision assumed for unloaded blocks during real movement
+const FULL_BLOCK = [[0, 0, 0, 1, 1, 1]];
+const PLAYER_HEIGHT = 1.8;
+
+const SECTION_VOLUME = 4096;
+
+// Block faces in Direction order (the face IDs block placement and digging packets use)
+const FACES = ['down', 'up', 'north', 'south', 'west', 'east'];
+
+// Remembered chunks (from the chunk cache) kept in memory at once
+const MAX_REMEMBERED_CHUNKS = 1024;
+
+// Chunks on either side of a planned route that are read back from the chunk cache
+const ROUTE_CHUNK_MARGIN = 3;
+
+// Rough V8 object sizes for the memory estimate
+const CHUNK_OVERHEAD = 120;       // Chunk record, sections array and its Map entry
+const TYPED_ARRAY_OVERHEAD = 100; // Uint16Array object and its ArrayBuffer
+
+/**
+ * Storage for a paletted container: the value if there is only one, else the entries
+ * @param {Array<number>} palette
+ * @param {Uint16Array} entries
+ * @returns {number|Uint16Array}
+ */
+function compactPalette(palette, entries) {
+    if (palette.length === 1) return palette[0];
+    return entries;
+}
+
+/**
+ * Storage for a light section: the level if every block has the same one, else a copy of the nibbles
+ * (a copy, so the packet buffer can be freed)
+ * @param {Buffer|number|undefined} light - 2048 bytes, 0 (empty) or undefined (not sent)
+ * @returns {Uint8Array|number|undefined}
+ */
+function compactLight(light) {
+    if (light === undefined || typeof light === 'number') return light;
+
+    const first = light[0];
+    if ((first >> 4) === (first & 15) && light.every(byte => byte === first)) return first & 15;
+    return new Uint8Array(light);
+}
+
+/**
+ * Light level at a section index (unknown sections are dark)
+ * @param {Uint8Array|number|undefined} light
+ * @param {number} index - YZX index within the section
+ * @returns {number}
+ */
+function readNibble(light, index) {
+    if (light === undefined) return 0;
+    if (typeof light === 'number') return light;
+    return (light[index >> 1] >> ((index & 1) * 4)) & 15;
+}
+
 class WorldAdvanced {
     constructor() {
         this.parser = new ChunkParser();
 
-        // Storage: Map<chunkKey, ChunkData>
+        // Build limits of the current dimension (overworld until Login says otherwise)
+        this.minY = -64;
+        this.height = 384;
+
+        // Storage: Map<chunkKey, { x, z, sections, biomes, skyLight, blockLight, blockEntities, lastUpdate }>
+        // Each section is a block state ID when uniform (all air, all stone...), otherwise a
+        // Uint16Array of 4096 state IDs in YZX order; a missing section is air.
+        // Biomes work the same way with 64 entries (4x4x4 cells); light sections are a level
+        // when uniform, otherwise 2048 bytes of nibbles, and include one section below and above.
+        // Block entities are a Map keyed by their block index within the chunk (see blockEntityKey).
         this.chunks = new Map();
 
-        // Fast block lookup: Map<blockKey, blockStateId>
-        this.blockCache = new Map();
+        // minecraft:worldgen/biome registry entries, indexed by biome ID
+        this.biomeNames = [];
 
-        // Per-chunk block keys for efficient unloading
-        this.chunkBlocks = new Map(); // chunkKey -> Set<blockKey>
+        // Optional on-disk cache of explored chunks (see setChunkCache). Chunks read back from it are
+        // "remembered": { x, z, sections, remembered: true, lastUpdate: saved at }, kept apart from the
+        // live chunks and only consulted for path planning.
+        this.chunkCache = null;
+        this.remembered = new Map();
 
         // Chunk loading statistics
         this.stats = {
@@ -27,6 +96,40 @@ class WorldAdvanced {
         };
     }
 
+    /**
+     * Set the protocol version chunks and block states are interpreted with
+     * @param {number} protocolVersion
+     */
+    setProtocolVersion(protocolVersion) {
+        this.parser.setProtocolVersion(protocolVersion);
+    }
+
+    /**
+     * Set the build limits of the current dimension
+     * Call clear() first when the dimension changes - stored chunks keep their old layout.
+     * @param {object} dimension - { minY, height, name }; name selects the chunk cache directory
+     */
+    setDimension({ minY, height, name }) {
+        this.minY = minY;
+        this.height = height;
+        this.parser.setSectionCount(height >> 4);
+
+        this.remembered.clear();
+        if (this.chunkCache && name) {
+            this.chunkCache.setDimension(name);
+        }
+    }
+
+    /**
+     * Persist explored chunks to a cache and plan through them on later visits
+     * Live chunks are saved when they unload, when the dimension changes and on disconnect (saveChunks).
+     * @param {ChunkCache|null} cache - See chunk-cache.js
+     */
+    setChunkCache(cache) {
+        this.chunkCache = cache;
+        this.remembered.clear();
+    }
+
     /**
      * Store and parse chunk data
      * @param {number} chunkX
@@ -41,7 +144,7 @@ class WorldAdvanced {
         try {
             parsed = this.parser.parseChunkData(data);
         } catch (e) {
-            console.warn(`[World] Parser threw for chunk (${chunkX}, ${chunkZ}): ${e.message}`);
+            logger.warn(`[World] Parser threw for chunk (${chunkX}, ${chunkZ}): ${e.message}`);
         }
 
         if (!parsed) {
@@ -52,81 +155,136 @@ class WorldAdvanced {
             // Log periodically (not every chunk to avoid spam)
             const stats = this.parser.getStats();
             if (stats.failed <= 5 || stats.failed % 50 === 0) {
-                console.log(`[World] Chunk (${chunkX}, ${chunkZ}) parse failed - using empty fallback. Success rate: ${(stats.successRate * 100).toFixed(1)}%`);
+                logger.info(`[World] Chunk (${chunkX}, ${chunkZ}) parse failed - using empty fallback. Success rate: ${(stats.successRate * 100).toFixed(1)}%`);
             }
         }
 
         // Store chunk (even if empty - this marks it as "loaded")
-        this.chunks.set(key, {
+        const sections = parsed.sections.map(section => this.compactSection(section));
+        const light = parsed.light || { skyLight: [], blockLight: [] };
+        const chunk = {
             x: chunkX,
             z: chunkZ,
-            sections: parsed.sections,
+            sections,
+            biomes: parsed.sections.map(section => compactPalette(section.biomePalette, section.biomes)),
+            skyLight: light.skyLight.map(compactLight),
+            blockLight: light.blockLight.map(compactLight),
+            blockEntities: new Map(),
             lastUpdate: Date.now()
-        });
-
-        // Index blocks for fast lookup
-        this.indexChunkBlocks(chunkX, chunkZ, parsed.sections);
+        };
+        this.remembered.delete(key);
+        for (const { x, y, z, type, nbt } of parsed.blockEntities || []) {
+            const worldX = chunkX * 16 + x;
+            const worldZ = chunkZ * 16 + z;
+            chunk.blockEntities.set(this.blockEntityKey(worldX, y, worldZ), this.createBlockEntity(worldX, y, worldZ, type, nbt));
+        }
+        this.chunks.set(key, chunk);
 
+        for (const section of parsed.sections) {
+            this.stats.blocksIndexed += section.blockCount;
+        }
         this.stats.chunksLoaded++;
 
         // Log success periodically
         if (this.stats.chunksLoaded <= 3 || this.stats.chunksLoaded % 20 === 0) {
-            console.log(`[World] ✓ Chunk (${chunkX}, ${chunkZ}) loaded - ${parsed.sections.length} sections, ${this.stats.chunksLoaded} total`);
+            logger.info(`[World] ✓ Chunk (${chunkX}, ${chunkZ}) loaded - ${parsed.sections.length} sections, ${this.stats.chunksLoaded} total`);
         }
     }
 
+    /**
+     * Storage for a parsed section: the state ID if the whole section is one block, else its state array
+     * @param {object} section - From ChunkParser.parseSection()
+     * @returns {number|Uint16Array}
+     */
+    compactSection(section) {
+        return compactPalette(section.palette, section.blockStates);
+    }
+
+    /**
+     * Set the biome names biome IDs refer to (minecraft:worldgen/biome registry order)
+     * @param {Array<string>} names
+     */
+    setBiomeNames(names) {
+        this.biomeNames = names;
+    }
+
+    /**
+     * Get the biome at world coordinates (biomes are stored per 4x4x4 cell)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {{id: number, name: string|null}|null} null if the chunk isn't loaded or y is outside the world
+     */
+    getBiome(x, y, z) {
+        const bx = Math.floor(x), by = Math.floor(y), bz = Math.floor(z);
+        const chunk = this.chunks.get(this.chunkKey(bx >> 4, bz >> 4));
+        if (!chunk || by < this.minY || by >= this.minY + this.height) return null;
+
+        const localY = by - this.minY;
+        const biomes = chunk.biomes[localY >> 4];
+        if (biomes === undefined) return null;
+
+        const id = typeof biomes === 'number'
+            ? biomes
+            : biomes[(((localY >> 2) & 3) << 4) | (((bz >> 2) & 3) << 2) | ((bx >> 2) & 3)];
+        return { id, name: this.biomeNames[id] || null };
+    }
 
+    /**
+     * Get the light levels at world coordinates
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {{sky: number, block: number}|null} Levels 0-15, or null if the chunk isn't loaded
+     */
+    getLight(x, y, z) {
+        const bx = Math.floor(x), by = Math.floor(y), bz = Math.floor(z);
+        const chunk = this.chunks.get(this.chunkKey(bx >> 4, bz >> 4));
+        if (!chunk) return null;
+
+        // Light sections start one section below the world
+        const localY = by - this.minY + 16;
+        const lightSections = (this.height >> 4) + 2;
+        if (localY < 0) return { sky: 0, block: 0 };
+        if (localY >= lightSections * 16) return { sky: 15, block: 0 };
+
+        const index = ((localY & 15) << 8) | ((bz & 15) << 4) | (bx & 15);
+        return {
+            sky: readNibble(chunk.skyLight[localY >> 4], index),
+            block: readNibble(chunk.blockLight[localY >> 4], index)
+        };
+    }
 
     /**
-     * Index all blocks in a chunk for fast lookup
+     * Apply Update Light to a loaded chunk (sections the packet doesn't cover keep their light)
      * @param {number} chunkX
      * @param {number} chunkZ
-     * @param {Array} sections
+     * @param {Buffer} data - Light data after chunk X/Z
      */
-    indexChunkBlocks(chunkX, chunkZ, sections) {
-        let indexed = 0;
-        const chunkKey = this.chunkKey(chunkX, chunkZ);
-
-        // Initialize chunk block set for efficient unloading
-        if (!this.chunkBlocks.has(chunkKey)) {
-            this.chunkBlocks.set(chunkKey, new Set());
+    updateLight(chunkX, chunkZ, data) {
+        const chunk = this.chunks.get(this.chunkKey(chunkX, chunkZ));
+        if (!chunk) return;
+
+        const { skyLight, blockLight } = this.parser.parseLightData(data);
+        for (let i = 0; i < skyLight.length; i++) {
+            if (skyLight[i] !== undefined) chunk.skyLight[i] = compactLight(skyLight[i]);
+            if (blockLight[i] !== undefined) chunk.blockLight[i] = compactLight(blockLight[i]);
         }
-        const blockKeys = this.chunkBlocks.get(chunkKey);
-
-        for (let sectionIndex = 0; sectionIndex < sections.length; sectionIndex++) {
-            const section = sections[sectionIndex];
-            if (!section || !section.blockStates) continue;
-
-            // Section Y level (each section is 16 blocks tall)
-            // Minecraft 1.21: sections start at Y=-64
-            const sectionY = -4 + sectionIndex; // -4 * 16 = -64
-            const baseY = sectionY * 16;
-
-            // Index all 4096 blocks in this section
-            for (let i = 0; i < section.blockStates.length; i++) {
-                const blockStateId = section.blockStates[i];
-
-                // Skip air blocks to save memory
-                if (blockStateId === 0) continue;
-
-                // Convert index to local coordinates
-                const local = this.parser.indexToCoords(i);
-
-                // Convert to world coordinates
-                const worldX = chunkX * 16 + local.x;
-                const worldY = baseY + local.y;
-                const worldZ = chunkZ * 16 + local.z;
+        chunk.lastUpdate = Date.now();
+    }
 
-                // Store in cache
-                const blockKey = this.blockKey(worldX, worldY, worldZ);
-                this.blockCache.set(blockKey, blockStateId);
-                blockKeys.add(blockKey);
-                indexed++;
-            }
-        }
+    /**
+     * Apply Chunk Biomes to a loaded chunk
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @param {Buffer} data - One biome paletted container per section
+     */
+    updateBiomes(chunkX, chunkZ, data) {
+        const chunk = this.chunks.get(this.chunkKey(chunkX, chunkZ));
+        if (!chunk) return;
 
-        this.stats.blocksIndexed += indexed;
-        logger.debug(`[World] Indexed ${indexed} blocks in chunk (${chunkX}, ${chunkZ})`);
+        chunk.biomes = this.parser.parseBiomes(data).map(biomes => compactPalette(biomes.palette, biomes.data));
+        chunk.lastUpdate = Date.now();
     }
 
     /**
@@ -134,9 +292,10 @@ class WorldAdvanced {
      * @param {number} x
      * @param {number} y
      * @param {number} z
+     * @param {boolean} includeRemembered - Fall back to chunks remembered from the chunk cache
      * @returns {number} Block state ID (0 = air, -1 = unloaded)
      */
-    getBlock(x, y, z) {
+    getBlock(x, y, z, includeRemembered = false) {
         const bx = Math.floor(x);
         const by = Math.floor(y);
         const bz = Math.floor(z);
@@ -145,40 +304,167 @@ class WorldAdvanced {
         const chunkX = Math.floor(bx / 16);
         const chunkZ = Math.floor(bz / 16);
 
-        const chunkKey = this.chunkKey(chunkX, chunkZ);
-        const chunk = this.chunks.get(chunkKey);
+        const chunk = this.chunks.get(this.chunkKey(chunkX, chunkZ)) ||
+            (includeRemembered ? this.getRememberedChunk(chunkX, chunkZ) : null);
 
         if (!chunk) {
             return -1; // Chunk not received yet
         }
 
-        // Check if chunk has actual section data
-        // Chunks with 0 sections are considered "empty" (all air above void)
-        if (!chunk.sections || chunk.sections.length === 0) {
-            // For empty chunks, assume it's all air (sky chunks, void areas, etc.)
-            // This allows pathfinding through open areas
+        // Below and above the build limits there is only air
+        if (by < this.minY || by >= this.minY + this.height) {
             return 0;
         }
 
-        // Fast lookup from cache
-        const key = this.blockKey(bx, by, bz);
-        const blockStateId = this.blockCache.get(key);
+        // Chunks that failed to parse have no sections and are treated as air,
+        // apart from blocks changed since (Block Update)
+        const localY = by - this.minY;
+        const section = chunk.sections[localY >> 4];
+        if (section === undefined) return 0;
+        if (typeof section === 'number') return section;
+        return section[((localY & 15) << 8) | ((bz & 15) << 4) | (bx & 15)];
+    }
+
+    /**
+     * Change a single block (Block Update / Section Blocks Update)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {number} blockStateId
+     * @returns {number} Previous block state ID, or -1 if the chunk isn't loaded (nothing changed)
+     */
+    setBlock(x, y, z, blockStateId) {
+        const chunkX = Math.floor(x / 16);
+        const chunkZ = Math.floor(z / 16);
+        const chunk = this.chunks.get(this.chunkKey(chunkX, chunkZ));
+        if (!chunk || y < this.minY || y >= this.minY + this.height) return -1;
+
+        const previous = this.getBlock(x, y, z);
+        if (previous === blockStateId) return previous;
+
+        // A uniform (or missing) section gets its own array on the first change
+        const localY = y - this.minY;
+        const sectionIndex = localY >> 4;
+        let section = chunk.sections[sectionIndex];
+        if (typeof section !== 'object') {
+            section = new Uint16Array(SECTION_VOLUME).fill(section === undefined ? 0 : section);
+            chunk.sections[sectionIndex] = section;
+        }
+        section[((localY & 15) << 8) | ((z & 15) << 4) | (x & 15)] = blockStateId;
+
+        // Replacing the block destroys its block entity; the server sends Block Entity Data for the new one
+        if (chunk.blockEntities.size > 0 &&
+            this.parser.getBlockProperties(previous).name !== this.parser.getBlockProperties(blockStateId).name) {
+            chunk.blockEntities.delete(this.blockEntityKey(x, y, z));
+        }
+
+        chunk.lastUpdate = Date.now();
+        return previous;
+    }
+
+    /**
+     * Build a block entity record
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {number} typeId - minecraft:block_entity_type registry ID
+     * @param {object|null} nbt - Simplified NBT
+     * @returns {object} { position, type, typeId, nbt, ...decoded fields (see decodeBlockEntity) }
+     */
+    createBlockEntity(x, y, z, typeId, nbt) {
+        const type = getBlockEntityTypeName(this.parser.protocolVersion, typeId);
+        return {
+            position: { x, y, z },
+            type,
+            typeId,
+            nbt: nbt || {},
+            ...decodeBlockEntity(type, nbt, this.parser.protocolVersion)
+        };
+    }
+
+    /**
+     * Set the block entity at a position (Block Entity Data)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {number} typeId
+     * @param {object|null} nbt
+     * @returns {object|null} The stored block entity, or null if the chunk isn't loaded
+     */
+    setBlockEntity(x, y, z, typeId, nbt) {
+        const chunk = this.chunks.get(this.chunkKey(Math.floor(x / 16), Math.floor(z / 16)));
+        if (!chunk || y < this.minY || y >= this.minY + this.height) return null;
+
+        const blockEntity = this.createBlockEntity(x, y, z, typeId, nbt);
+        chunk.blockEntities.set(this.blockEntityKey(x, y, z), blockEntity);
+        chunk.lastUpdate = Date.now();
+        return blockEntity;
+    }
 
-        // If not in cache, it's air (we only cache non-air blocks)
-        return blockStateId !== undefined ? blockStateId : 0;
+    /**
+     * Get the block entity at world coordinates
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {object|null} See createBlockEntity
+     */
+    getBlockEntity(x, y, z) {
+        const bx = Math.floor(x), by = Math.floor(y), bz = Math.floor(z);
+        const chunk = this.chunks.get(this.chunkKey(bx >> 4, bz >> 4));
+        if (!chunk) return null;
+        return chunk.blockEntities.get(this.blockEntityKey(bx, by, bz)) || null;
     }
 
+    /**
+     * Find loaded block entities, nearest first when a center is given
+     * @param {object} options - {
+     *   type: 'minecraft:chest' or an array of types (the minecraft: prefix is optional; all types if omitted),
+     *   near: {x, y, z}, radius: blocks from near (default unlimited),
+     *   filter: (blockEntity) => boolean, maxResults
+     * }
+     * @returns {Array} Block entities (see createBlockEntity)
+     */
+    findBlockEntities({ type, near, radius = Infinity, filter, maxResults = Infinity } = {}) {
+        const types = type === undefined ? null
+            : new Set([].concat(type).map(t => t.includes(':') ? t : `minecraft:${t}`));
+        const distanceSq = (position) => near
+            ? (position.x + 0.5 - near.x) ** 2 + (position.y + 0.5 - near.y) ** 2 + (position.z + 0.5 - near.z) ** 2
+            : 0;
+        const radiusSq = radius * radius;
+
+        const results = [];
+        for (const chunk of this.chunks.values()) {
+            // Skip whole chunks outside the radius
+            if (near && radius !== Infinity) {
+                const dx = Math.max(chunk.x * 16 - near.x, 0, near.x - (chunk.x * 16 + 16));
+                const dz = Math.max(chunk.z * 16 - near.z, 0, near.z - (chunk.z * 16 + 16));
+                if (dx * dx + dz * dz > radiusSq) continue;
+            }
+
+            for (const blockEntity of chunk.blockEntities.values()) {
+                if (types && !types.has(blockEntity.type)) continue;
+                if (distanceSq(blockEntity.position) > radiusSq) continue;
+                if (filter && !filter(blockEntity)) continue;
+                results.push(blockEntity);
+            }
+        }
+
+        if (near) {
+            results.sort((a, b) => distanceSq(a.position) - distanceSq(b.position));
+        }
+        return results.slice(0, maxResults);
+    }
 
     /**
      * Check if block is solid (impassable)
      * @param {number} x
      * @param {number} y
      * @param {number} z
-     * @param {boolean} pathfindingMode - If true, treat unloaded as passable
+     * @param {boolean} pathfindingMode - If true, use remembered chunks and treat unloaded as passable
      * @returns {boolean}
      */
     isSolid(x, y, z, pathfindingMode = false) {
-        const blockId = this.getBlock(x, y, z);
+        const blockId = this.getBlock(x, y, z, pathfindingMode);
 
         if (blockId === -1) {
             // Unloaded chunk: solid for actual movement, passable for path planning
@@ -186,8 +472,79 @@ class WorldAdvanced {
         }
         if (blockId === 0) return false;  // Air = not solid
 
-        const props = this.parser.getBlockProperties(blockId);
-        return props ? props.solid : true;  // Fallback to solid if props unknown
+        // Solid = has a collision shape (slabs and fences count; grass, water and torches don't)
+        return this.parser.getBlockProperties(blockId).solid;
+    }
+
+    /**
+     * Get the collision boxes of a block in world coordinates
+     * Partial blocks return their real shape (a bottom slab is half a block, a fence 1.5 tall).
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {boolean} pathfindingMode - If true, use remembered chunks and treat unloaded as empty
+     * @returns {Array<{minX, minY, minZ, maxX, maxY, maxZ}>}
+     */
+    getCollisionBoxes(x, y, z, pathfindingMode = false) {
+        const blockId = this.getBlock(x, y, z, pathfindingMode);
+        if (blockId === 0) return [];
+
+        const shapes = blockId === -1
+            ? (pathfindingMode ? [] : FULL_BLOCK)
+            : this.parser.getBlockProperties(blockId).shapes;
+
+        return shapes.map(([minX, minY, minZ, maxX, maxY, maxZ]) => ({
+            minX: x + minX, minY: y + minY, minZ: z + minZ,
+            maxX: x + maxX, maxY: y + maxY, maxZ: z + maxZ
+        }));
+    }
+
+    /**
+     * Get the feet height of a player standing in a block space
+     * The floor is the highest collision top in this block and the one below; it must lie
+     * within this block (a fence below gives y + 0.5, a bottom slab here y + 0.5) and leave
+     * 1.8 blocks of headroom.
+     * @param {number} x
+     * @param {number} y - Feet block
+     * @param {number} z
+     * @param {boolean} pathfindingMode - If true, treat unloaded as walkable
+     * @returns {number|null} Feet Y, or null if the bot can't stand here
+     */
+    getStandingHeight(x, y, z, pathfindingMode = false) {
+        if (pathfindingMode && this.getBlock(x, y, z, true) === -1) {
+            return y; // Trust that unloaded areas are navigable
+        }
+
+        let floor = -Infinity;
+        for (const box of this.getCollisionBoxes(x, y - 1, z, pathfindingMode)) {
+            floor = Math.max(floor, box.maxY);
+        }
+        for (const box of this.getCollisionBoxes(x, y, z, pathfindingMode)) {
+            floor = Math.max(floor, box.maxY);
+        }
+        if (floor < y || floor >= y + 1) return null;
+
+        // Nothing may start between the floor and the top of the head
+        const headY = floor + PLAYER_HEIGHT;
+        for (let checkY = y; checkY < headY; checkY++) {
+            for (const box of this.getCollisionBoxes(x, checkY, z, pathfindingMode)) {
+                if (box.minY >= floor && box.minY < headY) return null;
+            }
+        }
+        return floor;
+    }
+
+    /**
+     * Get the block state at world coordinates
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {object|null} See BlockRegistry.getState(), or null if the chunk isn't loaded
+     */
+    getBlockState(x, y, z) {
+        const blockId = this.getBlock(x, y, z);
+        if (blockId === -1) return null;
+        return this.parser.getBlockProperties(blockId);
     }
 
     /**
@@ -206,22 +563,23 @@ class WorldAdvanced {
     }
 
     /**
-     * Check if block is fluid (water, lava)
+     * Check if block is fluid (water, lava, or a waterlogged block)
      * @param {number} x
      * @param {number} y
      * @param {number} z
+     * @param {boolean} pathfindingMode - If true, use remembered chunks
      * @returns {boolean}
      */
-    isFluid(x, y, z) {
-        const blockId = this.getBlock(x, y, z);
+    isFluid(x, y, z, pathfindingMode = false) {
+        const blockId = this.getBlock(x, y, z, pathfindingMode);
         if (blockId <= 0) return false;
 
         const props = this.parser.getBlockProperties(blockId);
-        return props.fluid;
+        return props.fluid !== null;
     }
 
     /**
-     * Check if position is walkable (air at feet, solid below)
+     * Check if position is walkable (a floor within the feet block and room for the head)
      * @param {number} x
      * @param {number} y - Feet position
      * @param {number} z
@@ -230,20 +588,8 @@ class WorldAdvanced {
      */
     isWalkable(x, y, z, pathfindingMode = false) {
         // FIX: "Unloaded Floor Paradox" - if pathfinding and chunk is unloaded,
-        // assume the position is walkable. This allows long-distance path planning.
-        const blockId = this.getBlock(x, y, z);
-        if (blockId === -1 && pathfindingMode) {
-            return true; // Trust that unloaded areas are navigable
-        }
-
-        // Must have solid ground below
-        const hasFloor = this.isSolid(x, y - 1, z, pathfindingMode);
-
-        // Must have air at feet and head
-        const feetClear = !this.isSolid(x, y, z, pathfindingMode);
-        const headClear = !this.isSolid(x, y + 1, z, pathfindingMode);
-
-        return hasFloor && feetClear && headClear;
+        // assume the position is walkable (see getStandingHeight). This allows long-distance path planning.
+        return this.getStandingHeight(x, y, z, pathfindingMode) !== null;
     }
 
     /**
@@ -263,18 +609,240 @@ class WorldAdvanced {
      * @param {number} y - Starting Y
      * @param {number} z
      * @param {number} maxFall - Maximum blocks to search down
+     * @param {boolean} pathfindingMode - If true, use remembered chunks and treat unloaded as empty
      * @returns {number} Floor Y level, or -1 if not found
      */
-    findFloorBelow(x, y, z, maxFall = 10) {
+    findFloorBelow(x, y, z, maxFall = 10, pathfindingMode = false) {
         for (let dy = 0; dy <= maxFall; dy++) {
             const checkY = Math.floor(y) - dy;
-            if (this.isSolid(x, checkY, z)) {
+            if (this.isSolid(x, checkY, z, pathfindingMode)) {
                 return checkY + 1; // Return position above solid block
             }
         }
         return -1; // No floor found
     }
 
+    /**
+     * Find blocks near a point, nearest first
+     * Scans chunk sections in shells around the point's section and stops once the nearest
+     * `count` matches are known; uniform sections are tested once.
+     * @param {object} options - {
+     *   matching: block name, array of names (minecraft: prefix optional) or (state) => boolean,
+     *   point: {x, y, z}, maxDistance: blocks (default 16), count: max results (default 1, none if <= 0)
+     * }
+     * @returns {Array<{x, y, z}>} Block positions (unloaded chunks are skipped)
+     */
+    findBlocks({ matching, point, maxDistance = 16, count = 1 }) {
+        if (!(count > 0)) return [];
+
+        const matches = this.blockMatcher(matching);
+        const sectionCount = this.height >> 4;
+        const centerX = Math.floor(point.x) >> 4;
+        const centerY = (Math.floor(point.y) - this.minY) >> 4;
+        const centerZ = Math.floor(point.z) >> 4;
+        const maxDistanceSq = maxDistance * maxDistance;
+        const distanceSq = (x, y, z) => (x + 0.5 - point.x) ** 2 + (y + 0.5 - point.y) ** 2 + (z + 0.5 - point.z) ** 2;
+
+        const results = [];
+        const collect = (x, y, z) => {
+            const d = distanceSq(x, y, z);
+            if (d <= maxDistanceSq) results.push({ x, y, z, d });
+        };
+
+        const maxShell = Math.ceil(maxDistance / 16);
+        for (let shell = 0; shell <= maxShell; shell++) {
+            for (let dx = -shell; dx <= shell; dx++) {
+                for (let dz = -shell; dz <= shell; dz++) {
+                    const chunk = this.chunks.get(this.chunkKey(centerX + dx, centerZ + dz));
+                    if (!chunk) continue;
+
+                    for (let dy = -shell; dy <= shell; dy++) {
+                        // Only the surface of this shell - the inside was scanned already
+                        if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) !== shell) continue;
+                        const sectionY = centerY + dy;
+                        if (sectionY < 0 || sectionY >= sectionCount) continue;
+
+                        const baseX = (centerX + dx) * 16;
+                        const baseY = this.minY + sectionY * 16;
+                        const baseZ = (centerZ + dz) * 16;
+
+                        // Skip sections entirely out of range
+                        const nearX = Math.max(baseX, Math.min(point.x, baseX + 16));
+                        const nearY = Math.max(baseY, Math.min(point.y, baseY + 16));
+                        const nearZ = Math.max(baseZ, Math.min(point.z, baseZ + 16));
+                        if ((nearX - point.x) ** 2 + (nearY - point.y) ** 2 + (nearZ - point.z) ** 2 > maxDistanceSq) continue;
+
+                        const section = chunk.sections[sectionY] === undefined ? 0 : chunk.sections[sectionY];
+                        if (typeof section === 'number') {
+                            if (!matches(section)) continue;
+                            for (let i = 0; i < SECTION_VOLUME; i++) {
+                                collect(baseX + (i & 15), baseY + (i >> 8), baseZ + ((i >> 4) & 15));
+                            }
+                        } else {
+                            for (let i = 0; i < SECTION_VOLUME; i++) {
+                                if (matches(section[i])) collect(baseX + (i & 15), baseY + (i >> 8), baseZ + ((i >> 4) & 15));
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Everything in the next shell is at least 16 * shell blocks away
+            if (results.length >= count) {
+                results.sort((a, b) => a.d - b.d);
+                results.length = count;
+                if (results[count - 1].d <= (16 * shell) ** 2) break;
+            }
+        }
+
+        results.sort((a, b) => a.d - b.d);
+        return results.slice(0, count).map(({ x, y, z }) => ({ x, y, z }));
+    }
+
+    /**
+     * Build a state ID test for findBlocks (results are cached per state ID)
+     * @param {string|Array<string>|Function} matching
+     * @returns {Function} (stateId) => boolean
+     */
+    blockMatcher(matching) {
+        let test = matching;
+        if (typeof matching !== 'function') {
+            const names = new Set([].concat(matching).map(name => name.replace(/^minecraft:/, '')));
+            test = (state) => names.has(state.name);
+        }
+
+        const cache = new Map();
+        return (stateId) => {
+            let result = cache.get(stateId);
+            if (result === undefined) {
+                result = !!test(this.parser.getBlockProperties(stateId));
+                cache.set(stateId, result);
+            }
+            return result;
+        };
+    }
+
+    /**
+     * Cast a ray through the world and return the first block collision box it hits
+     * Blocks without collision (air, grass, fluids, torches) let the ray through.
+     * @param {{x, y, z}} origin
+     * @param {{x, y, z}} direction - Need not be normalized
+     * @param {number} maxDistance
+     * @returns {object|null} {
+     *   position: {x, y, z} of the block, face: 'up' | 'down' | 'north' | 'south' | 'west' | 'east',
+     *   faceId: Direction ID (0-5), intersect: {x, y, z} where the ray hits, distance, state
+     * } or null if nothing is hit within maxDistance (or the ray enters an unloaded chunk)
+     */
+    raycast(origin, direction, maxDistance = 5) {
+        const length = Math.hypot(direction.x, direction.y, direction.z);
+        if (length === 0) return null;
+        const dir = { x: direction.x / length, y: direction.y / length, z: direction.z / length };
+
+        // Voxel traversal (Amanatides & Woo)
+        const axes = ['x', 'y', 'z'];
+        const block = {};
+        const step = {};
+        const tMax = {};
+        const tDelta = {};
+        for (const axis of axes) {
+            block[axis] = Math.floor(origin[axis]);
+            step[axis] = Math.sign(dir[axis]);
+            tDelta[axis] = step[axis] === 0 ? Infinity : Math.abs(1 / dir[axis]);
+            const boundary = step[axis] > 0 ? block[axis] + 1 : block[axis];
+            tMax[axis] = step[axis] === 0 ? Infinity : (boundary - origin[axis]) / dir[axis];
+        }
+
+        let t = 0;
+        while (t <= maxDistance) {
+            const stateId = this.getBlock(block.x, block.y, block.z);
+            if (stateId === -1) return null;
+
+            if (stateId !== 0) {
+                const hit = this.intersectBoxes(origin, dir, this.getCollisionBoxes(block.x, block.y, block.z), maxDistance);
+                if (hit) {
+                    return {
+                        position: { x: block.x, y: block.y, z: block.z },
+                        face: FACES[hit.faceId],
+                        faceId: hit.faceId,
+                        intersect: {
+                            x: origin.x + dir.x * hit.distance,
+                            y: origin.y + dir.y * hit.distance,
+                            z: origin.z + dir.z * hit.distance
+                        },
+                        distance: hit.distance,
+                        state: this.parser.getBlockProperties(stateId)
+                    };
+                }
+            }
+
+            // Step into the next block along the axis whose boundary is closest
+            const axis = tMax.x < tMax.y ? (tMax.x < tMax.z ? 'x' : 'z') : (tMax.y < tMax.z ? 'y' : 'z');
+            t = tMax[axis];
+            block[axis] += step[axis];
+            tMax[axis] += tDelta[axis];
+        }
+        return null;
+    }
+
+    /**
+     * Nearest intersection of a ray with a set of boxes (slab method)
+     * @returns {{distance: number, faceId: number}|null}
+     */
+    intersectBoxes(origin, dir, boxes, maxDistance) {
+        let nearest = null;
+        for (const box of boxes) {
+            let tNear = -Infinity;
+            let tFar = Infinity;
+            let faceId = -1;
+
+            for (const [axis, minFace, maxFace] of [['x', 4, 5], ['y', 0, 1], ['z', 2, 3]]) {
+                const min = box['min' + axis.toUpperCase()];
+                const max = box['max' + axis.toUpperCase()];
+                if (dir[axis] === 0) {
+                    if (origin[axis] < min || origin[axis] > max) { tNear = Infinity; break; }
+                    continue;
+                }
+
+                // Entering through the min side means hitting the face that points to -axis
+                let t1 = (min - origin[axis]) / dir[axis];
+                let t2 = (max - origin[axis]) / dir[axis];
+                let entryFace = minFace;
+                if (t1 > t2) {
+                    [t1, t2] = [t2, t1];
+                    entryFace = maxFace;
+                }
+                if (t1 > tNear) {
+                    tNear = t1;
+                    faceId = entryFace;
+                }
+                tFar = Math.min(tFar, t2);
+            }
+
+            if (tNear > tFar || tFar < 0 || tNear > maxDistance) continue;
+            const distance = Math.max(tNear, 0);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { distance, faceId: faceId === -1 ? 1 : faceId };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Check for a clear line between two points (eyes to eyes, eyes to a block...)
+     * Like vanilla line of sight, anything with collision blocks it, including glass.
+     * @param {{x, y, z}} from
+     * @param {{x, y, z}} to
+     * @returns {boolean} false if a block is in the way or either point is in an unloaded chunk
+     */
+    canSee(from, to) {
+        if (this.getBlock(from.x, from.y, from.z) === -1 || this.getBlock(to.x, to.y, to.z) === -1) return false;
+
+        const direction = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+        const distance = Math.hypot(direction.x, direction.y, direction.z);
+        if (distance === 0) return true;
+        return this.raycast(from, direction, distance) === null;
+    }
+
     /**
      * Get movement cost for a position (used in pathfinding)
      * @param {number} x
@@ -287,16 +855,18 @@ class WorldAdvanced {
         let isUnloaded = false;
 
         // Check if in unloaded chunk - high cost to prefer known paths
-        const blockId = this.getBlock(x, y, z);
+        const blockId = this.getBlock(x, y, z, true);
         if (blockId === -1) {
             cost += 5.0;  // Heavy penalty for unloaded areas
             isUnloaded = true;
+        } else if (!this.isChunkLoaded(Math.floor(x / 16), Math.floor(z / 16))) {
+            cost += 1.0;  // Remembered from an earlier visit - it may have changed since
         }
 
-        // Check for hazards (only if chunk is loaded)
+        // Check for hazards (only if chunk is loaded or remembered)
         if (!isUnloaded) {
-            if (this.isFluid(x, y, z)) cost += 2.0;      // Water/lava penalty
-            if (this.isFluid(x, y - 1, z)) cost += 1.5;  // Standing in fluid
+            if (this.isFluid(x, y, z, true)) cost += 2.0;      // Water/lava penalty
+            if (this.isFluid(x, y - 1, z, true)) cost += 1.5;  // Standing in fluid
         }
 
         // Prefer paths with nearby walls (safer)
@@ -322,9 +892,7 @@ class WorldAdvanced {
     isLava(x, y, z) {
         const blockId = this.getBlock(x, y, z);
         if (blockId <= 0) return false;
-        // Lava block state IDs in vanilla MC 1.21 are typically 118-133
-        // Stationary lava is around 118, flowing lava 119-133
-        return blockId >= 118 && blockId <= 133;
+        return this.parser.getBlockProperties(blockId).fluid === 'lava';
     }
 
     /**
@@ -337,6 +905,129 @@ class WorldAdvanced {
         return this.chunks.has(this.chunkKey(chunkX, chunkZ));
     }
 
+    /**
+     * Check if a chunk is loaded or remembered from the chunk cache
+     * Only chunks already read back count (see loadRememberedChunks).
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @returns {boolean}
+     */
+    isChunkKnown(chunkX, chunkZ) {
+        return this.isChunkLoaded(chunkX, chunkZ) || this.getRememberedChunk(chunkX, chunkZ) !== null;
+    }
+
+    /**
+     * Get a remembered chunk from memory - never touches the disk, so it is safe during path searches
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @returns {object|null} { x, z, sections, remembered: true, lastUpdate }
+     */
+    getRememberedChunk(chunkX, chunkZ) {
+        return this.remembered.get(this.chunkKey(chunkX, chunkZ)) || null;
+    }
+
+    /**
+     * Read the saved chunks along a route back from the chunk cache, before planning through them
+     * Path searches only see remembered chunks in memory, so this keeps disk reads out of the search. Covers ROUTE_CHUNK_MARGIN chunks either side of the straight line, nearest the start first,
+     * up to MAX_REMEMBERED_CHUNKS. Saved chunks from another protocol version or world height are
+     * ignored (and not read again).
+     * @param {{x, z}} from - Block position
+     * @param {{x, z}} to - Block position
+     * @returns {Promise<number>} Chunks read
+     */
+    async loadRememberedChunks(from, to) {
+        if (!this.chunkCache) return 0;
+
+        const cache = this.chunkCache;
+        const dimension = cache.dimension;
+        const layout = { protocolVersion: this.parser.protocolVersion, minY: this.minY, height: this.height };
+
+        const fromX = Math.floor(from.x) >> 4;
+        const fromZ = Math.floor(from.z) >> 4;
+        const toX = Math.floor(to.x) >> 4;
+        const toZ = Math.floor(to.z) >> 4;
+        const steps = Math.max(Math.abs(toX - fromX), Math.abs(toZ - fromZ), 1);
+
+        const wanted = new Map();
+        for (let step = 0; step <= steps && wanted.size < MAX_REMEMBERED_CHUNKS; step++) {
+            const centerX = Math.round(fromX + (toX - fromX) * step / steps);
+            const centerZ = Math.round(fromZ + (toZ - fromZ) * step / steps);
+            for (let dx = -ROUTE_CHUNK_MARGIN; dx <= ROUTE_CHUNK_MARGIN; dx++) {
+                for (let dz = -ROUTE_CHUNK_MARGIN; dz <= ROUTE_CHUNK_MARGIN; dz++) {
+                    const x = centerX + dx;
+                    const z = centerZ + dz;
+                    const key = this.chunkKey(x, z);
+                    if (wanted.has(key) || this.chunks.has(key) || !cache.has(x, z)) continue;
+                    if (wanted.size >= MAX_REMEMBERED_CHUNKS) break;
+                    wanted.set(key, { x, z });
+                }
+            }
+        }
+
+        let read = 0;
+        for (const [key, { x, z }] of wanted) {
+            const remembered = this.remembered.get(key);
+            if (remembered) {
+                // Most recently used last, so eviction drops chunks no recent route needed
+                this.remembered.delete(key);
+                this.remembered.set(key, remembered);
+                continue;
+            }
+
+            const saved = await cache.loadAsync(x, z, layout);
+            // The world may have moved on while the chunk was read
+            if (this.chunkCache !== cache || cache.dimension !== dimension) break;
+            if (!saved || this.chunks.has(key)) continue;
+            this.remember({ x, z, sections: saved.sections, lastUpdate: saved.savedAt });
+            read++;
+        }
+        return read;
+    }
+
+    /**
+     * Keep a chunk as remembered (the least recently used ones are dropped - they stay on disk)
+     * @param {object} chunk - { x, z, sections, lastUpdate }
+     * @returns {object} The remembered chunk
+     */
+    remember({ x, z, sections, lastUpdate }) {
+        const key = this.chunkKey(x, z);
+        const chunk = { x, z, sections, remembered: true, lastUpdate };
+        this.remembered.delete(key);
+        if (this.remembered.size >= MAX_REMEMBERED_CHUNKS) {
+            this.remembered.delete(this.remembered.keys().next().value);
+        }
+        this.remembered.set(key, chunk);
+        return chunk;
+    }
+
+    /**
+     * Write a live chunk to the chunk cache (chunks that failed to parse are skipped)
+     * @param {object} chunk
+     * @param {boolean} background - Queue the write instead of writing now (for unloads during play)
+     */
+    saveChunk(chunk, background = false) {
+        if (!this.chunkCache || chunk.sections.length === 0) return;
+        const layout = {
+            protocolVersion: this.parser.protocolVersion,
+            minY: this.minY,
+            height: this.height,
+            savedAt: chunk.lastUpdate
+        };
+        if (background) this.chunkCache.queue(chunk, layout);
+        else this.chunkCache.save(chunk, layout);
+    }
+
+    /**
+     * Write every live chunk and every queued unloaded chunk to the chunk cache (on disconnect)
+     */
+    saveChunks() {
+        if (!this.chunkCache) return;
+        for (const chunk of this.chunks.values()) {
+            this.saveChunk(chunk);
+        }
+        this.chunkCache.flush();
+    }
+
     /**
      * Get all loaded chunks in range
      * @param {number} centerX - World X coordinate
@@ -368,19 +1059,51 @@ class WorldAdvanced {
      * @returns {Object} Stats
      */
     getStats() {
+        let sections = 0;
+        let uniformSections = 0;
+        for (const chunk of this.chunks.values()) {
+            for (const section of chunk.sections) {
+                sections++;
+                if (typeof section === 'number') uniformSections++;
+            }
+        }
+
+        const memoryBytes = this.estimateMemoryUsage();
         return {
             ...this.stats,
-            cacheSize: this.blockCache.size,
-            memoryEstimate: this.estimateMemoryUsage()
+            chunks: this.chunks.size,
+            rememberedChunks: this.remembered.size,
+            sections,
+            uniformSections,
+            memoryBytes,
+            memoryEstimate: this.formatBytes(memoryBytes)
         };
     }
 
     /**
-     * Estimate memory usage (rough)
-     * @returns {string} Memory usage
+     * Bytes held by chunk storage (block, biome and light arrays plus per-chunk and per-section overhead)
+     * @returns {number}
      */
     estimateMemoryUsage() {
-        const bytes = this.blockCache.size * 50; // ~50 bytes per entry
+        let bytes = 0;
+        for (const chunk of this.chunks.values()) {
+            bytes += CHUNK_OVERHEAD;
+            for (const list of [chunk.sections, chunk.biomes, chunk.skyLight, chunk.blockLight]) {
+                bytes += list.length * 8;
+                for (const entry of list) {
+                    if (typeof entry === 'object') bytes += entry.byteLength + TYPED_ARRAY_OVERHEAD;
+                }
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes
+     * @returns {string}
+     */
+    formatBytes(bytes) {
         if (bytes < 1024) return `${bytes} B`;
         if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
         return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
@@ -414,52 +1137,51 @@ class WorldAdvanced {
     }
 
     /**
-     * Unload a chunk and its blocks from cache (optimized version)
+     * Unload a chunk and its blocks (with a chunk cache it is queued for saving and remembered instead of forgotten)
      * @param {number} chunkX
      * @param {number} chunkZ
      */
     unloadChunk(chunkX, chunkZ) {
         const key = this.chunkKey(chunkX, chunkZ);
-        this.chunks.delete(key);
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
 
-        // Efficiently remove blocks using pre-tracked block keys
-        const blockKeys = this.chunkBlocks.get(key);
-        if (blockKeys) {
-            for (const blockKey of blockKeys) {
-                this.blockCache.delete(blockKey);
-            }
-            this.chunkBlocks.delete(key);
+        this.chunks.delete(key);
+        if (this.chunkCache && chunk.sections.length > 0) {
+            this.saveChunk(chunk, true);
+            this.remember(chunk);
         }
     }
 
     /**
      * Generate chunk key
+     * Chunk coordinates stay within +-2^21, so x * 2^22 + z is unique and an exact double.
      * @param {number} x
      * @param {number} z
-     * @returns {string}
+     * @returns {number}
      */
     chunkKey(x, z) {
-        return `${x},${z}`;
+        return x * 4194304 + z;
     }
 
     /**
-     * Generate block key
+     * Block entity key within its chunk (block index from the bottom of the world)
      * @param {number} x
      * @param {number} y
      * @param {number} z
-     * @returns {string}
+     * @returns {number}
      */
-    blockKey(x, y, z) {
-        return `${x},${y},${z}`;
+    blockEntityKey(x, y, z) {
+        return ((y - this.minY) << 8) | ((z & 15) << 4) | (x & 15);
     }
 
     /**
-     * Clear all world data
+     * Clear all world data (live chunks are saved to the chunk cache first)
      */
     clear() {
+        this.saveChunks();
         this.chunks.clear();
-        this.blockCache.clear();
-        this.chunkBlocks.clear();
+        this.remembered.clear();
         this.stats = {
             chunksLoaded: 0,
             blocksIndexed: 0,
@@ -0,0 +1,268 @@
+/**
+ * World export
+ * Writes what the bot knows about the world in vanilla formats, to open in a world viewer
+ * or diff against the server's world:
+ *   - Anvil region files (region/r.<x>.<z>.mca) for loaded chunks
+ *   - Structure files (.nbt, as saved by structure blocks) for a bounding box
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { writeNBT, tags } = require('./protocol/nbt');
+
+// Save format version of each protocol (what the game stamps on chunks and structures)
+const DATA_VERSIONS = {
+    769: 4189, // 1.21.4
+    772: 4440, // 1.21.8
+    773: 4556  // 1.21.10
+};
+
+const SECTOR_SIZE = 4096;
+const COMPRESSION_ZLIB = 2;
+const DEFAULT_BIOME = 'minecraft:plains';
+
+// Largest structure a structure block saves, per axis
+const MAX_STRUCTURE_SIZE = 48;
+
+/**
+ * Palette entry for a block state: { Name, Properties }
+ * @param {object} state - From BlockRegistry.getState()
+ * @returns {object}
+ */
+function blockStateTag(state) {
+    const tag = { Name: `minecraft:${state.name}` };
+    if (Object.keys(state.properties).length > 0) tag.Properties = { ...state.properties };
+    return tag;
+}
+
+/**
+ * Pack palette indices into longs the way chunk sections store them (entries don't span longs)
+ * @param {ArrayLike<number>} indices
+ * @param {number} bits - Bits per entry (at most 32)
+ * @returns {BigInt64Array}
+ */
+function packIndices(indices, bits) {
+    const perLong = Math.floor(64 / bits);
+    const longs = new BigInt64Array(Math.ceil(indices.length / perLong));
+
+    for (let i = 0; i < longs.length; i++) {
+        // Build each long from two 32-bit halves to keep BigInt work per long, not per entry
+        let low = 0;
+        let high = 0;
+        for (let j = 0; j < perLong; j++) {
+            const index = i * perLong + j;
+            if (index >= indices.length) break;
+
+            const value = indices[index];
+            const offset = j * bits;
+            if (offset >= 32) {
+                high |= value << (offset - 32);
+            } else {
+                low |= value << offset;
+                if (offset + bits > 32) high |= value >>> (32 - offset);
+            }
+        }
+        longs[i] = BigInt.asIntN(64, (BigInt(high >>> 0) << 32n) | BigInt(low >>> 0));
+    }
+    return longs;
+}
+
+/**
+ * Paletted container NBT ({ palette, data }) for block states or biomes
+ * @param {number|ArrayLike<number>} values - A single value or one per entry
+ * @param {Function} toTag - value -> palette entry
+ * @param {number} minBits - Smallest bits per entry (4 for blocks, 1 for biomes)
+ * @returns {object}
+ */
+function palettedContainer(values, toTag, minBits) {
+    if (typeof values === 'number') return { palette: [toTag(values)] };
+
+    const palette = [];
+    const paletteIndex = new Map();
+    const indices = new Uint16Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        let index = paletteIndex.get(values[i]);
+        if (index === undefined) {
+            index = palette.length;
+            paletteIndex.set(values[i], index);
+            palette.push(values[i]);
+        }
+        indices[i] = index;
+    }
+
+    const container = { palette: palette.map(toTag) };
+    if (palette.length > 1) {
+        const bits = Math.max(minBits, Math.ceil(Math.log2(palette.length)));
+        container.data = packIndices(indices, bits);
+    }
+    return container;
+}
+
+/**
+ * Block entity NBT as stored in chunks and structures (the id is part of the tag)
+ * @param {object} blockEntity - From WorldAdvanced.createBlockEntity()
+ * @returns {object}
+ */
+function blockEntityTag(blockEntity) {
+    return { ...blockEntity.nbt, id: blockEntity.type };
+}
+
+/**
+ * Anvil chunk NBT for a stored chunk
+ * @param {WorldAdvanced} world
+ * @param {object} chunk - Live or remembered chunk record
+ * @returns {object}
+ */
+function chunkTag(world, chunk) {
+    const blocks = world.parser.blocks;
+    const stateTag = (stateId) => blockStateTag(blocks.getState(stateId) || blocks.getState(0));
+    const biomeTag = (id) => world.biomeNames[id] || DEFAULT_BIOME;
+    const sectionCount = world.height >> 4;
+    const minSectionY = world.minY >> 4;
+
+    const sections = [];
+    for (let i = 0; i < sectionCount; i++) {
+        const section = chunk.sections[i] === undefined ? 0 : chunk.sections[i];
+        const biomes = chunk.biomes && chunk.biomes[i] !== undefined ? chunk.biomes[i] : null;
+        sections.push({
+            Y: tags.byte(minSectionY + i),
+            block_states: palettedContainer(section, stateTag, 4),
+            biomes: biomes === null ? { palette: [DEFAULT_BIOME] } : palettedContainer(biomes, biomeTag, 1)
+        });
+    }
+
+    const blockEntities = [];
+    for (const blockEntity of chunk.blockEntities ? chunk.blockEntities.values() : []) {
+        if (!blockEntity.type) continue; // Unknown type ID
+        const { x, y, z } = blockEntity.position;
+        blockEntities.push({ ...blockEntityTag(blockEntity), x, y, z, keepPacked: tags.byte(0) });
+    }
+
+    return {
+        DataVersion: DATA_VERSIONS[world.parser.protocolVersion] || DATA_VERSIONS[773],
+        xPos: chunk.x,
+        zPos: chunk.z,
+        yPos: minSectionY,
+        Status: 'minecraft:full',
+        LastUpdate: 0n,
+        sections,
+        block_entities: blockEntities
+    };
+}
+
+/**
+ * Write the loaded chunks to Anvil region files
+ * Light and heightmaps are left out - the game recomputes them when the world is opened.
+ * @param {WorldAdvanced} world
+ * @param {string} directory - The region/ directory of a world save (created if missing)
+ * @returns {{files: Array<string>, chunks: number}}
+ */
+function exportRegions(world, directory) {
+    fs.mkdirSync(directory, { recursive: true });
+
+    // Region -> chunks in it
+    const regions = new Map();
+    for (const chunk of world.chunks.values()) {
+        if (chunk.sections.length === 0) continue; // Failed to parse, nothing known
+        const key = `${chunk.x >> 5}.${chunk.z >> 5}`;
+        if (!regions.has(key)) regions.set(key, []);
+        regions.get(key).push(chunk);
+    }
+
+    const files = [];
+    let count = 0;
+    for (const [key, chunks] of regions) {
+        const header = Buffer.alloc(SECTOR_SIZE * 2); // Locations, then timestamps
+        const payloads = [];
+        let sector = 2;
+
+        for (const chunk of chunks) {
+            const compressed = zlib.deflateSync(writeNBT(chunkTag(world, chunk), { named: true }));
+            const sectors = Math.ceil((compressed.length + 5) / SECTOR_SIZE);
+            if (sectors > 255) continue; // Vanilla moves these to .mcc files; the bot's chunks never get this big
+
+            const payload = Buffer.alloc(sectors * SECTOR_SIZE);
+            payload.writeUInt32BE(compressed.length + 1, 0);
+            payload.writeUInt8(COMPRESSION_ZLIB, 4);
+            compressed.copy(payload, 5);
+            payloads.push(payload);
+
+            const index = ((chunk.z & 31) << 5) | (chunk.x & 31);
+            header.writeUIntBE(sector, index * 4, 3);
+            header.writeUInt8(sectors, index * 4 + 3);
+            header.writeUInt32BE(Math.floor(chunk.lastUpdate / 1000), SECTOR_SIZE + index * 4);
+            sector += sectors;
+            count++;
+        }
+
+        const file = path.join(directory, `r.${key}.mca`);
+        fs.writeFileSync(file, Buffer.concat([header, ...payloads]));
+        files.push(file);
+    }
+
+    return { files, chunks: count };
+}
+
+/**
+ * Write a bounding box to a structure file (load it with a structure block or /place template)
+ * Blocks in unloaded chunks are left out, so they keep whatever is in the world when placed.
+ * Boxes are limited to MAX_STRUCTURE_SIZE along each axis, like structure blocks.
+ * @param {WorldAdvanced} world
+ * @param {{x, y, z}} from - One corner (inclusive)
+ * @param {{x, y, z}} to - The opposite corner (inclusive)
+ * @param {string} file - Output .nbt path
+ * @returns {{file: string, size: Array<number>, blocks: number}}
+ */
+function exportStructure(world, from, to, file) {
+    const min = { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y), z: Math.min(from.z, to.z) };
+    const max = { x: Math.max(from.x, to.x), y: Math.max(from.y, to.y), z: Math.max(from.z, to.z) };
+    const size = [max.x - min.x + 1, max.y - min.y + 1, max.z - min.z + 1];
+    if (size.some(length => length > MAX_STRUCTURE_SIZE)) {
+        throw new Error(`Box is ${size.join('x')}; structures are at most ${MAX_STRUCTURE_SIZE} blocks along each axis`);
+    }
+    const blocks = world.parser.blocks;
+
+    const palette = [];
+    const paletteIndex = new Map();
+    const entries = [];
+    for (let y = min.y; y <= max.y; y++) {
+        for (let z = min.z; z <= max.z; z++) {
+            for (let x = min.x; x <= max.x; x++) {
+                const stateId = world.getBlock(x, y, z);
+                if (stateId === -1) continue;
+
+                let state = paletteIndex.get(stateId);
+                if (state === undefined) {
+                    state = palette.length;
+                    paletteIndex.set(stateId, state);
+                    palette.push(blockStateTag(blocks.getState(stateId) || blocks.getState(0)));
+                }
+
+                const entry = { state, pos: [x - min.x, y - min.y, z - min.z] };
+                const blockEntity = world.getBlockEntity(x, y, z);
+                if (blockEntity && blockEntity.type) entry.nbt = blockEntityTag(blockEntity);
+                entries.push(entry);
+            }
+        }
+    }
+
+    const structure = {
+        DataVersion: DATA_VERSIONS[world.parser.protocolVersion] || DATA_VERSIONS[773],
+        size,
+        palette,
+        blocks: entries,
+        entities: []
+    };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, zlib.gzipSync(writeNBT(structure, { named: true })));
+    return { file, size, blocks: entries.length };
+}
+
+module.exports = {
+    MAX_STRUCTURE_SIZE,
+    exportRegions,
+    exportStructure,
+    packIndices
+};
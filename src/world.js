@@ -10,6 +10,19 @@ class World {
         this.chunks = new Map(); // Map of "chunkX,chunkZ" -> chunk data
         this.blocks = new Map(); // Map of "x,y,z" -> block state ID
         this.chunkCount = 0;
+
+        // Build limits of the current dimension
+        this.minY = -64;
+        this.height = 384;
+    }
+
+    /**
+     * Set the build limits of the current dimension
+     * @param {object} dimension - { minY, height }
+     */
+    setDimension({ minY, height }) {
+        this.minY = minY;
+        this.height = height;
     }
 
     /**
@@ -80,8 +93,8 @@ class World {
         // NOTE: This is a temporary workaround. For proper collision detection,
         // chunk palette parsing should be implemented.
 
-        if (by < -64) return 0;  // Void = air
-        if (by > 320) return 0;  // Above build limit = air
+        if (by < this.minY) return 0;                 // Void = air
+        if (by >= this.minY + this.height) return 0;  // Above build limit = air
 
         // Assume everything is air - let the server physics be the authority
         // This fixes the issue where bot couldn't move because Y<100 was assumed solid
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getBlockRegistry } = require('../src/blocks');
+const { WorldAdvanced } = require('../src/world-advanced');
+const { encodeChunkColumn, flatSections, AIR } = require('./helpers/mock-server');
+
+const blocks = getBlockRegistry(773);
+
+test('resolves state IDs to names, properties and collision', () => {
+    assert.equal(blocks.getState(0).name, 'air');
+    assert.equal(blocks.getState(0).solid, false);
+    assert.equal(blocks.getState(1).name, 'stone');
+    assert.equal(blocks.getState(1).solid, true);
+
+    const slab = blocks.getState(blocks.getStateId('oak_slab', { type: 'bottom' }));
+    assert.equal(slab.name, 'oak_slab');
+    assert.deepStrictEqual(slab.properties, { type: 'bottom', waterlogged: 'false' });
+    assert.deepStrictEqual(slab.shapes, [[0, 0, 0, 1, 0.5, 1]]);
+
+    const wetSlab = blocks.getState(blocks.getStateId('oak_slab', { waterlogged: true }));
+    assert.equal(wetSlab.fluid, 'water');
+
+    assert.equal(blocks.getState(blocks.getBlock('short_grass').defaultState).solid, false);
+    assert.equal(blocks.getState(blocks.getBlock('ladder').defaultState).climbable, true);
+    assert.equal(blocks.getState(blocks.getBlock('lava').defaultState).fluid, 'lava');
+    assert.equal(blocks.getState(blocks.stateCount), null);
+});
+
+test('every supported version has a block table', () => {
+    for (const version of [769, 772, 773]) {
+        assert.equal(getBlockRegistry(version).getState(1).name, 'stone');
+    }
+    assert.throws(() => getBlockRegistry(1), /No block data/);
+});
+
+test('world queries use the block table', () => {
+    const world = new WorldAdvanced();
+    const sections = flatSections(64);
+
+    // Section 8 starts at y=64: water, lava and short grass side by side on the floor
+    const surface = new Array(4096).fill(AIR);
+    surface[1] = blocks.getBlock('water').defaultState;
+    surface[2] = blocks.getBlock('lava').defaultState;
+    surface[3] = blocks.getBlock('short_grass').defaultState;
+    sections[8] = surface;
+    world.storeChunk(0, 0, encodeChunkColumn(sections, 773));
+
+    assert.equal(world.isSolid(0, 63, 0), true);
+    assert.equal(world.isFluid(1, 64, 0), true);
+    assert.equal(world.isLava(1, 64, 0), false);
+    assert.equal(world.isLava(2, 64, 0), true);
+    assert.equal(world.isSolid(3, 64, 0), false);
+    assert.equal(world.getBlockState(3, 64, 0).name, 'short_grass');
+});
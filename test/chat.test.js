@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatQueue, LastSeenTracker, splitMessage, lastSeenChecksum, MAX_CHAT_LENGTH } = require('../src/chat');
+const { sendChat } = require('../src/states/play');
+const { setLogLevel } = require('../src/logger');
+
+setLogLevel('ERROR');
+
+test('splits long messages at word boundaries', () => {
+    assert.deepEqual(splitMessage('hello world', 256), ['hello world']);
+    assert.deepEqual(splitMessage('aaa bbb ccc', 7), ['aaa bbb', 'ccc']);
+    assert.deepEqual(splitMessage('abcdefghij', 4), ['abcd', 'efgh', 'ij']);
+    assert.deepEqual(splitMessage('abc\u{1F600}de', 4), ['abc', '\u{1F600}de']); // Emoji across the limit
+
+    const parts = splitMessage(`${'word '.repeat(100)}end`);
+    assert.ok(parts.length > 1);
+    assert.ok(parts.every(part => part.length <= MAX_CHAT_LENGTH && part === part.trim()));
+    assert.equal(parts.join(' '), `${'word '.repeat(100)}end`);
+});
+
+test('releases a burst, then one message per interval', async () => {
+    const sent = [];
+    const queue = new ChatQueue((type, text) => sent.push(`${type}:${text}`), { burst: 2, interval: 100 });
+
+    // Control characters and section signs are stripped
+    const first = Promise.all([queue.chat('a§\u0007'), queue.chat('b'), queue.command('/c')]);
+    assert.deepEqual(sent, ['chat:a', 'chat:b']);
+    assert.equal(queue.pending, 1);
+
+    const started = Date.now();
+    await first;
+    assert.deepEqual(sent, ['chat:a', 'chat:b', 'command:c']);
+    assert.ok(Date.now() - started >= 80, 'third message went out before the interval');
+
+    // Items still queued reject when the queue is cleared
+    const late = queue.chat('late');
+    queue.clear('Disconnected');
+    await assert.rejects(late, /Disconnected/);
+    await assert.rejects(queue.command('x'.repeat(300)), /Command too long/);
+});
+
+test('rejects when the send fails or the queue is full', async () => {
+    const queue = new ChatQueue(() => { throw new Error('Not in play state'); }, { burst: 1, interval: 60000, maxQueued: 1 });
+    await assert.rejects(queue.chat('a'), /Not in play state/);
+
+    const waiting = queue.chat('b');
+    await assert.rejects(queue.chat('c'), /Chat queue full/);
+    queue.clear();
+    await assert.rejects(waiting, /Chat queue cleared/);
+});
+
+test('computes the last-seen checksum like Arrays.hashCode over signed bytes', () => {
+    assert.equal(lastSeenChecksum([]), 1);
+    assert.equal(lastSeenChecksum([Buffer.from([1])]), 63);             // 31 + (31 + 1)
+    assert.equal(lastSeenChecksum([Buffer.from([0x80])]), 190);         // 31 + (31 - 128) = -66
+    assert.equal(lastSeenChecksum([Buffer.from([1]), Buffer.from([2])]), 194); // 31 * 63 + 33 = 1986
+    assert.equal(lastSeenChecksum([Buffer.from([0xC2])]), 1);           // 31 + (31 - 62) = 0, sent as 1
+
+    // Full-size signatures overflow 32 bits; compare with exact arithmetic
+    const signatures = [Buffer.alloc(256, 0xFF), Buffer.alloc(256, 0x7F)];
+    let expected = 1n;
+    for (const signature of signatures) {
+        let signatureHash = 1n;
+        for (const byte of signature) signatureHash = BigInt.asIntN(32, 31n * signatureHash + BigInt((byte << 24) >> 24));
+        expected = BigInt.asIntN(32, 31n * expected + signatureHash);
+    }
+    assert.equal(lastSeenChecksum(signatures), Number(BigInt.asUintN(8, expected)) || 1);
+});
+
+test('acknowledges the last 20 signatures, oldest first', () => {
+    const tracker = new LastSeenTracker();
+    const signature = (n) => Buffer.alloc(256, n);
+
+    tracker.add(signature(1));
+    tracker.add(signature(1)); // Repeats of the latest message are ignored
+    tracker.add(signature(2));
+    let update = tracker.takeUpdate();
+    assert.equal(update.offset, 2);
+    // Bits count from the oldest slot of the window, so the two newest are bits 18 and 19
+    assert.deepEqual([...update.acknowledged], [0x00, 0x00, 0x0C]);
+    assert.equal(update.checksum, lastSeenChecksum([signature(1), signature(2)]));
+    assert.equal(tracker.takeUpdate().offset, 0);
+
+    for (let n = 3; n <= 25; n++) tracker.add(signature(n));
+    update = tracker.takeUpdate();
+    assert.equal(update.offset, 23);
+    assert.deepEqual([...update.acknowledged], [0xFF, 0xFF, 0x0F]);
+    const window = Array.from({ length: 20 }, (_, i) => signature(i + 6));
+    assert.equal(update.checksum, lastSeenChecksum(window));
+
+    for (let n = 0; n < 65; n++) tracker.add(signature(100 + (n % 2)));
+    assert.equal(tracker.needsAcknowledgement(), true);
+    tracker.reset();
+    assert.equal(tracker.takeUpdate().checksum, 1);
+});
+
+test('keeps chat timestamps monotonic per session, not per process', () => {
+    const sent = [];
+    const connection = { sendPacket: (name, fields) => sent.push(fields) };
+    const ahead = Date.now() + 60000;
+
+    // A session whose last message was stamped ahead of the clock keeps going from there
+    assert.equal(sendChat(connection, 'a', null, ahead), ahead);
+    assert.equal(sent[0].timestamp, BigInt(ahead));
+
+    // Another session starts from its own clock state
+    const now = sendChat(connection, 'b');
+    assert.ok(now < ahead);
+    assert.equal(sent[1].timestamp, BigInt(now));
+});
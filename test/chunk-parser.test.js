@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChunkParser } = require('../src/chunk-parser');
+const { encodeChunkColumn, flatSections, STONE, AIR } = require('./helpers/mock-server');
+
+for (const protocolVersion of [769, 772, 773]) {
+    test(`parses a flat chunk column (protocol ${protocolVersion})`, () => {
+        const parser = new ChunkParser(protocolVersion);
+        const parsed = parser.parseChunkData(encodeChunkColumn(flatSections(-60), protocolVersion));
+
+        assert.ok(parsed, 'chunk failed to parse');
+        assert.equal(parsed.sections.length, 24);
+
+        // Section 0 covers Y -64..-49: four layers of stone, then air
+        const bottom = parsed.sections[0];
+        assert.equal(bottom.blockStates[parser.coordsToIndex(0, 0, 0)], STONE);
+        assert.equal(bottom.blockStates[parser.coordsToIndex(15, 3, 15)], STONE);
+        assert.equal(bottom.blockStates[parser.coordsToIndex(0, 4, 0)], AIR);
+        assert.equal(parsed.sections[1].blockStates[0], AIR);
+    });
+}
+
+test('rejects truncated chunk data instead of throwing', () => {
+    const parser = new ChunkParser(773);
+    const data = encodeChunkColumn(flatSections(-60), 773);
+
+    assert.equal(parser.parseChunkData(data.slice(0, 3)), null);
+    assert.equal(parser.getStats().failed, 1);
+});
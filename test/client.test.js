@@ -0,0 +1,350 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MinecraftClient } = require('../src/client');
+const { setLogLevel } = require('../src/logger');
+const { MockServer, flatSections, encodeEntityMetadata, encodeEquipment, STONE, AIR } = require('./helpers/mock-server');
+
+setLogLevel('ERROR');
+
+let server;
+let client;
+
+beforeEach(async () => {
+    server = new MockServer();
+    await server.listen();
+});
+
+afterEach(async () => {
+    if (client) client.disconnect();
+    client = null;
+    await server.close();
+});
+
+async function join(options = {}) {
+    client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot', ...options });
+    const spawned = new Promise(resolve => client.once('spawn', resolve));
+    await client.connect();
+
+    const player = await server.nextPlayer();
+    await player.joinGame({ entityId: 42 });
+    await spawned;
+    return player;
+}
+
+test('logs in and reaches the play state', async () => {
+    const player = await join();
+
+    assert.equal(player.username, 'Bot');
+    assert.equal(client.connection.state, 'play');
+    assert.equal(client.entityId, 42);
+    assert.equal(client.username, 'Bot');
+
+    const handshake = player.receivedPackets('handshake')[0];
+    assert.equal(handshake.protocolVersion, 773);
+    assert.equal(handshake.nextState, 2);
+    assert.equal(player.receivedPackets('client_information').length, 1);
+});
+
+test('works with compression enabled', async () => {
+    await server.close();
+    server = new MockServer({ compressionThreshold: 64 });
+    await server.listen();
+
+    const player = await join();
+    const response = await player.keepAlive(7n);
+    assert.equal(response.keepAliveId, 7n);
+});
+
+test('picks the protocol version from the status response with \'auto\'', async () => {
+    await server.close();
+    server = new MockServer({ protocolVersion: 772 });
+    await server.listen();
+
+    client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot', protocolVersion: 'auto' });
+    const spawned = new Promise(resolve => client.once('spawn', resolve));
+    const connected = client.connect();
+
+    const ping = await server.nextPlayer();
+    await ping.answerStatus({ version: { name: '1.21.8', protocol: 772 } });
+    await connected;
+    assert.equal(client.protocolVersion, 772);
+
+    const player = await server.nextPlayer();
+    await player.joinGame();
+    await spawned;
+    assert.equal(player.receivedPackets('handshake')[0].protocolVersion, 772);
+    assert.equal(client.connection.state, 'play');
+});
+
+test('reuses a status result passed to connect() instead of pinging again', async () => {
+    client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot', protocolVersion: 'auto' });
+    await client.connect({ version: '1.21.10', protocol: 773 });
+    assert.equal(client.protocolVersion, 773);
+
+    // The only connection is the login
+    const player = await server.nextPlayer();
+    await player.expect('login_start');
+    assert.equal(player.receivedPackets('handshake')[0].nextState, 2);
+    assert.equal(server.players.length, 1);
+});
+
+test('answers keep-alives with the same ID', async () => {
+    const player = await join();
+
+    assert.equal((await player.keepAlive(123456789n)).keepAliveId, 123456789n);
+    assert.equal((await player.keepAlive(-5n)).keepAliveId, -5n);
+});
+
+test('confirms teleports and takes the server position', async () => {
+    const player = await join();
+
+    const positions = [];
+    client.on('position', position => positions.push(position));
+    const teleportId = player.teleport({ x: 10.5, y: 64, z: -3.5, yaw: 90 });
+
+    const confirm = await player.expect('confirm_teleportation');
+    assert.equal(confirm.teleportId, teleportId);
+    assert.deepEqual(client.position, { x: 10.5, y: 64, z: -3.5 });
+    assert.equal(positions.length, 1);
+    assert.equal(positions[0].yaw, 90);
+});
+
+test('emits system chat as plain text', async () => {
+    const player = await join();
+
+    const chat = new Promise(resolve => client.once('chat', resolve));
+    player.systemChat({ text: 'Hello ', extra: [{ text: 'world', color: 'green' }] });
+
+    const message = await chat;
+    assert.equal(message.system, true);
+    assert.equal(message.plainText, 'Hello world');
+
+    // A string tag is literal text even when it looks like JSON
+    const literal = new Promise(resolve => client.once('chat', resolve));
+    player.systemChat('"[Server] restarting"');
+    assert.equal((await literal).plainText, '"[Server] restarting"');
+});
+
+test('keeps player chat that looks like JSON as literal text', async () => {
+    const player = await join();
+
+    const chat = new Promise(resolve => client.once('chat', resolve));
+    player.playerChat({ sender: 'Steve', text: '{"text":"hi"}' });
+
+    const message = await chat;
+    assert.equal(message.sender, 'Steve');
+    assert.equal(message.message, '{"text":"hi"}');
+    assert.equal(message.plainText, '<Steve> {"text":"hi"}');
+});
+
+test('decorates disguised chat with an inline chat type', async () => {
+    const player = await join();
+
+    const chat = new Promise(resolve => client.once('chat', resolve));
+    // Parameter IDs: 0 = sender, 1 = target, 2 = content
+    const decoration = { translationKey: 'commands.message.display.incoming', parameters: [0, 2], style: { italic: 1 } };
+    player.send('disguised_chat', {
+        message: { text: 'psst' },
+        chatType: { registryIndex: null, chat: decoration, narration: decoration },
+        senderName: { text: 'Server' },
+        targetName: null
+    });
+
+    const message = await chat;
+    assert.equal(message.type, 'inline');
+    assert.equal(message.sender, 'Server');
+    assert.equal(message.message, 'psst');
+    assert.equal(message.plainText, 'Server whispers to you: psst');
+    assert.equal(message.component.italic, true);
+});
+
+test('sends chat messages and commands', async () => {
+    const player = await join();
+
+    await client.chat('hello there');
+    const message = await player.expect('chat_message');
+    assert.equal(message.message, 'hello there');
+    assert.equal(message.signature, null);
+
+    await client.chat('/help');
+    assert.equal((await player.expect('chat_command')).command, 'help');
+});
+
+test('stops background work when the socket closes without a Disconnect packet', async () => {
+    const player = await join({ chat: { burst: 1, interval: 60000 } });
+    assert.ok(client.threats.timer);
+
+    await client.chat('first');
+    const queued = client.chat('second'); // Waits for send allowance
+    const ended = new Promise(resolve => client.once('end', resolve));
+    player.close();
+    await ended;
+
+    await assert.rejects(queued, /Disconnected/);
+    assert.equal(client.threats.timer, null);
+    assert.equal(client.connection.connected, false);
+});
+
+test('runs chat commands once after reconnecting', async () => {
+    const first = await join();
+    const ended = new Promise(resolve => client.once('end', resolve));
+    first.close();
+    await ended;
+
+    const spawned = new Promise(resolve => client.once('spawn', resolve));
+    await client.connect();
+    const player = await server.nextPlayer();
+    await player.joinGame({ entityId: 42 });
+    await spawned;
+
+    for (const event of ['chat', 'blockUpdate', 'spawn', 'disconnect']) {
+        assert.equal(client.listenerCount(event), 1, event);
+    }
+    player.teleport({ x: 0.5, y: -60, z: 0.5 });
+    await player.expect('confirm_teleportation');
+    player.playerChat({ sender: 'Steve', text: 'pos bot' });
+    await player.expect('chat_message');
+    await assert.rejects(player.expect('chat_message', { timeout: 300 }));
+});
+
+test('takes world height from the dimension type registry', async () => {
+    client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot' });
+    const spawned = new Promise(resolve => client.once('spawn', resolve));
+    await client.connect();
+
+    const player = await server.nextPlayer();
+    await player.joinGame({
+        registries: {
+            'minecraft:dimension_type': [
+                { id: 'minecraft:overworld', data: { min_y: -64, height: 384, logical_height: 384 } },
+                { id: 'minecraft:the_nether', data: { min_y: 0, height: 256, logical_height: 128 } }
+            ]
+        },
+        spawnInfo: { dimensionType: 1, dimensionName: 'minecraft:the_nether' }
+    });
+    await spawned;
+
+    assert.deepEqual(client.dimension, {
+        name: 'minecraft:the_nether', type: 'minecraft:the_nether', minY: 0, height: 256, logicalHeight: 128
+    });
+
+    // 16 sections starting at Y=0: stone in the bottom one only
+    player.sendChunk(0, 0, [STONE], 16);
+    await player.keepAlive(); // Handled in order, so the chunk is in by now
+    assert.equal(client.world.parser.getStats().failed, 0);
+    assert.equal(client.world.getBlock(0, 0, 0), STONE);
+    assert.equal(client.world.getBlock(0, 15, 0), STONE);
+    assert.equal(client.world.getBlock(0, 16, 0), AIR);
+    assert.equal(client.world.getBlock(0, -1, 0), AIR);
+
+    // Back to the overworld: Nether chunks are dropped
+    const respawned = new Promise(resolve => client.once('respawn', resolve));
+    player.respawn({ dimensionType: 0, dimensionName: 'minecraft:overworld' });
+    const dimension = await respawned;
+    assert.equal(dimension.minY, -64);
+    assert.equal(client.world.isChunkLoaded(0, 0), false);
+});
+
+test('applies block updates and chunk unloads', async () => {
+    const player = await join();
+    player.sendChunk(0, 0, flatSections(64));
+
+    const updates = [];
+    client.on('blockUpdate', update => updates.push(update));
+
+    player.send('block_update', { location: { x: 1, y: 63, z: 2 }, stateId: AIR });
+    player.send('update_section_blocks', {
+        section: { x: 0, y: 4, z: 0 },
+        blocks: [{ stateId: STONE, x: 3, y: 0, z: 5 }, { stateId: STONE, x: 3, y: 1, z: 5 }]
+    });
+    player.send('block_update', { location: { x: 2, y: 63, z: 2 }, stateId: STONE }); // Unchanged
+    await player.keepAlive();
+
+    assert.equal(client.world.getBlock(1, 63, 2), AIR);
+    assert.equal(client.world.getBlock(3, 65, 5), STONE);
+    assert.deepEqual(updates.map(u => [u.position, u.oldState.name, u.newState.name]), [
+        [{ x: 1, y: 63, z: 2 }, 'stone', 'air'],
+        [{ x: 3, y: 64, z: 5 }, 'air', 'stone'],
+        [{ x: 3, y: 65, z: 5 }, 'air', 'stone']
+    ]);
+
+    player.send('unload_chunk', { chunkX: 0, chunkZ: 0 });
+    await player.keepAlive();
+    assert.equal(client.world.isChunkLoaded(0, 0), false);
+    assert.equal(client.world.getBlock(3, 65, 5), -1);
+});
+
+test('updates block entities from Block Entity Data', async () => {
+    const player = await join();
+    player.sendChunk(0, 0, flatSections(64));
+
+    const updates = [];
+    client.on('blockEntityUpdate', blockEntity => updates.push(blockEntity));
+
+    const nbt = { patterns: [{ pattern: 'minecraft:stripe_top', color: 'red' }] };
+    player.send('block_entity_data', { location: { x: 4, y: 64, z: 4 }, type: 20, nbt }); // banner
+    await player.keepAlive();
+
+    assert.deepEqual(client.world.getBlockEntity(4, 64, 4).patterns, [{ pattern: 'minecraft:stripe_top', color: 'red' }]);
+    assert.deepEqual(updates.map(u => [u.type, u.position]), [['minecraft:banner', { x: 4, y: 64, z: 4 }]]);
+    assert.deepEqual(client.world.findBlockEntities({ type: 'banner', near: { x: 0, y: 64, z: 0 }, radius: 8 }), updates);
+});
+
+test('tracks entity metadata, equipment, velocity and rotation', async () => {
+    const player = await join();
+    player.send('spawn_entity', {
+        entityId: 7, uuid: '00000000-0000-0000-0000-000000000007', type: 147, // zombie
+        x: 3.5, y: 64, z: 3.5, velocity: { x: 0, y: 0, z: 0 }, pitch: 0, yaw: 0, headYaw: 0, data: 0
+    });
+    player.send('set_entity_metadata', {
+        entityId: 7,
+        metadata: encodeEntityMetadata([{ index: 9, type: 'float', value: 15 }, { index: 16, type: 'boolean', value: true }])
+    });
+    player.send('set_equipment', { entityId: 7, equipment: encodeEquipment([[0, { itemId: 936, count: 1 }]]) }); // diamond_sword
+    player.send('set_entity_velocity', { entityId: 7, velocity: { x: 0.5, y: 0, z: -0.25 } });
+    player.send('set_head_rotation', { entityId: 7, headYaw: 64 });
+    player.send('update_entity_rotation', { entityId: 7, yaw: -128, pitch: 0, onGround: true });
+    player.send('update_attributes', { entityId: 7, attributes: [{ id: 19, value: 20, modifiers: [] }] }); // max_health
+    await player.keepAlive();
+
+    const zombie = client.entityTracker.entities.get(7);
+    assert.equal(zombie.name, 'zombie');
+    assert.equal(zombie.health, 15);
+    assert.equal(zombie.baby, true);
+    assert.equal(zombie.equipment.mainhand.name, 'diamond_sword');
+    assert.ok(Math.abs(zombie.velocity.x - 0.5) < 0.001 && Math.abs(zombie.velocity.z + 0.25) < 0.001);
+    assert.equal(zombie.headYaw, 90);
+    assert.equal(zombie.yaw, -180);
+    assert.equal(zombie.onGround, true);
+    assert.equal(zombie.attributes.max_health.value, 20);
+});
+
+test('tracks the player list and links players to their entities', async () => {
+    const player = await join();
+    const events = [];
+    for (const event of ['playerJoined', 'playerUpdated', 'playerLeft']) {
+        client.on(event, (entry) => events.push([event, entry.name]));
+    }
+
+    const uuid = player.addPlayer({ name: 'Steve', latency: 35 });
+    player.spawnPlayer(12, uuid, { x: 4.5, y: 64, z: -2.5 });
+    player.send('player_info_update', { actions: 0x10, entries: [{ uuid, latency: 80 }] });
+    player.send('tab_list', { header: { text: 'Welcome' }, footer: '' });
+    await player.keepAlive();
+
+    const steve = client.players.get(uuid);
+    assert.equal(steve.name, 'Steve');
+    assert.equal(steve.latency, 80);
+    assert.equal(steve.listed, true);
+    assert.equal(steve.entityId, 12);
+    assert.deepEqual(client.getPlayerEntity('steve').position, { x: 4.5, y: 64, z: -2.5 });
+    assert.deepEqual(client.tabList, { header: 'Welcome', footer: '' });
+
+    player.send('remove_entities', { entityIds: [12] });
+    player.send('player_info_remove', { uuids: [uuid] });
+    await player.keepAlive();
+
+    assert.equal(steve.entityId, null);
+    assert.equal(client.players.has(uuid), false);
+    assert.deepEqual(events, [['playerJoined', 'Steve'], ['playerUpdated', 'Steve'], ['playerLeft', 'Steve']]);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getBlockRegistry } = require('../src/blocks');
+const { WorldAdvanced } = require('../src/world-advanced');
+const { MovementAdvanced } = require('../src/movement-advanced');
+const { EntityTracker } = require('../src/entities');
+const { EntityCostLayer } = require('../src/entity-costs');
+const { getEntityRegistry } = require('../src/entity-data');
+const { encodeChunkColumn, flatSections, AIR } = require('./helpers/mock-server');
+
+const blocks = getBlockRegistry(773);
+
+/**
+ * A stone floor with its surface at y=64 and the given blocks placed on it
+ * @param {Array<[number, number, number, number]>} placed - [x, y, z, stateId] with y 64..79
+ */
+function buildWorld(placed) {
+    const sections = flatSections(64);
+    const surface = new Array(4096).fill(AIR);
+    for (const [x, y, z, stateId] of placed) {
+        surface[((y - 64) << 8) | (z << 4) | x] = stateId;
+    }
+    sections[8] = surface;
+
+    const world = new WorldAdvanced();
+    world.storeChunk(0, 0, encodeChunkColumn(sections, 773));
+    return world;
+}
+
+const slab = blocks.getStateId('oak_slab', { type: 'bottom' });
+const fence = blocks.getBlock('oak_fence').defaultState;
+const stairs = blocks.getStateId('oak_stairs', { facing: 'east', half: 'bottom' });
+const carpet = blocks.getBlock('white_carpet').defaultState;
+
+test('partial blocks report their real collision boxes', () => {
+    const world = buildWorld([[1, 64, 0, slab], [2, 64, 0, fence]]);
+
+    assert.deepEqual(world.getCollisionBoxes(1, 64, 0), [{ minX: 1, minY: 64, minZ: 0, maxX: 2, maxY: 64.5, maxZ: 1 }]);
+    assert.equal(world.getCollisionBoxes(2, 64, 0)[0].maxY, 65.5);
+    assert.deepEqual(world.getCollisionBoxes(3, 64, 0), []);
+});
+
+test('standing height follows slabs, carpets, stairs and fences', () => {
+    const world = buildWorld([
+        [1, 64, 0, slab], [2, 64, 0, carpet], [3, 64, 0, stairs], [4, 64, 0, fence]
+    ]);
+
+    assert.equal(world.getStandingHeight(0, 64, 0), 64);
+    assert.equal(world.getStandingHeight(1, 64, 0), 64.5);
+    assert.equal(world.getStandingHeight(2, 64, 0), 64.0625);
+    assert.equal(world.getStandingHeight(3, 64, 0), null);   // Stairs fill the feet block...
+    assert.equal(world.getStandingHeight(3, 65, 0), 65);     // ...so the bot stands on top
+    assert.equal(world.getStandingHeight(4, 64, 0), null);
+    assert.equal(world.getStandingHeight(4, 65, 0), 65.5);   // On top of the fence post
+});
+
+test('pathfinder steps onto slabs and stairs but not over fences', () => {
+    const world = buildWorld([[1, 64, 0, slab], [1, 64, 2, stairs], [1, 64, 4, fence]]);
+    const movement = new MovementAdvanced({ position: { x: 0.5, y: 64, z: 0.5 }, emit() {} }, { sendPacket() {} }, world);
+    const { pathfinder } = movement;
+
+    const fromFloor = (z) => {
+        const neighbors = [];
+        pathfinder.tryMove({ x: 0, y: 64, z }, 1, z, neighbors);
+        return neighbors.map(n => `${n.action}@${n.pos.y}`);
+    };
+
+    assert.deepEqual(fromFloor(0), ['walk@64']);   // Slab: a step, no jump
+    assert.deepEqual(fromFloor(2), ['walk@65']);   // Stairs: a step up to the next block
+    assert.deepEqual(fromFloor(4), []);            // Fence: 1.5 is above jump height
+});
+
+test('pathfinder routes around boats and hostile mobs', () => {
+    const world = buildWorld([]);
+    const { pathfinder } = new MovementAdvanced({ position: { x: 0.5, y: 64, z: 8.5 }, emit() {} }, { sendPacket() {} }, world);
+    const entityType = (name) => getEntityRegistry(773).entitiesByName.get(name).id;
+    const tracker = new EntityTracker();
+    const route = () => pathfinder.findPath({ x: 0, y: 64, z: 8 }, { x: 12, y: 64, z: 8 },
+        { costLayer: EntityCostLayer.fromTracker(tracker) });
+    const closest = (path, x, z) => Math.min(...path.map(node => Math.hypot(node.x + 0.5 - x, node.z + 0.5 - z)));
+
+    // Nothing around: straight along z=8
+    assert.ok(route().every(node => node.z === 8));
+
+    // A boat blocks the nodes it takes up
+    tracker.addEntity(1, entityType('oak_boat'), 6.5, 64, 8.5);
+    const layer = EntityCostLayer.fromTracker(tracker);
+    assert.equal(layer.getCost(6, 64, 8), Infinity);
+    assert.ok(route().every(node => layer.getCost(node.x, node.y, node.z) === 0));
+
+    // A zombie keeps the path at a distance
+    tracker.removeEntity(1);
+    tracker.addEntity(2, entityType('zombie'), 6.5, 64, 8.5);
+    assert.ok(closest(route(), 6.5, 8.5) >= 3, `passed ${closest(route(), 6.5, 8.5)} blocks from the zombie`);
+
+    // Walking into a cow costs more than stepping around it
+    tracker.removeEntity(2);
+    tracker.addEntity(3, entityType('cow'), 6.5, 64, 8.5);
+    assert.ok(EntityCostLayer.fromTracker(tracker).getCost(6, 64, 8) > 0);
+    assert.ok(closest(route(), 6.5, 8.5) >= 1);
+});
+
+test('physics steps up a slab without jumping', () => {
+    const world = buildWorld([[1, 64, 0, slab]]);
+    const client = { position: { x: 0.5, y: 64, z: 0.5 }, emit() {} };
+    const movement = new MovementAdvanced(client, { sendPacket() {} }, world);
+
+    for (let tick = 0; tick < 10; tick++) {
+        movement.performMovement({ x: 1.5, y: 64, z: 0.5 });
+    }
+
+    assert.ok(client.position.x > 1.2, `stuck at x=${client.position.x}`);
+    assert.equal(client.position.y, 64.5);
+    assert.equal(movement.velocity.y, 0);
+});
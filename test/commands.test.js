@@ -0,0 +1,118 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MinecraftClient } = require('../src/client');
+const { CommandHandler } = require('../src/commands');
+const { offlineUUID } = require('../src/protocol/packet');
+const { setLogLevel } = require('../src/logger');
+const { MockServer, flatSections } = require('./helpers/mock-server');
+
+setLogLevel('ERROR');
+
+let server;
+let client;
+let player;
+
+beforeEach(async () => {
+    server = new MockServer();
+    await server.listen();
+
+    client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot' });
+    const spawned = new Promise(resolve => client.once('spawn', resolve));
+    await client.connect();
+    player = await server.nextPlayer();
+    await player.joinGame();
+    await spawned;
+
+    player.teleport({ x: 0.5, y: -60, z: 0.5 });
+    await player.expect('confirm_teleportation');
+});
+
+afterEach(async () => {
+    client.disconnect();
+    await server.close();
+});
+
+test('replies to "pos <bot>" with the current position', async () => {
+    player.playerChat({ sender: 'Steve', text: 'pos bot' });
+
+    const reply = await player.expect('chat_message');
+    assert.equal(reply.message, 'X: 0.50, Y: -60.00, Z: 0.50');
+});
+
+test('ignores commands addressed to another bot', async () => {
+    player.playerChat({ sender: 'Steve', text: 'pos otherbot' });
+    player.playerChat({ sender: 'Steve', text: 'pos bot' });
+
+    // Only the second command is answered
+    await player.expect('chat_message');
+    await assert.rejects(player.expect('chat_message', { timeout: 300 }));
+});
+
+test('takes chat that looks like JSON literally', async () => {
+    // Parsed as a JSON string this would read "pos bot"
+    player.playerChat({ sender: 'Steve', text: '"pos bot"' });
+    player.playerChat({ sender: 'Steve', text: 'pos bot' });
+
+    await player.expect('chat_message');
+    await assert.rejects(player.expect('chat_message', { timeout: 300 }));
+});
+
+test('"come <bot> x y z" starts navigation and "stop <bot>" ends it', async () => {
+    for (let x = -1; x <= 1; x++) {
+        for (let z = -1; z <= 1; z++) player.sendChunk(x, z, flatSections(-60));
+    }
+
+    player.playerChat({ sender: 'Steve', text: 'come bot 5 -60 0' });
+    await player.expect('set_player_position_and_rotation', { timeout: 3000 });
+    assert.equal(client.movement.isMoving, true);
+
+    player.playerChat({ sender: 'Steve', text: 'stop bot' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(client.movement.isMoving, false);
+});
+
+test('"come <bot>" navigates to the sender', async () => {
+    for (let x = -1; x <= 1; x++) {
+        for (let z = -1; z <= 1; z++) player.sendChunk(x, z, flatSections(-60));
+    }
+    const uuid = player.addPlayer({ name: 'Steve' });
+    player.spawnPlayer(12, uuid, { x: 6.5, y: -60, z: 2.5 });
+
+    player.playerChat({ sender: 'Steve', text: 'come bot' });
+    await player.expect('set_player_position_and_rotation', { timeout: 3000 });
+    assert.deepEqual(client.movement.targetPosition, { x: 6.5, y: -60, z: 2.5 });
+
+    player.playerChat({ sender: 'Steve', text: 'come bot alex' });
+    const reply = await player.expect('chat_message');
+    assert.equal(reply.message, "I can't see alex");
+});
+
+test('"export <bot>" only runs for owners and refuses oversized boxes', async () => {
+    player.playerChat({ sender: 'Steve', text: 'export bot 0 -60 0 1 -59 1' });
+    assert.equal((await player.expect('chat_message')).message, 'Only my owners can export, Steve');
+
+    client.commandHandler = new CommandHandler(client, 'Bot', { owners: { Steve: offlineUUID('Steve') } });
+
+    // Not in the player list yet, so the UUID can't be trusted
+    player.playerChat({ sender: 'Steve', text: 'export bot 0 -60 0 1 -59 1' });
+    assert.equal((await player.expect('chat_message')).message, 'Only my owners can export, Steve');
+
+    // Disguised chat carries only a name
+    player.addPlayer({ name: 'Steve' });
+    const decoration = { translationKey: 'chat.type.text', parameters: [0, 2], style: {} };
+    player.send('disguised_chat', {
+        message: 'export bot 0 -60 0 1 -59 1',
+        chatType: { registryIndex: null, chat: decoration, narration: decoration },
+        senderName: 'Steve',
+        targetName: null
+    });
+    assert.equal((await player.expect('chat_message')).message, 'Only my owners can export, Steve');
+
+    // Another player's UUID under the owner's name
+    player.addPlayer({ name: 'Mallory' });
+    player.playerChat({ sender: 'Steve', senderUuid: offlineUUID('Mallory'), text: 'export bot 0 -60 0 1 -59 1' });
+    assert.equal((await player.expect('chat_message')).message, 'Only my owners can export, Mallory');
+
+    player.playerChat({ sender: 'Steve', text: 'export bot -1000 -64 -1000 1000 320 1000' });
+    assert.match((await player.expect('chat_message')).message, /^Export failed: Box is 2001x385x2001/);
+});
@@ -0,0 +1,150 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { MinecraftClient } = require('../src/client');
+const { YggdrasilSessionProvider } = require('../src/session');
+const { serverHash, createCipherPair } = require('../src/protocol/encryption');
+const { setLogLevel } = require('../src/logger');
+const { MockServer, MockSessionServer } = require('./helpers/mock-server');
+
+setLogLevel('ERROR');
+
+const PROFILE = '069a79f4-44e9-4726-a5be-fca90e38aaf5';
+
+let server;
+let sessions;
+let client;
+
+afterEach(async () => {
+    if (client) client.disconnect();
+    client = null;
+    if (server) await server.close();
+    server = null;
+    if (sessions) await sessions.close();
+    sessions = null;
+});
+
+async function startOnline(tokens = { 'token-1': PROFILE }) {
+    sessions = new MockSessionServer({ tokens });
+    await sessions.listen();
+    server = new MockServer({ sessionServer: sessions });
+    await server.listen();
+}
+
+async function join(options = {}) {
+    client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot', ...options });
+    const spawned = new Promise(resolve => client.once('spawn', resolve));
+    await client.connect();
+
+    const player = await server.nextPlayer();
+    await player.joinGame({ entityId: 42 });
+    await spawned;
+    return player;
+}
+
+/**
+ * Connect a client expected to give up during login
+ * @param {object} options - Client options
+ * @param {function} onError - 'error' listener, if any
+ * @returns {Promise<string>} The disconnect reason
+ */
+async function failLogin(options, onError = null) {
+    client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot', ...options });
+    if (onError) client.on('error', onError);
+    const disconnected = new Promise(resolve => client.once('disconnect', resolve));
+    await client.connect();
+
+    const player = await server.nextPlayer();
+    player.joinGame().catch(() => {});
+    return disconnected;
+}
+
+test('server hashes match the session server\'s signed hex digests', () => {
+    const empty = Buffer.alloc(0);
+    assert.equal(serverHash('Notch', empty, empty), '4ed1f46bbe04bc756bcb17c0c7ce3e4632f06a48');
+    assert.equal(serverHash('jeb_', empty, empty), '-7c9d5b0044c130109a5d7b5fb5c317c02b4e28c1');
+    assert.equal(serverHash('simon', empty, empty), '88e16a1019277b15d58faf0541e11910eb756f6');
+
+    // serverId, secret and key are hashed back to back
+    assert.equal(serverHash('', Buffer.from('No'), Buffer.from('tch')), serverHash('Notch', empty, empty));
+});
+
+test('CFB8 streams carry on across writes and match a one-shot cipher', () => {
+    const secret = crypto.randomBytes(16);
+    const data = crypto.randomBytes(100);
+
+    const { cipher, decipher } = createCipherPair(secret);
+    const encrypted = Buffer.concat([cipher.update(data.slice(0, 1)), cipher.update(data.slice(1, 37)), cipher.update(data.slice(37))]);
+    const oneShot = crypto.createCipheriv('aes-128-cfb8', secret, secret).update(data);
+    assert.deepEqual(encrypted, oneShot);
+    assert.notDeepEqual(encrypted, data);
+
+    // CFB8 is byte-oriented: any split decrypts to the same bytes
+    const decrypted = Buffer.concat([decipher.update(encrypted.slice(0, 50)), decipher.update(encrypted.slice(50))]);
+    assert.deepEqual(decrypted, data);
+});
+
+test('answers an Encryption Request and plays over the encrypted connection', async () => {
+    server = new MockServer({ encryption: true, compressionThreshold: 64 });
+    await server.listen();
+
+    const player = await join();
+    assert.equal(player.sharedSecret.length, 16);
+    assert.equal(client.connection.state, 'play');
+
+    const response = await player.keepAlive(7n);
+    assert.equal(response.keepAliveId, 7n);
+
+    const chat = new Promise(resolve => client.once('chat', resolve));
+    player.systemChat({ text: 'Encrypted hello' });
+    assert.equal((await chat).plainText, 'Encrypted hello');
+});
+
+test('joins through the session server in online mode', async () => {
+    await startOnline();
+
+    const player = await join({
+        accessToken: 'token-1',
+        customUUID: PROFILE,
+        sessionProvider: new YggdrasilSessionProvider({ baseUrl: sessions.url })
+    });
+
+    assert.equal(sessions.joins.length, 1);
+    const [joined] = sessions.joins;
+    assert.equal(joined.accessToken, 'token-1');
+    assert.equal(joined.selectedProfile, PROFILE.replace(/-/g, ''));
+    assert.equal(joined.serverId, serverHash('', player.sharedSecret, server.publicKey));
+    assert.equal(player.profile.name, 'Bot');
+    assert.equal(player.uuid, PROFILE);
+
+    const response = await player.keepAlive(9n);
+    assert.equal(response.keepAliveId, 9n);
+});
+
+test('refuses online mode without the profile UUID', async () => {
+    await startOnline();
+
+    // No 'error' listener: the failure must still arrive as a disconnect, not a crash
+    const reason = await failLogin({
+        accessToken: 'token-1',
+        sessionProvider: new YggdrasilSessionProvider({ baseUrl: sessions.url })
+    });
+
+    assert.match(reason, /accessToken and customUUID/);
+    assert.equal(sessions.joins.length, 0);
+});
+
+test('gives up when the session server rejects the token', async () => {
+    await startOnline();
+
+    const errors = [];
+    const reason = await failLogin({
+        accessToken: 'expired',
+        customUUID: PROFILE,
+        sessionProvider: new YggdrasilSessionProvider({ baseUrl: sessions.url })
+    }, err => errors.push(err));
+
+    assert.match(reason, /rejected join \(403\): Invalid token\./);
+    assert.equal(errors.length, 1);
+    assert.equal(sessions.joins.length, 0);
+});
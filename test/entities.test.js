@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EntityTracker } = require('../src/entities');
+const { getEntityRegistry } = require('../src/entity-data');
+const { encodeEntityMetadata, encodeEquipment } = require('./helpers/mock-server');
+const { writeVarInt } = require('../src/protocol/varint');
+
+const registry = getEntityRegistry(773);
+const ZOMBIE = registry.entitiesByName.get('zombie').id;
+const ITEM = registry.entitiesByName.get('item').id;
+const itemId = (name) => registry.items.indexOf(name);
+
+test('names entity types and decodes living entity metadata', () => {
+    const tracker = new EntityTracker();
+    tracker.addEntity(1, ZOMBIE, 10, 64, 10, { yaw: 64, headYaw: -64 });
+
+    const complete = tracker.updateMetadata(1, encodeEntityMetadata([
+        { index: 2, type: 'optional_component', value: { text: 'Bob' } },
+        { index: 6, type: 'pose', value: 5 },
+        { index: 9, type: 'float', value: 12.5 },
+        { index: 16, type: 'boolean', value: true }
+    ]));
+
+    const zombie = tracker.entities.get(1);
+    assert.equal(complete, true);
+    assert.equal(zombie.name, 'zombie');
+    assert.equal(zombie.category, 'hostile');
+    assert.equal(zombie.health, 12.5);
+    assert.equal(zombie.customName, 'Bob');
+    assert.equal(zombie.pose, 'crouching');
+    assert.equal(zombie.baby, true);
+    assert.equal(zombie.yaw, 90);
+    assert.equal(zombie.headYaw, -90);
+
+    // Cleared names and later updates
+    tracker.updateMetadata(1, encodeEntityMetadata([{ index: 2, type: 'optional_component', value: null }]));
+    assert.equal(zombie.customName, null);
+    assert.equal(zombie.health, 12.5);
+});
+
+test('decodes dropped items, equipment and attributes', () => {
+    const tracker = new EntityTracker();
+    tracker.addEntity(2, ITEM, 0, 64, 0);
+    tracker.addEntity(3, ZOMBIE, 5, 64, 5);
+
+    tracker.updateMetadata(2, encodeEntityMetadata([
+        { index: 8, type: 'item_stack', value: { itemId: itemId('diamond'), count: 3 } }
+    ]));
+    assert.equal(tracker.entities.get(2).name, 'item');
+    assert.deepEqual(tracker.entities.get(2).item, { itemId: itemId('diamond'), name: 'diamond', count: 3 });
+
+    tracker.updateEquipment(3, encodeEquipment([
+        [0, { itemId: itemId('diamond_sword'), count: 1 }],
+        [1, null],
+        [5, { itemId: itemId('iron_helmet'), count: 1 }]
+    ]));
+    const zombie = tracker.entities.get(3);
+    assert.equal(zombie.equipment.mainhand.name, 'diamond_sword');
+    assert.equal(zombie.equipment.offhand, null);
+    assert.equal(zombie.equipment.head.name, 'iron_helmet');
+
+    tracker.updateAttributes(3, [{ id: registry.attributes.indexOf('movement_speed'), value: 0.23, modifiers: [] }]);
+    assert.equal(zombie.attributes.movement_speed.value, 0.23);
+});
+
+test('keeps what it can read when an item has data components', () => {
+    const tracker = new EntityTracker();
+    tracker.addEntity(4, ZOMBIE, 0, 64, 0);
+
+    // One added component (type 0, contents unknown to the decoder) on the sword
+    const enchanted = { itemId: itemId('diamond_sword'), count: 1, components: Buffer.concat([writeVarInt(1), writeVarInt(0), writeVarInt(1)]) };
+    const complete = tracker.updateEquipment(4, encodeEquipment([
+        [5, { itemId: itemId('iron_helmet'), count: 1 }],
+        [0, enchanted],
+        [1, null]
+    ]));
+
+    const zombie = tracker.entities.get(4);
+    assert.equal(complete, false);
+    assert.equal(zombie.equipment.head.name, 'iron_helmet');
+    assert.equal(zombie.equipment.mainhand.name, 'diamond_sword');
+    assert.equal(zombie.equipment.offhand, undefined);
+});
+
+test('uses the metadata serializers of older versions', () => {
+    const tracker = new EntityTracker();
+    tracker.setProtocolVersion(769);
+    const old = getEntityRegistry(769);
+    tracker.addEntity(5, old.entitiesByName.get('zombie').id, 0, 64, 0);
+
+    tracker.updateMetadata(5, encodeEntityMetadata([
+        { index: 6, type: 'pose', value: 2 },
+        { index: 9, type: 'float', value: 4 }
+    ], 769));
+    assert.equal(tracker.entities.get(5).name, 'zombie');
+    assert.equal(tracker.entities.get(5).pose, 'sleeping');
+    assert.equal(tracker.entities.get(5).health, 4);
+});
+
+test('estimates velocity from position updates and predicts ahead', () => {
+    let now = 1000;
+    const tracker = new EntityTracker({ clock: () => now });
+    tracker.addEntity(6, ZOMBIE, 0, 64, 0);
+
+    // 0.3 blocks east every 3 ticks
+    for (let i = 1; i <= 4; i++) {
+        now += 150;
+        tracker.updatePosition(6, 0.3 * i, 64, 0, true);
+    }
+    const zombie = tracker.entities.get(6);
+    assert.ok(Math.abs(zombie.velocity.x - 0.1) < 0.01, `velocity ${zombie.velocity.x}`);
+    assert.ok(Math.abs(tracker.predictPosition(6, 10).x - 2.2) < 0.1);
+
+    // Halfway to the next update, the prediction has moved on too
+    now += 100;
+    assert.ok(Math.abs(tracker.predictPosition(6, 0).x - 1.4) < 0.05);
+
+    // No updates for a while: the zombie stopped
+    now += 1000;
+    assert.deepEqual(tracker.predictPosition(6, 10), { x: 1.2, y: 64, z: 0 });
+
+    // Reported velocity wins over the estimate
+    tracker.updateVelocity(6, { x: 0, y: 0.42, z: 0 });
+    assert.ok(Math.abs(tracker.predictPosition(6, 1).y - 64.42) < 1e-9);
+    assert.equal(tracker.predictPosition(99, 1), null);
+});
+
+test('drops entities left in unloaded chunks and stale entities', () => {
+    let now = 0;
+    const tracker = new EntityTracker({ clock: () => now, maxAge: 60000 });
+    tracker.addEntity(1, ZOMBIE, 5, 64, 5);
+    tracker.addEntity(2, ZOMBIE, -3, 64, 20);
+    tracker.addEntity(3, ITEM, 40, 64, 40);
+
+    assert.deepEqual(tracker.removeEntitiesInChunk(-1, 1), [2]);
+
+    now = 30000;
+    tracker.updatePosition(1, 5, 64, 6);
+    now = 70000;
+    assert.deepEqual(tracker.getNearbyEntities({ x: 0, y: 64, z: 0 }, 100).map(e => e.id), [1]);
+
+    const keep = new EntityTracker({ dropOnChunkUnload: false });
+    keep.addEntity(1, ZOMBIE, 5, 64, 5);
+    assert.deepEqual(keep.removeEntitiesInChunk(0, 0), []);
+});
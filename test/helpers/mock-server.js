@@ -0,0 +1,816 @@
+/**
+ * In-process mock Minecraft server for tests
+ *
+ * Speaks just enough of the protocol (optional encryption and compression) to walk a
+ * MinecraftClient through handshake -> login -> configuration -> play, send scripted
+ * packets and wait for what the client sends back:
+ *
+ *   const server = new MockServer();
+ *   await server.listen();
+ *   const client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot' });
+ *   await client.connect();
+ *   const player = await server.nextPlayer();
+ *   await player.joinGame();
+ *   await player.keepAlive(42n);
+ *
+ * Online mode: pass a MockSessionServer and point the client's session provider at it.
+ *
+ *   const sessions = new MockSessionServer({ tokens: { token: profileId } });
+ *   await sessions.listen();
+ *   const server = new MockServer({ sessionServer: sessions });
+ *   const client = new MinecraftClient({ ..., accessToken: 'token', customUUID: profileId,
+ *       sessionProvider: new YggdrasilSessionProvider({ baseUrl: sessions.url }) });
+ */
+
+const net = require('net');
+const http = require('http');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { readVarInt, writeVarInt } = require('../../src/protocol/varint');
+const { PacketReader, offlineUUID } = require('../../src/protocol/packet');
+const { getRegistry } = require('../../src/protocol/registry');
+const { writeNBT } = require('../../src/protocol/nbt');
+const { getEntityRegistry } = require('../../src/entity-data');
+const { createCipherPair, serverHash } = require('../../src/protocol/encryption');
+const { YggdrasilSessionProvider } = require('../../src/session');
+
+const DEFAULT_TIMEOUT = 2000;
+
+// Block state IDs (1.21.x)
+const AIR = 0;
+const STONE = 1;
+
+class MockServer extends EventEmitter {
+    /**
+     * @param {object} options - { protocolVersion, compressionThreshold, encryption, sessionServer }
+     *   compressionThreshold: sent as Set Compression during login (-1 = off)
+     *   encryption: send an Encryption Request during login (without authentication)
+     *   sessionServer: MockSessionServer to check joins against (implies encryption)
+     */
+    constructor(options = {}) {
+        super();
+        this.registry = getRegistry(options.protocolVersion || 773);
+        this.compressionThreshold = options.compressionThreshold !== undefined ? options.compressionThreshold : -1;
+        this.sessionServer = options.sessionServer || null;
+        this.encryption = !!options.encryption || !!this.sessionServer;
+        if (this.encryption) {
+            const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+            this.publicKey = publicKey.export({ format: 'der', type: 'spki' });
+            this.privateKey = privateKey;
+        }
+        this.players = [];
+        this.pending = [];  // Accepted players nobody has asked for yet
+        this.waiters = [];  // nextPlayer() calls waiting for a connection
+        this.port = null;
+
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    /**
+     * Start listening on a free local port
+     * @returns {Promise<number>} The port
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(0, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    accept(socket) {
+        const player = new MockPlayer(this, socket);
+        this.players.push(player);
+
+        const waiter = this.waiters.shift();
+        if (waiter) waiter(player);
+        else this.pending.push(player);
+    }
+
+    /**
+     * Wait for the next client connection
+     * @param {number} timeout
+     * @returns {Promise<MockPlayer>}
+     */
+    nextPlayer(timeout = DEFAULT_TIMEOUT) {
+        if (this.pending.length > 0) return Promise.resolve(this.pending.shift());
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(onPlayer), 1);
+                reject(new Error(`No client connected within ${timeout}ms`));
+            }, timeout);
+            const onPlayer = (player) => {
+                clearTimeout(timer);
+                resolve(player);
+            };
+            this.waiters.push(onPlayer);
+        });
+    }
+
+    /**
+     * Disconnect everyone and stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        for (const player of this.players) player.close();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+/**
+ * Server side of one client connection
+ */
+class MockPlayer {
+    constructor(server, socket) {
+        this.server = server;
+        this.registry = server.registry;
+        this.socket = socket;
+        this.state = 'handshaking';
+        this.compressionThreshold = -1;
+        this.buffer = Buffer.alloc(0);
+        this.cipher = null;
+        this.decipher = null;
+        this.verifyToken = null;  // Sent in our Encryption Request
+        this.sharedSecret = null; // From the client's Encryption Response
+
+        this.received = []; // Every decoded packet: { state, name, packetId, fields }
+        this.inbox = [];    // Packets not yet consumed by expect()
+        this.waiters = [];  // { name, filter, resolve }
+
+        this.username = null;
+        this.uuid = null;
+        this.profile = null; // Session server profile in online mode
+        this.nextTeleportId = 1;
+
+        socket.on('data', data => this.handleData(data));
+        socket.on('error', () => {}); // The client hanging up mid-test is fine
+    }
+
+    handleData(data) {
+        if (this.decipher) data = this.decipher.update(data);
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length > 0) {
+            let length;
+            try {
+                length = readVarInt(this.buffer, 0);
+            } catch (e) {
+                return; // Length prefix incomplete
+            }
+            if (this.buffer.length < length.bytesRead + length.value) return;
+
+            let payload = this.buffer.slice(length.bytesRead, length.bytesRead + length.value);
+            this.buffer = this.buffer.slice(length.bytesRead + length.value);
+
+            if (this.compressionThreshold >= 0) {
+                const dataLength = readVarInt(payload, 0);
+                payload = payload.slice(dataLength.bytesRead);
+                if (dataLength.value > 0) payload = zlib.inflateSync(payload);
+            }
+            this.handlePacket(payload);
+        }
+    }
+
+    handlePacket(payload) {
+        const reader = new PacketReader(payload);
+        const packetId = reader.readVarInt();
+        const state = this.state;
+        const name = this.registry.getName(state, 'toServer', packetId) || null;
+        const fields = name ? this.registry.read(state, 'toServer', name, reader) : {};
+        const packet = { state, name, packetId, fields };
+
+        // Follow the client's state transitions
+        if (name === 'handshake') {
+            this.state = fields.nextState === 1 ? 'status' : 'login';
+        } else if (name === 'login_start') {
+            this.username = fields.username;
+            this.uuid = fields.uuid;
+        } else if (name === 'encryption_response' && this.verifyToken) {
+            // The client encrypts everything after this packet, including anything already buffered
+            this.sharedSecret = decryptRSA(this.server.privateKey, fields.sharedSecret);
+            const { cipher, decipher } = createCipherPair(this.sharedSecret);
+            this.cipher = cipher;
+            this.decipher = decipher;
+            this.buffer = this.decipher.update(this.buffer);
+        } else if (name === 'login_acknowledged' || name === 'acknowledge_configuration') {
+            this.state = 'configuration';
+        } else if (name === 'acknowledge_finish_configuration') {
+            this.state = 'play';
+        }
+
+        this.received.push(packet);
+        const index = this.waiters.findIndex(w => w.name === name && w.filter(fields));
+        if (index !== -1) {
+            this.waiters.splice(index, 1)[0].resolve(fields);
+        } else {
+            this.inbox.push(packet);
+        }
+    }
+
+    /**
+     * Wait for the client to send a packet (including one already received but not consumed)
+     * @param {string} name - Packet name, e.g. 'keep_alive'
+     * @param {object} options - { timeout, filter(fields) -> boolean }
+     * @returns {Promise<object>} Parsed fields
+     */
+    expect(name, options = {}) {
+        const timeout = options.timeout || DEFAULT_TIMEOUT;
+        const filter = options.filter || (() => true);
+
+        const index = this.inbox.findIndex(p => p.name === name && filter(p.fields));
+        if (index !== -1) {
+            return Promise.resolve(this.inbox.splice(index, 1)[0].fields);
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { name, filter, resolve: null };
+            const timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                const seen = this.inbox.map(p => p.name || `0x${p.packetId.toString(16)}`).join(', ') || 'nothing';
+                reject(new Error(`Client did not send ${name} within ${timeout}ms (unconsumed: ${seen})`));
+            }, timeout);
+            waiter.resolve = (fields) => {
+                clearTimeout(timer);
+                resolve(fields);
+            };
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Packets of one kind received so far (consumed or not)
+     * @param {string} name
+     * @returns {Array<object>} Parsed fields
+     */
+    receivedPackets(name) {
+        return this.received.filter(p => p.name === name).map(p => p.fields);
+    }
+
+    /**
+     * Send a packet by name in the current state
+     * @param {string} name
+     * @param {object} values
+     */
+    send(name, values = {}) {
+        this.write(this.registry.build(this.state, 'toClient', name, values));
+    }
+
+    write(packetData) {
+        let frame;
+        if (this.compressionThreshold >= 0) {
+            const body = packetData.length >= this.compressionThreshold
+                ? Buffer.concat([writeVarInt(packetData.length), zlib.deflateSync(packetData)])
+                : Buffer.concat([writeVarInt(0), packetData]);
+            frame = Buffer.concat([writeVarInt(body.length), body]);
+        } else {
+            frame = Buffer.concat([writeVarInt(packetData.length), packetData]);
+        }
+        if (this.cipher) frame = this.cipher.update(frame);
+        this.socket.write(frame);
+    }
+
+    /**
+     * Send an Encryption Request and switch to encryption once the client answers
+     * With a session server, also check that the client joined and keep its profile.
+     * @returns {Promise<void>}
+     */
+    async startEncryption() {
+        const authenticate = !!this.server.sessionServer;
+        this.verifyToken = crypto.randomBytes(4);
+        this.send('encryption_request', {
+            serverId: '',
+            publicKey: this.server.publicKey,
+            verifyToken: this.verifyToken,
+            shouldAuthenticate: authenticate
+        });
+
+        const response = await this.expect('encryption_response');
+        if (!decryptRSA(this.server.privateKey, response.verifyToken).equals(this.verifyToken)) {
+            throw new Error('Client sent the wrong verify token');
+        }
+        if (!authenticate) return;
+
+        const hash = serverHash('', this.sharedSecret, this.server.publicKey);
+        const sessions = new YggdrasilSessionProvider({ baseUrl: this.server.sessionServer.url });
+        this.profile = await sessions.hasJoined(this.username, hash);
+        if (!this.profile) {
+            this.send('disconnect', { reason: JSON.stringify({ text: 'Failed to verify username!' }) });
+            throw new Error(`${this.username} did not join through the session server`);
+        }
+    }
+
+    /**
+     * Answer a status request (server list ping)
+     * @param {object|string} response - Status document, or raw text to send as-is
+     * @param {object} options - { pong: answer the ping afterwards (default true) }
+     * @returns {Promise<void>}
+     */
+    async answerStatus(response, options = {}) {
+        await this.expect('status_request');
+        this.send('status_response', { response: typeof response === 'string' ? response : JSON.stringify(response) });
+        if (options.pong === false) return;
+
+        const { payload } = await this.expect('ping_request');
+        this.send('pong_response', { payload });
+    }
+
+    /**
+     * Run the client through login and configuration and send Login (play)
+     * @param {object} options - { entityId, registries: { registryId: entries }, spawnInfo }
+     *   spawnInfo: fields overriding the overworld spawn info (e.g. dimensionType, dimensionName)
+     * @returns {Promise<void>} Resolves once the client acknowledged configuration
+     */
+    async joinGame(options = {}) {
+        await this.expect('login_start');
+
+        if (this.server.encryption) await this.startEncryption();
+        if (this.server.compressionThreshold >= 0) {
+            this.send('set_compression', { threshold: this.server.compressionThreshold });
+            this.compressionThreshold = this.server.compressionThreshold;
+        }
+        this.send('login_success', {
+            uuid: this.uuid || offlineUUID(this.username),
+            username: this.username,
+            properties: []
+        });
+        await this.expect('login_acknowledged');
+
+        for (const [registryId, entries] of Object.entries(options.registries || {})) {
+            this.send('registry_data', { registryId, entries });
+        }
+        this.send('known_packs', { packs: [{ namespace: 'minecraft', id: 'core', version: '1.21.10' }] });
+        await this.expect('known_packs');
+
+        this.send('finish_configuration');
+        await this.expect('acknowledge_finish_configuration');
+
+        this.send('login', {
+            entityId: options.entityId || 1,
+            isHardcore: false,
+            worldNames: ['minecraft:overworld'],
+            maxPlayers: 20,
+            viewDistance: 8,
+            simulationDistance: 8,
+            reducedDebugInfo: false,
+            enableRespawnScreen: true,
+            doLimitedCrafting: false,
+            spawnInfo: spawnInfo(options.spawnInfo),
+            enforcesSecureChat: false
+        });
+    }
+
+    /**
+     * Send Respawn (death or dimension change)
+     * @param {object} info - Fields overriding the overworld spawn info
+     */
+    respawn(info) {
+        this.send('respawn', { spawnInfo: spawnInfo(info), dataKept: 0 });
+    }
+
+    /**
+     * Send a keep-alive and wait for the echo
+     * @param {bigint} id
+     * @returns {Promise<object>} The client's response fields
+     */
+    keepAlive(id = BigInt(Date.now())) {
+        this.send('keep_alive', { keepAliveId: id });
+        return this.expect('keep_alive', { filter: f => f.keepAliveId === id });
+    }
+
+    /**
+     * Teleport the client (Synchronize Player Position)
+     * @param {object} position - { x, y, z, yaw, pitch }
+     * @returns {number} Teleport ID the client should confirm
+     */
+    teleport({ x, y, z, yaw = 0, pitch = 0 }) {
+        const teleportId = this.nextTeleportId++;
+        this.send('synchronize_player_position', {
+            teleportId,
+            x, y, z,
+            velocityX: 0, velocityY: 0, velocityZ: 0,
+            yaw, pitch,
+            flags: 0
+        });
+        return teleportId;
+    }
+
+    /**
+     * Send a system chat message
+     * @param {string|object} content - Plain text or a text component
+     */
+    systemChat(content) {
+        this.send('system_chat', { content, overlay: false });
+    }
+
+    /**
+     * Send an unsigned player chat message
+     * @param {object} message - { sender, senderUuid, text, chatType = 0 }
+     */
+    playerChat({ sender, senderUuid, text, chatType = 0 }) {
+        const values = {
+            globalIndex: 0,
+            senderUuid: senderUuid || offlineUUID(sender),
+            index: 0,
+            signature: null,
+            plainMessage: text,
+            timestamp: BigInt(Date.now()),
+            salt: 0n,
+            previousMessages: [],
+            unsignedContent: null,
+            filter: { type: 0, mask: [] },
+            chatType: { registryIndex: chatType },
+            networkName: sender,
+            targetName: null
+        };
+        this.send('player_chat', values);
+    }
+
+    /**
+     * Add a player to the client's player list (Player Info Update)
+     * @param {object} info - { name, uuid, gameMode = 0, latency = 0 }
+     * @returns {string} The player's UUID
+     */
+    addPlayer({ name, uuid, gameMode = 0, latency = 0 }) {
+        uuid = uuid || offlineUUID(name);
+        this.send('player_info_update', {
+            actions: 0x01 | 0x04 | 0x08 | 0x10, // addPlayer, gameMode, listed, latency
+            entries: [{ uuid, name, properties: [], gameMode, listed: true, latency }]
+        });
+        return uuid;
+    }
+
+    /**
+     * Spawn a player's entity (Spawn Entity)
+     * @param {number} entityId
+     * @param {string} uuid
+     * @param {{x, y, z}} position
+     */
+    spawnPlayer(entityId, uuid, { x, y, z }) {
+        this.send('spawn_entity', {
+            entityId,
+            uuid,
+            type: getEntityRegistry(this.registry.protocolVersion).entitiesByName.get('player').id,
+            x, y, z,
+            velocity: { x: 0, y: 0, z: 0 },
+            pitch: 0,
+            yaw: 0,
+            headYaw: 0,
+            data: 0
+        });
+    }
+
+    /**
+     * Send a chunk column
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @param {Array<number|Array<number>>} sections - See encodeChunkColumn()
+     * @param {number} sectionCount - Dimension height / 16
+     */
+    sendChunk(chunkX, chunkZ, sections, sectionCount = 24) {
+        this.send('chunk_data', {
+            chunkX,
+            chunkZ,
+            data: encodeChunkColumn(sections, this.registry.protocolVersion, sectionCount)
+        });
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+/**
+ * Stand-in for the session server's join and hasJoined endpoints
+ */
+class MockSessionServer {
+    /**
+     * @param {object} options - { tokens: { accessToken: profileUUID } } accepted by /join
+     */
+    constructor(options = {}) {
+        this.tokens = options.tokens || {};
+        this.joins = []; // Every accepted /join body: { accessToken, selectedProfile, serverId }
+        this.url = null;
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * Start listening on a free local port
+     * @returns {Promise<string>} Base URL
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    handle(req, res) {
+        const url = new URL(req.url, this.url);
+
+        if (req.method === 'POST' && url.pathname === '/session/minecraft/join') {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const join = JSON.parse(body);
+                const profile = this.tokens[join.accessToken];
+                if (!profile || profile.replace(/-/g, '') !== join.selectedProfile) {
+                    res.writeHead(403, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'ForbiddenOperationException', errorMessage: 'Invalid token.' }));
+                    return;
+                }
+                this.joins.push(join);
+                res.writeHead(204);
+                res.end();
+            });
+        } else if (req.method === 'GET' && url.pathname === '/session/minecraft/hasJoined') {
+            const join = this.joins.find(j => j.serverId === url.searchParams.get('serverId'));
+            if (!join) {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ id: join.selectedProfile, name: url.searchParams.get('username'), properties: [] }));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+/**
+ * Decrypt an RSA PKCS#1 v1.5 block with the server's private key
+ * Node refuses PKCS#1 padding for private decryption, so strip it by hand (fine for a test server).
+ * @param {crypto.KeyObject} privateKey
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function decryptRSA(privateKey, data) {
+    const block = crypto.privateDecrypt({ key: privateKey, padding: crypto.constants.RSA_NO_PADDING }, data);
+    if (block[0] !== 0x00 || block[1] !== 0x02) throw new Error('Bad PKCS#1 padding');
+    return block.slice(block.indexOf(0x00, 2) + 1);
+}
+
+/**
+ * Spawn info for Login / Respawn: a flat overworld unless overridden
+ * @param {object} overrides
+ * @returns {object}
+ */
+function spawnInfo(overrides = {}) {
+    return {
+        dimensionType: 0,
+        dimensionName: 'minecraft:overworld',
+        hashedSeed: 0n,
+        gameMode: 0,
+        previousGameMode: -1,
+        isDebug: false,
+        isFlat: true,
+        deathLocation: null,
+        portalCooldown: 0,
+        seaLevel: 63,
+        ...overrides
+    };
+}
+
+/**
+ * Encode the Chunk Data payload after chunk X/Z: heightmaps, sections, block entities, light
+ * @param {Array<number|Array<number>>} sections - Bottom to top; each a single block state ID
+ *   or 4096 IDs in YZX order. Missing sections are air.
+ * @param {number} protocolVersion - Before 770 heightmaps are NBT and data arrays are prefixed
+ * @param {number} sectionCount - Sections in the column (dimension height / 16)
+ * @param {object} options - { biomes, light, blockEntities }
+ *   biomes: per section, a biome ID or 64 IDs (default 0)
+ *   light: see encodeLightData() (default: no light data)
+ *   blockEntities: [{ x, y, z, type, nbt }] with x/z local to the chunk and a block entity type ID
+ * @returns {Buffer}
+ */
+function encodeChunkColumn(sections, protocolVersion = 773, sectionCount = 24, options = {}) {
+    const legacy = protocolVersion < 770;
+    const sectionData = [];
+
+    for (let i = 0; i < sectionCount; i++) {
+        const blocks = sections[i] === undefined ? AIR : sections[i];
+        const nonAir = Array.isArray(blocks) ? blocks.filter(id => id !== AIR).length : (blocks === AIR ? 0 : 4096);
+
+        const count = Buffer.alloc(2);
+        count.writeInt16BE(nonAir);
+        sectionData.push(count, encodePalettedContainer(blocks, 4, legacy));
+        const biomes = options.biomes && options.biomes[i] !== undefined ? options.biomes[i] : 0;
+        sectionData.push(encodePalettedContainer(biomes, 1, legacy));
+    }
+    const data = Buffer.concat(sectionData);
+
+    return Buffer.concat([
+        legacy ? Buffer.from([0x0A, 0x00]) : writeVarInt(0), // No heightmaps (empty compound / empty array)
+        writeVarInt(data.length),
+        data,
+        encodeBlockEntities(options.blockEntities || []),
+        encodeLightData(options.light)
+    ]);
+}
+
+/**
+ * Encode the Chunk Data block entity list
+ * @param {Array} blockEntities - [{ x, y, z, type, nbt }]
+ * @returns {Buffer}
+ */
+function encodeBlockEntities(blockEntities) {
+    const parts = [writeVarInt(blockEntities.length)];
+    for (const { x, y, z, type, nbt } of blockEntities) {
+        const position = Buffer.alloc(3);
+        position.writeUInt8((x << 4) | z, 0);
+        position.writeInt16BE(y, 1);
+        parts.push(position, writeVarInt(type), writeNBT(nbt));
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encode light data (Chunk Data tail / Update Light after chunk X/Z)
+ * @param {object} light - { sky, block }: per light section (one below the world first),
+ *   a uniform level 0-15, 2048 bytes of nibbles, or undefined to send nothing for that section
+ * @returns {Buffer}
+ */
+function encodeLightData(light = {}) {
+    const parts = [];
+    const arrays = [];
+
+    for (const levels of [light.sky || [], light.block || []]) {
+        let mask = 0n;
+        const sent = [];
+        levels.forEach((level, i) => {
+            if (level === undefined) return;
+            mask |= 1n << BigInt(i);
+            sent.push(Buffer.isBuffer(level) ? level : Buffer.alloc(2048, level * 17));
+        });
+
+        const maskBuffer = Buffer.alloc(8);
+        maskBuffer.writeBigInt64BE(BigInt.asIntN(64, mask));
+        parts.push(mask === 0n ? writeVarInt(0) : Buffer.concat([writeVarInt(1), maskBuffer]));
+        arrays.push(writeVarInt(sent.length), ...sent.flatMap(bytes => [writeVarInt(bytes.length), bytes]));
+    }
+
+    return Buffer.concat([
+        ...parts,
+        writeVarInt(0),     // Empty sky light mask
+        writeVarInt(0),     // Empty block light mask
+        ...arrays
+    ]);
+}
+
+/**
+ * Encode a paletted container (single value or indirect palette)
+ * @param {number|Array<number>} values
+ * @param {number} minBits - Smallest indirect bits per entry (4 for blocks, 1 for biomes)
+ * @param {boolean} legacy - Write the data array length prefix (before 1.21.5)
+ */
+function encodePalettedContainer(values, minBits, legacy) {
+    if (!Array.isArray(values)) {
+        return Buffer.concat([Buffer.from([0]), writeVarInt(values), legacy ? writeVarInt(0) : Buffer.alloc(0)]);
+    }
+
+    const palette = [...new Set(values)];
+    const bits = Math.max(minBits, Math.ceil(Math.log2(palette.length)));
+    if (bits > 8) throw new Error('encodePalettedContainer: too many distinct values for an indirect palette');
+
+    const perLong = Math.floor(64 / bits);
+    const longs = new BigUint64Array(Math.ceil(values.length / perLong));
+    values.forEach((value, i) => {
+        const index = BigInt(palette.indexOf(value));
+        longs[Math.floor(i / perLong)] |= index << BigInt((i % perLong) * bits);
+    });
+
+    const data = Buffer.alloc(longs.length * 8);
+    longs.forEach((long, i) => data.writeBigUInt64BE(long, i * 8));
+
+    return Buffer.concat([
+        Buffer.from([bits]),
+        writeVarInt(palette.length),
+        ...palette.map(id => writeVarInt(id)),
+        legacy ? writeVarInt(longs.length) : Buffer.alloc(0),
+        data
+    ]);
+}
+
+/**
+ * Encode an item stack (Slot)
+ * @param {object|null} item - { itemId, count, components } with components a Buffer of
+ *   already encoded added components (count first), or null for an empty stack
+ * @returns {Buffer}
+ */
+function encodeItemStack(item) {
+    if (!item) return writeVarInt(0);
+    return Buffer.concat([
+        writeVarInt(item.count || 1),
+        writeVarInt(item.itemId),
+        item.components || writeVarInt(0), // Added components
+        writeVarInt(0) // Removed components
+    ]);
+}
+
+/**
+ * Encode Set Entity Metadata entries (terminator included)
+ * @param {Array} entries - [{ index, type, value }] with type a serializer name
+ *   (byte, int, float, boolean, pose, optional_component or item_stack)
+ * @param {number} protocolVersion
+ * @returns {Buffer}
+ */
+function encodeEntityMetadata(entries, protocolVersion = 773) {
+    const types = getEntityRegistry(protocolVersion).metadataTypes;
+    const parts = [];
+    for (const { index, type, value } of entries) {
+        parts.push(Buffer.from([index]), writeVarInt(types.indexOf(type)));
+        switch (type) {
+            case 'byte':
+            case 'boolean':
+                parts.push(Buffer.from([Number(value) & 0xFF]));
+                break;
+            case 'int':
+            case 'pose':
+                parts.push(writeVarInt(value));
+                break;
+            case 'float': {
+                const float = Buffer.alloc(4);
+                float.writeFloatBE(value);
+                parts.push(float);
+                break;
+            }
+            case 'optional_component':
+                parts.push(value === null ? Buffer.from([0]) : Buffer.concat([Buffer.from([1]), writeNBT(value)]));
+                break;
+            case 'item_stack':
+                parts.push(encodeItemStack(value));
+                break;
+            default:
+                throw new Error(`encodeEntityMetadata: unsupported type ${type}`);
+        }
+    }
+    parts.push(Buffer.from([0xFF]));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encode Set Equipment entries
+ * @param {Array} slots - [[slotId, item]] (see encodeItemStack)
+ * @returns {Buffer}
+ */
+function encodeEquipment(slots) {
+    return Buffer.concat(slots.flatMap(([slot, item], i) => [
+        Buffer.from([i < slots.length - 1 ? slot | 0x80 : slot]),
+        encodeItemStack(item)
+    ]));
+}
+
+/**
+ * Sections for a flat world: solid blocks from Y -64 up to (not including) surfaceY
+ * @param {number} surfaceY - First air block, e.g. -60 for a four-block floor
+ * @param {number} blockState
+ * @returns {Array<number|Array<number>>}
+ */
+function flatSections(surfaceY, blockState = STONE) {
+    const sections = [];
+    for (let i = 0; i < 24; i++) {
+        const baseY = -64 + i * 16;
+        if (surfaceY >= baseY + 16) {
+            sections.push(blockState);
+        } else if (surfaceY <= baseY) {
+            sections.push(AIR);
+        } else {
+            const blocks = new Array(4096);
+            for (let index = 0; index < 4096; index++) {
+                blocks[index] = baseY + (index >> 8) < surfaceY ? blockState : AIR;
+            }
+            sections.push(blocks);
+        }
+    }
+    return sections;
+}
+
+module.exports = {
+    MockServer,
+    MockPlayer,
+    MockSessionServer,
+    encodeChunkColumn,
+    encodeLightData,
+    encodeEntityMetadata,
+    encodeEquipment,
+    flatSections,
+    AIR,
+    STONE
+};
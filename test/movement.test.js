@@ -0,0 +1,171 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MinecraftClient } = require('../src/client');
+const { setLogLevel } = require('../src/logger');
+const { MockServer, flatSections, encodeEntityMetadata } = require('./helpers/mock-server');
+const { getEntityRegistry } = require('../src/entity-data');
+
+setLogLevel('ERROR');
+
+let server;
+let client;
+let player;
+
+beforeEach(async () => {
+    server = new MockServer();
+    await server.listen();
+
+    client = new MinecraftClient({ host: '127.0.0.1', port: server.port, username: 'Bot' });
+    const spawned = new Promise(resolve => client.once('spawn', resolve));
+    await client.connect();
+    player = await server.nextPlayer();
+    await player.joinGame();
+    await spawned;
+
+    // Flat stone floor, surface at Y -60
+    for (let x = -2; x <= 2; x++) {
+        for (let z = -2; z <= 2; z++) player.sendChunk(x, z, flatSections(-60));
+    }
+    player.teleport({ x: 0.5, y: -60, z: 0.5 });
+    await player.expect('confirm_teleportation');
+    await waitFor(() => client.world.chunks.size === 25);
+});
+
+afterEach(async () => {
+    client.disconnect();
+    await server.close();
+});
+
+function waitFor(condition, timeout = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) return resolve();
+            if (Date.now() - started > timeout) return reject(new Error('Condition not met in time'));
+            setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+test('moves toward the target on a flat floor', async () => {
+    assert.equal(client.world.isSolid(0, -61, 0), true);
+    assert.equal(client.world.isSolid(0, -60, 0), false);
+
+    await client.goto(8.5, -60, 0.5);
+    await waitFor(() => client.position.x > 2, 3000);
+    client.stop();
+
+    const moves = player.receivedPackets('set_player_position_and_rotation');
+    assert.ok(moves.length > 0);
+    for (const move of moves) {
+        assert.ok(move.y >= -60, `fell through the floor to y=${move.y}`);
+        assert.ok(Math.abs(move.z - 0.5) < 1.5, `strayed to z=${move.z}`);
+    }
+});
+
+test('stops moving and waits after a server teleport', async () => {
+    await client.goto(12.5, -60, 0.5);
+    await player.expect('set_player_position_and_rotation', { timeout: 3000 });
+
+    player.teleport({ x: 0.5, y: -60, z: 0.5 });
+    await player.expect('confirm_teleportation');
+    assert.equal(client.awaitingTeleport, true);
+
+    // The movement loop holds still during the post-teleport cooldown
+    const before = player.receivedPackets('set_player_position_and_rotation').length;
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(player.receivedPackets('set_player_position_and_rotation').length, before);
+    assert.deepEqual(client.position, { x: 0.5, y: -60, z: 0.5 });
+});
+
+/**
+ * Spawn a creeper that is about to explode
+ * @returns {Promise<object>} The threat event
+ */
+function spawnFusingCreeper(entityId, x, z) {
+    const creeper = getEntityRegistry(773).entitiesByName.get('creeper');
+    const threat = new Promise(resolve => client.once('threat', resolve));
+    player.send('spawn_entity', {
+        entityId, uuid: `00000000-0000-0000-0000-${String(entityId).padStart(12, '0')}`, type: creeper.id,
+        x, y: -60, z, velocity: { x: 0, y: 0, z: 0 }, pitch: 0, yaw: 0, headYaw: 0, data: 0
+    });
+    player.send('set_entity_metadata', {
+        entityId,
+        metadata: encodeEntityMetadata([{ index: creeper.metadata.indexOf('swell_dir'), type: 'int', value: 1 }])
+    });
+    return threat;
+}
+
+test('flees from a fusing creeper and resumes once it is gone', async () => {
+    await client.goto(0.5, -60, 12.5);
+    const threat = await spawnFusingCreeper(20, 3.5, 0.5);
+    assert.equal(threat.entity.name, 'creeper');
+    assert.equal(threat.fusing, true);
+    await waitFor(() => client.position.x < -1, 3000);
+    assert.equal(client.movement.fleeing, true);
+
+    const cleared = new Promise(resolve => client.once('threatCleared', resolve));
+    player.send('remove_entities', { entityIds: [20] });
+    await cleared;
+    assert.equal(client.movement.fleeing, false);
+    assert.deepEqual(client.movement.targetPosition, { x: 0.5, y: -60, z: 12.5 });
+});
+
+test('keeps the interrupted goal when no flee path is found', async () => {
+    await client.goto(0.5, -60, 12.5);
+    await spawnFusingCreeper(20, 3.5, 0.5);
+    await waitFor(() => client.movement.fleeing && client.movement.isMoving);
+
+    // Every (re)plan fails while the creeper is around
+    const findPath = client.movement.pathfinder.findPath;
+    client.movement.pathfinder.findPath = () => null;
+    await client.movement.calculatePath();
+    assert.equal(client.movement.isMoving, false);
+    assert.equal(client.movement.fleeing, true);
+    client.movement.pathfinder.findPath = findPath;
+
+    const cleared = new Promise(resolve => client.once('threatCleared', resolve));
+    player.send('remove_entities', { entityIds: [20] });
+    await cleared;
+    assert.equal(client.movement.fleeing, false);
+    assert.deepEqual(client.movement.targetPosition, { x: 0.5, y: -60, z: 12.5 });
+});
+
+test('a goto during a flee replaces the goal resumed afterwards', async () => {
+    await client.goto(0.5, -60, 12.5);
+    await spawnFusingCreeper(20, 3.5, 0.5);
+    await waitFor(() => client.movement.fleeing);
+
+    await client.goto(-8.5, -60, -8.5);
+    assert.equal(client.movement.fleeing, false);
+    assert.equal(client.movement.resumeTarget, null);
+
+    const cleared = new Promise(resolve => client.once('threatCleared', resolve));
+    player.send('remove_entities', { entityIds: [20] });
+    await cleared;
+    assert.equal(client.movement.fleeing, false);
+    assert.deepEqual(client.movement.targetPosition, { x: -8.5, y: -60, z: -8.5 });
+});
+
+test('logs path calculation errors instead of leaving rejections unhandled', async () => {
+    const rejections = [];
+    const onRejection = err => rejections.push(err);
+    process.on('unhandledRejection', onRejection);
+
+    try {
+        await client.goto(0.5, -60, 12.5);
+        const findPath = client.movement.pathfinder.findPath;
+        client.movement.pathfinder.findPath = () => { throw new Error('Broken cost layer'); };
+
+        // Re-plan after a block change on the path, then flee
+        client.movement.onBlockUpdate({ position: client.movement.path[client.movement.path.length - 1] });
+        await spawnFusingCreeper(20, 3.5, 0.5);
+        await waitFor(() => client.movement.fleeing);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        client.movement.pathfinder.findPath = findPath;
+    } finally {
+        process.off('unhandledRejection', onRejection);
+    }
+    assert.deepEqual(rejections, []);
+});
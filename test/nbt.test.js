@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readNBT, writeNBT, tags } = require('../src/protocol/nbt');
+
+test('round-trips typed tags byte for byte', () => {
+    const tree = tags.compound({
+        byte: tags.byte(-5),
+        short: tags.short(300),
+        int: tags.int(-70000),
+        long: tags.long(1n << 40n),
+        float: tags.float(0.5),
+        double: tags.double(Math.PI),
+        string: tags.string('stone'),
+        bytes: tags.byteArray([1, -1, 127]),
+        ints: tags.intArray([1, -2, 3]),
+        longs: tags.longArray([-1, 2]),
+        empty: tags.list('end', []),
+        list: tags.list('short', [tags.short(1), tags.short(2)]),
+        nested: tags.compound({ inner: tags.compound({}) })
+    });
+
+    const encoded = writeNBT(tree);
+    const { value, bytesRead, type } = readNBT(encoded, 0, { typed: true });
+    assert.equal(type, 'compound');
+    assert.equal(bytesRead, encoded.length);
+    assert.equal(value.value.short.type, 'short');
+    assert.equal(value.value.float.type, 'float');
+    assert.equal(value.value.list.elementType, 'short');
+    assert.deepEqual(writeNBT(value), encoded);
+});
+
+test('converts plain values both ways', () => {
+    const encoded = writeNBT({ name: 'Bot', count: 3, big: 5n, ratio: 1.5, on: true, list: [1, 2], mixed: [1, 'a'], skipped: null });
+    const value = readNBT(encoded).value;
+
+    assert.deepEqual({ ...value }, { name: 'Bot', count: 3, big: 5n, ratio: 1.5, on: 1, list: [1, 2], mixed: [1, 'a'] });
+    // Mixed lists are stored the vanilla way, as compounds keyed by ""
+    assert.equal(readNBT(encoded, 0, { typed: true }).value.value.mixed.elementType, 'compound');
+    assert.deepEqual(readNBT(writeNBT(new Int32Array([7, 8]))).value, new Int32Array([7, 8]));
+});
+
+test('encodes strings as modified UTF-8', () => {
+    const text = 'a\u0000é€😀';
+    const encoded = writeNBT(tags.string(text));
+    // NUL is C0 80 and the emoji is a surrogate pair of two 3-byte sequences
+    assert.deepEqual([...encoded.subarray(3, 6)], [0x61, 0xC0, 0x80]);
+    assert.equal(encoded.readUInt16BE(1), 1 + 2 + 2 + 3 + 6);
+    assert.equal(readNBT(encoded).value, text);
+
+    // Plain 4-byte UTF-8 from lenient servers still decodes
+    const utf8 = Buffer.from('😀', 'utf8');
+    const lenient = Buffer.concat([Buffer.from([8, 0, utf8.length]), utf8]);
+    assert.equal(readNBT(lenient).value, '😀');
+});
+
+test('writes a nameless root for the network and a named root for files', () => {
+    const network = writeNBT({ a: 1 });
+    const file = writeNBT({ a: 1 }, { named: true, name: 'root' });
+
+    assert.equal(file.length, network.length + 2 + 4);
+    assert.deepEqual([...file.subarray(0, 7)], [10, 0, 4, ...Buffer.from('root')]);
+    assert.deepEqual(file.subarray(7), network.subarray(1));
+    assert.equal(readNBT(file, 0, { named: true }).name, 'root');
+    assert.equal(readNBT(network).name, null);
+
+    // An absent optional tag is a lone TAG_End
+    assert.deepEqual(writeNBT(null), Buffer.from([0]));
+    assert.deepEqual(readNBT(Buffer.from([0])), { value: null, name: null, type: 'end', bytesRead: 1 });
+});
+
+test('rejects negative lengths and keeps odd compound keys as data', () => {
+    const negativeList = Buffer.from([9, 1, 0xFF, 0xFF, 0xFF, 0xFF]);
+    assert.throws(() => readNBT(negativeList), /Negative NBT length/);
+    assert.throws(() => readNBT(Buffer.from([7, 0xFF, 0xFF, 0xFF, 0xFE])), /Negative NBT length/);
+    assert.throws(() => readNBT(Buffer.from([10, 1, 0, 1])), /truncated/);
+
+    // { "__proto__": { polluted: 1 } }
+    const hostile = Buffer.concat([
+        Buffer.from([10, 10, 0, 9]), Buffer.from('__proto__'),
+        Buffer.from([1, 0, 8]), Buffer.from('polluted'), Buffer.from([1, 0, 0])
+    ]);
+    const value = readNBT(hostile).value;
+    assert.deepEqual(Object.keys(value), ['__proto__']);
+    assert.equal(value.__proto__.polluted, 1);
+    assert.equal(value.polluted, undefined);
+    assert.equal({}.polluted, undefined);
+    assert.deepEqual(writeNBT(readNBT(hostile, 0, { typed: true }).value), hostile);
+});
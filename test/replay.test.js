@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MinecraftClient } = require('../src/client');
+const { PacketCapture, readCapture } = require('../src/protocol/capture');
+const { STONE, AIR } = require('./helpers/mock-server');
+const { setLogLevel } = require('../src/logger');
+
+setLogLevel('ERROR');
+
+// Recorded from a client session against the mock server: join, one flat chunk with a block
+// broken at (3, -61, 4), a baby zombie with 12 health, a system message and a teleport
+const FIXTURE = path.join(__dirname, 'fixtures', 'session.jsonl');
+
+test('replays a recorded session into world and entity state', async (t) => {
+    const client = new MinecraftClient({ username: 'Replay' });
+    t.after(() => client.disconnect());
+    const messages = [];
+    client.on('chat', ({ message }) => messages.push(message));
+
+    const { packets, errors, sent } = await client.replay(FIXTURE, { strict: true });
+    assert.equal(packets, readCapture(FIXTURE).records.filter(r => r.direction === 'toClient').length);
+    assert.deepEqual(errors, []);
+
+    assert.equal(client.entityId, 42);
+    assert.deepEqual(client.position, { x: 8.5, y: -60, z: 8.5 });
+    assert.equal(client.world.chunks.size, 1);
+    assert.equal(client.world.getBlock(2, -61, 4), STONE);
+    assert.equal(client.world.getBlock(3, -61, 4), AIR);
+
+    const zombie = client.entityTracker.entities.get(7);
+    assert.equal(zombie.name, 'zombie');
+    assert.equal(zombie.health, 12);
+    assert.equal(zombie.baby, true);
+    assert.deepEqual(zombie.position, { x: 5.5, y: -60, z: 5.5 });
+    assert.deepEqual(messages, ['Welcome']);
+
+    // The handlers answered the teleport, though nothing went over a network
+    const registry = client.connection.registry;
+    const names = sent.map(p => registry.getName(p.state, 'toServer', p.packetId));
+    assert.ok(names.includes('confirm_teleportation'), names.join(', '));
+});
+
+test('records frames in both directions and reads them back', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'capture.jsonl');
+
+    const capture = new PacketCapture(file, { protocolVersion: 773 });
+    capture.record('toServer', 'handshaking', 0, Buffer.from([1, 2, 3]));
+    capture.record('toClient', 'play', 0x2C, Buffer.alloc(0));
+    await capture.close();
+
+    const { header, records } = readCapture(file);
+    assert.equal(header.protocolVersion, 773);
+    assert.deepEqual(records.map(({ direction, state, packetId, data }) => [direction, state, packetId, [...data]]), [
+        ['toServer', 'handshaking', 0, [1, 2, 3]],
+        ['toClient', 'play', 0x2C, []]
+    ]);
+
+    fs.writeFileSync(file, '{"format":99}\n');
+    assert.throws(() => readCapture(file), /unsupported capture format 99/);
+});
@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { queryStatus } = require('../src/states/status');
+const { setLogLevel } = require('../src/logger');
+const { MockServer } = require('./helpers/mock-server');
+
+setLogLevel('ERROR');
+
+let server;
+
+beforeEach(async () => {
+    server = new MockServer();
+    await server.listen();
+});
+
+afterEach(async () => {
+    await server.close();
+});
+
+test('reads the status response and measures latency with a ping', async () => {
+    const status = queryStatus('127.0.0.1', server.port, { protocolVersion: 772 });
+    const player = await server.nextPlayer();
+    await player.answerStatus({
+        version: { name: '1.21.8', protocol: 772 },
+        players: { online: 1, max: 20, sample: [{ name: 'Steve', id: '00000000-0000-0000-0000-000000000001' }] },
+        description: { text: '§aHello ', extra: [{ text: 'world' }] },
+        enforcesSecureChat: true
+    });
+
+    const result = await status;
+    assert.equal(result.motd, 'Hello world');
+    assert.equal(result.version, '1.21.8');
+    assert.equal(result.protocol, 772);
+    assert.deepEqual(result.players, { online: 1, max: 20, sample: [{ name: 'Steve', uuid: '00000000-0000-0000-0000-000000000001' }] });
+    assert.equal(result.enforcesSecureChat, true);
+    assert.ok(result.latency >= 0);
+
+    const handshake = player.receivedPackets('handshake')[0];
+    assert.equal(handshake.protocolVersion, 772);
+    assert.equal(handshake.nextState, 1);
+    assert.equal(player.receivedPackets('ping_request').length, 1);
+});
+
+test('settles without waiting for the ping when the server hangs up', async () => {
+    const status = queryStatus('127.0.0.1', server.port);
+    const player = await server.nextPlayer();
+    await player.answerStatus({ version: { name: '1.21.10', protocol: 773 } }, { pong: false });
+    await player.expect('ping_request');
+    player.close();
+
+    const result = await status;
+    assert.equal(result.protocol, 773);
+    assert.equal(result.latency, -1);
+});
+
+test('rejects a malformed status response straight away', async () => {
+    const status = queryStatus('127.0.0.1', server.port, { timeout: 3000 });
+    const player = await server.nextPlayer();
+    const started = Date.now();
+    await player.answerStatus('{"version": ', { pong: false });
+
+    await assert.rejects(status, /Malformed status response/);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('skips player samples that are not a list or not an object', async () => {
+    const status = queryStatus('127.0.0.1', server.port);
+    let player = await server.nextPlayer();
+    await player.answerStatus({ version: { name: '1.21.10', protocol: 773 }, players: { online: 2, max: 5, sample: [null, { name: 'Alex', id: 'x' }] } });
+    assert.deepEqual((await status).players.sample, [{ name: 'Alex', uuid: 'x' }]);
+
+    const notArray = queryStatus('127.0.0.1', server.port);
+    player = await server.nextPlayer();
+    await player.answerStatus({ players: { sample: 'nobody' } });
+    assert.deepEqual((await notArray).players.sample, []);
+});
+
+test('renders translated and nested MOTDs', async () => {
+    const status = queryStatus('127.0.0.1', server.port);
+    const player = await server.nextPlayer();
+    await player.answerStatus({
+        description: { text: '', extra: ['§6Gold ', { translate: 'chat.type.text', with: ['A', { text: 'B', extra: [{ text: '!' }] }] }] }
+    });
+    assert.equal((await status).motd, 'Gold <A> B!');
+});
+
+test('rejects when the connection closes before the status response', async () => {
+    const status = queryStatus('127.0.0.1', server.port);
+    const player = await server.nextPlayer();
+    await player.expect('status_request');
+    player.close();
+
+    await assert.rejects(status, /Connection closed before status response/);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseComponent, parseJsonComponent, toSpans, toPlainText, toAnsi, translate } = require('../src/text-component');
+
+test('renders translations with positional arguments and fallbacks', () => {
+    assert.equal(translate('chat.type.text', ['Steve', 'hi']), '<Steve> hi');
+    assert.equal(toPlainText({ translate: 'death.attack.player', with: ['Bot', { text: 'Zombie' }] }), 'Bot was slain by Zombie');
+    assert.equal(toPlainText({ translate: 'multiplayer.player.joined', with: [{ text: 'Alex', color: 'yellow' }] }), 'Alex joined the game');
+    assert.equal(toPlainText({ translate: 'no.such.key', fallback: 'Fallback' }), 'Fallback');
+    assert.equal(toPlainText({ translate: 'no.such.key' }), 'no.such.key');
+
+    // NBT-style components (empty-key text, byte booleans)
+    assert.deepEqual(parseComponent({ '': 'hi', bold: 1 }), { text: 'hi', bold: true });
+});
+
+test('takes strings literally and parses JSON only when asked', () => {
+    // NBT string tags are plain text, whatever they look like
+    assert.equal(toPlainText('[Server] restarting'), '[Server] restarting');
+    assert.equal(toPlainText('"hello"'), '"hello"');
+    assert.equal(toPlainText('{"text":"hi"}'), '{"text":"hi"}');
+
+    assert.equal(toPlainText(parseJsonComponent('{"translate":"chat.type.text","with":["A","B"]}')), '<A> B');
+    assert.deepEqual(parseJsonComponent('"hello"'), { text: 'hello' });
+    assert.deepEqual(parseJsonComponent('[Server] restarting'), { text: '[Server] restarting' });
+});
+
+test('applies legacy formatting codes', () => {
+    assert.deepEqual(toSpans('§cRed §lbold§r plain'), [
+        { text: 'Red ', color: 'red' },
+        { text: 'bold', color: 'red', bold: true },
+        { text: ' plain' }
+    ]);
+    // A color code resets styles
+    assert.deepEqual(toSpans({ text: '§oitalic§agreen', bold: true }), [
+        { text: 'italic', bold: true, italic: true },
+        { text: 'green', color: 'green' }
+    ]);
+    assert.equal(toAnsi('§cx'), '\x1b[91mx\x1b[0m');
+});
+
+test('inherits styles through nesting and stops at hostile depths', () => {
+    const component = { text: 'a', color: 'gold', extra: [{ text: 'b', bold: true, extra: ['c'] }, { text: 'd', color: 'blue' }] };
+    assert.deepEqual(toSpans(component), [
+        { text: 'a', color: 'gold' },
+        { text: 'bc', color: 'gold', bold: true },
+        { text: 'd', color: 'blue' }
+    ]);
+    assert.equal(toPlainText(['x', { text: 'y' }, 'z']), 'xyz');
+
+    // Far deeper than the call stack allows
+    let deep = { text: 'leaf' };
+    let withDeep = { text: 'leaf' };
+    for (let i = 0; i < 100000; i++) {
+        deep = { text: '', extra: [deep] };
+        withDeep = { translate: 'chat.type.text', with: [withDeep, ''] };
+    }
+    assert.equal(toPlainText(deep), '');
+    assert.ok(toPlainText(withDeep).startsWith('<<<'));
+});
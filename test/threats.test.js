@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { ThreatMonitor } = require('../src/threats');
+const { EntityTracker } = require('../src/entities');
+const { getEntityRegistry } = require('../src/entity-data');
+const { encodeEntityMetadata } = require('./helpers/mock-server');
+const { setLogLevel } = require('../src/logger');
+
+setLogLevel('ERROR');
+
+const registry = getEntityRegistry(773);
+const typeId = (name) => registry.entitiesByName.get(name).id;
+const metadataIndex = (name, key) => registry.entitiesByName.get(name).metadata.indexOf(key);
+
+// Just what the monitor reads: a position, an entity tracker and the movement controller
+function fakeClient() {
+    const client = new EventEmitter();
+    client.position = { x: 0.5, y: 64, z: 0.5 };
+    client.entityTracker = new EntityTracker();
+    client.world = { canSee: () => true };
+    client.movement = {
+        fleeing: false,
+        isMoving: false,
+        fled: [],
+        flee(threats) { this.fled.push(threats); this.fleeing = true; this.isMoving = true; return true; },
+        endFlee() { this.fleeing = false; this.isMoving = false; }
+    };
+    return client;
+}
+
+test('scores fusing creepers, aiming skeletons and only angry neutral mobs', () => {
+    const client = fakeClient();
+    const tracker = client.entityTracker;
+    const monitor = new ThreatMonitor(client);
+
+    tracker.addEntity(1, typeId('zombie'), 8.5, 64, 0.5);
+    tracker.addEntity(2, typeId('creeper'), -7.5, 64, 0.5);
+    tracker.addEntity(3, typeId('enderman'), 0.5, 64, 4.5);
+    tracker.addEntity(4, typeId('cow'), 2.5, 64, 0.5);
+    // Skeleton to the south, looking north at the bot with its bow drawn
+    tracker.addEntity(5, typeId('skeleton'), 0.5, 64, 12.5, { yaw: 128, headYaw: 128 });
+    tracker.updateMetadata(5, encodeEntityMetadata([{ index: metadataIndex('skeleton', 'living_entity_flags'), type: 'byte', value: 1 }]));
+
+    let threats = monitor.assess();
+    assert.deepEqual(threats.map(t => t.entity.name), ['skeleton', 'creeper', 'zombie']);
+    assert.equal(threats[0].aiming, true);
+
+    tracker.updateMetadata(2, encodeEntityMetadata([{ index: metadataIndex('creeper', 'swell_dir'), type: 'int', value: 1 }]));
+    tracker.updateMetadata(3, encodeEntityMetadata([{ index: metadataIndex('enderman', 'creepy'), type: 'boolean', value: true }]));
+    threats = monitor.assess();
+    assert.equal(threats[0].entity.name, 'creeper');
+    assert.equal(threats[0].fusing, true);
+    assert.ok(threats.some(t => t.entity.name === 'enderman'));
+    assert.ok(!threats.some(t => t.entity.name === 'cow'));
+});
+
+test('emits threats, flees while in danger and stops once clear', () => {
+    const client = fakeClient();
+    const monitor = new ThreatMonitor(client);
+    const events = [];
+    client.on('threat', (threat) => events.push(threat.entity.name));
+    client.on('threatCleared', () => events.push('cleared'));
+
+    // Far away zombies aren't dangerous yet
+    client.entityTracker.addEntity(1, typeId('zombie'), 14.5, 64, 0.5);
+    assert.deepEqual(monitor.update(), []);
+    assert.equal(client.movement.fled.length, 0);
+
+    client.entityTracker.updatePosition(1, 4.5, 64, 0.5, true);
+    monitor.update();
+    monitor.update();
+    assert.deepEqual(events, ['zombie']);
+    assert.equal(client.movement.fled.length, 1);
+    assert.deepEqual(client.movement.fled[0][0].position, { x: 4.5, y: 64, z: 0.5 });
+
+    // Reached the flee target with the zombie still close: flee again
+    client.movement.isMoving = false;
+    monitor.update();
+    assert.equal(client.movement.fled.length, 2);
+
+    client.entityTracker.removeEntity(1);
+    monitor.update();
+    assert.deepEqual(events, ['zombie', 'cleared']);
+    assert.equal(client.movement.fleeing, false);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { WorldAdvanced } = require('../src/world-advanced');
+const { getBlockRegistry } = require('../src/blocks');
+const { readNBT } = require('../src/protocol/nbt');
+const { exportRegions, exportStructure } = require('../src/world-export');
+const { encodeChunkColumn, flatSections } = require('./helpers/mock-server');
+
+const blocks = getBlockRegistry(773);
+
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'world-export-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+/**
+ * Palette entry name at a section index, decoding the packed data like the game does
+ * (copied to a plain object, as decoded compounds have no prototype)
+ */
+function paletteEntryAt(container, index) {
+    if (!container.data) return JSON.parse(JSON.stringify(container.palette[0]));
+    const bits = Math.max(4, Math.ceil(Math.log2(container.palette.length)));
+    const perLong = Math.floor(64 / bits);
+    const long = BigInt.asUintN(64, container.data[Math.floor(index / perLong)]);
+    const value = Number((long >> BigInt((index % perLong) * bits)) & ((1n << BigInt(bits)) - 1n));
+    return JSON.parse(JSON.stringify(container.palette[value]));
+}
+
+test('exports loaded chunks as Anvil region files', (t) => {
+    const directory = tempDirectory(t);
+    const world = new WorldAdvanced();
+    world.setBiomeNames(['minecraft:badlands', 'minecraft:plains']);
+    world.storeChunk(0, 0, encodeChunkColumn(flatSections(-60), 773, 24, { biomes: [1] }));
+    world.storeChunk(-1, 31, encodeChunkColumn(flatSections(-62), 773, 24, {
+        blockEntities: [{ x: 1, y: -62, z: 2, type: 1, nbt: { CustomName: 'Loot' } }]
+    }));
+    world.setBlock(5, -61, 7, blocks.getStateId('oak_stairs', { facing: 'east' }));
+
+    const { files, chunks } = exportRegions(world, path.join(directory, 'region'));
+    assert.equal(chunks, 2);
+    assert.deepEqual(files.map(f => path.basename(f)).sort(), ['r.-1.0.mca', 'r.0.0.mca']);
+
+    // Region header -> chunk 0, 0 at sector 2
+    const region = fs.readFileSync(path.join(directory, 'region', 'r.0.0.mca'));
+    assert.equal(region.readUIntBE(0, 3), 2);
+    const length = region.readUInt32BE(2 * 4096);
+    assert.equal(region.readUInt8(2 * 4096 + 4), 2); // zlib
+    const chunk = readNBT(zlib.inflateSync(region.subarray(2 * 4096 + 5, 2 * 4096 + 4 + length)), 0, { named: true }).value;
+
+    assert.equal(chunk.DataVersion, 4556);
+    assert.deepEqual([chunk.xPos, chunk.zPos, chunk.yPos, chunk.sections.length], [0, 0, -4, 24]);
+    const bottom = chunk.sections[0];
+    assert.equal(bottom.Y, -4);
+    assert.deepEqual(bottom.biomes.palette, ['minecraft:plains']);
+    assert.deepEqual(paletteEntryAt(bottom.block_states, 0), { Name: 'minecraft:stone' });
+    assert.deepEqual(paletteEntryAt(bottom.block_states, 4 << 8), { Name: 'minecraft:air' });
+    assert.deepEqual(paletteEntryAt(bottom.block_states, (3 << 8) | (7 << 4) | 5), {
+        Name: 'minecraft:oak_stairs',
+        Properties: { facing: 'east', half: 'bottom', shape: 'straight', waterlogged: 'false' }
+    });
+
+    const other = fs.readFileSync(path.join(directory, 'region', 'r.-1.0.mca'));
+    const index = (31 << 5) | 31;
+    const offset = other.readUIntBE(index * 4, 3) * 4096;
+    const otherChunk = readNBT(zlib.inflateSync(other.subarray(offset + 5, offset + 4 + other.readUInt32BE(offset))), 0, { named: true }).value;
+    assert.deepEqual(otherChunk.block_entities.map(entity => ({ ...entity })), [{ CustomName: 'Loot', id: 'minecraft:chest', x: -15, y: -62, z: 498, keepPacked: 0 }]);
+});
+
+test('exports a bounding box as a structure file', (t) => {
+    const directory = tempDirectory(t);
+    const world = new WorldAdvanced();
+    world.storeChunk(0, 0, encodeChunkColumn(flatSections(-60), 773));
+    world.setBlock(2, -60, 2, blocks.getStateId('oak_sign'));
+    world.setBlockEntity(2, -60, 2, 7, { front_text: { messages: ['Hi', '', '', ''] } });
+
+    // The box crosses into an unloaded chunk at x = -1
+    const file = path.join(directory, 'box.nbt');
+    const result = exportStructure(world, { x: 3, y: -59, z: 3 }, { x: -1, y: -61, z: 1 }, file);
+    assert.deepEqual(result.size, [5, 3, 3]);
+    assert.equal(result.blocks, 4 * 3 * 3);
+
+    const structure = readNBT(zlib.gunzipSync(fs.readFileSync(file)), 0, { named: true }).value;
+    assert.deepEqual(structure.size, [5, 3, 3]);
+    assert.deepEqual(structure.palette.map(p => p.Name), ['minecraft:stone', 'minecraft:air', 'minecraft:oak_sign']);
+    assert.equal(structure.blocks.length, 36);
+    assert.ok(structure.blocks.every(b => b.pos[0] >= 1)); // Nothing from the unloaded chunk
+
+    const sign = structure.blocks.find(b => b.state === 2);
+    assert.deepEqual(sign.pos, [3, 1, 1]);
+    assert.equal(sign.nbt.id, 'minecraft:sign');
+    assert.deepEqual(sign.nbt.front_text.messages, ['Hi', '', '', '']);
+    assert.equal(structure.blocks.filter(b => b.state === 0).length, 12);
+
+    // Larger than a structure block can save
+    assert.throws(() => exportStructure(world, { x: 0, y: -64, z: 0 }, { x: 48, y: -60, z: 0 }, path.join(directory, 'big.nbt')), /49x5x1/);
+    assert.equal(fs.existsSync(path.join(directory, 'big.nbt')), false);
+});
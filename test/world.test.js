@@ -0,0 +1,270 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorldAdvanced } = require('../src/world-advanced');
+const { getBlockRegistry } = require('../src/blocks');
+const { ChunkCache, decodeChunk } = require('../src/chunk-cache');
+const { encodeChunkColumn, encodeLightData, flatSections, STONE, AIR } = require('./helpers/mock-server');
+
+test('stores uniform sections as a single state ID', () => {
+    const world = new WorldAdvanced();
+    world.storeChunk(-1, -1, encodeChunkColumn(flatSections(-56), 773));
+
+    const chunk = world.chunks.get(world.chunkKey(-1, -1));
+    assert.ok(chunk.sections[0] instanceof Uint16Array); // Stone and air
+    assert.equal(chunk.sections[1], AIR);
+
+    // Negative coordinates map into the chunk at -1, -1
+    assert.equal(world.getBlock(-16, -64, -16), STONE);
+    assert.equal(world.getBlock(-1, -57, -1), STONE);
+    assert.equal(world.getBlock(-1, -56, -1), AIR);
+    assert.equal(world.getBlock(0, -64, 0), -1);
+
+    const stats = world.getStats();
+    assert.equal(stats.sections, 24);
+    assert.equal(stats.uniformSections, 23);
+    assert.ok(stats.memoryBytes > 8192 && stats.memoryBytes < 10000, `${stats.memoryBytes} bytes`);
+});
+
+test('setBlock expands a uniform section on the first change', () => {
+    const world = new WorldAdvanced();
+    world.storeChunk(0, 0, encodeChunkColumn(flatSections(-48), 773));
+
+    assert.equal(world.setBlock(5, -60, 7, AIR), STONE);
+    assert.equal(world.setBlock(5, 100, 7, STONE), AIR);
+    assert.equal(world.setBlock(5, 100, 7, STONE), STONE);
+    assert.equal(world.setBlock(20, 100, 7, STONE), -1); // Chunk not loaded
+
+    assert.equal(world.getBlock(5, -60, 7), AIR);
+    assert.equal(world.getBlock(6, -60, 7), STONE);
+    assert.equal(world.getBlock(5, 100, 7), STONE);
+    assert.equal(world.getBlock(5, 101, 7), AIR);
+
+    world.unloadChunk(0, 0);
+    assert.equal(world.getBlock(5, 100, 7), -1);
+    assert.equal(world.getStats().memoryBytes, 0);
+});
+
+test('decodes biomes and light from chunk data and updates', () => {
+    const world = new WorldAdvanced();
+    world.setBiomeNames(['minecraft:plains', 'minecraft:desert', 'minecraft:river']);
+
+    // Section 4 (Y 0-15): desert in the x < 4 column of cells, river elsewhere
+    const biomes = [];
+    biomes[4] = Array.from({ length: 64 }, (_, i) => ((i & 3) === 0 ? 1 : 2));
+    const sky = new Array(26).fill(15);
+    sky[5] = 0; // Light section 5 covers world section 4
+    world.storeChunk(0, 0, encodeChunkColumn(flatSections(0), 773, 24, { biomes, light: { sky } }));
+
+    assert.deepEqual(world.getBiome(2, 5, 9), { id: 1, name: 'minecraft:desert' });
+    assert.deepEqual(world.getBiome(4, 5, 9), { id: 2, name: 'minecraft:river' });
+    assert.deepEqual(world.getBiome(4, 64, 9), { id: 0, name: 'minecraft:plains' });
+    assert.equal(world.getBiome(20, 5, 9), null);
+
+    assert.deepEqual(world.getLight(3, 20, 3), { sky: 15, block: 0 });
+    assert.deepEqual(world.getLight(3, 5, 3), { sky: 0, block: 0 });
+    assert.equal(world.getLight(20, 5, 3), null);
+
+    // Update Light with a torch-ish gradient in section 4: block light = x
+    const nibbles = Buffer.alloc(2048);
+    for (let index = 0; index < 4096; index++) {
+        nibbles[index >> 1] |= (index & 15) << ((index & 1) * 4);
+    }
+    const block = [];
+    block[5] = nibbles;
+    world.updateLight(0, 0, encodeLightData({ block }));
+
+    assert.deepEqual(world.getLight(7, 5, 3), { sky: 0, block: 7 });
+    assert.deepEqual(world.getLight(12, 0, 15), { sky: 0, block: 12 });
+    assert.deepEqual(world.getLight(3, 20, 3), { sky: 15, block: 0 }); // Untouched sections keep their light
+});
+
+test('tracks block entities from chunk data', () => {
+    const blocks = getBlockRegistry(773);
+    const world = new WorldAdvanced();
+    const sign = {
+        front_text: { messages: ['Storage', { text: 'iron ', extra: [{ text: 'ingots' }] }, '', ''], color: 'black' },
+        back_text: { messages: ['', '', '', ''] },
+        is_waxed: 1
+    };
+    world.storeChunk(1, 0, encodeChunkColumn(flatSections(-59), 773, 24, {
+        blockEntities: [
+            { x: 2, y: -60, z: 3, type: 1, nbt: { CustomName: { text: 'Loot' } } },   // chest
+            { x: 9, y: -60, z: 3, type: 1, nbt: null },
+            { x: 2, y: -59, z: 3, type: 7, nbt: sign },
+            { x: 0, y: -62, z: 0, type: 9, nbt: { SpawnData: { entity: { id: 'minecraft:zombie' } } } }
+        ]
+    }));
+
+    const chest = world.getBlockEntity(18, -60, 3);
+    assert.equal(chest.type, 'minecraft:chest');
+    assert.equal(chest.customName, 'Loot');
+    assert.deepEqual(world.getBlockEntity(18, -59, 3).sign.front.lines, ['Storage', 'iron ingots', '', '']);
+    assert.equal(world.getBlockEntity(18, -59, 3).sign.waxed, true);
+    assert.equal(world.getBlockEntity(16, -62, 0).spawnerEntity, 'minecraft:zombie');
+
+    const near = { x: 26, y: -60, z: 3 };
+    assert.deepEqual(world.findBlockEntities({ type: 'chest', near }).map(e => e.position.x), [25, 18]);
+    assert.equal(world.findBlockEntities({ type: 'minecraft:chest', near, radius: 4 }).length, 1);
+    assert.equal(world.findBlockEntities({ type: ['sign', 'mob_spawner'] }).length, 2);
+
+    // Replacing the block removes its block entity, changing its state doesn't
+    world.setBlock(18, -60, 3, AIR);
+    assert.equal(world.getBlockEntity(18, -60, 3), null);
+
+    world.setBlock(18, -59, 3, blocks.getStateId('oak_sign', { rotation: 4 }));
+    world.setBlockEntity(18, -59, 3, 7, { front_text: { messages: ['Edited', '', '', ''] } });
+    world.setBlock(18, -59, 3, blocks.getStateId('oak_sign', { rotation: 8 }));
+    assert.equal(world.getBlockEntity(18, -59, 3).sign.front.lines[0], 'Edited');
+    assert.equal(world.setBlockEntity(100, 0, 100, 1, null), null); // Unloaded chunk
+
+    // Before 1.21.5 block entity text is stored as JSON strings
+    world.setProtocolVersion(769);
+    world.setBlockEntity(18, -59, 3, 7, { front_text: { messages: ['{"text":"Old"}', '"quoted"', '', ''] }, CustomName: '{"text":"Sign"}' });
+    assert.deepEqual(world.getBlockEntity(18, -59, 3).sign.front.lines, ['Old', 'quoted', '', '']);
+    assert.equal(world.getBlockEntity(18, -59, 3).customName, 'Sign');
+});
+
+test('finds blocks and casts rays', () => {
+    const blocks = getBlockRegistry(773);
+    const world = new WorldAdvanced();
+    for (let x = -1; x <= 1; x++) {
+        for (let z = -1; z <= 1; z++) world.storeChunk(x, z, encodeChunkColumn(flatSections(-60), 773));
+    }
+    const diamond = blocks.getStateId('diamond_ore');
+    world.setBlock(3, -61, 3, diamond);
+    world.setBlock(-10, -62, 4, diamond);
+    world.setBlock(20, -61, 0, blocks.getStateId('deepslate_diamond_ore'));
+
+    const point = { x: 0.5, y: -59, z: 0.5 };
+    assert.deepEqual(world.findBlocks({ matching: 'diamond_ore', point, count: 5 }), [
+        { x: 3, y: -61, z: 3 },
+        { x: -10, y: -62, z: 4 }
+    ]);
+    assert.deepEqual(world.findBlocks({ matching: ['minecraft:diamond_ore', 'deepslate_diamond_ore'], point, maxDistance: 32, count: 5 }).length, 3);
+    assert.deepEqual(world.findBlocks({ matching: state => state.name.endsWith('_ore'), point, maxDistance: 5 }), [{ x: 3, y: -61, z: 3 }]);
+    assert.deepEqual(world.findBlocks({ matching: 'stone', point }), [{ x: 0, y: -61, z: 0 }]);
+    assert.deepEqual(world.findBlocks({ matching: 'stone', point, count: 0 }), []);
+    assert.deepEqual(world.findBlocks({ matching: 'stone', point, count: -3 }), []);
+
+    // Looking down at the floor hits the top face
+    const hit = world.raycast({ x: 0.5, y: -58.38, z: 0.5 }, { x: 0, y: -1, z: 1 }, 5);
+    assert.deepEqual(hit.position, { x: 0, y: -61, z: 2 });
+    assert.equal(hit.face, 'up');
+    assert.equal(hit.faceId, 1);
+    assert.ok(Math.abs(hit.intersect.y - -60) < 1e-9 && Math.abs(hit.intersect.z - 2.12) < 1e-9);
+    assert.equal(world.raycast({ x: 0.5, y: -58.38, z: 0.5 }, { x: 0, y: 1, z: 0 }, 5), null);
+
+    // A bottom slab only blocks the lower half, and its side is the face hit
+    world.setBlock(4, -60, 0, blocks.getStateId('stone_slab', { type: 'bottom' }));
+    const side = world.raycast({ x: 0.5, y: -59.75, z: 0.5 }, { x: 1, y: 0, z: 0 }, 10);
+    assert.deepEqual([side.position, side.face, side.distance], [{ x: 4, y: -60, z: 0 }, 'west', 3.5]);
+    assert.equal(world.raycast({ x: 0.5, y: -59.25, z: 0.5 }, { x: 1, y: 0, z: 0 }, 10), null);
+
+    assert.equal(world.canSee({ x: 0.5, y: -58.38, z: 0.5 }, { x: 8.5, y: -58.38, z: 0.5 }), true);
+    assert.equal(world.canSee({ x: 0.5, y: -59.75, z: 0.5 }, { x: 8.5, y: -59.75, z: 0.5 }), false);
+    assert.equal(world.canSee({ x: 0.5, y: -58.38, z: 0.5 }, { x: 40.5, y: -58.38, z: 0.5 }), false); // Unloaded
+});
+
+test('remembers unloaded chunks through the chunk cache', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chunk-cache-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const overworld = { name: 'minecraft:overworld', minY: -64, height: 384 };
+
+    const first = new WorldAdvanced();
+    first.setChunkCache(new ChunkCache(directory, 'localhost:25565'));
+    first.setDimension(overworld);
+    first.storeChunk(2, -3, encodeChunkColumn(flatSections(-60), 773));
+    first.setBlock(33, -60, -40, STONE);
+    first.unloadChunk(2, -3);
+
+    // Unloads are written in the background
+    const file = path.join(directory, 'localhost_25565', 'minecraft_overworld', '2.-3.chunk');
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(first.chunkCache.load(2, -3).sections, first.getRememberedChunk(2, -3).sections); // Queued copy
+    await first.chunkCache.writer;
+    assert.ok(fs.existsSync(file));
+    assert.equal(first.chunkCache.pending.size, 0);
+    assert.equal(first.getBlock(33, -60, -40), -1);
+    assert.equal(first.getBlock(33, -60, -40, true), STONE); // Kept in memory
+
+    // A new session reads it back before planning a route through it, as remembered rather than live
+    const second = new WorldAdvanced();
+    second.setChunkCache(new ChunkCache(directory, 'localhost:25565'));
+    second.setDimension(overworld);
+    assert.equal(second.remembered.size, 0);
+    assert.equal(second.isChunkKnown(2, -3), false); // Lookups never read the disk
+    assert.equal(await second.loadRememberedChunks({ x: 0, z: 0 }, { x: 100, z: -100 }), 1);
+    assert.equal(second.isChunkLoaded(2, -3), false);
+    assert.equal(second.isChunkKnown(2, -3), true);
+    assert.equal(second.getRememberedChunk(2, -3).remembered, true);
+    assert.equal(second.getBlock(33, -60, -40, true), STONE);
+    assert.equal(second.getBlock(34, -60, -40, true), AIR);
+    assert.equal(second.isSolid(33, -60, -40, true), true);
+    assert.equal(second.isSolid(33, -59, -40, true), false);
+    assert.equal(second.findFloorBelow(34, -55, -40, 10, true), -60);
+    assert.ok(second.getMovementCost(34, -60, -40) < second.getMovementCost(100, -60, 100));
+
+    // Other dimensions and servers have their own chunks
+    second.setDimension({ name: 'minecraft:the_nether', minY: 0, height: 256 });
+    assert.equal(second.isChunkKnown(2, -3), false);
+    const other = new WorldAdvanced();
+    other.setChunkCache(new ChunkCache(directory, 'example.com:25565'));
+    other.setDimension(overworld);
+    assert.equal(other.isChunkKnown(2, -3), false);
+
+    // Live chunks take over from remembered ones and are saved on clear()
+    second.setDimension(overworld);
+    second.storeChunk(2, -3, encodeChunkColumn(flatSections(-50), 773));
+    assert.equal(second.remembered.size, 0);
+    second.clear();
+    const third = new WorldAdvanced();
+    third.setChunkCache(new ChunkCache(directory, 'localhost:25565'));
+    third.setDimension(overworld);
+    await third.loadRememberedChunks({ x: 34, z: -40 }, { x: 34, z: -40 });
+    assert.equal(third.getBlock(34, -55, -40, true), STONE);
+
+    // saveChunks() writes queued chunks at once, and the background writer doesn't overwrite them
+    third.storeChunk(5, 5, encodeChunkColumn(flatSections(-60), 773));
+    third.unloadChunk(5, 5);
+    third.saveChunks();
+    const saved = path.join(directory, 'localhost_25565', 'minecraft_overworld', '5.5.chunk');
+    assert.ok(fs.existsSync(saved));
+    await third.chunkCache.writer;
+    assert.deepEqual(fs.readdirSync(path.dirname(saved)).filter(name => name.endsWith('.tmp')), []);
+    assert.equal(decodeChunk(fs.readFileSync(saved)).sections.length, 24);
+});
+
+test('drops cached chunks saved for another version from the index', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chunk-cache-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const overworld = { name: 'minecraft:overworld', minY: -64, height: 384 };
+
+    const first = new WorldAdvanced();
+    first.setChunkCache(new ChunkCache(directory, 'localhost:25565'));
+    first.setDimension(overworld);
+    first.storeChunk(0, 0, encodeChunkColumn(flatSections(-60), 773));
+    first.saveChunks();
+
+    const older = new WorldAdvanced();
+    older.setProtocolVersion(772);
+    older.setChunkCache(new ChunkCache(directory, 'localhost:25565'));
+    older.setDimension(overworld);
+    assert.equal(older.chunkCache.has(0, 0), true);
+
+    const readFile = t.mock.method(fs.promises, 'readFile');
+    assert.equal(await older.loadRememberedChunks({ x: 0, z: 0 }, { x: 0, z: 0 }), 0);
+    assert.equal(older.chunkCache.has(0, 0), false);
+    assert.equal(await older.loadRememberedChunks({ x: 0, z: 0 }, { x: 0, z: 0 }), 0);
+    assert.equal(older.isChunkKnown(0, 0), false);
+    assert.equal(readFile.mock.callCount(), 1);
+
+    // The synchronous load() skips it the same way
+    const layout = { protocolVersion: 772, minY: -64, height: 384 };
+    const again = new ChunkCache(directory, 'localhost:25565');
+    again.setDimension(overworld.name);
+    assert.equal(again.load(0, 0, layout), null);
+    assert.equal(again.has(0, 0), false);
+});